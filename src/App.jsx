@@ -1,15 +1,29 @@
 import { useEffect, useReducer, useRef } from "react";
 import Loading from "./components/ui/loading";
 
+import AntiAdblockNotice from "./components/app/anti-adblock-notice";
 import CurrentDomain from "./components/app/current-domain";
 import DefaultSections from "./components/app/default-sections";
 import NavigationStats from "./components/app/navigation-stats";
+import RequestLog from "./components/app/request-log";
 import RuleStates from "./components/app/rule-stats";
 import Status from "./components/app/status";
 import Gear from "./components/icons/gear";
 import Button from "./components/ui/button";
 import { H1 } from "./components/ui/typography";
 import Logger from "@script-utils/logger.js";
+import {
+  SITE_PROFILE_SYSTEMS,
+  clearSiteProfile,
+  getSiteOverrides,
+  setSiteOverride,
+} from "@utils/site-profiles";
+import { getActivePause } from "@utils/site-pauses";
+import {
+  ANTI_ADBLOCK_WALLS_STORAGE_KEY,
+  dismissWallSuggestion,
+  getWallSuggestion,
+} from "@utils/anti-adblock-walls";
 
 // Action types
 const actionTypes = {
@@ -21,6 +35,10 @@ const actionTypes = {
   UPDATE_STATS: "UPDATE_STATS",
   SET_LOADING: "SET_LOADING",
   SET_WHITELIST_ERROR: "SET_WHITELIST_ERROR",
+  SET_SITE_PROFILES: "SET_SITE_PROFILES",
+  SET_PAUSED_SITES: "SET_PAUSED_SITES",
+  SET_PAUSE_PENDING: "SET_PAUSE_PENDING",
+  SET_ANTI_ADBLOCK_WALLS: "SET_ANTI_ADBLOCK_WALLS",
 };
 
 // Initial state
@@ -31,7 +49,12 @@ const initialState = {
     defaultRules: true,
     customRules: true,
     requestBlocking: true,
+    clickProtection: true,
   },
+  siteProfiles: {},
+  pausedSites: {},
+  pausePending: false,
+  antiAdblockWalls: {},
   domain: {
     current: "",
     isWhitelisted: false,
@@ -56,7 +79,11 @@ const protectionReducer = (state, action) => {
           defaultRules: action.payload.defaultRulesEnabled !== false,
           customRules: action.payload.customRulesEnabled !== false,
           requestBlocking: action.payload.defaultBlockRequestEnabled !== false,
+          clickProtection: action.payload.popUnderProtectionEnabled !== false,
         },
+        siteProfiles: action.payload.siteProfiles || {},
+        pausedSites: action.payload.pausedSites || {},
+        antiAdblockWalls: action.payload[ANTI_ADBLOCK_WALLS_STORAGE_KEY] || {},
         stats: {
           domain: action.payload.domainStats || {},
           navigation: action.payload.navigationStats || {
@@ -103,6 +130,14 @@ const protectionReducer = (state, action) => {
       return { ...state, loading: action.value };
     case actionTypes.SET_WHITELIST_ERROR:
       return { ...state, whitelistError: action.message || "" };
+    case actionTypes.SET_SITE_PROFILES:
+      return { ...state, siteProfiles: action.profiles || {} };
+    case actionTypes.SET_PAUSED_SITES:
+      return { ...state, pausedSites: action.pausedSites || {} };
+    case actionTypes.SET_PAUSE_PENDING:
+      return { ...state, pausePending: action.value };
+    case actionTypes.SET_ANTI_ADBLOCK_WALLS:
+      return { ...state, antiAdblockWalls: action.walls || {} };
     default:
       return state;
   }
@@ -121,6 +156,10 @@ const storageAdapter = {
           "navigationGuardEnabled",
           "customRulesEnabled",
           "navigationStats",
+          "popUnderProtectionEnabled",
+          "siteProfiles",
+          "pausedSites",
+          ANTI_ADBLOCK_WALLS_STORAGE_KEY,
         ],
         resolve
       );
@@ -137,6 +176,7 @@ const storageAdapter = {
       defaultRules: "defaultRulesEnabled",
       customRules: "customRulesEnabled",
       requestBlocking: "defaultBlockRequestEnabled",
+      clickProtection: "popUnderProtectionEnabled",
     }[system];
 
     if (storageKey) {
@@ -151,6 +191,12 @@ export default function App() {
   const whitelistErrorTimeoutRef = useRef(null);
   const isMountedRef = useRef(true);
   const currentDomain = state?.domain?.current ?? "";
+  const activePause = getActivePause(state.pausedSites, currentDomain);
+  const wallSuggestion = getWallSuggestion(
+    state.antiAdblockWalls,
+    currentDomain,
+    getSiteOverrides(state.siteProfiles, currentDomain)
+  );
   // Toggle handlers
   const handleToggle = (newState) => {
     dispatch({ type: actionTypes.TOGGLE_MAIN, value: newState });
@@ -166,6 +212,68 @@ export default function App() {
     storageAdapter.saveProtectionSystem(system, newState);
   };
 
+  // "This site" toggles - null clears the override so the site follows the global toggle
+  const handleSiteOverride = (system, value) => {
+    if (!currentDomain) return;
+    const profiles = setSiteOverride(state.siteProfiles, currentDomain, system, value);
+    dispatch({ type: actionTypes.SET_SITE_PROFILES, profiles });
+    storageAdapter.save("siteProfiles", profiles);
+  };
+
+  const handleSiteReset = () => {
+    if (!currentDomain) return;
+    const profiles = clearSiteProfile(state.siteProfiles, currentDomain);
+    dispatch({ type: actionTypes.SET_SITE_PROFILES, profiles });
+    storageAdapter.save("siteProfiles", profiles);
+  };
+
+  // Anti-adblock wall suggestion: the exception turns element hiding off for the site
+  const handleWallException = () => {
+    handleSiteOverride(SITE_PROFILE_SYSTEMS.COSMETIC_FILTERS, false);
+  };
+
+  const handleWallDismiss = () => {
+    if (!currentDomain) return;
+    const walls = dismissWallSuggestion(state.antiAdblockWalls, currentDomain);
+    dispatch({ type: actionTypes.SET_ANTI_ADBLOCK_WALLS, walls });
+    storageAdapter.save(ANTI_ADBLOCK_WALLS_STORAGE_KEY, walls);
+  };
+
+  // Pause/resume go through the background, which owns the expiry alarms;
+  // the storage listener picks up the new pausedSites
+  const sendPauseRequest = (message, failureMessage) => {
+    dispatch({ type: actionTypes.SET_PAUSE_PENDING, value: true });
+
+    chrome.runtime.sendMessage(message, (response) => {
+      if (!isMountedRef.current) return;
+      dispatch({ type: actionTypes.SET_PAUSE_PENDING, value: false });
+
+      if (chrome.runtime.lastError || !response?.success) {
+        Logger.error("SitePause", "Failed to update site pause", chrome.runtime.lastError || response?.error, {
+          action: message.action,
+          domain: message.domain,
+        });
+        setWhitelistError(failureMessage);
+      }
+    });
+  };
+
+  const handlePauseSite = (duration) => {
+    if (!currentDomain) return;
+    sendPauseRequest(
+      { action: "pauseSite", domain: currentDomain, duration },
+      "Failed to pause protection. Please try again."
+    );
+  };
+
+  const handleResumeSite = () => {
+    if (!activePause) return;
+    sendPauseRequest(
+      { action: "resumeSite", domain: activePause.domain },
+      "Failed to resume protection. Please try again."
+    );
+  };
+
   const setWhitelistError = (message) => {
     dispatch({ type: actionTypes.SET_WHITELIST_ERROR, message });
 
@@ -252,6 +360,30 @@ export default function App() {
     });
   };
 
+  const handlePickElement = () => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tabId = tabs?.[0]?.id;
+      if (chrome.runtime.lastError || tabId === undefined) {
+        Logger.error("ElementPicker", "Failed to query active tab", chrome.runtime.lastError);
+        return;
+      }
+
+      // Top frame only - the content script also runs in every iframe
+      chrome.tabs.sendMessage(
+        tabId,
+        { action: "startElementPicker" },
+        { frameId: 0 },
+        () => {
+          if (chrome.runtime.lastError) {
+            Logger.warn("ElementPicker", "Content script not reachable on this tab", chrome.runtime.lastError);
+            return;
+          }
+          window.close();
+        }
+      );
+    });
+  };
+
   const handleOpenSettings = () => {
     chrome.tabs.create({ url: chrome.runtime.getURL("settings.html") });
   };
@@ -347,6 +479,7 @@ export default function App() {
           defaultRulesEnabled: "defaultRules",
           customRulesEnabled: "customRules",
           defaultBlockRequestEnabled: "requestBlocking",
+          popUnderProtectionEnabled: "clickProtection",
         };
 
         Object.keys(protectionStorageMap).forEach((storageKey) => {
@@ -364,6 +497,27 @@ export default function App() {
           });
         }
 
+        if (Object.prototype.hasOwnProperty.call(changes, "siteProfiles")) {
+          dispatch({
+            type: actionTypes.SET_SITE_PROFILES,
+            profiles: changes.siteProfiles.newValue,
+          });
+        }
+
+        if (Object.prototype.hasOwnProperty.call(changes, "pausedSites")) {
+          dispatch({
+            type: actionTypes.SET_PAUSED_SITES,
+            pausedSites: changes.pausedSites.newValue,
+          });
+        }
+
+        if (Object.prototype.hasOwnProperty.call(changes, ANTI_ADBLOCK_WALLS_STORAGE_KEY)) {
+          dispatch({
+            type: actionTypes.SET_ANTI_ADBLOCK_WALLS,
+            walls: changes[ANTI_ADBLOCK_WALLS_STORAGE_KEY].newValue,
+          });
+        }
+
         if (Object.prototype.hasOwnProperty.call(changes, "domainStats")) {
           dispatch({
             type: actionTypes.UPDATE_STATS,
@@ -423,12 +577,28 @@ export default function App() {
           domain={currentDomain}
           isWhitelisted={state.domain.isWhitelisted}
           onWhitelistToggle={handleWhitelistToggle}
+          onPickElement={handlePickElement}
           errorMessage={state.whitelistError}
+          pause={activePause}
+          onPause={handlePauseSite}
+          onResume={handleResumeSite}
+          pausePending={state.pausePending}
         />
 
+        {wallSuggestion && state.isActive && !state.domain.isWhitelisted && (
+          <AntiAdblockNotice
+            record={wallSuggestion}
+            onAddException={handleWallException}
+            onDismiss={handleWallDismiss}
+          />
+        )}
+
         <DefaultSections
           state={state}
           handleProtectionToggle={handleProtectionToggle}
+          domain={currentDomain}
+          onSiteOverride={handleSiteOverride}
+          onSiteReset={handleSiteReset}
         />
 
         <NavigationStats state={state} />
@@ -439,6 +609,8 @@ export default function App() {
           onResetStats={handleResetStats}
         />
 
+        <RequestLog enabled={state.protectionSystems.requestBlocking} />
+
         <Button
           variant="primary"
           onClick={handleOpenSettings}
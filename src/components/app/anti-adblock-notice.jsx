@@ -0,0 +1,38 @@
+import Button from "@/components/ui/button";
+import { H3, Text } from "@/components/ui/typography";
+
+/**
+ * AntiAdblockNotice Component
+ *
+ * Shown when OriginalUI removed an anti-adblock wall on the current site.
+ * Suggests a site exception (cosmetic filters off for the site) in case the
+ * page still refuses to work, or lets the user dismiss the suggestion.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.record - Wall record ({count, firstSeen, lastSeen})
+ * @param {Function} props.onAddException - Turn cosmetic filters off for the site
+ * @param {Function} props.onDismiss - Stop suggesting the exception
+ */
+export default function AntiAdblockNotice({ record, onAddException, onDismiss }) {
+  return (
+    <div className="flex flex-col card-purple gap-y-1">
+      <H3>Anti-adblock Wall Removed</H3>
+
+      <Text variant="caption" color="muted">
+        This site asked to disable your ad blocker
+        {record.count > 1 ? ` (${record.count} times)` : ""}. If the page still
+        does not work, stop hiding elements on this site.
+      </Text>
+
+      <div className="flex items-center gap-x-2">
+        <Button size="xs" variant="secondary" onClick={onAddException}>
+          Add site exception
+        </Button>
+        <Button size="xs" variant="ghost" onClick={onDismiss}>
+          Dismiss
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,18 @@
+import Button from "@/components/ui/button";
 import IconExpandButton from "@/components/ui/button/icon-expand";
 import { H3, Text } from "@/components/ui/typography";
+import SitePause from "./site-pause";
 
 export default function CurrentDomain({
   domain,
   isWhitelisted,
   onWhitelistToggle,
+  onPickElement,
   errorMessage,
+  pause = null,
+  onPause,
+  onResume,
+  pausePending = false,
 }) {
   if (!domain) return null;
 
@@ -23,6 +30,26 @@ export default function CurrentDomain({
 
       <Text className="italic font-days-one text-truncate">{domain}</Text>
 
+      {onPause && !isWhitelisted && (
+        <SitePause
+          pause={pause}
+          onPause={onPause}
+          onResume={onResume}
+          disabled={pausePending}
+        />
+      )}
+
+      {onPickElement && (
+        <Button
+          variant="secondary"
+          size="xs"
+          onClick={onPickElement}
+          className="self-start"
+        >
+          Pick element to hide
+        </Button>
+      )}
+
       {errorMessage && (
         <Text className="text-xs text-[#B23B3B]">{errorMessage}</Text>
       )}
@@ -1,6 +1,13 @@
+import { useState } from "react";
 import ShieldLink from "@/components/icons/shield-link";
-import { H3 } from "@/components/ui/typography";
+import Button from "@/components/ui/button";
+import { H3, Text } from "@/components/ui/typography";
 import PopupToggle from "@/components/ui/checkbox/popup-toggle";
+import {
+  SITE_PROFILE_SYSTEMS,
+  isSystemEnabled,
+  splitSiteOverrides,
+} from "@utils/site-profiles";
 
 const navigationLabel = (
   <>
@@ -8,36 +15,151 @@ const navigationLabel = (
   </>
 );
 
-export default function DefaultSections({ state, handleProtectionToggle }) {
+const SCOPES = {
+  ALL_SITES: "all",
+  THIS_SITE: "site",
+};
+
+/**
+ * Toggles per protection system
+ * - `system`: global toggle (protectionSystems key), shown in "All sites" mode when set
+ * - `site`: site profile system, shown in "This site" mode
+ * - `fallback`: global toggle a site without an override follows
+ */
+const SECTIONS = [
+  {
+    id: "defaultrules",
+    label: "Selector Rules",
+    system: "defaultRules",
+    site: SITE_PROFILE_SYSTEMS.SELECTOR_RULES,
+    fallback: "defaultRules",
+  },
+  {
+    id: "cosmeticfilters",
+    label: "Cosmetic Filters",
+    site: SITE_PROFILE_SYSTEMS.COSMETIC_FILTERS,
+    fallback: "defaultRules", // EasyList is bundled with the default rules
+  },
+  {
+    id: "requestblocking",
+    label: "Block Requests",
+    system: "requestBlocking",
+    site: SITE_PROFILE_SYSTEMS.NETWORK_BLOCKING,
+    fallback: "requestBlocking",
+  },
+  {
+    id: "navigationguard",
+    label: navigationLabel,
+    system: "navigationGuard",
+    site: SITE_PROFILE_SYSTEMS.NAVIGATION_GUARD,
+    fallback: "navigationGuard",
+  },
+  {
+    id: "clickprotection",
+    label: "Click Protection",
+    site: SITE_PROFILE_SYSTEMS.CLICK_PROTECTION,
+    fallback: "clickProtection",
+  },
+];
+
+/**
+ * DefaultSections Component
+ *
+ * Protection system toggles, either for every site (global settings) or for
+ * the current site only (site profile overrides).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.state - Popup state (protectionSystems, siteProfiles)
+ * @param {Function} props.handleProtectionToggle - Global toggle callback (system, enabled)
+ * @param {string} [props.domain] - Current site, "This site" mode is hidden without one
+ * @param {Function} [props.onSiteOverride] - Site toggle callback (system, enabled|null)
+ * @param {Function} [props.onSiteReset] - Clears the current site's overrides
+ */
+export default function DefaultSections({
+  state,
+  handleProtectionToggle,
+  domain = "",
+  onSiteOverride,
+  onSiteReset,
+}) {
+  const [scope, setScope] = useState(SCOPES.ALL_SITES);
+  const siteMode = scope === SCOPES.THIS_SITE && Boolean(domain);
+
+  // Parent domain profiles apply too; only this site's own overrides are edited here
+  const { own, inherited } = splitSiteOverrides(state.siteProfiles, domain);
+  const overrideCount = Object.keys(own).length;
+  const baseline = ({ site, fallback }) =>
+    isSystemEnabled(inherited, site, state.protectionSystems[fallback]);
+
+  const handleSiteToggle = (section, enabled) => {
+    // Matching what the site would get anyway drops the override
+    onSiteOverride(section.site, enabled === baseline(section) ? null : enabled);
+  };
+
+  const sections = siteMode ? SECTIONS : SECTIONS.filter((section) => section.system);
+
   return (
     <div className="flex flex-col gap-y-1 card-purple">
-      <H3>Default Sections</H3>
+      <div className="flex items-center justify-between">
+        <H3>Default Sections</H3>
+
+        {domain && onSiteOverride && (
+          <div className="flex gap-x-1">
+            <Button
+              size="xs"
+              variant={siteMode ? "ghost" : "outline"}
+              onClick={() => setScope(SCOPES.ALL_SITES)}
+            >
+              All sites
+            </Button>
+            <Button
+              size="xs"
+              variant={siteMode ? "outline" : "ghost"}
+              onClick={() => setScope(SCOPES.THIS_SITE)}
+            >
+              This site{overrideCount > 0 ? ` (${overrideCount})` : ""}
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {siteMode && (
+        <div className="flex items-center justify-between gap-x-2">
+          <Text variant="caption" color="muted" className="truncate">
+            Only on {domain} and its subdomains
+          </Text>
+          {overrideCount > 0 && onSiteReset && (
+            <Button size="xs" variant="ghost" className="shrink-0" onClick={onSiteReset}>
+              Reset
+            </Button>
+          )}
+        </div>
+      )}
 
       <div className="grid grid-cols-2 gap-2">
-        <PopupToggle
-          id="defaultrules"
-          label="Selector Rules"
-          checked={state.protectionSystems.defaultRules}
-          onChange={(newState) =>
-            handleProtectionToggle("defaultRules", newState)
-          }
-        />
-        <PopupToggle
-          id="requestblocking"
-          checked={state.protectionSystems.requestBlocking}
-          label="Block Requests"
-          onChange={(newState) =>
-            handleProtectionToggle("requestBlocking", newState)
-          }
-        />
-        <PopupToggle
-          id="navigationguard"
-          checked={state.protectionSystems.navigationGuard}
-          label={navigationLabel}
-          onChange={(newState) =>
-            handleProtectionToggle("navigationGuard", newState)
-          }
-        />
+        {sections.map((section) =>
+          siteMode ? (
+            <PopupToggle
+              key={section.id}
+              id={`site-${section.id}`}
+              label={section.label}
+              checked={isSystemEnabled(own, section.site, baseline(section))}
+              className={section.site in own ? "ring-2 ring-accent" : ""}
+              onChange={(newState) => handleSiteToggle(section, newState)}
+            />
+          ) : (
+            <PopupToggle
+              key={section.id}
+              id={section.id}
+              label={section.label}
+              checked={state.protectionSystems[section.system]}
+              onChange={(newState) =>
+                handleProtectionToggle(section.system, newState)
+              }
+            />
+          )
+        )}
       </div>
     </div>
   );
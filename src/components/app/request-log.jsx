@@ -0,0 +1,151 @@
+import Button from "@/components/ui/button";
+import { H3, Text } from "@/components/ui/typography";
+import { useCallback, useEffect, useState } from "react";
+
+const MAX_VISIBLE_ENTRIES = 50;
+
+/**
+ * Send a message to the background script
+ * @param {object} message - Message with action and payload
+ * @returns {Promise<object>} Background response ({success, error?, ...})
+ */
+const sendMessage = (message) =>
+  new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve({ success: false, error: chrome.runtime.lastError.message });
+        return;
+      }
+      resolve(response || { success: false, error: "No response" });
+    });
+  });
+
+const formatTime = (timeStamp) =>
+  new Date(timeStamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+/**
+ * LogEntry Component - One blocked request
+ */
+const LogEntry = ({ entry, allowed, busy, onAllow }) => (
+  <div className="flex items-start justify-between gap-x-2 py-1.5 border-b border-[#141117]/10 last:border-b-0">
+    <div className="flex flex-col min-w-0">
+      <Text className="text-xs truncate" title={entry.url || entry.filter || ""}>
+        {entry.url || entry.filter || `Rule #${entry.ruleId}`}
+      </Text>
+      <Text variant="caption" color="muted" className="truncate">
+        {[entry.resourceType, entry.source.name, formatTime(entry.timeStamp)]
+          .filter(Boolean)
+          .join(" · ")}
+      </Text>
+    </div>
+
+    {entry.allowDomain && (
+      <Button
+        variant={allowed ? "ghost" : "outline"}
+        size="xs"
+        className="shrink-0"
+        onClick={() => onAllow(entry)}
+        loading={busy}
+        disabled={busy || allowed}
+        title={`Always allow requests to ${entry.allowDomain}`}
+      >
+        {allowed ? "Allowed" : "Allow"}
+      </Button>
+    )}
+  </div>
+);
+
+/**
+ * RequestLog Component
+ *
+ * Network requests blocked on the current tab, with the rule source that
+ * blocked each one and a one-click allow pattern for its domain.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.enabled - Whether network request blocking is on
+ */
+export default function RequestLog({ enabled }) {
+  const [log, setLog] = useState({ entries: [], detailed: false, tabId: null });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [busyDomain, setBusyDomain] = useState(null);
+  const [allowedDomains, setAllowedDomains] = useState([]);
+
+  const loadLog = useCallback(async () => {
+    setLoading(true);
+    const response = await sendMessage({ action: "getRequestLog" });
+    if (response.success) {
+      setLog({ entries: response.entries, detailed: response.detailed, tabId: response.tabId });
+      setError("");
+    } else {
+      setError(response.error || "Failed to load request log");
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (enabled) {
+      loadLog();
+    }
+  }, [enabled, loadLog]);
+
+  const handleAllow = async ({ allowDomain: domain, resourceType }) => {
+    setBusyDomain(domain);
+    // The resource type widens the allow pattern beyond the default types (e.g. images)
+    const response = await sendMessage({ action: "allowBlockedDomain", domain, resourceType });
+    if (response.success) {
+      setAllowedDomains((prev) => [...prev, domain]);
+      setError("");
+    } else {
+      setError(response.error || "Failed to allow domain");
+    }
+    setBusyDomain(null);
+  };
+
+  if (!enabled) return null;
+
+  const visibleEntries = log.entries.slice(0, MAX_VISIBLE_ENTRIES);
+
+  return (
+    <div className="card-purple">
+      <div className="flex justify-between items-center mb-1">
+        <H3>Blocked Requests ({log.entries.length})</H3>
+        <Button variant="ghost" size="xs" onClick={loadLog} loading={loading} disabled={loading}>
+          Refresh
+        </Button>
+      </div>
+
+      {log.tabId !== null && (
+        <Text variant="caption" color="muted">
+          Tab #{log.tabId}
+          {!log.detailed &&
+            log.entries.length > 0 &&
+            " · Chrome only reports request URLs to developer installs; matched filters are shown instead"}
+        </Text>
+      )}
+
+      {error && <Text className="text-xs text-[#B23B3B]">{error}</Text>}
+
+      {visibleEntries.length > 0 ? (
+        <div className="mt-1 max-h-48 overflow-y-auto pr-1">
+          {visibleEntries.map((entry) => (
+            <LogEntry
+              key={`${entry.rulesetId}:${entry.ruleId}:${entry.timeStamp}:${entry.url}`}
+              entry={entry}
+              allowed={allowedDomains.includes(entry.allowDomain)}
+              busy={busyDomain === entry.allowDomain}
+              onAllow={handleAllow}
+            />
+          ))}
+        </div>
+      ) : (
+        !loading && (
+          <Text variant="caption" color="secondary" className="mt-1">
+            No requests blocked on this tab
+          </Text>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import Button from "@/components/ui/button";
+import { Text } from "@/components/ui/typography";
+import { PAUSE_DURATIONS } from "@utils/site-pauses";
+
+const PAUSE_OPTIONS = [
+  { duration: PAUSE_DURATIONS.FIFTEEN_MINUTES, label: "15 min" },
+  { duration: PAUSE_DURATIONS.ONE_HOUR, label: "1 hour" },
+  { duration: PAUSE_DURATIONS.UNTIL_TAB_CLOSED, label: "Until tab closes" },
+];
+
+const formatPauseEnd = (pause) =>
+  pause.until === null
+    ? "until this tab closes"
+    : `until ${new Date(pause.until).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      })}`;
+
+/**
+ * SitePause Component
+ *
+ * Pauses all protection on the current site for a while, or shows the active
+ * pause with a Resume button.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.pause - Active pause ({domain, until, tabId}) or null
+ * @param {Function} props.onPause - Pause callback (duration)
+ * @param {Function} props.onResume - Resume callback
+ * @param {boolean} [props.disabled] - Disable buttons while a request is pending
+ */
+export default function SitePause({ pause, onPause, onResume, disabled = false }) {
+  if (pause) {
+    return (
+      <div className="flex items-center justify-between gap-x-2">
+        <Text variant="caption" color="muted" className="truncate">
+          Paused on {pause.domain} {formatPauseEnd(pause)}
+        </Text>
+        <Button
+          size="xs"
+          variant="secondary"
+          className="shrink-0"
+          disabled={disabled}
+          onClick={onResume}
+        >
+          Resume
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-x-1">
+      <Text variant="caption" color="muted" className="mr-1">
+        Pause:
+      </Text>
+      {PAUSE_OPTIONS.map(({ duration, label }) => (
+        <Button
+          key={duration}
+          size="xs"
+          variant="outline"
+          disabled={disabled}
+          onClick={() => onPause(duration)}
+        >
+          {label}
+        </Button>
+      ))}
+    </div>
+  );
+}
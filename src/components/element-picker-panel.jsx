@@ -0,0 +1,143 @@
+import React from "react";
+import { createPortal } from "react-dom";
+import { createRoot } from "react-dom/client";
+import Button from "./ui/button/index.jsx";
+import { H3, Text } from "./ui/typography.jsx";
+
+// Ensure React is available globally for JSX components in content script
+if (typeof window !== "undefined" && !window.React) {
+  window.React = React;
+}
+
+/**
+ * MatchSummary Component - Shows how many elements the selector will hit
+ */
+const MatchSummary = ({ matchCount }) => {
+  if (matchCount === 0) {
+    return <Text className="text-xs text-[#B23B3B]">No elements match</Text>;
+  }
+
+  return (
+    <Text className="text-xs text-gray-600">
+      {matchCount === 1
+        ? "Matches 1 element on this page"
+        : `Matches ${matchCount} elements on this page`}
+    </Text>
+  );
+};
+
+/**
+ * ElementPickerPanel Component - Floating toolbar for the element picker
+ *
+ * Rendered into the Shadow DOM portal target so host page CSS cannot restyle it.
+ * All state lives in ElementPicker; this component only renders props.
+ */
+export default function ElementPickerPanel({
+  portalTarget = document.body,
+  domain = "",
+  selector = "",
+  matchCount = 0,
+  isLocked = false,
+  canWiden = false,
+  canNarrow = false,
+  error = "",
+  onSelectorChange,
+  onWiden,
+  onNarrow,
+  onSave,
+  onCancel,
+}) {
+  const [description, setDescription] = React.useState("");
+
+  const handleSave = () => {
+    onSave?.(description.trim());
+  };
+
+  return createPortal(
+    <div
+      className="fixed bottom-4 right-4 w-96 bg-white rounded-lg p-4 flex flex-col gap-y-2 shadow-[1px_2px_3px_1px_var(--color-accent)]"
+      style={{ pointerEvents: "auto" }}
+      data-originalui-picker-panel="true"
+    >
+      <div className="flex items-center justify-between">
+        <H3>Pick Element</H3>
+        <Text className="text-xs italic text-gray-500 text-truncate">{domain}</Text>
+      </div>
+
+      <Text className="text-xs text-gray-600">
+        {isLocked
+          ? "Adjust the selection, then save it as a custom rule."
+          : "Hover an element and click to select it. Press Esc to exit."}
+      </Text>
+
+      <input
+        type="text"
+        value={selector}
+        onChange={(e) => onSelectorChange?.(e.target.value)}
+        placeholder="CSS selector"
+        spellCheck={false}
+        className="w-full px-2 py-1 text-sm font-mono border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+      />
+
+      <MatchSummary matchCount={matchCount} />
+
+      <input
+        type="text"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description (optional)"
+        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+      />
+
+      {error && <Text className="text-xs text-[#B23B3B]">{error}</Text>}
+
+      <div className="flex gap-x-2">
+        <Button variant="outline" size="xs" onClick={onWiden} disabled={!canWiden}>
+          Parent
+        </Button>
+        <Button variant="outline" size="xs" onClick={onNarrow} disabled={!canNarrow}>
+          Child
+        </Button>
+        <div className="flex-1" />
+        <Button variant="ghost" size="xs" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          variant="primary"
+          size="xs"
+          onClick={handleSave}
+          disabled={!selector || matchCount === 0}
+          className="!font-days-one"
+        >
+          Save Rule
+        </Button>
+      </div>
+    </div>,
+    portalTarget
+  );
+}
+
+/**
+ * Mount the picker panel into an existing Shadow DOM setup
+ *
+ * @param {{container: HTMLElement, portalTarget: HTMLElement}} shadowDOMSetup - From createShadowDOMWithStyles()
+ * @param {Object} props - Initial ElementPickerPanel props
+ * @returns {{update: Function, unmount: Function}} Handle for re-rendering and teardown
+ */
+export const mountElementPickerPanel = (shadowDOMSetup, props) => {
+  const { container, portalTarget } = shadowDOMSetup;
+  const root = createRoot(container);
+  let currentProps = { ...props, portalTarget };
+
+  root.render(React.createElement(ElementPickerPanel, currentProps));
+
+  return {
+    update(nextProps) {
+      currentProps = { ...currentProps, ...nextProps };
+      root.render(React.createElement(ElementPickerPanel, currentProps));
+    },
+    unmount() {
+      root.unmount();
+    },
+  };
+};
@@ -14,6 +14,7 @@ import Button from "./ui/button/index.jsx";
 import Dialog from "./ui/dialog.jsx";
 import { H3, Text } from "./ui/typography.jsx";
 import Logger from "@script-utils/logger.js";
+import { REMEMBER_SCOPES } from "@utils/permission-decisions.js";
 
 // Ensure React is available globally for JSX components in content script
 if (typeof window !== "undefined" && !window.React) {
@@ -72,6 +73,114 @@ const URLDisplay = ({ url }) => (
   </div>
 );
 
+/**
+ * DestinationPreview Component - Where the navigation really leads
+ * (unwrapped redirect wrappers, registrable domain, IDN forms, homograph warning)
+ */
+const DestinationPreview = ({ destination }) => {
+  if (!destination) return null;
+
+  const {
+    finalUrl,
+    redirectHosts = [],
+    shortenerHost,
+    hostname,
+    unicodeHostname,
+    isIdn,
+    isHomograph,
+    registrableDomain,
+  } = destination;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mb-2 space-y-1">
+      <Text className="text-sm">
+        Destination site:{" "}
+        <span className="font-semibold break-all">{registrableDomain}</span>
+      </Text>
+
+      {redirectHosts.length > 0 && (
+        <>
+          <Text variant="caption" color="muted">
+            Redirects through {redirectHosts.join(" → ")} to:
+          </Text>
+          <Text className="break-all whitespace-pre-wrap italic text-sm">
+            {finalUrl}
+          </Text>
+        </>
+      )}
+
+      {shortenerHost && (
+        <Text variant="caption" color="muted">
+          Goes through the link shortener {shortenerHost}; its destination is
+          only known after opening.
+        </Text>
+      )}
+
+      {isIdn && (
+        <Text variant="caption" color="muted" className="break-all">
+          International address: {unicodeHostname} (punycode: {hostname})
+        </Text>
+      )}
+
+      {isHomograph && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-2">
+          <Text variant="caption" className="text-red-800 font-semibold">
+            Possible look-alike address: {unicodeHostname} uses letters from
+            other alphabets that can imitate a familiar site.
+          </Text>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// "Remember this decision" choices (empty value = ask every time)
+const REMEMBER_OPTIONS = [
+  { value: "", label: "Ask me every time" },
+  {
+    value: REMEMBER_SCOPES.ALLOW_FROM_SITE,
+    label: "Always allow this destination from this site",
+  },
+  {
+    value: REMEMBER_SCOPES.ALLOW_EVERYWHERE,
+    label: "Always allow this destination everywhere",
+  },
+  {
+    value: REMEMBER_SCOPES.BLOCK_EVERYWHERE,
+    label: "Block this destination always",
+  },
+];
+
+/**
+ * RememberChoice Component - How long the decision applies
+ */
+const RememberChoice = ({ value, onChange }) => (
+  <fieldset className="mt-3 mb-1 space-y-1">
+    <legend className="text-sm font-medium text-gray-700 mb-1">
+      Remember this decision
+    </legend>
+    {REMEMBER_OPTIONS.map((option) => (
+      <div key={option.value || "once"} className="flex items-center gap-2">
+        <input
+          type="radio"
+          id={`remember-${option.value || "once"}`}
+          name="remember-choice"
+          value={option.value}
+          checked={value === option.value}
+          onChange={() => onChange(option.value)}
+          className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 focus:ring-blue-500 focus:ring-2 cursor-pointer"
+        />
+        <label
+          htmlFor={`remember-${option.value || "once"}`}
+          className="text-sm text-gray-600 cursor-pointer select-none"
+        >
+          {option.label}
+        </label>
+      </div>
+    ))}
+  </fieldset>
+);
+
 // Calculate threat level
 const getThreatLevel = (score) => {
   if (score >= 8) {
@@ -91,25 +200,34 @@ export default function ExternalLinkModal({
   onClose,
   config = {},
   onAllow,
+  onAllowDirect,
   onDeny,
   portalTarget = document.body, // NEW: Accept portal target for Shadow DOM support
 }) {
-  const { url: targetURL = "", threatDetails = null } = config;
+  const { url: targetURL = "", threatDetails = null, destination = null } = config;
   const { isPopUnder = false, riskScore = 0 } = threatDetails ?? {};
 
   const threatLevel = getThreatLevel(riskScore);
 
-  // Remember choice state
-  const [rememberChoice, setRememberChoice] = React.useState(false);
+  // Remember choice state (one of REMEMBER_SCOPES, "" = ask every time)
+  const [rememberScope, setRememberScope] = React.useState("");
+  const remembersBlock = rememberScope === REMEMBER_SCOPES.BLOCK_EVERYWHERE;
+  const remembersAllow = Boolean(rememberScope) && !remembersBlock;
 
-  // Handle user decisions
+  // Handle user decisions (the remembered scope always matches the button)
   const handleAllow = () => {
-    onAllow?.(rememberChoice); // Pass remember flag
+    onAllow?.(remembersAllow ? rememberScope : false); // Pass remember scope
+    onClose?.();
+  };
+
+  // Allow, but open the unwrapped destination instead of the redirect wrapper
+  const handleAllowDirect = () => {
+    onAllowDirect?.(remembersAllow ? rememberScope : false);
     onClose?.();
   };
 
   const handleDeny = () => {
-    onDeny?.(rememberChoice); // Pass remember flag
+    onDeny?.(remembersBlock ? rememberScope : false); // Pass remember scope
     onClose?.();
   };
 
@@ -117,7 +235,8 @@ export default function ExternalLinkModal({
   const handleKeyDown = (e) => {
     if (e.key === "Enter") {
       e.preventDefault();
-      handleAllow(); // Enter = Allow (safer default in this context)
+      // Enter = Allow (safer default in this context), unless "block always" is chosen
+      remembersBlock ? handleDeny() : handleAllow();
     }
   };
 
@@ -151,36 +270,35 @@ export default function ExternalLinkModal({
 
           <URLDisplay url={targetURL} />
 
-          {/* Remember choice checkbox */}
-          <div className="flex items-center gap-2 mt-3 mb-1">
-            <input
-              type="checkbox"
-              id="remember-choice"
-              checked={rememberChoice}
-              onChange={(e) => setRememberChoice(e.target.checked)}
-              className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 cursor-pointer"
-            />
-            <label
-              htmlFor="remember-choice"
-              className="text-sm text-gray-600 cursor-pointer select-none"
-            >
-              Remember this choice for 30 days
-            </label>
-          </div>
+          <DestinationPreview destination={destination} />
+
+          <RememberChoice value={rememberScope} onChange={setRememberScope} />
         </Dialog.Main>
 
         <Dialog.Footer>
           <Button
             variant="danger"
             onClick={handleDeny}
+            disabled={remembersAllow}
             autoFocus
             className="!font-days-one"
           >
             {isPopUnder ? "Block Ad" : "Block"}
           </Button>
+          {destination?.canGoDirect && (
+            <Button
+              variant="secondary"
+              onClick={handleAllowDirect}
+              disabled={remembersBlock}
+              className="!font-days-one"
+            >
+              Go directly
+            </Button>
+          )}
           <Button
             variant="success"
             onClick={handleAllow}
+            disabled={remembersBlock}
             className="!font-days-one"
           >
             Allow
@@ -279,9 +397,10 @@ export const showExternalLinkModal = async (config) => {
           }
         };
 
-        const handleResult = (allowed, remember = false) => {
+        const handleResult = (allowed, remember = false, directUrl = null) => {
           cleanup();
-          resolve({ allowed, remember }); // Return object with both values
+          // Return object with both values (plus the unwrapped URL for "go directly")
+          resolve(directUrl ? { allowed, remember, directUrl } : { allowed, remember });
         };
 
         // Step 5: Render modal with Shadow DOM portal target
@@ -291,6 +410,8 @@ export const showExternalLinkModal = async (config) => {
             config: config,
             portalTarget: portalTarget, // NEW: Pass Shadow DOM target
             onAllow: (remember) => handleResult(true, remember),
+            onAllowDirect: (remember) =>
+              handleResult(true, remember, config.destination?.finalUrl),
             onDeny: (remember) => handleResult(false, remember),
             onClose: () => handleResult(false, false),
           })
@@ -0,0 +1,304 @@
+import { useMemo, useRef, useState } from "react";
+import Button from "@/components/ui/button";
+import Dialog from "@/components/ui/dialog";
+import { H1, H3, Text } from "@/components/ui/typography";
+import Logger from "@script-utils/logger.js";
+import {
+  BACKUP_SECTIONS,
+  BACKUP_STORAGE_KEYS,
+  IMPORT_MODES,
+  MAX_BACKUP_FILE_SIZE,
+  createBackup,
+  diffBackupSettings,
+  getBackupFileName,
+  mergeBackupSettings,
+  readBackup,
+  readStorageSettings,
+} from "@utils/settings-backup";
+
+const MAX_PREVIEW_ITEMS = 5;
+
+const SECTION_LABELS = Object.fromEntries(
+  BACKUP_SECTIONS.map(({ key, label }) => [key, label])
+);
+
+/**
+ * Read the exported storage keys from both storage areas
+ * @returns {Promise<{local: object, sync: object}>}
+ */
+const readSettingsStorage = async () => {
+  const [local, sync] = await Promise.all([
+    chrome.storage.local.get(BACKUP_STORAGE_KEYS.local),
+    chrome.storage.sync.get(BACKUP_STORAGE_KEYS.sync),
+  ]);
+  return { local, sync };
+};
+
+/**
+ * Start a download of a JSON file
+ */
+const downloadJson = (data, fileName) => {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(data, null, 2)], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * ChangeList Component - Entries of one preview category, shortened
+ */
+const ChangeList = ({ prefix, items, className }) =>
+  items.length > 0 && (
+    <Text variant="caption" className={`break-words ${className}`}>
+      {prefix} {items.slice(0, MAX_PREVIEW_ITEMS).join(", ")}
+      {items.length > MAX_PREVIEW_ITEMS &&
+        ` and ${items.length - MAX_PREVIEW_ITEMS} more`}
+    </Text>
+  );
+
+/**
+ * ImportPreviewModal Component
+ *
+ * Shows what an import changes in the chosen mode, and the entries that
+ * failed validation, before anything is written.
+ */
+const ImportPreviewModal = ({ pending, onApply, onClose, applying }) => {
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE);
+
+  const changes = useMemo(
+    () =>
+      diffBackupSettings(
+        pending.current,
+        mergeBackupSettings(pending.current, pending.settings, mode)
+      ),
+    [pending, mode]
+  );
+
+  const portalTarget =
+    document.getElementById("settings-root") || document.body;
+
+  return (
+    <Dialog open onOpenChange={(nextOpen) => !nextOpen && onClose()}>
+      <Dialog.Content portalTarget={portalTarget}>
+        <Dialog.Header>
+          <Dialog.Title>Import Settings</Dialog.Title>
+          <Dialog.Description>
+            {pending.fileName}
+            {pending.exportedAt &&
+              ` - exported ${new Date(pending.exportedAt).toLocaleString()}`}
+          </Dialog.Description>
+        </Dialog.Header>
+
+        <Dialog.Main className="space-y-4">
+          <div className="flex gap-x-2">
+            <Button
+              size="sm"
+              variant={mode === IMPORT_MODES.MERGE ? "primary" : "outline"}
+              onClick={() => setMode(IMPORT_MODES.MERGE)}
+            >
+              Merge
+            </Button>
+            <Button
+              size="sm"
+              variant={mode === IMPORT_MODES.REPLACE ? "primary" : "outline"}
+              onClick={() => setMode(IMPORT_MODES.REPLACE)}
+            >
+              Replace
+            </Button>
+          </div>
+          <Text variant="caption" color="muted">
+            {mode === IMPORT_MODES.MERGE
+              ? "Imported entries are added to your settings; entries with the same ID or domain are updated."
+              : "Each section in the file replaces yours. Sections missing from the file are kept."}
+          </Text>
+
+          {changes.length > 0 ? (
+            <div className="space-y-2">
+              {changes.map(({ section, label, added, removed, changed }) => (
+                <div key={section} className="p-3 bg-gray-100 rounded-lg space-y-1">
+                  <H3 color="primary" className="mb-0">
+                    {label}
+                  </H3>
+                  <ChangeList prefix={`+${added.length}:`} items={added} className="text-green-700" />
+                  <ChangeList prefix={`-${removed.length}:`} items={removed} className="text-[#B23B3B]" />
+                  <ChangeList prefix={`~${changed.length}:`} items={changed} className="text-gray-600" />
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center p-4 bg-gray-100 rounded-lg">
+              <Text color="secondary">Nothing to change</Text>
+            </div>
+          )}
+
+          {pending.errors.length > 0 && (
+            <div className="p-3 bg-red-50 rounded-lg space-y-1">
+              <Text className="text-[#B23B3B] font-semibold">
+                {pending.errors.length} invalid{" "}
+                {pending.errors.length === 1 ? "entry" : "entries"} will be skipped
+              </Text>
+              {pending.errors.slice(0, MAX_PREVIEW_ITEMS).map(({ section, message }, index) => (
+                <Text key={index} variant="caption" className="text-[#B23B3B] break-words">
+                  {SECTION_LABELS[section] || section}: {message}
+                </Text>
+              ))}
+            </div>
+          )}
+        </Dialog.Main>
+
+        <Dialog.Footer>
+          <Button variant="outline" onClick={onClose} disabled={applying}>
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={() => onApply(mode)}
+            disabled={applying || changes.length === 0}
+            loading={applying}
+          >
+            Import
+          </Button>
+        </Dialog.Footer>
+      </Dialog.Content>
+    </Dialog>
+  );
+};
+
+/**
+ * BackupRestoreManager Component
+ *
+ * Exports all user settings to a versioned JSON file and imports them back
+ * after a preview. Imports are applied by the background script, which also
+ * downloads imported filter lists.
+ *
+ * @component
+ */
+export default function BackupRestoreManager() {
+  const fileInputRef = useRef(null);
+  const [pending, setPending] = useState(null);
+  const [applying, setApplying] = useState(false);
+  const [status, setStatus] = useState({ message: "", isError: false });
+
+  const handleExport = async () => {
+    try {
+      const { local, sync } = await readSettingsStorage();
+      downloadJson(createBackup(local, sync), getBackupFileName());
+      setStatus({ message: "", isError: false });
+    } catch (error) {
+      Logger.error("SettingsExport", "Failed to export settings", error);
+      setStatus({ message: "Export failed. Please try again.", isError: true });
+    }
+  };
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+
+    if (file.size > MAX_BACKUP_FILE_SIZE) {
+      setStatus({ message: "File is too large to be a settings backup.", isError: true });
+      return;
+    }
+
+    try {
+      const data = JSON.parse(await file.text());
+      const { settings, errors, exportedAt } = readBackup(data);
+      const { local, sync } = await readSettingsStorage();
+      setPending({
+        data,
+        settings,
+        errors,
+        exportedAt,
+        fileName: file.name,
+        current: readStorageSettings(local, sync),
+      });
+      setStatus({ message: "", isError: false });
+    } catch (error) {
+      Logger.warn("SettingsImport", "Rejected settings file", error);
+      setStatus({
+        message: error instanceof SyntaxError ? "File is not valid JSON" : error.message,
+        isError: true,
+      });
+    }
+  };
+
+  const handleApply = (mode) => {
+    setApplying(true);
+    chrome.runtime.sendMessage(
+      { action: "importSettings", backup: pending.data, mode },
+      (response) => {
+        setApplying(false);
+        setPending(null);
+
+        if (chrome.runtime.lastError || !response?.success) {
+          Logger.error("SettingsImport", "Import failed", chrome.runtime.lastError || response?.error);
+          setStatus({
+            message: response?.error || "Import failed. Please try again.",
+            isError: true,
+          });
+          return;
+        }
+
+        const skipped = response.errors?.length || 0;
+        setStatus({
+          message: skipped > 0
+            ? `Settings imported, ${skipped} ${skipped === 1 ? "entry" : "entries"} skipped.`
+            : "Settings imported.",
+          isError: false,
+        });
+      }
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <H1 color="primary">Backup &amp; Restore</H1>
+      <Text color="muted">
+        Save your whitelist, rules, network patterns, filter lists, navigation
+        decisions and toggles to a file, or restore them from one.
+      </Text>
+
+      <div className="flex gap-x-2">
+        <Button variant="primary" size="sm" onClick={handleExport}>
+          Export Settings
+        </Button>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Import Settings
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleFileSelected}
+        />
+      </div>
+
+      {status.message && (
+        <Text
+          variant="caption"
+          className={status.isError ? "text-[#B23B3B]" : "text-green-700"}
+        >
+          {status.message}
+        </Text>
+      )}
+
+      {pending && (
+        <ImportPreviewModal
+          pending={pending}
+          applying={applying}
+          onApply={handleApply}
+          onClose={() => setPending(null)}
+        />
+      )}
+    </div>
+  );
+}
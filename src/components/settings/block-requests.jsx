@@ -1,16 +1,138 @@
+import Button from "@/components/ui/button";
 import SettingsCheckbox from "@/components/ui/checkbox/settings-checkbox";
-import TagsInput from "@/components/ui/tags-input";
 import { H1, H3, Text } from "@/components/ui/typography";
+import {
+  DEFAULT_RESOURCE_TYPES,
+  DOMAIN_TYPES,
+  PATTERN_ACTIONS,
+  normalizeNetworkPattern,
+  serializeNetworkPattern,
+} from "@utils/network-patterns";
+import { useMemo, useState } from "react";
+import NetworkPatternModal from "./network-pattern-modal";
 
 const DEFAULT_BLOCK_URL =
   "https://github.com/LuChengChiu/OriginalUI/blob/main/src/scripts/modules/network-blocking/data/default-block-requests.json";
 
+const ACTION_BADGES = {
+  [PATTERN_ACTIONS.BLOCK]: { label: "Block", className: "bg-red-100 text-red-700" },
+  [PATTERN_ACTIONS.ALLOW]: { label: "Allow", className: "bg-green-100 text-green-700" },
+  [PATTERN_ACTIONS.ALLOW_SITE]: { label: "Trusted site", className: "bg-blue-100 text-blue-700" },
+};
+
+/**
+ * One-line summary of the options that differ from the defaults
+ * @param {NetworkPattern} pattern - Normalized pattern
+ * @returns {string} Summary, empty when every option is at its default
+ */
+const describeOptions = (pattern) => {
+  const sameTypes =
+    pattern.resourceTypes.length === DEFAULT_RESOURCE_TYPES.length &&
+    DEFAULT_RESOURCE_TYPES.every((type) => pattern.resourceTypes.includes(type));
+
+  return [
+    pattern.isRegex && "regex",
+    pattern.action !== PATTERN_ACTIONS.ALLOW_SITE && !sameTypes && pattern.resourceTypes.join(", "),
+    pattern.domainType === DOMAIN_TYPES.THIRD_PARTY && "third-party",
+    pattern.domainType === DOMAIN_TYPES.FIRST_PARTY && "first-party",
+    pattern.initiatorDomains.length > 0 && `on ${pattern.initiatorDomains.join(", ")}`,
+    pattern.excludedInitiatorDomains.length > 0 &&
+      `except ${pattern.excludedInitiatorDomains.join(", ")}`,
+    pattern.severity !== "critical" && `${pattern.severity} severity`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+/**
+ * PatternItem Component - One custom pattern with its controls
+ */
+const PatternItem = ({ pattern, onEdit, onRemove }) => {
+  const badge = ACTION_BADGES[pattern.action];
+  const summary = describeOptions(pattern);
+
+  return (
+    <div className="flex items-start justify-between gap-x-3 p-3 bg-gray-100 rounded-lg">
+      <div className="flex flex-col min-w-0 gap-y-0.5">
+        <div className="flex items-center gap-x-2 min-w-0">
+          <span className={`px-1.5 py-0.5 rounded text-[10px] font-medium shrink-0 ${badge.className}`}>
+            {badge.label}
+          </span>
+          <Text color="primary" className="font-mono truncate" title={pattern.trigger}>
+            {pattern.trigger}
+          </Text>
+        </div>
+        {summary && (
+          <Text variant="caption" color="muted">
+            {summary}
+          </Text>
+        )}
+      </div>
+
+      <div className="flex items-center gap-x-2 shrink-0">
+        <Button variant="outline" size="xs" onClick={onEdit}>
+          Edit
+        </Button>
+        <Button variant="ghost" size="xs" onClick={onRemove}>
+          Remove
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * BlockRequestsManager Component
+ *
+ * Default block list toggle and the custom network pattern list
+ * (`networkBlockPatterns` in chrome.storage.sync). Patterns are edited through
+ * NetworkPatternModal and stored in their compact form.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.checked - Whether the default block list is applied
+ * @param {Array<string|object>} props.values - Stored patterns
+ * @param {Function} props.onToggleCheck - Default block list toggle callback
+ * @param {Function} props.onChange - Callback with the new stored pattern list
+ */
 export default function BlockRequestsManager({
   checked,
-  values,
+  values = [],
   onToggleCheck,
   onChange,
 }) {
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+
+  // Memoized so the editor does not reset its form while the parent re-renders
+  const patterns = useMemo(
+    () => values.map(normalizeNetworkPattern).filter((pattern) => pattern.trigger),
+    [values]
+  );
+
+  const openEditor = (index = null) => {
+    setEditingIndex(index);
+    setModalOpen(true);
+  };
+
+  const closeEditor = () => {
+    setModalOpen(false);
+    setEditingIndex(null);
+  };
+
+  const handleSave = (pattern) => {
+    const next =
+      editingIndex === null
+        ? [...patterns, pattern]
+        : patterns.map((existing, index) => (index === editingIndex ? pattern : existing));
+    onChange(next.map(serializeNetworkPattern));
+    closeEditor();
+  };
+
+  const handleRemove = (index) => {
+    onChange(patterns.filter((_, i) => i !== index).map(serializeNetworkPattern));
+  };
+
   return (
     <div className="space-y-3">
       <H1 color="primary">Network Block Request</H1>
@@ -35,29 +157,44 @@ export default function BlockRequestsManager({
         </div>
       </SettingsCheckbox>
 
-      <div className="flex flex-col space-y-1.5">
-        <H3 color="primary" className="mb-0">
-          Custom Request Block Domains
-        </H3>
-        <Text color="muted">
-          URL patterns to block network requests (supports wildcards)
-        </Text>
-
-        <TagsInput.Root
-          value={values}
-          onChange={onChange}
-          size="md"
-          maxLines={3}
-          variant="outline"
-          placeholder="Add URL pattern..."
-          className="w-full"
-        >
-          <TagsInput.Control>
-            <TagsInput.Items />
-            <TagsInput.Input placeholder="*://ads.example.com/*" />
-          </TagsInput.Control>
-        </TagsInput.Root>
+      <div className="flex items-center justify-between">
+        <div className="flex flex-col">
+          <H3 color="primary" className="mb-0">
+            Custom Network Patterns ({patterns.length})
+          </H3>
+          <Text color="muted">
+            Block or allow requests by domain, URL pattern or regex. Allow rules
+            override filter lists; trusted sites load everything.
+          </Text>
+        </div>
+        <Button variant="primary" size="sm" onClick={() => openEditor()}>
+          Add Pattern
+        </Button>
       </div>
+
+      {patterns.length > 0 ? (
+        <div className="space-y-2">
+          {patterns.map((pattern, index) => (
+            <PatternItem
+              key={`${pattern.action}:${pattern.trigger}:${index}`}
+              pattern={pattern}
+              onEdit={() => openEditor(index)}
+              onRemove={() => handleRemove(index)}
+            />
+          ))}
+        </div>
+      ) : (
+        <div className="text-center p-6 bg-gray-100 rounded-lg">
+          <Text color="secondary">No custom network patterns</Text>
+        </div>
+      )}
+
+      <NetworkPatternModal
+        isOpen={modalOpen}
+        onClose={closeEditor}
+        onSave={handleSave}
+        editingPattern={editingIndex === null ? null : patterns[editingIndex]}
+      />
     </div>
   );
 }
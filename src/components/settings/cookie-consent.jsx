@@ -0,0 +1,67 @@
+import Button from "@/components/ui/button";
+import SettingsCheckbox from "@/components/ui/checkbox/settings-checkbox";
+import { H1, Text } from "@/components/ui/typography";
+import { CONSENT_RULES } from "@modules/rule-execution/config/consent-rules.js";
+import {
+  COOKIE_CONSENT_MODE_OPTIONS,
+  normalizeConsentMode,
+} from "@utils/cookie-consent";
+
+const CMP_NAMES = CONSENT_RULES.map((rule) => rule.name).join(", ");
+
+/**
+ * CookieConsentManager Component
+ *
+ * Cookie banner settings: the handling toggle (`cookieConsentEnabled`) and
+ * how banners of supported consent platforms are answered (`cookieConsentMode`).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.enabled - Whether consent banners are handled
+ * @param {string} props.mode - Stored handling mode
+ * @param {Function} props.onToggleEnable - Toggle callback
+ * @param {Function} props.onModeChange - Callback with the new mode
+ */
+export default function CookieConsentManager({
+  enabled,
+  mode,
+  onToggleEnable,
+  onModeChange,
+}) {
+  const currentMode = normalizeConsentMode(mode);
+  const currentOption = COOKIE_CONSENT_MODE_OPTIONS.find(
+    (option) => option.value === currentMode
+  );
+
+  return (
+    <div className="space-y-3">
+      <H1 color="primary">Cookie Banners</H1>
+
+      <SettingsCheckbox
+        checked={enabled}
+        onChange={onToggleEnable}
+        label="Handle cookie consent banners"
+        description={`Supported platforms: ${CMP_NAMES}.`}
+      >
+        <div className="flex gap-x-2 items-center mt-2">
+          {COOKIE_CONSENT_MODE_OPTIONS.map((option) => (
+            <Button
+              key={option.value}
+              type="button"
+              size="xs"
+              variant={option.value === currentMode ? "primary" : "outline"}
+              disabled={!enabled}
+              onClick={() => onModeChange(option.value)}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+        <Text variant="caption" color="muted" className="mt-1">
+          {currentOption.description} Banners whose buttons cannot be found
+          are hidden.
+        </Text>
+      </SettingsCheckbox>
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import Button from "@/components/ui/button";
+import Dialog from "@/components/ui/dialog";
+import { Label, Text } from "@/components/ui/typography";
+import { CustomFilterParser } from "@modules/rule-execution/parsers/custom-filter-parser.js";
+
+const MAX_SHOWN_ERRORS = 20;
+
+const filterParser = new CustomFilterParser();
+
+const textareaClassName =
+  "w-full h-56 p-2 font-mono text-xs border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500";
+
+/**
+ * CustomFiltersModal Component
+ *
+ * Bulk import of custom rules from ABP/uBO element hiding and scriptlet
+ * filters (`domain##selector`, `domain##+js(...)`, one per line), or export of the current rules in
+ * that format.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {'import'|'export'|null} props.mode - Open mode, null when closed
+ * @param {Array<Rule>} props.customRules - Current custom rules
+ * @param {Function} props.onImport - Callback with the new rules
+ * @param {Function} props.onClose - Close callback
+ */
+const CustomFiltersModal = ({ mode, customRules, onImport, onClose }) => {
+  const [text, setText] = useState("");
+  const [copied, setCopied] = useState(false);
+  const fileInputRef = useRef(null);
+  const isExport = mode === "export";
+
+  useEffect(() => {
+    setText(isExport ? filterParser.format(customRules) : "");
+    setCopied(false);
+  }, [mode]); // Snapshot of the rules when the modal opens
+
+  const { rules, errors } = useMemo(
+    () =>
+      isExport
+        ? { rules: [], errors: [] }
+        : filterParser.parse(text, { existingRules: customRules }),
+    [isExport, text, customRules]
+  );
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (file) {
+      setText(await file.text());
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(text);
+    setCopied(true);
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "originalui-custom-filters.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const portalTarget =
+    document.getElementById("settings-root") || document.body;
+
+  return (
+    <Dialog
+      open={mode !== null}
+      onOpenChange={(nextOpen) => {
+        if (!nextOpen) {
+          onClose();
+        }
+      }}
+    >
+      <Dialog.Content portalTarget={portalTarget}>
+        <Dialog.Header>
+          <Dialog.Title>
+            {isExport ? "Export Custom Rules" : "Import Filters"}
+          </Dialog.Title>
+          <Dialog.Description>
+            {isExport
+              ? "Your custom rules in ABP/uBO filter syntax, ready for \"My filters\"."
+              : "Paste element hiding filters (example.com##.ad, #@# for exceptions) or scriptlets (example.com##+js(set-constant, ads, false)), one per line."}
+          </Dialog.Description>
+        </Dialog.Header>
+
+        <Dialog.Main className="space-y-3">
+          <div className="flex items-center justify-between">
+            <Label color="primary">Filters</Label>
+            {!isExport && (
+              <>
+                <Button
+                  variant="ghost"
+                  size="xs"
+                  onClick={() => fileInputRef.current?.click()}
+                >
+                  Load from file
+                </Button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".txt,text/plain"
+                  className="hidden"
+                  onChange={handleFileSelected}
+                />
+              </>
+            )}
+          </div>
+
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            readOnly={isExport}
+            spellCheck={false}
+            placeholder={"! Sidebar ads\nexample.com##.sidebar-ad\n##.cookie-wall"}
+            className={textareaClassName}
+          />
+
+          {!isExport && text.trim() && (
+            <Text variant="caption" color="secondary">
+              {rules.length} {rules.length === 1 ? "rule" : "rules"} ready to import
+              {errors.length > 0 && `, ${errors.length} ${errors.length === 1 ? "line" : "lines"} rejected`}
+            </Text>
+          )}
+
+          {errors.length > 0 && (
+            <div className="p-3 bg-red-50 rounded-lg space-y-1 max-h-40 overflow-y-auto">
+              {errors.slice(0, MAX_SHOWN_ERRORS).map(({ line, text: lineText, message }) => (
+                <Text key={line} variant="caption" className="text-red-600 break-words">
+                  Line {line}: {message} - <span className="font-mono">{lineText}</span>
+                </Text>
+              ))}
+              {errors.length > MAX_SHOWN_ERRORS && (
+                <Text variant="caption" className="text-red-600">
+                  and {errors.length - MAX_SHOWN_ERRORS} more
+                </Text>
+              )}
+            </div>
+          )}
+        </Dialog.Main>
+
+        <Dialog.Footer>
+          <Button variant="outline" onClick={onClose}>
+            Close
+          </Button>
+          {isExport ? (
+            <>
+              <Button variant="secondary" onClick={handleCopy} disabled={!text}>
+                {copied ? "Copied" : "Copy"}
+              </Button>
+              <Button variant="primary" onClick={handleDownload} disabled={!text}>
+                Download
+              </Button>
+            </>
+          ) : (
+            <Button
+              variant="primary"
+              onClick={() => onImport(rules)}
+              disabled={rules.length === 0}
+            >
+              Import {rules.length > 0 ? rules.length : ""} Rules
+            </Button>
+          )}
+        </Dialog.Footer>
+      </Dialog.Content>
+    </Dialog>
+  );
+};
+
+export default CustomFiltersModal;
@@ -3,8 +3,15 @@ import SettingsCheckbox from "@/components/ui/checkbox/settings-checkbox";
 import TagsInput from "@/components/ui/tags-input";
 import { H3, Text } from "@/components/ui/typography";
 import { useCallback, useState } from "react";
+import CustomFiltersModal from "./custom-filters-modal";
 import RuleEditModal from "./rule-edit-modal";
 
+/**
+ * Tag label for a rule: exceptions are shown in filter syntax (#@#selector)
+ */
+const ruleLabel = (rule) =>
+  rule.isException ? `#@#${rule.selector}` : rule.selector;
+
 const emptyRule = (
   <div className="text-center p-6  bg-gray-100 rounded-lg">
     <Text color="secondary">No custom rules defined</Text>
@@ -21,13 +28,15 @@ export default function CustomRulesManager({
   onRemoveCustomRule,
   onAddNewRule,
   onEditRule,
+  onImportRules,
 }) {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingRule, setEditingRule] = useState(null);
+  const [filtersMode, setFiltersMode] = useState(null); // "import" | "export" | null
 
   // Handle rule tag clicks to edit existing rules
-  const handleRuleTagClick = (ruleSelector) => {
-    const rule = customRules.find((r) => r.selector === ruleSelector);
+  const handleRuleTagClick = (label) => {
+    const rule = customRules.find((r) => ruleLabel(r) === label);
     if (rule) {
       setEditingRule(rule);
       setIsModalOpen(true);
@@ -58,12 +67,17 @@ export default function CustomRulesManager({
     setIsModalOpen(true);
   };
 
+  const handleImportRules = (rules) => {
+    onImportRules(rules);
+    setFiltersMode(null);
+  };
+
   // Handle tags change (rule removal via TagsInput)
   const handleTagsChange = useCallback(
-    (newSelectors) => {
+    (newLabels) => {
       // Find which rule was removed
       const removedRule = customRules.find(
-        (rule) => !newSelectors.includes(rule.selector)
+        (rule) => !newLabels.includes(ruleLabel(rule))
       );
       if (removedRule) {
         onRemoveCustomRule(removedRule.id);
@@ -76,9 +90,21 @@ export default function CustomRulesManager({
     <div className="space-y-4">
       <div className="flex items-center justify-between">
         <H3 color="primary">Custom Selector Rules</H3>
-        <Button onClick={handleAddNewRule} variant="primary" size="sm">
-          Add New Rule
-        </Button>
+        <div className="flex gap-x-2">
+          {onImportRules && (
+            <Button onClick={() => setFiltersMode("import")} variant="ghost" size="sm">
+              Import
+            </Button>
+          )}
+          {customRules.length > 0 && (
+            <Button onClick={() => setFiltersMode("export")} variant="ghost" size="sm">
+              Export
+            </Button>
+          )}
+          <Button onClick={handleAddNewRule} variant="primary" size="sm">
+            Add New Rule
+          </Button>
+        </div>
       </div>
 
       {/* Existing Rules */}
@@ -89,7 +115,7 @@ export default function CustomRulesManager({
             Click on any rule to edit it
           </Text>
           <TagsInput.Root
-            value={customRules.map((rule) => rule.selector)}
+            value={customRules.map(ruleLabel)}
             onChange={handleTagsChange}
             onTagClick={handleRuleTagClick}
             maxLines={3}
@@ -119,6 +145,13 @@ export default function CustomRulesManager({
         editingRule={editingRule}
         existingRules={customRules}
       />
+
+      <CustomFiltersModal
+        mode={filtersMode}
+        customRules={customRules}
+        onImport={handleImportRules}
+        onClose={() => setFiltersMode(null)}
+      />
     </div>
   );
 }
@@ -0,0 +1,189 @@
+import Button from "@/components/ui/button";
+import Input from "@/components/ui/input";
+import Toggle from "@/components/ui/toggle";
+import { H1, H3, Text } from "@/components/ui/typography";
+import { useState } from "react";
+
+/**
+ * Send a subscription action to the background script
+ * @param {object} message - Message with action and payload
+ * @returns {Promise<object>} Background response ({success, error?, subscription?})
+ */
+const sendSubscriptionMessage = (message) =>
+  new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve({ success: false, error: chrome.runtime.lastError.message });
+        return;
+      }
+      resolve(response || { success: false, error: "No response" });
+    });
+  });
+
+/**
+ * Format a timestamp for display ("Never" when missing)
+ */
+const formatDate = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString() : "Never";
+
+/**
+ * Summary of rule counts from the list ("1,234 cosmetic · 56 network ...")
+ */
+const formatRuleCounts = ({ cosmetic = 0, procedural = 0, scriptlets = 0, exceptions = 0, network = 0 } = {}) =>
+  [
+    `${cosmetic.toLocaleString()} cosmetic`,
+    procedural > 0 && `${procedural.toLocaleString()} procedural`,
+    scriptlets > 0 && `${scriptlets.toLocaleString()} scriptlets`,
+    exceptions > 0 && `${exceptions.toLocaleString()} exceptions`,
+    `${network.toLocaleString()} network`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * SubscriptionItem Component - One subscribed list with its controls
+ */
+const SubscriptionItem = ({ subscription, busy, onToggle, onRefresh, onRemove }) => (
+  <div className="flex items-start justify-between gap-x-3 p-3 bg-gray-100 rounded-lg">
+    <div className="flex flex-col min-w-0 gap-y-0.5">
+      <Text color="primary" className="font-medium truncate" title={subscription.url}>
+        {subscription.title}
+      </Text>
+      <Text variant="caption" color="muted">
+        {subscription.version ? `Version ${subscription.version} · ` : ""}
+        Updated {formatDate(subscription.lastUpdated)}
+      </Text>
+      <Text variant="caption" color="muted">
+        {formatRuleCounts(subscription.ruleCounts)}
+      </Text>
+      {subscription.lastError && (
+        <Text variant="caption" className="text-[#B23B3B]">
+          Last update failed: {subscription.lastError}
+        </Text>
+      )}
+    </div>
+
+    <div className="flex items-center gap-x-2 shrink-0">
+      <Button variant="outline" size="xs" onClick={onRefresh} loading={busy} disabled={busy}>
+        Refresh
+      </Button>
+      <Button variant="ghost" size="xs" onClick={onRemove} disabled={busy}>
+        Remove
+      </Button>
+      <Toggle checked={subscription.enabled} onChange={onToggle} disabled={busy} />
+    </div>
+  </div>
+);
+
+/**
+ * FilterListsManager Component
+ *
+ * Lets users subscribe to any ABP/uBO-format filter list by URL. Downloads and
+ * refreshes happen in the background script; this component renders the
+ * `filterSubscriptions` storage value and sends actions.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array} props.subscriptions - Subscriptions from storage
+ */
+export default function FilterListsManager({ subscriptions = [] }) {
+  const [url, setUrl] = useState("");
+  const [adding, setAdding] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+
+  const runAction = async (id, message) => {
+    setBusyId(id);
+    setError("");
+    const response = await sendSubscriptionMessage(message);
+    if (!response.success) {
+      setError(response.error || "Request failed");
+    }
+    setBusyId(null);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!url.trim()) return;
+
+    setAdding(true);
+    setError("");
+    const response = await sendSubscriptionMessage({
+      action: "addSubscription",
+      url: url.trim(),
+    });
+    if (response.success) {
+      setUrl("");
+    } else {
+      setError(response.error || "Failed to add list");
+    }
+    setAdding(false);
+  };
+
+  return (
+    <div className="space-y-3">
+      <H1 color="primary">Filter Lists</H1>
+      <Text color="muted">
+        Subscribe to Adblock Plus / uBlock Origin format lists such as
+        EasyPrivacy, Fanboy Annoyances or regional lists.
+      </Text>
+
+      <form onSubmit={handleAdd} className="flex gap-x-2">
+        <Input
+          type="url"
+          size="sm"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://easylist.to/easylist/easyprivacy.txt"
+          disabled={adding}
+          aria-label="Filter list URL"
+        />
+        <Button type="submit" variant="primary" size="sm" loading={adding} disabled={adding || !url.trim()}>
+          Subscribe
+        </Button>
+      </form>
+
+      {error && (
+        <Text variant="caption" className="text-[#B23B3B]">
+          {error}
+        </Text>
+      )}
+
+      {subscriptions.length > 0 ? (
+        <div className="space-y-2">
+          <H3 color="primary">Subscribed Lists ({subscriptions.length})</H3>
+          {subscriptions.map((subscription) => (
+            <SubscriptionItem
+              key={subscription.id}
+              subscription={subscription}
+              busy={busyId === subscription.id}
+              onToggle={(enabled) =>
+                runAction(subscription.id, {
+                  action: "toggleSubscription",
+                  id: subscription.id,
+                  enabled,
+                })
+              }
+              onRefresh={() =>
+                runAction(subscription.id, {
+                  action: "refreshSubscription",
+                  id: subscription.id,
+                })
+              }
+              onRemove={() =>
+                runAction(subscription.id, {
+                  action: "removeSubscription",
+                  id: subscription.id,
+                })
+              }
+            />
+          ))}
+        </div>
+      ) : (
+        <div className="text-center p-6 bg-gray-100 rounded-lg">
+          <Text color="secondary">No filter lists subscribed</Text>
+        </div>
+      )}
+    </div>
+  );
+}
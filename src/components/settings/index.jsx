@@ -2,27 +2,47 @@ import { createRoot } from "react-dom/client";
 
 import { H1 } from "@/components/ui/typography";
 import { useBulkChromeStorage } from "@/hooks/use-bulk-chrome-storage";
+import { DEFAULT_COOKIE_CONSENT_MODE } from "@utils/cookie-consent";
 
+import BackupRestoreManager from "./backup-restore";
 import BlockRequestsManager from "./block-requests";
+import CookieConsentManager from "./cookie-consent";
 import CustomRulesManager from "./custom-rules";
 import ErrorDisplay from "./error-display";
+import FilterListsManager from "./filter-lists";
 import Footer from "./footer";
 import Loading from "./loading";
 import NavigationGuardian from "./navigation-guardian";
+import NavigationPermissions from "./navigation-permissions";
 import DefaultSelectorRuleManager from "./selector-rules";
+import SettingsSync from "./settings-sync";
+import TrackingParamsManager from "./tracking-params";
 import WhitelistManager from "./whitelist";
 
 function SettingsBeta() {
-  const { values, updateValue, loading, error } = useBulkChromeStorage({
-    defaultRulesEnabled: true,
-    customRulesEnabled: true,
-    navigationGuardEnabled: true,
-    defaultBlockRequestEnabled: true,
-    whitelist: [],
-    customRules: [],
-    networkBlockPatterns: [],
-    navigationStats: { blockedCount: 0, allowedCount: 0 },
-  });
+  const { values, updateValue, loading, error } = useBulkChromeStorage(
+    {
+      defaultRulesEnabled: true,
+      customRulesEnabled: true,
+      navigationGuardEnabled: true,
+      defaultBlockRequestEnabled: true,
+      whitelist: [],
+      customRules: [],
+      filterSubscriptions: [],
+      navigationStats: { blockedCount: 0, allowedCount: 0 },
+      permissionCacheV1: null,
+      cookieConsentEnabled: true,
+      cookieConsentMode: DEFAULT_COOKIE_CONSENT_MODE,
+      removeParamEnabled: true,
+      removeParamRules: [],
+      removeParamStats: { cleanedCount: 0, lastCountedAt: 0 },
+      settingsSyncEnabled: false,
+      settingsSyncStatus: null,
+      // Custom network patterns live in sync storage (read by CustomPatternSource)
+      networkBlockPatterns: [],
+    },
+    { areas: { networkBlockPatterns: "sync" } }
+  );
 
   // Handle removing custom rule
   const handleRemoveCustomRule = (ruleId) => {
@@ -38,6 +58,11 @@ function SettingsBeta() {
     updateValue("customRules", updatedCustomRules);
   };
 
+  // Handle bulk import of filter lines (already validated and de-duplicated)
+  const handleImportRules = (importedRules) => {
+    updateValue("customRules", [...values.customRules, ...importedRules]);
+  };
+
   // Handle editing existing custom rule
   const handleEditCustomRule = (editedRule) => {
     const updatedCustomRules = values.customRules.map((rule) =>
@@ -91,6 +116,18 @@ function SettingsBeta() {
               onRemoveCustomRule={handleRemoveCustomRule}
               onAddNewRule={handleAddNewRule}
               onEditRule={handleEditCustomRule}
+              onImportRules={handleImportRules}
+            />
+
+            <FilterListsManager subscriptions={values.filterSubscriptions} />
+
+            <CookieConsentManager
+              enabled={values.cookieConsentEnabled}
+              mode={values.cookieConsentMode}
+              onToggleEnable={(enabled) =>
+                updateValue("cookieConsentEnabled", enabled)
+              }
+              onModeChange={(mode) => updateValue("cookieConsentMode", mode)}
             />
 
             <BlockRequestsManager
@@ -104,6 +141,16 @@ function SettingsBeta() {
               }
             />
 
+            <TrackingParamsManager
+              enabled={values.removeParamEnabled}
+              rules={values.removeParamRules}
+              stats={values.removeParamStats}
+              onToggleEnable={(enabled) =>
+                updateValue("removeParamEnabled", enabled)
+              }
+              onChange={(rules) => updateValue("removeParamRules", rules)}
+            />
+
             <NavigationGuardian
               enabled={values.navigationGuardEnabled}
               navigationStats={values.navigationStats}
@@ -111,6 +158,15 @@ function SettingsBeta() {
                 updateValue("navigationGuardEnabled", enabled)
               }
             />
+
+            <NavigationPermissions cacheData={values.permissionCacheV1} />
+
+            <SettingsSync
+              enabled={values.settingsSyncEnabled}
+              status={values.settingsSyncStatus}
+            />
+
+            <BackupRestoreManager />
           </div>
         </div>
 
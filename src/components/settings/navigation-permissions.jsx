@@ -0,0 +1,298 @@
+import { useMemo, useState } from "react";
+import Button from "@/components/ui/button";
+import Checkbox from "@/components/ui/checkbox";
+import Input from "@/components/ui/input";
+import { H1, H3, Text } from "@/components/ui/typography";
+import Logger from "@script-utils/logger.js";
+import { PERMISSION_CACHE_STORAGE_KEY } from "@script-utils/permission-cache.js";
+import {
+  ANY_SITE,
+  NEVER_EXPIRES,
+  PERMISSION_DECISIONS,
+  PERMISSION_DURATIONS,
+  addPermissionDecision,
+  filterPermissionDecisions,
+  listPermissionDecisions,
+  parseOriginInput,
+  removePermissionDecisions,
+} from "@utils/permission-decisions";
+
+const DURATION_OPTIONS = [
+  { value: PERMISSION_DURATIONS.ALWAYS, label: "Always (pre-approved)" },
+  { value: PERMISSION_DURATIONS.MONTH, label: "30 days" },
+  { value: PERMISSION_DURATIONS.DAY, label: "24 hours" },
+];
+
+/**
+ * Apply an edit to the stored decisions
+ * Reads storage first so decisions remembered in open tabs meanwhile are kept.
+ * Open pages pick the change up through chrome.storage.onChanged (NAV_CACHE_UPDATE).
+ * @param {function(object): object} transform - Current `permissionCacheV1` -> new value
+ */
+const updatePermissionCache = async (transform) => {
+  const result = await chrome.storage.local.get([PERMISSION_CACHE_STORAGE_KEY]);
+  await chrome.storage.local.set({
+    [PERMISSION_CACHE_STORAGE_KEY]: transform(result[PERMISSION_CACHE_STORAGE_KEY]),
+  });
+};
+
+/**
+ * Expiry shown for a decision
+ */
+const formatExpiry = ({ expiresAt }) =>
+  expiresAt >= NEVER_EXPIRES ? "Never expires" : `Expires ${new Date(expiresAt).toLocaleString()}`;
+
+/**
+ * Source shown for a decision ("*" applies from every site)
+ */
+const formatSource = (sourceOrigin) => (sourceOrigin === ANY_SITE ? "Any site" : sourceOrigin);
+
+/**
+ * DecisionBadge Component - Allowed / Blocked label
+ */
+const DecisionBadge = ({ decision }) =>
+  decision === PERMISSION_DECISIONS.ALLOW ? (
+    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-700">
+      Allowed
+    </span>
+  ) : (
+    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-[#B23B3B]">
+      Blocked
+    </span>
+  );
+
+/**
+ * AddDecisionForm Component - Pre-approve (or block) an origin pair
+ */
+const AddDecisionForm = ({ onAdd }) => {
+  const [source, setSource] = useState("");
+  const [target, setTarget] = useState("");
+  const [decision, setDecision] = useState(PERMISSION_DECISIONS.ALLOW);
+  const [duration, setDuration] = useState(PERMISSION_DURATIONS.ALWAYS);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const sourceOrigin = source.trim() === ANY_SITE ? ANY_SITE : parseOriginInput(source);
+    const targetOrigin = parseOriginInput(target);
+
+    if (!sourceOrigin || !targetOrigin) {
+      setError("Enter a site address for both fields, e.g. app.example.com");
+      return;
+    }
+    if (sourceOrigin === targetOrigin) {
+      setError("Navigation within the same site is always allowed");
+      return;
+    }
+
+    try {
+      await onAdd({ sourceOrigin, targetOrigin, decision, duration });
+      setSource("");
+      setTarget("");
+      setError("");
+    } catch (addError) {
+      setError(addError.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 bg-gray-100 rounded-lg space-y-2">
+      <H3 color="primary" className="mb-0">
+        Add a site pair
+      </H3>
+      <div className="flex gap-x-2">
+        <Input
+          size="sm"
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          placeholder="From (app.example.com, * for any site)"
+          aria-label="From site"
+        />
+        <Input
+          size="sm"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder="To (sso.example.com)"
+          aria-label="To site"
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Button
+          type="button"
+          size="xs"
+          variant={decision === PERMISSION_DECISIONS.ALLOW ? "primary" : "outline"}
+          onClick={() => setDecision(PERMISSION_DECISIONS.ALLOW)}
+        >
+          Allow
+        </Button>
+        <Button
+          type="button"
+          size="xs"
+          variant={decision === PERMISSION_DECISIONS.DENY ? "primary" : "outline"}
+          onClick={() => setDecision(PERMISSION_DECISIONS.DENY)}
+        >
+          Block
+        </Button>
+        <select
+          value={duration}
+          onChange={(e) => setDuration(e.target.value)}
+          className="px-2 py-1 text-xs border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+          aria-label="Duration"
+        >
+          {DURATION_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <Button type="submit" size="xs" variant="secondary" className="ml-auto">
+          Add
+        </Button>
+      </div>
+      {error && (
+        <Text variant="caption" className="text-[#B23B3B]">
+          {error}
+        </Text>
+      )}
+    </form>
+  );
+};
+
+/**
+ * NavigationPermissions Component
+ *
+ * Lists the cross-site navigation decisions Navigation Guardian remembers
+ * (`permissionCacheV1`), with search, bulk revoke and pre-approved pairs.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.cacheData - Stored `permissionCacheV1` value
+ */
+export default function NavigationPermissions({ cacheData }) {
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(() => new Set());
+  const [status, setStatus] = useState("");
+
+  const decisions = useMemo(() => listPermissionDecisions(cacheData), [cacheData]);
+  const visible = useMemo(
+    () => filterPermissionDecisions(decisions, query),
+    [decisions, query]
+  );
+  const selectedVisible = visible.filter(({ key }) => selected.has(key));
+  const allVisibleSelected = visible.length > 0 && selectedVisible.length === visible.length;
+
+  const toggleSelected = (key, checked) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      checked ? next.add(key) : next.delete(key);
+      return next;
+    });
+  };
+
+  const toggleAllVisible = (checked) => {
+    setSelected(checked ? new Set(visible.map(({ key }) => key)) : new Set());
+  };
+
+  const revoke = async (keys) => {
+    try {
+      await updatePermissionCache((current) => removePermissionDecisions(current, keys));
+      setSelected((prev) => new Set([...prev].filter((key) => !keys.includes(key))));
+      setStatus("");
+    } catch (error) {
+      Logger.error("NavigationPermissions", "Failed to revoke decisions", error);
+      setStatus("Could not revoke. Please try again.");
+    }
+  };
+
+  const handleAdd = (decision) =>
+    updatePermissionCache((current) => addPermissionDecision(current, decision));
+
+  return (
+    <div className="space-y-3">
+      <H1 color="primary">Site Permissions</H1>
+      <Text color="muted">
+        Decisions Navigation Guardian remembers for navigations from one site
+        to another. Changes apply to open tabs immediately.
+      </Text>
+
+      <AddDecisionForm onAdd={handleAdd} />
+
+      {decisions.length > 0 ? (
+        <>
+          <div className="flex items-center gap-x-2">
+            <Checkbox
+              checked={allVisibleSelected}
+              onChange={(e) => toggleAllVisible(e.target.checked)}
+              aria-label="Select all"
+            />
+            <Input
+              size="sm"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search sites"
+              aria-label="Search site permissions"
+            />
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={selectedVisible.length === 0}
+              onClick={() => revoke(selectedVisible.map(({ key }) => key))}
+            >
+              Revoke{selectedVisible.length > 0 ? ` (${selectedVisible.length})` : ""}
+            </Button>
+          </div>
+
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {visible.map((decision) => (
+              <div
+                key={decision.key}
+                className="flex items-center gap-x-3 p-3 bg-gray-100 rounded-lg"
+              >
+                <Checkbox
+                  checked={selected.has(decision.key)}
+                  onChange={(e) => toggleSelected(decision.key, e.target.checked)}
+                  aria-label={`Select ${formatSource(decision.sourceOrigin)} to ${decision.targetOrigin}`}
+                />
+                <div className="flex flex-col min-w-0 flex-1 gap-y-0.5">
+                  <Text color="primary" className="font-medium break-all">
+                    {formatSource(decision.sourceOrigin)} → {decision.targetOrigin}
+                  </Text>
+                  <Text variant="caption" color="muted">
+                    {formatExpiry(decision)}
+                    {decision.preApproved
+                      ? " · Pre-approved"
+                      : decision.isPersistent
+                        ? " · Remembered"
+                        : ""}
+                  </Text>
+                </div>
+                <DecisionBadge decision={decision.decision} />
+                <Button size="xs" variant="ghost" onClick={() => revoke([decision.key])}>
+                  Revoke
+                </Button>
+              </div>
+            ))}
+            {visible.length === 0 && (
+              <Text variant="caption" color="muted">
+                No decisions match "{query}"
+              </Text>
+            )}
+          </div>
+        </>
+      ) : (
+        <div className="text-center p-4 bg-gray-100 rounded-lg">
+          <Text color="secondary">
+            No remembered decisions yet. Pick a "Remember this decision" option
+            in the navigation dialog or add a site pair above.
+          </Text>
+        </div>
+      )}
+
+      {status && (
+        <Text variant="caption" className="text-[#B23B3B]">
+          {status}
+        </Text>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,289 @@
+import { useEffect, useState } from "react";
+import Button from "@/components/ui/button";
+import SettingsCheckbox from "@/components/ui/checkbox/settings-checkbox";
+import Dialog from "@/components/ui/dialog";
+import Input from "@/components/ui/input";
+import TagsInput from "@/components/ui/tags-input";
+import { Label, Text } from "@/components/ui/typography";
+import {
+  DOMAIN_TYPES,
+  NETWORK_RESOURCE_TYPES,
+  PATTERN_ACTIONS,
+  PATTERN_SEVERITIES,
+  normalizeNetworkPattern,
+} from "@utils/network-patterns";
+
+const ACTION_OPTIONS = [
+  { value: PATTERN_ACTIONS.BLOCK, label: "Block" },
+  { value: PATTERN_ACTIONS.ALLOW, label: "Allow" },
+  { value: PATTERN_ACTIONS.ALLOW_SITE, label: "Trust site" },
+];
+
+const PARTY_OPTIONS = [
+  { value: null, label: "Any" },
+  { value: DOMAIN_TYPES.THIRD_PARTY, label: "Third-party" },
+  { value: DOMAIN_TYPES.FIRST_PARTY, label: "First-party" },
+];
+
+const SEVERITY_OPTIONS = PATTERN_SEVERITIES.map((severity) => ({
+  value: severity,
+  label: severity.charAt(0).toUpperCase() + severity.slice(1),
+}));
+
+const RESOURCE_TYPE_LABELS = {
+  main_frame: "Page",
+  sub_frame: "Frame",
+  script: "Script",
+  xmlhttprequest: "XHR / fetch",
+  image: "Image",
+  stylesheet: "Stylesheet",
+  font: "Font",
+  media: "Media",
+  websocket: "WebSocket",
+  ping: "Ping / beacon",
+  object: "Object",
+  other: "Other",
+};
+
+/**
+ * Row of buttons acting as a single-choice control
+ */
+const ChoiceGroup = ({ options, value, onChange }) => (
+  <div className="flex flex-wrap gap-2">
+    {options.map((option) => (
+      <Button
+        key={String(option.value)}
+        type="button"
+        size="xs"
+        variant={option.value === value ? "primary" : "outline"}
+        onClick={() => onChange(option.value)}
+      >
+        {option.label}
+      </Button>
+    ))}
+  </div>
+);
+
+/**
+ * Check that a regex compiles (DNR uses RE2, which is stricter; Chrome rejects the rest on update)
+ */
+const isValidRegex = (source) => {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * NetworkPatternModal Component
+ *
+ * Add/edit dialog for one custom network pattern with its options
+ * (action, resource types, initiator domains, party, regex mode, severity).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the dialog is open
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onSave - Save callback (pattern: NetworkPattern)
+ * @param {NetworkPattern|null} props.editingPattern - Pattern being edited, null to add
+ */
+const NetworkPatternModal = ({ isOpen, onClose, onSave, editingPattern = null }) => {
+  const isEditMode = editingPattern !== null;
+  const [form, setForm] = useState(() => normalizeNetworkPattern(""));
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(normalizeNetworkPattern(editingPattern || ""));
+      setError("");
+    }
+  }, [isOpen, editingPattern]);
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setError("");
+  };
+
+  const toggleResourceType = (type, checked) => {
+    const resourceTypes = checked
+      ? NETWORK_RESOURCE_TYPES.filter(
+          (t) => t === type || form.resourceTypes.includes(t)
+        )
+      : form.resourceTypes.filter((t) => t !== type);
+    handleChange("resourceTypes", resourceTypes);
+  };
+
+  const handleSave = () => {
+    const trigger = form.trigger.trim();
+    if (!trigger) {
+      setError("Pattern is required");
+      return;
+    }
+    if (form.isRegex && !isValidRegex(trigger)) {
+      setError("Pattern is not a valid regular expression");
+      return;
+    }
+    if (form.action !== PATTERN_ACTIONS.ALLOW_SITE && form.resourceTypes.length === 0) {
+      setError("Select at least one resource type");
+      return;
+    }
+
+    onSave({ ...form, trigger });
+  };
+
+  const portalTarget =
+    document.getElementById("settings-root") || document.body;
+  const isSiteRule = form.action === PATTERN_ACTIONS.ALLOW_SITE;
+
+  return (
+    <Dialog
+      open={isOpen}
+      onOpenChange={(nextOpen) => {
+        if (!nextOpen) {
+          onClose();
+        }
+      }}
+    >
+      <Dialog.Content portalTarget={portalTarget}>
+        <Dialog.Header>
+          <Dialog.Title>
+            {isEditMode ? "Edit Network Pattern" : "Add Network Pattern"}
+          </Dialog.Title>
+        </Dialog.Header>
+
+        <Dialog.Main className="space-y-4">
+          {/* Pattern */}
+          <div className="space-y-1">
+            <Label color="primary">Pattern *</Label>
+            <Input
+              placeholder={form.isRegex ? "^https?://ads\\.example\\.com/" : "ads.example.com"}
+              value={form.trigger}
+              onChange={(e) => handleChange("trigger", e.target.value)}
+              size="md"
+              variant="outline"
+              className={error ? "border-red-500" : ""}
+            />
+            {error && (
+              <Text variant="caption" className="text-red-600">
+                {error}
+              </Text>
+            )}
+          </div>
+
+          <SettingsCheckbox
+            checked={form.isRegex}
+            onChange={(checked) => handleChange("isRegex", checked)}
+            label="Regular expression"
+            description="Match the full request URL with a regex instead of a domain or URL substring."
+          />
+
+          {/* Action */}
+          <div className="space-y-1">
+            <Label color="primary">Action</Label>
+            <ChoiceGroup
+              options={ACTION_OPTIONS}
+              value={form.action}
+              onChange={(action) => handleChange("action", action)}
+            />
+            <Text variant="caption" color="secondary">
+              {isSiteRule
+                ? "Pages matching this pattern may load anything; none of their requests are blocked."
+                : form.action === PATTERN_ACTIONS.ALLOW
+                ? "Matching requests are never blocked, even when a filter list matches them."
+                : "Matching requests are blocked."}
+            </Text>
+          </div>
+
+          {/* Resource types */}
+          {!isSiteRule && (
+            <div className="space-y-1">
+              <Label color="primary">Resource Types</Label>
+              <div className="grid grid-cols-3 gap-2">
+                {NETWORK_RESOURCE_TYPES.map((type) => (
+                  <SettingsCheckbox
+                    key={type}
+                    checked={form.resourceTypes.includes(type)}
+                    onChange={(checked) => toggleResourceType(type, checked)}
+                    label={RESOURCE_TYPE_LABELS[type]}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Party */}
+          <div className="space-y-1">
+            <Label color="primary">Request Party</Label>
+            <ChoiceGroup
+              options={PARTY_OPTIONS}
+              value={form.domainType}
+              onChange={(domainType) => handleChange("domainType", domainType)}
+            />
+          </div>
+
+          {/* Initiator domains */}
+          <div className="space-y-1">
+            <Label color="primary">Only On Sites</Label>
+            <TagsInput.Root
+              value={form.initiatorDomains}
+              onChange={(domains) => handleChange("initiatorDomains", domains)}
+              size="sm"
+              variant="outline"
+              className="w-full"
+            >
+              <TagsInput.Control>
+                <TagsInput.Items />
+                <TagsInput.Input placeholder="example.com (empty = all sites)" />
+              </TagsInput.Control>
+            </TagsInput.Root>
+          </div>
+
+          <div className="space-y-1">
+            <Label color="primary">Except On Sites</Label>
+            <TagsInput.Root
+              value={form.excludedInitiatorDomains}
+              onChange={(domains) => handleChange("excludedInitiatorDomains", domains)}
+              size="sm"
+              variant="outline"
+              className="w-full"
+            >
+              <TagsInput.Control>
+                <TagsInput.Items />
+                <TagsInput.Input placeholder="example.com" />
+              </TagsInput.Control>
+            </TagsInput.Root>
+            <Text variant="caption" color="secondary">
+              Sites are matched by the page making the request, including subdomains.
+            </Text>
+          </div>
+
+          {/* Severity */}
+          <div className="space-y-1">
+            <Label color="primary">Severity</Label>
+            <ChoiceGroup
+              options={SEVERITY_OPTIONS}
+              value={form.severity}
+              onChange={(severity) => handleChange("severity", severity)}
+            />
+            <Text variant="caption" color="secondary">
+              Higher severity wins when several rules match the same request.
+            </Text>
+          </div>
+        </Dialog.Main>
+
+        <Dialog.Footer>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSave} disabled={!form.trigger.trim()}>
+            {isEditMode ? "Save Changes" : "Add Pattern"}
+          </Button>
+        </Dialog.Footer>
+      </Dialog.Content>
+    </Dialog>
+  );
+};
+
+export default NetworkPatternModal;
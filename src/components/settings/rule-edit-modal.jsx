@@ -3,6 +3,7 @@ import Dialog from "@/components/ui/dialog";
 import Input from "@/components/ui/input";
 import Button from "@/components/ui/button";
 import TagsInput from "@/components/ui/tags-input";
+import SettingsCheckbox from "@/components/ui/checkbox/settings-checkbox";
 import { Text, Label } from "@/components/ui/typography";
 
 const RuleEditModal = ({
@@ -19,6 +20,7 @@ const RuleEditModal = ({
     selector: "",
     description: "",
     domains: ["*"],
+    isException: false,
   });
 
   const [errors, setErrors] = useState({});
@@ -32,6 +34,7 @@ const RuleEditModal = ({
           selector: editingRule.selector,
           description: editingRule.description,
           domains: editingRule.domains || ["*"],
+          isException: editingRule.isException === true,
         });
       } else {
         setRuleForm({
@@ -39,6 +42,7 @@ const RuleEditModal = ({
           selector: "",
           description: "",
           domains: ["*"],
+          isException: false,
         });
       }
       setErrors({});
@@ -72,10 +76,12 @@ const RuleEditModal = ({
     if (!ruleForm.selector.trim()) {
       newErrors.selector = "Selector is required";
     } else {
-      // Check for duplicate selectors (except when editing the same rule)
+      // Check for duplicate selectors (except when editing the same rule).
+      // A hiding rule and an exception for the same selector may coexist.
       const isDuplicate = existingRules.some(
         (rule) =>
           rule.selector === ruleForm.selector.trim() &&
+          (rule.isException === true) === ruleForm.isException &&
           (!isEditMode || rule.id !== editingRule.id)
       );
       if (isDuplicate) {
@@ -101,9 +107,14 @@ const RuleEditModal = ({
       selector: ruleForm.selector.trim(),
       description: ruleForm.description.trim(),
       domains: ruleForm.domains,
+      // Exclusions come from imported filters (~domain) and have no field here
+      ...(isEditMode && editingRule.excludedDomains && {
+        excludedDomains: editingRule.excludedDomains,
+      }),
       category: "custom",
       confidence: "user-defined",
       enabled: true,
+      ...(ruleForm.isException && { isException: true }),
     };
 
     onSave(ruleData, isEditMode);
@@ -207,6 +218,14 @@ const RuleEditModal = ({
             Use * for all domains, or specify patterns like *.example.com
           </Text>
         </div>
+
+        {/* Exception (#@#) */}
+        <SettingsCheckbox
+          checked={ruleForm.isException}
+          onChange={(checked) => handleFormChange("isException", checked)}
+          label="Exception rule (#@#)"
+          description="Stop this exact selector from being hidden on the target domains instead of removing elements. Use it to fix sites broken by a filter list."
+        />
         </Dialog.Main>
 
         <Dialog.Footer>
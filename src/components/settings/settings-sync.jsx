@@ -0,0 +1,101 @@
+import SettingsCheckbox from "@/components/ui/checkbox/settings-checkbox";
+import { H1, Text } from "@/components/ui/typography";
+import Logger from "@script-utils/logger.js";
+import { SYNC_ERROR_TYPES, SYNC_STATUS } from "@utils/settings-sync";
+import { useState } from "react";
+
+/**
+ * SyncStatusMessage Component - Result of the last sync
+ */
+const SyncStatusMessage = ({ status }) => {
+  if (!status) {
+    return (
+      <Text variant="caption" color="muted">
+        Waiting for the first sync...
+      </Text>
+    );
+  }
+
+  if (status.state === SYNC_STATUS.OK) {
+    return (
+      <Text variant="caption" color="muted">
+        Last synced {new Date(status.lastSyncedAt).toLocaleString()}
+      </Text>
+    );
+  }
+
+  return (
+    <div className="p-3 bg-red-50 rounded-lg space-y-1">
+      <Text className="text-[#B23B3B] font-semibold">
+        {status.errorType === SYNC_ERROR_TYPES.QUOTA
+          ? "Sync storage is full"
+          : "Sync failed"}
+      </Text>
+      <Text variant="caption" className="text-[#B23B3B] break-words">
+        {status.errorType === SYNC_ERROR_TYPES.QUOTA
+          ? "Your browser limits synced data to 100 KB. Remove some custom rules or whitelist entries, or turn sync off. Changes are kept on this device and synced once they fit."
+          : status.error}
+      </Text>
+    </div>
+  );
+};
+
+/**
+ * SettingsSync Component
+ *
+ * Opt-in sync of toggles, whitelist, custom rules and tracking parameter
+ * rules through the browser's sync storage. Turning sync on merges this
+ * device's settings with the synced ones in the background.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.enabled - Whether sync is on
+ * @param {SyncStatus|null} props.status - Last sync result (`settingsSyncStatus`)
+ */
+export default function SettingsSync({ enabled, status }) {
+  const [pending, setPending] = useState(false);
+  const [requestError, setRequestError] = useState("");
+
+  const handleChange = (nextEnabled) => {
+    setPending(true);
+    setRequestError("");
+    chrome.runtime.sendMessage(
+      { action: "setSettingsSync", enabled: nextEnabled },
+      (response) => {
+        setPending(false);
+        if (chrome.runtime.lastError || !response?.success) {
+          Logger.error("SettingsSync", "Failed to change settings sync", chrome.runtime.lastError || response?.error);
+          setRequestError(response?.error || "Could not change sync. Please try again.");
+        }
+      }
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <H1 color="primary">Sync</H1>
+
+      <SettingsCheckbox
+        checked={enabled}
+        disabled={pending}
+        onChange={handleChange}
+        color="purple"
+        label="Sync settings across devices"
+        description="Keeps toggles, whitelist, custom rules and tracking parameter rules in step on browsers signed in to the same account"
+        size="md"
+      >
+        {enabled && (
+          <div className="mt-3">
+            <SyncStatusMessage status={status} />
+          </div>
+        )}
+      </SettingsCheckbox>
+
+      {requestError && (
+        <Text variant="caption" className="text-[#B23B3B]">
+          {requestError}
+        </Text>
+      )}
+    </div>
+  );
+}
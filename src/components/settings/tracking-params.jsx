@@ -0,0 +1,165 @@
+import Button from "@/components/ui/button";
+import SettingsCheckbox from "@/components/ui/checkbox/settings-checkbox";
+import Input from "@/components/ui/input";
+import TagsInput from "@/components/ui/tags-input";
+import { H1, H3, Text } from "@/components/ui/typography";
+import {
+  DEFAULT_TRACKING_PARAMS,
+  isValidParamName,
+  normalizeParamRule,
+} from "@utils/tracking-params";
+import { useEffect, useMemo, useState } from "react";
+
+/**
+ * ParamRuleItem Component - One user entry with its site and parameters
+ */
+const ParamRuleItem = ({ rule, onChange, onRemove }) => (
+  <div className="flex flex-col gap-y-2 p-3 bg-gray-100 rounded-lg">
+    <div className="flex items-center gap-x-2">
+      <Input
+        placeholder="example.com (empty = all sites)"
+        value={rule.domain}
+        onChange={(e) => onChange({ ...rule, domain: e.target.value })}
+        size="sm"
+        variant="outline"
+        className="flex-1"
+      />
+      <Button variant="ghost" size="xs" onClick={onRemove}>
+        Remove
+      </Button>
+    </div>
+    <TagsInput.Root
+      value={rule.params}
+      onChange={(params) => onChange({ ...rule, params: params.filter(isValidParamName) })}
+      size="sm"
+      variant="outline"
+      className="w-full"
+    >
+      <TagsInput.Control>
+        <TagsInput.Items />
+        <TagsInput.Input placeholder="Parameter name, e.g. ref" />
+      </TagsInput.Control>
+    </TagsInput.Root>
+  </div>
+);
+
+/**
+ * TrackingParamsManager Component
+ *
+ * Tracking-parameter removal settings: the default parameter list toggle,
+ * per-site user entries (`removeParamRules`) and the cleaned URL counter.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.enabled - Whether the default parameters are removed
+ * @param {Array<ParamRule>} props.rules - Stored user entries
+ * @param {{cleanedCount: number}} props.stats - Cleaned URL counter
+ * @param {Function} props.onToggleEnable - Default list toggle callback
+ * @param {Function} props.onChange - Callback with the new entry list
+ */
+export default function TrackingParamsManager({
+  enabled,
+  rules = [],
+  stats,
+  onToggleEnable,
+  onChange,
+}) {
+  const [showDefaults, setShowDefaults] = useState(false);
+
+  // Domains are kept as typed; the source normalizes them when building rules
+  const entries = useMemo(
+    () => rules.map((rule) => ({ ...normalizeParamRule(rule), domain: rule?.domain || "" })),
+    [rules]
+  );
+
+  // Fold in matches since the last periodic count
+  useEffect(() => {
+    chrome.runtime.sendMessage({ action: "countCleanedUrls" }, () => {
+      void chrome.runtime.lastError;
+    });
+  }, []);
+
+  const handleRuleChange = (index, rule) => {
+    onChange(entries.map((existing, i) => (i === index ? rule : existing)));
+  };
+
+  const handleRemove = (index) => {
+    onChange(entries.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      <H1 color="primary">Tracking Parameters</H1>
+
+      <SettingsCheckbox
+        checked={enabled}
+        onChange={onToggleEnable}
+        label="Remove common tracking parameters from links"
+        description="Pages are loaded without utm_*, fbclid, gclid and similar parameters."
+      >
+        <div className="flex gap-x-2 items-center">
+          <Text variant="caption" color="muted">
+            {DEFAULT_TRACKING_PARAMS.length} parameters
+          </Text>
+          <button
+            type="button"
+            onClick={() => setShowDefaults((prev) => !prev)}
+            className="text-[10px] text-accent cursor-pointer underline italic"
+          >
+            {showDefaults ? "Hide list" : "Show list"}
+          </button>
+        </div>
+        {showDefaults && (
+          <Text variant="caption" color="muted" className="font-mono break-words">
+            {DEFAULT_TRACKING_PARAMS.join(", ")}
+          </Text>
+        )}
+      </SettingsCheckbox>
+
+      <div className="p-3 bg-purple-50 rounded-lg">
+        <Text color="accent">
+          URLs cleaned:{" "}
+          <Text as="span" className="font-semibold">
+            {(stats?.cleanedCount || 0).toLocaleString()}
+          </Text>
+        </Text>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <div className="flex flex-col">
+          <H3 color="primary" className="mb-0">
+            Custom Parameters ({entries.length})
+          </H3>
+          <Text color="muted">
+            Remove extra parameters on one site (including subdomains) or on
+            every site.
+          </Text>
+        </div>
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={() => onChange([...entries, { domain: "", params: [] }])}
+        >
+          Add Entry
+        </Button>
+      </div>
+
+      {entries.length > 0 ? (
+        <div className="space-y-2">
+          {entries.map((rule, index) => (
+            <ParamRuleItem
+              key={index}
+              rule={rule}
+              onChange={(next) => handleRuleChange(index, next)}
+              onRemove={() => handleRemove(index)}
+            />
+          ))}
+        </div>
+      ) : (
+        <div className="text-center p-6 bg-gray-100 rounded-lg">
+          <Text color="secondary">No custom parameters</Text>
+        </div>
+      )}
+    </div>
+  );
+}
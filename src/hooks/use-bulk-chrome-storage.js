@@ -17,6 +17,9 @@ const isChromeContextValid = () => {
  * Custom hook for managing multiple Chrome storage keys efficiently
  *
  * @param {Object} schema - Object with storage keys and their default values
+ * @param {Object} [options] - Hook options
+ * @param {'local'|'sync'} [options.area='local'] - Storage area holding the keys
+ * @param {Object<string, 'local'|'sync'>} [options.areas] - Per-key storage area, overriding `area`
  * @returns {{ values: Object, updateValue: Function, loading: boolean, error: Error|null }}
  *
  * @example
@@ -40,8 +43,20 @@ const isChromeContextValid = () => {
  *     />
  *   </>
  * );
+ *
+ * @example
+ * // Keys from both areas in one hook
+ * const { values, updateValue } = useBulkChromeStorage(
+ *   { whitelist: [], networkBlockPatterns: [] },
+ *   { areas: { networkBlockPatterns: 'sync' } }
+ * );
  */
-export function useBulkChromeStorage(schema) {
+export function useBulkChromeStorage(schema, options = {}) {
+  const { area = 'local', areas = {} } = options;
+
+  // Storage area of a key (schema and areas are initial config only)
+  const areaOf = useCallback((key) => areas[key] ?? area, []);
+
   // Validate schema
   if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
     Logger.error('BulkChromeStorageHook', 'Schema must be a non-null object', {
@@ -73,32 +88,50 @@ export function useBulkChromeStorage(schema) {
 
     const keys = Object.keys(schema);
 
-    // Batch load all keys from storage
-    chrome.storage.local.get(keys, (result) => {
-      if (chrome.runtime.lastError) {
-        setError(chrome.runtime.lastError);
-        setLoading(false);
-        return;
-      }
+    // Group keys by storage area
+    const keysByArea = {};
+    keys.forEach(key => {
+      (keysByArea[areaOf(key)] ??= []).push(key);
+    });
+    const areaNames = Object.keys(keysByArea);
 
-      // Merge loaded values with defaults
-      const loaded = {};
-      keys.forEach(key => {
-        loaded[key] = result[key] ?? schema[key];
-      });
+    // Batch load all keys, one read per storage area
+    const loaded = {};
+    let pending = areaNames.length;
+    let failed = false;
 
-      setValues(loaded);
+    if (pending === 0) {
       setLoading(false);
+    }
+
+    areaNames.forEach(areaName => {
+      chrome.storage[areaName].get(keysByArea[areaName], (result) => {
+        if (failed) return;
+        if (chrome.runtime.lastError) {
+          failed = true;
+          setError(chrome.runtime.lastError);
+          setLoading(false);
+          return;
+        }
+
+        // Merge loaded values with defaults
+        keysByArea[areaName].forEach(key => {
+          loaded[key] = result[key] ?? schema[key];
+        });
+
+        if (--pending === 0) {
+          setValues(loaded);
+          setLoading(false);
+        }
+      });
     });
 
     // Real-time sync listener for all registered keys
     const listener = (changes, namespace) => {
-      if (namespace !== 'local') return;
-
-      // Collect all updates for registered keys
+      // Collect all updates for registered keys in the changed area
       const updates = {};
       keys.forEach(key => {
-        if (changes[key]) {
+        if (changes[key] && areaOf(key) === namespace) {
           updates[key] = changes[key].newValue ?? schema[key];
         }
       });
@@ -138,7 +171,7 @@ export function useBulkChromeStorage(schema) {
     setValues(prev => ({ ...prev, [key]: newValue }));
 
     // Persist to Chrome storage
-    chrome.storage.local.set({ [key]: newValue }, () => {
+    chrome.storage[areaOf(key)].set({ [key]: newValue }, () => {
       if (chrome.runtime.lastError) {
         setError(chrome.runtime.lastError);
         // CRITICAL: Rollback optimistic update on storage error
@@ -149,7 +182,7 @@ export function useBulkChromeStorage(schema) {
         setError(null);
       }
     });
-  }, []);
+  }, [areaOf]);
 
   return { values, updateValue, loading, error };
 }
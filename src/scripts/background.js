@@ -17,6 +17,28 @@ import {
   isValidExtensionSender,
 } from "./utils/background/message-validators.js";
 import { rateLimiter } from "./utils/background/rate-limiter.js";
+import { runStorageMigrations } from "./utils/background/storage-migrations.js";
+import { NETWORK_RESOURCE_TYPES, withAllowPattern } from "../utils/network-patterns.js";
+import {
+  SITE_PROFILE_SYSTEMS,
+  getSitesWithOverride,
+} from "../utils/site-profiles.js";
+import {
+  PAUSE_ALARM_PREFIX,
+  createPause,
+  isValidPauseDuration,
+  removeEndedPauses,
+} from "../utils/site-pauses.js";
+import { DEFAULT_COOKIE_CONSENT_MODE } from "../utils/cookie-consent.js";
+import { hostnameFromOrigin } from "../utils/frame-context.js";
+import {
+  BACKUP_STORAGE_KEYS,
+  IMPORT_MODES,
+  mergeBackupSettings,
+  readBackup,
+  readStorageSettings,
+  toStorageValues,
+} from "../utils/settings-backup.js";
 import {
   fetchDefaultRules,
   fetchDefaultWhitelist,
@@ -25,15 +47,27 @@ import {
 
 // Network Blocking System Imports
 import { RULE_SOURCES_CONFIG } from "./modules/network-blocking/config/sources.config.js";
+import { AbpNetworkConverter } from "./modules/network-blocking/core/abp-network-converter.js";
 import { BudgetCoordinator } from "./modules/network-blocking/core/budget-coordinator.js";
 import { JsonRuleConverter } from "./modules/network-blocking/core/json-rule-converter.js";
 import { NetworkBlockManager } from "./modules/network-blocking/core/network-block-manager.js";
+import { RemoveParamConverter } from "./modules/network-blocking/core/remove-param-converter.js";
+import { RequestLog } from "./modules/network-blocking/core/request-log.js";
+import { EasyListParser } from "./modules/network-blocking/parsers/easylist-parser.js";
 import { JsonRuleParser } from "./modules/network-blocking/parsers/json-rule-parser.js";
 import {
   CustomPatternSource,
   DefaultBlockSource,
+  EasyListSource,
+  RemoveParamSource,
+  SubscriptionRuleSource,
 } from "./modules/network-blocking/sources/index.js";
 import { DynamicRuleUpdater } from "./modules/network-blocking/updaters/dynamic-rule-updater.js";
+import {
+  SubscriptionManager,
+  getStaleSubscriptionRuleIds,
+} from "./modules/subscriptions/subscription-manager.js";
+import { SettingsSyncManager } from "./modules/settings-sync/settings-sync-manager.js";
 
 // Initialize custom pattern source (Priority 1 - Highest)
 const customPatternSource = new CustomPatternSource(
@@ -43,8 +77,15 @@ const customPatternSource = new CustomPatternSource(
   RULE_SOURCES_CONFIG.customPatterns.updateInterval
 );
 
-// Initialize default block requests source (Priority 2)
-// Note: EasyList sources are static-only due to @eyeo/abp2dnr native dependencies
+// Initialize tracking-parameter removal source (Priority 2 - a handful of rules)
+const removeParamSource = new RemoveParamSource(
+  RULE_SOURCES_CONFIG.removeParams.name,
+  RULE_SOURCES_CONFIG.removeParams.idRange.start,
+  RULE_SOURCES_CONFIG.removeParams.idRange.end,
+  RULE_SOURCES_CONFIG.removeParams.updateInterval
+);
+
+// Initialize default block requests source (Priority 3)
 const defaultBlockSource = new DefaultBlockSource(
   RULE_SOURCES_CONFIG.defaultBlocks.name,
   RULE_SOURCES_CONFIG.defaultBlocks.url,
@@ -53,6 +94,20 @@ const defaultBlockSource = new DefaultBlockSource(
   RULE_SOURCES_CONFIG.defaultBlocks.updateInterval
 );
 
+// EasyList network sources (Priority 4), converted at runtime by AbpNetworkConverter
+// EasyList adservers stays a static ruleset built at compile time
+const easylistNetworkSources = ["thirdparty", "specificBlock"].map((key) => {
+  const config = RULE_SOURCES_CONFIG.easylist[key];
+  return new EasyListSource(
+    config.name,
+    config.url,
+    config.idRange.start,
+    config.idRange.end,
+    config.updateInterval,
+    config.updateType
+  );
+});
+
 // Create budget coordinator (30,000 dynamic rule limit)
 const DYNAMIC_RULE_LIMIT = 30000;
 
@@ -64,19 +119,107 @@ const UPDATE_INTERVAL = {
 
 const budgetCoordinator = new BudgetCoordinator(DYNAMIC_RULE_LIMIT);
 
+// Filter list subscriptions (user-added ABP/uBO lists)
+const subscriptionManager = new SubscriptionManager();
+
+// Opt-in mirroring of user settings to chrome.storage.sync
+const settingsSyncManager = new SettingsSyncManager();
+
+// How often to check whether any subscription is due for a refresh
+const SUBSCRIPTION_CHECK_INTERVAL = 6 * 60; // 6 hours in minutes
+
+// Sources that are always registered, in priority order: custom > removeparam > default > EasyList
+// Filter list subscriptions are appended by syncSubscriptionRuleSources()
+const BASE_NETWORK_SOURCES = [
+  customPatternSource,
+  removeParamSource,
+  defaultBlockSource,
+  ...easylistNetworkSources,
+];
+
 // Create manager with priority-ordered sources and budget coordination
 const defaultBlockManager = new NetworkBlockManager(
-  [customPatternSource, defaultBlockSource], // Priority order: custom > default
+  [...BASE_NETWORK_SOURCES],
   new DynamicRuleUpdater(),
   new JsonRuleParser(),
   new JsonRuleConverter(),
   budgetCoordinator
 );
+defaultBlockManager.registerFormat("abp", new EasyListParser(), new AbpNetworkConverter());
+defaultBlockManager.registerFormat("removeparam", new JsonRuleParser(), new RemoveParamConverter());
+
+// How often matched tracking-parameter rules are counted - Chrome drops
+// matches of closed tabs after five minutes
+const CLEANED_URL_COUNT_INTERVAL = 5;
+
+// Requests blocked per tab, for the popup's request log
+const requestLog = new RequestLog();
+
+/**
+ * Rebuild the manager's source list from the enabled subscriptions
+ * Also removes installed rules of slots no longer in use (removed or disabled lists).
+ */
+async function syncSubscriptionRuleSources() {
+  const subscriptions = (await subscriptionManager.getSubscriptions()).filter(
+    (subscription) => subscription.enabled
+  );
+
+  defaultBlockManager.sources = [
+    ...BASE_NETWORK_SOURCES,
+    ...subscriptions.map((subscription) => new SubscriptionRuleSource(subscription)),
+  ];
+
+  // Only IDs that are actually installed - most slot ranges are empty
+  const installedRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const staleRuleIds = getStaleSubscriptionRuleIds(
+    installedRules.map((rule) => rule.id),
+    subscriptions.map((subscription) => subscription.slot)
+  );
+
+  if (staleRuleIds.length > 0) {
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: staleRuleIds });
+  }
+}
+
+/**
+ * Update all dynamic network rules (custom, default, EasyList, subscriptions)
+ */
+async function updateDynamicNetworkRules() {
+  await syncSubscriptionRuleSources();
+  await syncNetworkSiteScope();
+  try {
+    return await defaultBlockManager.updateAll();
+  } finally {
+    requestLog.invalidateRules(); // Rule IDs are reused with new definitions
+  }
+}
+
+/**
+ * Limit network rules to the sites blocking is on for (per-site profiles)
+ * Blocking on: every site except those switched off. Blocking off: only the
+ * sites switched on ("only on this site").
+ * @returns {Promise<SiteScope>} Scope used by the next rule updates
+ */
+async function syncNetworkSiteScope() {
+  const { defaultBlockRequestEnabled, siteProfiles } = await safeStorageGet([
+    "defaultBlockRequestEnabled",
+    "siteProfiles",
+  ]);
+  const { NETWORK_BLOCKING } = SITE_PROFILE_SYSTEMS;
+
+  const scope =
+    defaultBlockRequestEnabled === false
+      ? { excludedDomains: [], includedDomains: getSitesWithOverride(siteProfiles, NETWORK_BLOCKING, true) }
+      : { excludedDomains: getSitesWithOverride(siteProfiles, NETWORK_BLOCKING, false), includedDomains: null };
+
+  defaultBlockManager.setSiteScope(scope);
+  return scope;
+}
 
 /**
  * Unified control for static EasyList rulesets
- * NOTE: EasyList rules are pre-converted at build time and loaded as static rulesets
- * Only defaultBlockRequests use dynamic runtime updates
+ * NOTE: EasyList adservers is pre-converted at build time and loaded as a static ruleset;
+ * other EasyList lists and subscriptions are converted at runtime into dynamic rules
  */
 async function updateRulesetStates(enabled) {
   const staticRulesetIds = ["easylist-adservers"];
@@ -89,9 +232,9 @@ async function updateRulesetStates(enabled) {
       });
       Logger.info('RulesetsEnabled', 'Static rulesets enabled', { staticRulesetIds });
 
-      // NEW: Trigger dynamic rule updates from NetworkBlockManager (JSON rules only)
+      // Trigger dynamic rule updates from NetworkBlockManager (JSON and ABP sources)
       try {
-        await defaultBlockManager.updateAll();
+        await updateDynamicNetworkRules();
         Logger.info('DynamicRulesUpdated', 'Dynamic NetworkBlockManager rules updated');
       } catch (error) {
         Logger.error(
@@ -107,6 +250,16 @@ async function updateRulesetStates(enabled) {
       disableRulesetIds: staticRulesetIds,
     });
 
+    // Sites with network blocking switched on keep dynamic rules scoped to them
+    const { includedDomains } = await syncNetworkSiteScope();
+    if (includedDomains.length > 0) {
+      await updateDynamicNetworkRules();
+      Logger.info('NetworkBlockingSiteOnly', 'Network blocking limited to sites with it switched on', {
+        sites: includedDomains.length,
+      });
+      return;
+    }
+
     // Clear all dynamic rules (IDs 10000-64999 - expanded for custom patterns)
     const allDynamicIds = [];
     for (let id = 10000; id <= 64999; id++) {
@@ -115,6 +268,7 @@ async function updateRulesetStates(enabled) {
     await chrome.declarativeNetRequest.updateDynamicRules({
       removeRuleIds: allDynamicIds,
     });
+    requestLog.invalidateRules();
 
     Logger.info('NetworkBlockingDisabled', 'All network blocking disabled');
   } catch (error) {
@@ -171,25 +325,9 @@ async function performInstallation() {
 }
 
 async function _performInstallationImpl() {
-  // Check installation state + backward compatibility
-  const stateCheck = await safeStorageGet([
-    "installationState",
-    "isActive",
-    "defaultRules",
-  ]);
-
-  // BACKWARD COMPATIBILITY: Detect legacy installations (no installationState field)
-  if (
-    !stateCheck.installationState &&
-    (stateCheck.isActive !== undefined || stateCheck.defaultRules)
-  ) {
-    Logger.info('LegacyInstallation', 'Legacy installation detected, marking complete');
-    await chrome.storage.local.set({
-      installationState: INSTALLATION_STATE.COMPLETED,
-      installationCompleteTime: Date.now(),
-    });
-    return;
-  }
+  // Installations made before these checkpoints are marked completed by
+  // storage migration 1 (runStorageMigrations runs first)
+  const stateCheck = await safeStorageGet(["installationState"]);
 
   if (stateCheck.installationState === INSTALLATION_STATE.COMPLETED) {
     Logger.debug('InstallationSkipped', 'Installation already completed, skipping');
@@ -224,6 +362,13 @@ async function _performInstallationImpl() {
       "navigationStats",
       "defaultBlockRequestEnabled",
       "networkBlockPatterns",
+      "removeParamEnabled",
+      "removeParamRules",
+      "removeParamStats",
+      "cookieConsentEnabled",
+      "cookieConsentMode",
+      "siteProfiles",
+      "pausedSites",
     ]);
 
     // STEP 3: Build complete settings object (pure computation - safe)
@@ -243,6 +388,17 @@ async function _performInstallationImpl() {
       updates.scriptAnalysisEnabled = true;
     if (result.defaultBlockRequestEnabled === undefined)
       updates.defaultBlockRequestEnabled = true;
+    if (result.removeParamEnabled === undefined)
+      updates.removeParamEnabled = true;
+    if (!result.removeParamRules) updates.removeParamRules = [];
+    if (!result.removeParamStats)
+      updates.removeParamStats = { cleanedCount: 0, lastCountedAt: Date.now() };
+    if (result.cookieConsentEnabled === undefined)
+      updates.cookieConsentEnabled = true;
+    if (!result.cookieConsentMode)
+      updates.cookieConsentMode = DEFAULT_COOKIE_CONSENT_MODE;
+    if (!result.siteProfiles) updates.siteProfiles = {};
+    if (!result.pausedSites) updates.pausedSites = {};
 
     // Smart dependency: Ensure Script Analysis is enabled when Navigation Guardian is active
     if (
@@ -264,7 +420,6 @@ async function _performInstallationImpl() {
 
     if (!result.navigationStats)
       updates.navigationStats = { blockedCount: 0, allowedCount: 0 };
-    if (!result.networkBlockPatterns) updates.networkBlockPatterns = [];
 
     // Always update default rules from remote
     updates.defaultRules = defaultRules;
@@ -283,6 +438,9 @@ async function _performInstallationImpl() {
       );
     }
 
+    // Custom network patterns live in sync storage (read by CustomPatternSource)
+    await migrateNetworkPatternsToSync(result.networkBlockPatterns);
+
     // STEP 5: Configure network blocking (can be retried - idempotent)
     const blockingEnabled = updates.defaultBlockRequestEnabled !== false;
     await updateRulesetStates(blockingEnabled);
@@ -303,6 +461,16 @@ async function _performInstallationImpl() {
       periodInMinutes: UPDATE_INTERVAL.WEEKLY,
     });
 
+    await ensureAlarm("updateSubscriptions", {
+      delayInMinutes: SUBSCRIPTION_CHECK_INTERVAL,
+      periodInMinutes: SUBSCRIPTION_CHECK_INTERVAL,
+    });
+
+    await ensureAlarm("countCleanedUrls", {
+      delayInMinutes: CLEANED_URL_COUNT_INTERVAL,
+      periodInMinutes: CLEANED_URL_COUNT_INTERVAL,
+    });
+
     // CHECKPOINT 2: Mark installation as completed (COMMIT POINT)
     await chrome.storage.local.set({
       installationState: INSTALLATION_STATE.COMPLETED,
@@ -335,20 +503,45 @@ chrome.runtime.onInstalled.addListener(async () => {
     return;
   }
 
+  // Upgrade stored data first so installation only sees the current schema
+  await runMigrationsSafely();
+
   try {
     await performInstallation();
   } catch (error) {
     Logger.error('InstallationHandlerError', 'Installation handler caught error', error);
     // Error already logged in performInstallation, state already reset
   }
+
+  // Pick up settings changed on other devices while updating (no-op unless sync is on)
+  await settingsSyncManager.sync();
 });
 
+/**
+ * Run pending storage migrations, logging instead of throwing
+ * A failed step is retried on the next install/update or browser startup.
+ * @returns {Promise<void>}
+ */
+async function runMigrationsSafely() {
+  try {
+    await runStorageMigrations();
+  } catch (error) {
+    Logger.error('MigrationHandlerError', 'Storage migration handler caught error', error);
+  }
+}
+
 // Resume incomplete installation on startup (recovery mechanism)
 chrome.runtime.onStartup.addListener(async () => {
   if (!isExtensionContextValid()) {
     return;
   }
 
+  // Resume a migration run interrupted by the service worker shutting down
+  await runMigrationsSafely();
+
+  // Tab IDs do not survive a restart - end "until the tab closes" pauses
+  await endSitePauses({ dropTabPauses: true });
+
   const stateCheck = await safeStorageGet(["installationState"]);
 
   if (stateCheck.installationState === INSTALLATION_STATE.IN_PROGRESS) {
@@ -359,6 +552,9 @@ chrome.runtime.onStartup.addListener(async () => {
       Logger.error('InstallationResumeFailed', 'Installation resume failed', error);
     }
   }
+
+  // Pick up settings changed on other devices (no-op unless sync is on)
+  await settingsSyncManager.sync();
 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
@@ -371,6 +567,12 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     return;
   }
 
+  // Timed "pause on this site" ended
+  if (alarm.name.startsWith(PAUSE_ALARM_PREFIX)) {
+    await endSitePauses();
+    return;
+  }
+
   if (alarm.name === "updateDefaults") {
     try {
       const [defaultRules, defaultWhitelist] = await Promise.all([
@@ -418,7 +620,7 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === "updateDefaultBlocksDaily") {
     try {
       Logger.info('DailyBlocksUpdate', 'Running daily default blocks update...');
-      await defaultBlockManager.updateAll();
+      await updateDynamicNetworkRules();
     } catch (error) {
       Logger.error('DailyBlocksUpdateFailed', 'Failed to update default blocks', error);
     }
@@ -435,6 +637,20 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
       Logger.error('EasyListUpdateFailed', 'Failed to update EasyList DOM rules', error);
     }
   }
+
+  // Refresh filter list subscriptions whose update interval has elapsed
+  if (alarm.name === "updateSubscriptions") {
+    try {
+      const refreshed = await subscriptionManager.refreshDue();
+      Logger.info('SubscriptionsUpdate', `Refreshed ${refreshed.length} subscriptions`);
+    } catch (error) {
+      Logger.error('SubscriptionsUpdateFailed', 'Failed to refresh subscriptions', error);
+    }
+  }
+
+  if (alarm.name === "countCleanedUrls") {
+    await countCleanedUrls();
+  }
 });
 
 // Handle messages from popup and content scripts
@@ -469,6 +685,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     "updateWhitelist",
     "refreshDefaultRules",
     "refreshDefaultWhitelist",
+    "addSubscription",
+    "removeSubscription",
+    "toggleSubscription",
+    "refreshSubscription",
+    "allowBlockedDomain",
+    "pauseSite",
+    "resumeSite",
+    "importSettings",
+    "setSettingsSync",
   ];
 
   if (criticalActions.includes(action)) {
@@ -528,6 +753,39 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep message channel open for async response
   }
 
+  // Top-level page domain for frames that cannot read it themselves (see frame-context.js)
+  if (request.action === "getPageDomain") {
+    const pageUrl = sender.frameId === 0 ? sender.url : sender.tab?.url;
+    sendResponse({ domain: hostnameFromOrigin(pageUrl) });
+    return false;
+  }
+
+  // Element counts from an embedded frame, forwarded to the tab's top frame,
+  // which owns the page's domainStats entry
+  if (request.action === "reportFrameStats") {
+    const { stats } = request;
+
+    // VALIDATE INPUT
+    const validStats =
+      stats !== null &&
+      typeof stats === "object" &&
+      Object.values(stats).every((count) => Number.isInteger(count) && count >= 0);
+    if (!validStats || !sender.tab?.id || !(sender.frameId > 0)) {
+      sendResponse({ success: false, error: "Invalid frame stats" });
+      return false;
+    }
+
+    chrome.tabs.sendMessage(
+      sender.tab.id,
+      { action: "frameStats", frameId: sender.frameId, stats },
+      { frameId: 0 },
+      // The top frame has no content script on pages the extension cannot access
+      () => void chrome.runtime.lastError
+    );
+    sendResponse({ success: true });
+    return false;
+  }
+
   if (request.action === "checkDomainWhitelist") {
     const { domain } = request;
 
@@ -673,6 +931,61 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === "getSubscriptions") {
+    subscriptionManager
+      .getSubscriptions()
+      .then((subscriptions) => sendResponse({ success: true, subscriptions }))
+      .catch((error) =>
+        sendResponse({ success: false, error: error.message })
+      );
+    return true;
+  }
+
+  if (
+    ["addSubscription", "removeSubscription", "toggleSubscription", "refreshSubscription"].includes(
+      request.action
+    )
+  ) {
+    const { url, id, enabled } = request;
+
+    // VALIDATE INPUTS
+    const validInput =
+      request.action === "addSubscription"
+        ? typeof url === "string" && url.length > 0 && url.length <= 2048
+        : typeof id === "string" &&
+          (request.action !== "toggleSubscription" || typeof enabled === "boolean");
+    if (!validInput) {
+      Logger.warn('InvalidSubscriptionRequest', `Invalid input for ${request.action}`);
+      sendResponse({ success: false, error: "Invalid subscription request" });
+      return false;
+    }
+
+    (async () => {
+      try {
+        let subscription = null;
+        if (request.action === "addSubscription") {
+          subscription = await subscriptionManager.addSubscription(url);
+          await ensureAlarm("updateSubscriptions", {
+            delayInMinutes: SUBSCRIPTION_CHECK_INTERVAL,
+            periodInMinutes: SUBSCRIPTION_CHECK_INTERVAL,
+          });
+        } else if (request.action === "removeSubscription") {
+          await subscriptionManager.removeSubscription(id);
+        } else if (request.action === "toggleSubscription") {
+          subscription = await subscriptionManager.setEnabled(id, enabled);
+        } else {
+          subscription = await subscriptionManager.refreshSubscription(id);
+        }
+        sendResponse({ success: true, subscription });
+        // Subscription changes propagate to content scripts via chrome.storage.onChanged
+      } catch (error) {
+        Logger.error('SubscriptionRequestFailed', `${request.action} failed`, error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
   if (request.action === "recordBlockedRequest") {
     const { data } = request;
 
@@ -703,41 +1016,182 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 
     // Store blocked request statistics asynchronously
-    (async () => {
+    storeBlockedRequest(data);
+
+    // IMPORTANT: Send response and return true for sendResponse
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (request.action === "getRequestLog") {
+    // Read-only, but request URLs are browsing history - popup/settings only
+    if (!isTrustedUISender(sender)) {
+      sendResponse({ success: false, error: "Unauthorized - action requires trusted UI sender" });
+      return false;
+    }
+
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      const tabId = Number.isInteger(request.tabId) ? request.tabId : tabs?.[0]?.id;
+      if (chrome.runtime.lastError || tabId === undefined) {
+        sendResponse({ success: false, error: "No active tab" });
+        return;
+      }
+
+      try {
+        const { entries, detailed } = await requestLog.getTabLog(tabId);
+        const subscriptions = await subscriptionManager.getSubscriptions();
+        const titleBySlot = new Map(subscriptions.map((subscription) => [subscription.slot, subscription.title]));
+
+        sendResponse({
+          success: true,
+          tabId,
+          detailed,
+          entries: entries.map((entry) =>
+            entry.source.slot !== undefined && titleBySlot.has(entry.source.slot)
+              ? { ...entry, source: { ...entry.source, name: titleBySlot.get(entry.source.slot) } }
+              : entry
+          ),
+        });
+      } catch (error) {
+        Logger.error('RequestLogReadFailed', 'Failed to read request log', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    });
+    return true;
+  }
+
+  if (request.action === "pauseSite") {
+    const { domain, duration } = request;
+
+    // VALIDATE INPUT
+    if (!isValidDomain(domain)) {
+      Logger.warn('InvalidPauseDomain', 'Invalid domain in pauseSite', { domain });
+      sendResponse({ success: false, error: "Invalid domain" });
+      return false;
+    }
+    if (!isValidPauseDuration(duration)) {
+      Logger.warn('InvalidPauseDuration', 'Invalid duration in pauseSite', { duration });
+      sendResponse({ success: false, error: "Invalid pause duration" });
+      return false;
+    }
+
+    // "Until the tab closes" is tied to the tab the popup was opened on
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      const pause = createPause(duration, { tabId: tabs?.[0]?.id });
+      if (chrome.runtime.lastError || !pause) {
+        sendResponse({ success: false, error: "No active tab" });
+        return;
+      }
+
       try {
-        const statsResult = await safeStorageGet(["blockedRequestStats"]);
-        const stats = statsResult.blockedRequestStats || {
-          totalBlocked: 0,
-          byType: {},
-          byDomain: {},
-          recentBlocks: [],
-        };
+        await pauseSite(domain, pause);
+        sendResponse({ success: true, pause });
+      } catch (error) {
+        Logger.error('SitePauseFailed', 'Failed to pause site', error, { domain });
+        sendResponse({ success: false, error: "Failed to pause protection. Please try again." });
+      }
+    });
+    return true;
+  }
 
-        stats.totalBlocked++;
-        stats.byType[data.type] = (stats.byType[data.type] || 0) + 1;
+  if (request.action === "resumeSite") {
+    const { domain } = request;
 
-        try {
-          const domain = new URL(data.url).hostname;
-          stats.byDomain[domain] = (stats.byDomain[domain] || 0) + 1;
-        } catch (error) {
-          // Invalid URL, skip domain stats
-        }
+    // VALIDATE INPUT
+    if (!isValidDomain(domain)) {
+      Logger.warn('InvalidResumeDomain', 'Invalid domain in resumeSite', { domain });
+      sendResponse({ success: false, error: "Invalid domain" });
+      return false;
+    }
 
-        // Keep only last 100 recent blocks
-        stats.recentBlocks.unshift(data);
-        if (stats.recentBlocks.length > 100) {
-          stats.recentBlocks = stats.recentBlocks.slice(0, 100);
-        }
+    resumeSite(domain)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        Logger.error('SiteResumeFailed', 'Failed to resume site', error, { domain });
+        sendResponse({ success: false, error: "Failed to resume protection. Please try again." });
+      });
+    return true;
+  }
+
+  if (request.action === "importSettings") {
+    const { backup, mode } = request;
+
+    // VALIDATE INPUT (entries are validated again by readBackup)
+    if (!backup || typeof backup !== "object" || !Object.values(IMPORT_MODES).includes(mode)) {
+      Logger.warn('InvalidImportRequest', 'Invalid input for importSettings', { mode });
+      sendResponse({ success: false, error: "Invalid import request" });
+      return false;
+    }
+
+    importSettings(backup, mode)
+      .then((errors) => sendResponse({ success: true, errors }))
+      .catch((error) => {
+        Logger.error('SettingsImportFailed', 'Failed to import settings', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === "setSettingsSync") {
+    const { enabled } = request;
+
+    // VALIDATE INPUT
+    if (typeof enabled !== "boolean") {
+      Logger.warn('InvalidSettingsSyncRequest', 'Invalid input for setSettingsSync', { enabled });
+      sendResponse({ success: false, error: "Invalid request" });
+      return false;
+    }
+
+    // Sync errors are reported in the returned (and stored) status
+    settingsSyncManager
+      .setEnabled(enabled)
+      .then((status) => sendResponse({ success: true, status }))
+      .catch((error) => {
+        Logger.error('SettingsSyncToggleFailed', 'Failed to change settings sync', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === "allowBlockedDomain") {
+    const { domain, resourceType } = request;
 
-        await safeStorageSet({ blockedRequestStats: stats });
+    // VALIDATE INPUT
+    if (!isValidDomain(domain)) {
+      Logger.warn('InvalidAllowDomain', 'Invalid domain in allowBlockedDomain', { domain });
+      sendResponse({ success: false, error: "Invalid domain" });
+      return false;
+    }
+    // Optional: entries without a type are allowed for every type
+    if (resourceType != null && !NETWORK_RESOURCE_TYPES.includes(resourceType)) {
+      Logger.warn('InvalidAllowResourceType', 'Invalid resource type in allowBlockedDomain', { resourceType });
+      sendResponse({ success: false, error: "Invalid resource type" });
+      return false;
+    }
+
+    (async () => {
+      try {
+        const added = await addAllowPattern(domain, resourceType);
+        sendResponse({ success: true, added });
+        // CustomPatternSource picks the pattern up via chrome.storage.onChanged (sync)
       } catch (error) {
-        Logger.error('BlockedStatsStorageFailed', 'Failed to store blocked request stats', error);
-        // Note: No user response needed for stats - this is background logging
+        Logger.error('AllowDomainFailed', 'Failed to add allow pattern', error);
+        sendResponse({ success: false, error: error.message });
       }
     })();
+    return true;
+  }
 
-    // IMPORTANT: Send response and return true for sendResponse
-    sendResponse({ success: true });
+  if (request.action === "countCleanedUrls") {
+    // getMatchedRules calls are rate limited - popup/settings only
+    if (!isTrustedUISender(sender)) {
+      sendResponse({ success: false, error: "Unauthorized - action requires trusted UI sender" });
+      return false;
+    }
+
+    countCleanedUrls()
+      .then((stats) => sendResponse({ success: true, stats }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
     return true;
   }
 
@@ -849,19 +1303,334 @@ async function enforceDependencies(changes) {
   }
 }
 
+/**
+ * Pending blocked-stats write; each write waits for the previous one
+ */
+let blockedStatsQueue = Promise.resolve();
+
+/**
+ * Update blocked request statistics (totals, per type/domain, last 100 blocks)
+ * Writes are queued so concurrent blocks do not overwrite each other's counts.
+ * @param {{type: string, url: string}} data - Blocked request
+ * @returns {Promise<void>}
+ */
+function storeBlockedRequest(data) {
+  blockedStatsQueue = blockedStatsQueue.then(async () => {
+    try {
+      const statsResult = await safeStorageGet(["blockedRequestStats"]);
+      const stats = statsResult.blockedRequestStats || {
+        totalBlocked: 0,
+        byType: {},
+        byDomain: {},
+        recentBlocks: [],
+      };
+
+      stats.totalBlocked++;
+      stats.byType[data.type] = (stats.byType[data.type] || 0) + 1;
+
+      try {
+        const domain = new URL(data.url).hostname;
+        stats.byDomain[domain] = (stats.byDomain[domain] || 0) + 1;
+      } catch (error) {
+        // Invalid URL, skip domain stats
+      }
+
+      // Keep only last 100 recent blocks
+      stats.recentBlocks.unshift(data);
+      if (stats.recentBlocks.length > 100) {
+        stats.recentBlocks = stats.recentBlocks.slice(0, 100);
+      }
+
+      await safeStorageSet({ blockedRequestStats: stats });
+    } catch (error) {
+      Logger.error('BlockedStatsStorageFailed', 'Failed to store blocked request stats', error);
+      // Note: No user response needed for stats - this is background logging
+    }
+  });
+  return blockedStatsQueue;
+}
+
+/**
+ * Add an allow pattern for a blocked request's domain to the custom network patterns
+ * @param {string} domain - Domain to allow
+ * @param {string} [resourceType] - Resource type of the blocked request (every type when omitted)
+ * @returns {Promise<boolean>} False if an allow pattern already covered the domain and type
+ */
+async function addAllowPattern(domain, resourceType) {
+  const { networkBlockPatterns } = await chrome.storage.sync.get(["networkBlockPatterns"]);
+  const { patterns, added } = withAllowPattern(
+    Array.isArray(networkBlockPatterns) ? networkBlockPatterns : [],
+    domain,
+    resourceType
+  );
+  if (!added) {
+    return false;
+  }
+
+  await chrome.storage.sync.set({ networkBlockPatterns: patterns });
+  Logger.info('AllowPatternAdded', `Added allow pattern for ${domain}`, { resourceType });
+  return true;
+}
+
+/**
+ * Move custom network patterns saved to local storage by older versions into sync storage
+ * Sync wins when both exist; the local copy is removed either way.
+ * @param {Array|undefined} localPatterns - `networkBlockPatterns` read from local storage
+ */
+async function migrateNetworkPatternsToSync(localPatterns) {
+  if (localPatterns === undefined) {
+    return;
+  }
+
+  try {
+    const { networkBlockPatterns } = await chrome.storage.sync.get(["networkBlockPatterns"]);
+    if (!Array.isArray(networkBlockPatterns) && Array.isArray(localPatterns) && localPatterns.length > 0) {
+      await chrome.storage.sync.set({ networkBlockPatterns: localPatterns });
+      Logger.info('NetworkPatternsMigrated', `Moved ${localPatterns.length} custom network patterns to sync storage`);
+    }
+    await chrome.storage.local.remove("networkBlockPatterns");
+  } catch (error) {
+    Logger.error('NetworkPatternsMigrationFailed', 'Failed to move custom network patterns to sync storage', error);
+  }
+}
+
 /**
  * Refresh custom network blocking patterns
  */
 async function refreshCustomPatterns() {
   Logger.info('CustomPatternsUpdate', 'Custom patterns updated, refreshing rules...');
   try {
+    await syncNetworkSiteScope();
     await defaultBlockManager.updateSource(customPatternSource);
+    requestLog.invalidateRules();
     Logger.info('CustomPatternsUpdated', 'Custom patterns updated successfully');
   } catch (error) {
     Logger.error('CustomPatternsUpdateFailed', 'Failed to update custom patterns', error);
   }
 }
 
+/**
+ * Re-apply tracking-parameter rules after their settings change
+ */
+async function refreshRemoveParamRules() {
+  try {
+    const { includedDomains } = await syncNetworkSiteScope();
+    if (includedDomains?.length === 0) {
+      return; // Applied when network blocking is re-enabled
+    }
+    await defaultBlockManager.updateSource(removeParamSource);
+    requestLog.invalidateRules();
+    Logger.info('RemoveParamRulesUpdated', 'Tracking parameter rules updated');
+  } catch (error) {
+    Logger.error('RemoveParamRulesUpdateFailed', 'Failed to update tracking parameter rules', error);
+  }
+}
+
+/**
+ * Add tracking-parameter rule matches since the last count to `removeParamStats`
+ * Each match is a cleaned URL - the rules only match URLs carrying a listed parameter.
+ * @returns {Promise<{cleanedCount: number, lastCountedAt: number}>} Updated stats
+ */
+async function countCleanedUrls() {
+  const { removeParamStats } = await safeStorageGet(["removeParamStats"]);
+  const stats = { cleanedCount: 0, lastCountedAt: 0, ...removeParamStats };
+
+  try {
+    const { start, end } = RULE_SOURCES_CONFIG.removeParams.idRange;
+    const { rulesInfo = [] } = await chrome.declarativeNetRequest.getMatchedRules({
+      minTimeStamp: stats.lastCountedAt + 1,
+    });
+    const matches = rulesInfo.filter(
+      ({ rule }) => rule.rulesetId === "_dynamic" && rule.ruleId >= start && rule.ruleId <= end
+    );
+    if (rulesInfo.length === 0) {
+      return stats;
+    }
+
+    const updated = {
+      cleanedCount: stats.cleanedCount + matches.length,
+      lastCountedAt: rulesInfo.reduce((latest, info) => Math.max(latest, info.timeStamp), stats.lastCountedAt),
+    };
+    await safeStorageSet({ removeParamStats: updated });
+    return updated;
+  } catch (error) {
+    // getMatchedRules is rate limited; the next count picks these matches up
+    Logger.warn('CleanedUrlCountFailed', 'Failed to count cleaned URLs', error);
+    return stats;
+  }
+}
+
+/**
+ * Apply a settings backup
+ * Storage writes propagate through chrome.storage.onChanged like any settings change.
+ * @param {object} backup - Parsed backup file
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Promise<Array<{section: string, message: string}>>} Entries that were skipped
+ */
+async function importSettings(backup, mode) {
+  const { settings, errors } = readBackup(backup);
+
+  const [local, sync] = await Promise.all([
+    safeStorageGet(BACKUP_STORAGE_KEYS.local),
+    chrome.storage.sync.get(BACKUP_STORAGE_KEYS.sync),
+  ]);
+  const next = mergeBackupSettings(readStorageSettings(local, sync), settings, mode);
+  const values = toStorageValues(next, local);
+
+  if (Object.keys(values.local).length > 0) {
+    await safeStorageSet(values.local);
+  }
+  if (Object.keys(values.sync).length > 0) {
+    try {
+      await chrome.storage.sync.set(values.sync);
+    } catch (error) {
+      errors.push({ section: "networkBlockPatterns", message: error.message });
+    }
+  }
+  if (next.filterSubscriptions) {
+    errors.push(...(await importSubscriptions(next.filterSubscriptions)));
+  }
+
+  Logger.info('SettingsImported', 'Settings imported', {
+    mode,
+    sections: Object.keys(next),
+    skipped: errors.length,
+  });
+  return errors;
+}
+
+/**
+ * Make the subscription list match an imported one
+ * Lists missing from the import are removed, new ones are downloaded.
+ * @param {Array<{url: string, enabled: boolean}>} imported - Subscriptions to keep
+ * @returns {Promise<Array<{section: string, message: string}>>} Lists that failed
+ */
+async function importSubscriptions(imported) {
+  const errors = [];
+  const current = await subscriptionManager.getSubscriptions();
+  const importedUrls = new Set(imported.map(({ url }) => url));
+
+  for (const subscription of current) {
+    if (!importedUrls.has(subscription.url)) {
+      await subscriptionManager.removeSubscription(subscription.id);
+    }
+  }
+
+  for (const { url, enabled } of imported) {
+    try {
+      let subscription = current.find((existing) => existing.url === url);
+      if (!subscription) {
+        subscription = await subscriptionManager.addSubscription(url);
+      }
+      if (subscription.enabled !== enabled) {
+        await subscriptionManager.setEnabled(subscription.id, enabled);
+      }
+    } catch (error) {
+      errors.push({ section: "filterSubscriptions", message: `${url}: ${error.message}` });
+    }
+  }
+
+  if (imported.some(({ url }) => !current.some((existing) => existing.url === url))) {
+    await ensureAlarm("updateSubscriptions", {
+      delayInMinutes: SUBSCRIPTION_CHECK_INTERVAL,
+      periodInMinutes: SUBSCRIPTION_CHECK_INTERVAL,
+    });
+  }
+  return errors;
+}
+
+/**
+ * Pause protection on a site (content scripts treat it like a whitelisted one)
+ * @param {string} domain - Site domain (subdomains included)
+ * @param {SitePause} pause - Pause from createPause()
+ * @returns {Promise<void>}
+ */
+async function pauseSite(domain, pause) {
+  const { pausedSites = {} } = await safeStorageGet(["pausedSites"]);
+  await safeStorageSet({ pausedSites: { ...removeEndedPauses(pausedSites), [domain]: pause } });
+
+  const alarmName = PAUSE_ALARM_PREFIX + domain;
+  await chrome.alarms.clear(alarmName);
+  if (pause.until !== null) {
+    await chrome.alarms.create(alarmName, { when: pause.until });
+  }
+  Logger.info('SitePaused', 'Protection paused', { domain, until: pause.until, tabId: pause.tabId });
+}
+
+/**
+ * End a site's pause early
+ * @param {string} domain - Paused domain
+ * @returns {Promise<void>}
+ */
+async function resumeSite(domain) {
+  const { pausedSites = {} } = await safeStorageGet(["pausedSites"]);
+  const { [domain]: _resumed, ...remaining } = pausedSites;
+  await safeStorageSet({ pausedSites: removeEndedPauses(remaining) });
+  await chrome.alarms.clear(PAUSE_ALARM_PREFIX + domain);
+  Logger.info('SiteResumed', 'Protection resumed', { domain });
+}
+
+/**
+ * Remove pauses that have ended (alarm fired, tab closed, browser restarted)
+ * @param {object} [options] - See removeEndedPauses()
+ * @returns {Promise<void>}
+ */
+async function endSitePauses(options) {
+  try {
+    const { pausedSites = {} } = await safeStorageGet(["pausedSites"]);
+    const remaining = removeEndedPauses(pausedSites, options);
+    if (Object.keys(remaining).length !== Object.keys(pausedSites).length) {
+      await safeStorageSet({ pausedSites: remaining });
+      Logger.info('SitePausesEnded', 'Paused sites resumed', {
+        resumed: Object.keys(pausedSites).filter((domain) => !(domain in remaining)),
+      });
+    }
+  } catch (error) {
+    Logger.error('SitePauseExpiryFailed', 'Failed to end site pauses', error);
+  }
+}
+
+/**
+ * Whether a `siteProfiles` change touches per-site network blocking
+ * @param {{oldValue?: object, newValue?: object}} change - storage.onChanged entry
+ * @returns {boolean}
+ */
+function hasNetworkOverrideChange({ oldValue, newValue }) {
+  const { NETWORK_BLOCKING } = SITE_PROFILE_SYSTEMS;
+  const overrides = (profiles) =>
+    [true, false].map((value) => getSitesWithOverride(profiles, NETWORK_BLOCKING, value).sort().join(","));
+  return overrides(oldValue).join("|") !== overrides(newValue).join("|");
+}
+
+/**
+ * Re-apply network rules after per-site network blocking changes
+ */
+async function refreshSiteScopedRules() {
+  try {
+    const { defaultBlockRequestEnabled } = await safeStorageGet(["defaultBlockRequestEnabled"]);
+    await updateRulesetStates(defaultBlockRequestEnabled !== false);
+    Logger.info('SiteScopedRulesUpdated', 'Network rules updated for per-site profiles');
+  } catch (error) {
+    Logger.error('SiteScopedRulesUpdateFailed', 'Failed to update network rules for per-site profiles', error);
+  }
+}
+
+/**
+ * Re-apply network rules after filter list subscriptions change
+ */
+async function refreshSubscriptionRules() {
+  try {
+    const { includedDomains } = await syncNetworkSiteScope();
+    if (includedDomains?.length === 0) {
+      return; // Applied when network blocking is re-enabled
+    }
+    await updateDynamicNetworkRules();
+    Logger.info('SubscriptionRulesUpdated', 'Subscription network rules updated');
+  } catch (error) {
+    Logger.error('SubscriptionRulesUpdateFailed', 'Failed to update subscription network rules', error);
+  }
+}
+
 // Handle storage changes and notify content scripts
 chrome.storage.onChanged.addListener((changes, namespace) => {
   // Ignore internal updates to prevent infinite loops
@@ -873,12 +1642,53 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
     // Consolidated dependency enforcement (handles all toggle dependencies)
     enforceDependencies(changes);
 
-    // Custom pattern refresh
-    if (changes.networkBlockPatterns) {
-      refreshCustomPatterns();
+    // Subscription added/removed/toggled/refreshed
+    if (changes.filterSubscriptions) {
+      refreshSubscriptionRules();
+    }
+
+    // Tracking-parameter removal toggled or edited
+    if (changes.removeParamEnabled || changes.removeParamRules) {
+      refreshRemoveParamRules();
+    }
+
+    // Per-site network blocking switched on or off
+    if (changes.siteProfiles && hasNetworkOverrideChange(changes.siteProfiles)) {
+      refreshSiteScopedRules();
     }
   }
 
+  // Custom pattern refresh (patterns are stored in sync, including edits from other devices)
+  if (namespace === "sync" && changes.networkBlockPatterns) {
+    refreshCustomPatterns();
+  }
+
+  // Synced setting edited here or on another device
+  if (settingsSyncManager.isRelevantChange(changes, namespace)) {
+    settingsSyncManager.scheduleSync();
+  }
+
   // Storage changes propagate via chrome.storage.onChanged event
   // Content scripts listen directly to storage changes (no tabs permission needed)
 });
+
+// Per-request feedback - Chrome only fires this for unpacked (developer) installs
+if (chrome.declarativeNetRequest.onRuleMatchedDebug) {
+  chrome.declarativeNetRequest.onRuleMatchedDebug.addListener(async (info) => {
+    const entry = requestLog.record(info);
+    if (entry && (await requestLog.isBlockingRule(info.rule))) {
+      storeBlockedRequest({
+        type: entry.resourceType,
+        url: entry.url,
+        tabId: entry.tabId,
+        ruleId: entry.ruleId,
+        timestamp: entry.timeStamp,
+      });
+    }
+  });
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  requestLog.clearTab(tabId);
+  endSitePauses({ closedTabId: tabId });
+});
@@ -6,17 +6,56 @@
 // Import modules
 import Logger from '@script-utils/logger.js';
 import { domainMatches } from "@utils/url-utils.js";
+import {
+  SITE_PROFILE_SYSTEMS,
+  getSiteOverrides,
+  isSystemEnabled,
+} from "@utils/site-profiles.js";
+import { getActivePause } from "@utils/site-pauses.js";
+import {
+  getFrameDomain,
+  getRuleDomains,
+  getTopLevelDomain,
+  isTopFrame,
+} from "@utils/frame-context.js";
+import {
+  ANTI_ADBLOCK_WALLS_STORAGE_KEY,
+  recordWallDetection,
+} from "@utils/anti-adblock-walls.js";
 import { ClickHijackingProtector } from "./modules/click-hijacking-protector.js";
+import { AntiAdblockDetector } from "./modules/anti-adblock-detector.js";
 import { ElementRemover } from "./modules/element-remover.js";
+import { ElementPicker } from "./modules/element-picker/element-picker.js";
 import { CleanupRegistry } from "./modules/cleanup-registry.js";
 import { NavigationGuardian } from "./modules/navigation-guardian/navigation-guardian.js";
-import { createRuleExecutionSystem } from "./modules/rule-execution/config/sources.config.js";
+import { ScriptletInjector } from "./modules/scriptlets/scriptlet-injector.js";
+import { SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY } from "./modules/subscriptions/subscription-manager.js";
+import {
+  createRuleExecutionSystem,
+  registerSubscriptionSources,
+} from "./modules/rule-execution/config/sources.config.js";
 import {
   debouncedStorageSet,
   isExtensionContextValid,
+  safeSendMessage,
   safeStorageGet,
+  safeStorageSet,
 } from "./utils/chrome-api-safe.js";
 
+/**
+ * Per-domain counters kept in `domainStats` (see updateDomainStats())
+ * Every counter of the rule execution results (ExecutionResults)
+ */
+const DOMAIN_STAT_KEYS = [
+  "defaultRulesRemoved",
+  "customRulesRemoved",
+  "easylistRulesRemoved",
+  "easylistRulesHidden",
+  "proceduralRulesRemoved",
+  "subscriptionRulesRemoved",
+  "consentBannersHandled",
+];
+
 /**
  * Main OriginalUI Controller - Orchestrates all protection modules
  */
@@ -24,10 +63,22 @@ class OriginalUIController {
   constructor() {
     // Core state
     this.isActive = false;
+    // Frames act for the page they are embedded in (whitelist, pause, profiles);
+    // rules match the page's domain and the frame's own (see getRuleFrameDomain())
+    this.isTopFrame = isTopFrame();
+    this.frameDomain = getFrameDomain();
     this.currentDomain = this.getCurrentDomain();
     this.whitelist = [];
     this.whitelistCache = null;
 
+    // Per-site protection profiles and the overrides matching this page
+    this.siteProfiles = {};
+    this.siteOverrides = {};
+
+    // Temporarily paused sites ("pause on this site" in the popup)
+    this.pausedSites = {};
+    this.pauseExpiryTimer = null;
+
     // Rule sets
     this.defaultRules = [];
     this.customRules = [];
@@ -47,25 +98,55 @@ class OriginalUIController {
       "normal"
     );
 
+    // Anti-adblock walls shown once bait elements are hidden
+    this.antiAdblockDetector = new AntiAdblockDetector({
+      onDetected: () => this.recordAntiAdblockWall(),
+    });
+    this.cleanupRegistry.register(
+      this.antiAdblockDetector,
+      "AntiAdblockDetector",
+      "normal"
+    );
+
     this.navigationGuardian = new NavigationGuardian();
+    this.navigationGuardianInitialized = false;
     this.cleanupRegistry.register(
       this.navigationGuardian,
       "NavigationGuardian",
       "high"
     );
 
+    // Scriptlets (`##+js(...)` filters), injected once per page
+    this.scriptletInjector = new ScriptletInjector();
+
+    // Element picker (started on demand from the popup)
+    this.elementPicker = new ElementPicker();
+    this.cleanupRegistry.register(this.elementPicker, "ElementPicker", "low");
+
     // Navigation Guardian settings (managed by NavigationGuardian module)
     this.navigationGuardEnabled = true;
     this.navigationStats = { blockedCount: 0, allowedCount: 0 };
 
-    // Statistics
+    // Click hijacking protection setting
+    this.popUnderProtectionEnabled = true;
+
+    // Statistics (the top frame also keeps the latest counts reported by each frame)
     this.domainStats = {};
+    this.pageStats = {};
+    this.frameStats = new Map();
+    this.frameStatsReported = false;
 
     // Rule execution system (initialized in initialize())
     this.ruleExecutionManager = null;
 
+    // Filter list subscriptions, their cached scriptlets and the rule sources registered for them
+    this.filterSubscriptions = [];
+    this.subscriptionScriptlets = {};
+    this.subscriptionSourceNames = [];
+
     Logger.info('ControllerInit', 'Controller initialized', {
       domain: this.currentDomain,
+      frameDomain: this.getRuleFrameDomain(),
       cleanableModules: this.cleanupRegistry.getModuleCount(),
       moduleNames: this.cleanupRegistry.getModuleNames()
     });
@@ -77,33 +158,44 @@ class OriginalUIController {
   async initialize() {
     Logger.info('InitStart', 'Initializing protection systems');
 
+    // 0. Frames that cannot see their top-level origin ask the background for it
+    this.currentDomain = await this.resolvePageDomain();
+
     // 1. FIRST: Load settings to get whitelist (before any protections)
     await this.loadSettings();
 
+    // Scriptlets race the page's own scripts: inject them from the settings just
+    // read (cached list scriptlets included), before the rule system is built
+    if (this.isActive && !this.isProtectionSuspended()) {
+      this.injectScriptlets();
+    }
+
     // 2. Setup message listeners ALWAYS (needed for whitelist changes from popup)
     this.setupMessageListeners();
 
     // 3. Initialize Rule Execution System
     this.ruleExecutionManager = await createRuleExecutionSystem();
+    this.subscriptionSourceNames = registerSubscriptionSources(
+      this.ruleExecutionManager,
+      this.filterSubscriptions
+    );
     Logger.info('RuleSystemInit', 'Rule Execution System initialized');
 
-    // 4. Check whitelist/active state BEFORE applying security protections
-    if (!this.isActive || this.isDomainWhitelisted()) {
-      Logger.info('ProtectionsSkipped', 'Skipping protections - inactive or whitelisted', {
+    // 4. Check whitelist/pause/active state BEFORE applying security protections
+    if (!this.isActive || this.isProtectionSuspended()) {
+      Logger.info('ProtectionsSkipped', 'Skipping protections - inactive, whitelisted or paused', {
         isActive: this.isActive,
         isDomainWhitelisted: this.isDomainWhitelisted(),
+        isDomainPaused: this.isDomainPaused(),
       });
-      return; // Exit early - no protections needed
+      this.schedulePauseExpiry();
+      return; // Exit early - protections start if the pause ends or settings change
     }
 
     // 5. NOW activate security protections (domain is not whitelisted & extension is active)
     // Note: Script analysis is handled by injected-script.js (runs earlier in page lifecycle)
 
-    // 6. Initialize NavigationGuardian with loaded settings
-    this.navigationGuardian.initialize(this.whitelist, this.navigationStats);
-    this.navigationGuardian.enable();
-
-    // 7. Start all other protection systems
+    // 6. Start all protection systems (initializes NavigationGuardian with loaded settings)
     this.startProtection();
 
     Logger.info('InitComplete', 'Initialization complete');
@@ -113,15 +205,29 @@ class OriginalUIController {
    * Start all protection systems
    */
   startProtection() {
-    if (!this.isActive || this.isDomainWhitelisted()) {
+    this.schedulePauseExpiry();
+
+    if (!this.isActive || this.isProtectionSuspended()) {
       this.stopProtection();
       return;
     }
 
     Logger.info('ProtectionStart', 'Starting protection systems');
 
-    // Start click hijacking protection
-    this.clickProtector.activate();
+    // Scriptlets patch page globals, so they go in before anything else
+    // (no-op when initialize() already injected them)
+    this.injectScriptlets();
+
+    // First start may come after a pause ends or the site leaves the whitelist
+    if (!this.navigationGuardianInitialized) {
+      this.navigationGuardian.initialize(this.whitelist, this.navigationStats, {
+        enabled: this.isSystemEnabled(SITE_PROFILE_SYSTEMS.NAVIGATION_GUARD),
+      });
+      this.navigationGuardianInitialized = true;
+    }
+
+    // Start click hijacking protection and Navigation Guardian (if on for this site)
+    this.applyModuleStates();
 
     // Initial rule execution
     this.executeRules();
@@ -130,6 +236,76 @@ class OriginalUIController {
     this.performInitialScan();
   }
 
+  /**
+   * Inject the scriptlets matching this page
+   * Custom rule scriptlets follow the custom rules toggle, list scriptlets the
+   * cosmetic filters toggle; changes apply from the next page load.
+   */
+  injectScriptlets() {
+    const { SELECTOR_RULES, COSMETIC_FILTERS } = SITE_PROFILE_SYSTEMS;
+    const hostnames = getRuleDomains(this.currentDomain, this.getRuleFrameDomain());
+    this.scriptletInjector.injectForPage(hostnames, {
+      customRules: this.isSystemEnabled(SELECTOR_RULES, this.customRulesEnabled) ? this.customRules : [],
+      subscriptions: this.isSystemEnabled(COSMETIC_FILTERS, true) ? this.filterSubscriptions : [],
+      subscriptionScriptlets: this.subscriptionScriptlets,
+    });
+  }
+
+  /**
+   * Whether a protection system is on for this page
+   * The site profile wins over the global toggle (see @utils/site-profiles.js).
+   * @param {string} system - One of SITE_PROFILE_SYSTEMS
+   * @param {boolean} [globalEnabled] - Global toggle, when it differs from the system's own
+   * @returns {boolean}
+   */
+  isSystemEnabled(system, globalEnabled = this.getGlobalSystemState(system)) {
+    return isSystemEnabled(this.siteOverrides, system, globalEnabled);
+  }
+
+  /**
+   * Global toggle behind a protection system
+   * @param {string} system - One of SITE_PROFILE_SYSTEMS
+   * @returns {boolean}
+   */
+  getGlobalSystemState(system) {
+    switch (system) {
+      case SITE_PROFILE_SYSTEMS.SELECTOR_RULES:
+      case SITE_PROFILE_SYSTEMS.COSMETIC_FILTERS:
+        return this.defaultRulesEnabled; // EasyList is bundled with the default rules
+      case SITE_PROFILE_SYSTEMS.NAVIGATION_GUARD:
+        return this.navigationGuardEnabled;
+      case SITE_PROFILE_SYSTEMS.CLICK_PROTECTION:
+        return this.popUnderProtectionEnabled;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Switch click hijacking protection, anti-adblock wall detection and
+   * Navigation Guardian on or off for this page
+   */
+  applyModuleStates() {
+    if (this.isSystemEnabled(SITE_PROFILE_SYSTEMS.CLICK_PROTECTION)) {
+      this.clickProtector.activate();
+    } else {
+      this.clickProtector.deactivate();
+    }
+
+    // Walls follow element hiding: a site exception for cosmetic filters leaves them alone
+    if (this.isSystemEnabled(SITE_PROFILE_SYSTEMS.COSMETIC_FILTERS, true)) {
+      this.antiAdblockDetector.activate();
+    } else {
+      this.antiAdblockDetector.deactivate();
+    }
+
+    if (this.isSystemEnabled(SITE_PROFILE_SYSTEMS.NAVIGATION_GUARD)) {
+      this.navigationGuardian.enable();
+    } else {
+      this.navigationGuardian.disable();
+    }
+  }
+
   /**
    * Stop all protection systems
    */
@@ -137,9 +313,34 @@ class OriginalUIController {
     Logger.info('ProtectionStop', 'Stopping protection systems');
 
     this.clickProtector.deactivate();
+    this.antiAdblockDetector.deactivate();
     this.navigationGuardian.disable();
   }
 
+  /**
+   * Record that this site showed an anti-adblock wall, so the popup can
+   * suggest a site exception (top frame only - the popup shows the tab's site)
+   */
+  async recordAntiAdblockWall() {
+    if (!this.isTopFrame || !this.currentDomain || !isExtensionContextValid()) {
+      return;
+    }
+
+    try {
+      const result = await safeStorageGet([ANTI_ADBLOCK_WALLS_STORAGE_KEY]);
+      await safeStorageSet({
+        [ANTI_ADBLOCK_WALLS_STORAGE_KEY]: recordWallDetection(
+          result[ANTI_ADBLOCK_WALLS_STORAGE_KEY],
+          this.currentDomain
+        ),
+      });
+    } catch (error) {
+      Logger.warn('AntiAdblockRecordFailed', 'Failed to record anti-adblock wall', {
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Execute all enabled rule sets
    */
@@ -147,26 +348,33 @@ class OriginalUIController {
     Logger.debug('ExecuteRules', 'Executing rules', {
       isActive: this.isActive,
       isDomainWhitelisted: this.isDomainWhitelisted(),
+      isDomainPaused: this.isDomainPaused(),
       currentDomain: this.currentDomain,
     });
 
-    if (!this.isActive || this.isDomainWhitelisted()) {
-      Logger.info('ExecutionSkipped', 'Skipping execution - inactive or whitelisted');
+    if (!this.isActive || this.isProtectionSuspended()) {
+      Logger.info('ExecutionSkipped', 'Skipping execution - inactive, whitelisted or paused');
       return;
     }
 
-    // Build list of enabled sources for rule execution manager
+    // Build list of enabled sources for rule execution manager (site profile wins over toggles)
+    const { SELECTOR_RULES, COSMETIC_FILTERS } = SITE_PROFILE_SYSTEMS;
     const enabledSources = [];
-    if (this.defaultRulesEnabled) {
-      enabledSources.push("default");
+    if (this.isSystemEnabled(SELECTOR_RULES)) enabledSources.push("default");
+    if (this.isSystemEnabled(SELECTOR_RULES, this.customRulesEnabled)) enabledSources.push("custom");
+    if (this.isSystemEnabled(COSMETIC_FILTERS)) {
       enabledSources.push("easylist"); // EasyList bundled with default rules
+      enabledSources.push("easylist-procedural"); // Extended selectors from the same list
+    }
+    if (this.isSystemEnabled(COSMETIC_FILTERS, true)) {
+      enabledSources.push(...this.subscriptionSourceNames); // Per-list enable state
+      enabledSources.push("consent"); // Cookie banners (own toggle: cookieConsentEnabled)
     }
-    if (this.customRulesEnabled) enabledSources.push("custom");
 
     // Execute rules via RuleExecutionManager
     const stats = await this.ruleExecutionManager.executeAllRules(
       this.currentDomain,
-      { enabledSources, timeSlicing: true }
+      { enabledSources, timeSlicing: true, frameDomain: this.getRuleFrameDomain() }
     );
 
     // Update statistics
@@ -202,6 +410,10 @@ class OriginalUIController {
    * Perform initial scan for existing threats
    */
   performInitialScan() {
+    if (!this.isSystemEnabled(SITE_PROFILE_SYSTEMS.CLICK_PROTECTION)) {
+      return;
+    }
+
     Logger.info('InitialScan', 'Performing initial threat scan');
 
     // Scan for click hijacking overlays
@@ -225,6 +437,11 @@ class OriginalUIController {
         "customRulesEnabled",
         "navigationGuardEnabled",
         "navigationStats",
+        "popUnderProtectionEnabled",
+        "filterSubscriptions",
+        SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY,
+        "siteProfiles",
+        "pausedSites",
       ]);
 
       this.isActive = result.isActive || false;
@@ -238,11 +455,18 @@ class OriginalUIController {
         blockedCount: 0,
         allowedCount: 0,
       };
+      this.popUnderProtectionEnabled = result.popUnderProtectionEnabled !== false;
+      this.filterSubscriptions = result.filterSubscriptions || [];
+      this.subscriptionScriptlets = result[SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY] || {};
+      this.siteProfiles = result.siteProfiles || {};
+      this.siteOverrides = getSiteOverrides(this.siteProfiles, this.currentDomain);
+      this.pausedSites = result.pausedSites || {};
       this.domainStats = {};
 
       Logger.info('SettingsLoaded', 'Settings loaded', {
         isActive: this.isActive,
         isDomainWhitelisted: this.isDomainWhitelisted(),
+        isDomainPaused: this.isDomainPaused(),
         rulesCount: {
           default: this.defaultRules.length,
           custom: this.customRules.length,
@@ -252,6 +476,7 @@ class OriginalUIController {
           customRules: this.customRulesEnabled,
           navigationGuard: this.navigationGuardEnabled,
         },
+        siteOverrides: this.siteOverrides,
       });
     } catch (error) {
       Logger.warn('SettingsLoadFailed', 'Failed to load settings from storage', {
@@ -267,6 +492,10 @@ class OriginalUIController {
       this.customRulesEnabled = false;
       this.navigationGuardEnabled = false;
       this.navigationStats = { blockedCount: 0, allowedCount: 0 };
+      this.popUnderProtectionEnabled = false;
+      this.siteProfiles = {};
+      this.siteOverrides = {};
+      this.pausedSites = {};
       this.domainStats = {};
 
       Logger.warn('DefaultSettings', 'Using default settings due to storage error');
@@ -300,10 +529,37 @@ class OriginalUIController {
         this.executeRules();
         sendResponse({ success: true });
       }
+
+      // Counts from this page's frames, relayed by the background (see reportFrameStats())
+      if (request.action === "frameStats" && this.isTopFrame) {
+        this.frameStats.set(request.frameId, request.stats);
+        this.updateDomainStats(this.pageStats);
+        sendResponse({ success: true });
+      }
+
+      if (request.action === "startElementPicker") {
+        this.startElementPicker().then((started) => {
+          sendResponse({ success: started });
+        });
+        return true; // Keep channel open for async response
+      }
     });
 
   }
 
+  /**
+   * Start the element picker so the user can create a custom rule for this site
+   * @returns {Promise<boolean>} True if the picker was started
+   */
+  async startElementPicker() {
+    if (!this.currentDomain) {
+      Logger.warn('ElementPickerSkipped', 'No domain for current page, cannot pick elements');
+      return false;
+    }
+
+    return this.elementPicker.start(this.currentDomain);
+  }
+
   /**
    * Handle storage changes from Chrome's native storage API
    * This method is called when any chrome.storage.local change occurs
@@ -324,27 +580,48 @@ class OriginalUIController {
       shouldRestart = true;
     }
 
+    // Site paused from the popup, resumed, or pause expired
+    if (changes.pausedSites) {
+      this.pausedSites = changes.pausedSites.newValue || {};
+      shouldRestart = true;
+    }
+
+    let shouldApplyModules = false;
+
     if (changes.navigationGuardEnabled) {
       this.navigationGuardEnabled = changes.navigationGuardEnabled.newValue;
-      if (this.navigationGuardEnabled) {
-        this.navigationGuardian.enable();
-      } else {
-        this.navigationGuardian.disable();
-      }
+      shouldApplyModules = true;
     }
 
     if (changes.navigationStats) {
       this.navigationStats = changes.navigationStats.newValue;
     }
 
+    // Navigation decisions edited in settings or remembered in another tab
+    if (changes.permissionCacheV1) {
+      this.navigationGuardian.applyPermissionDecisionChanges(
+        changes.permissionCacheV1.oldValue,
+        changes.permissionCacheV1.newValue
+      );
+    }
+
     // Pop-under protection toggle
     if (changes.popUnderProtectionEnabled) {
-      const enabled = changes.popUnderProtectionEnabled.newValue;
-      if (enabled) {
-        this.clickProtector.activate();
-      } else {
-        this.clickProtector.deactivate();
-      }
+      this.popUnderProtectionEnabled = changes.popUnderProtectionEnabled.newValue !== false;
+      shouldApplyModules = true;
+    }
+
+    // Per-site profile edited (popup "this site" toggles)
+    if (changes.siteProfiles) {
+      this.siteProfiles = changes.siteProfiles.newValue || {};
+      this.siteOverrides = getSiteOverrides(this.siteProfiles, this.currentDomain);
+      shouldApplyModules = true;
+      shouldReExecute = true;
+    }
+
+    // Global toggles and site profiles combine - never re-enable on a whitelisted page
+    if (shouldApplyModules && this.isActive && !this.isProtectionSuspended()) {
+      this.applyModuleStates();
     }
 
     // Script analysis toggle (handled by injected-script.js)
@@ -370,6 +647,33 @@ class OriginalUIController {
       }
     });
 
+    // Custom rules are cached by CustomRuleSource - drop the cache so edits apply immediately
+    if (changes.customRules) {
+      this.ruleExecutionManager?.sources.get("custom")?.invalidateCache?.();
+    }
+
+    // Cookie banner handling toggled or its mode changed (banners already answered stay answered)
+    if (changes.cookieConsentEnabled || changes.cookieConsentMode) {
+      this.ruleExecutionManager?.sources.get("consent")?.invalidateCache?.();
+      // A disabled source is skipped on re-execution, so drop its hiding CSS and watcher here
+      if (changes.cookieConsentEnabled?.newValue === false) {
+        this.ruleExecutionManager?.executors.get("consent")?.cleanup();
+      }
+      shouldReExecute = true;
+    }
+
+    // Subscriptions added, removed, toggled or refreshed - rebuild their sources
+    if (changes.filterSubscriptions) {
+      this.filterSubscriptions = changes.filterSubscriptions.newValue || [];
+      if (this.ruleExecutionManager) {
+        this.subscriptionSourceNames = registerSubscriptionSources(
+          this.ruleExecutionManager,
+          this.filterSubscriptions
+        );
+      }
+      shouldReExecute = true;
+    }
+
     if (shouldRestart) {
       this.startProtection();
     } else if (shouldReExecute) {
@@ -378,12 +682,47 @@ class OriginalUIController {
   }
 
   // Utility methods
+
+  /**
+   * Domain of the top-level page (the frame's own hostname when it cannot be
+   * resolved synchronously - see resolvePageDomain())
+   * @returns {string}
+   */
   getCurrentDomain() {
+    return getTopLevelDomain() ?? this.frameDomain;
+  }
+
+  /**
+   * Domain of the top-level page, asking the background (tab URL by
+   * `sender.frameId`) when the frame cannot see its ancestors
+   * @returns {Promise<string>}
+   */
+  async resolvePageDomain() {
+    const domain = getTopLevelDomain();
+    if (domain !== null) {
+      return domain;
+    }
+
     try {
-      return new URL(window.location.href).hostname;
-    } catch {
-      return "";
+      const response = await safeSendMessage({ action: "getPageDomain" });
+      if (response?.domain) {
+        return response.domain;
+      }
+    } catch (error) {
+      Logger.warn('PageDomainLookupFailed', 'Failed to resolve top-level domain, using frame domain', {
+        error: error.message
+      });
     }
+    return this.frameDomain;
+  }
+
+  /**
+   * Own hostname of an embedded frame, matched by rules alongside the page
+   * domain so site rules still reach third-party embeds (e.g. a YouTube player)
+   * @returns {string|undefined} Undefined in the top frame
+   */
+  getRuleFrameDomain() {
+    return this.isTopFrame ? undefined : this.frameDomain;
   }
 
   isDomainWhitelisted() {
@@ -402,7 +741,72 @@ class OriginalUIController {
     this.whitelistCache = null;
   }
 
+  /**
+   * Whether protection is paused on this page (popup "pause on this site")
+   * @returns {boolean}
+   */
+  isDomainPaused() {
+    return getActivePause(this.pausedSites, this.currentDomain) !== null;
+  }
+
+  /**
+   * Whether this page gets no protection - whitelisted, or paused for now
+   * @returns {boolean}
+   */
+  isProtectionSuspended() {
+    return this.isDomainWhitelisted() || this.isDomainPaused();
+  }
+
+  /**
+   * Restart protection when a timed pause on this page ends
+   * The background alarm clears the pause from storage too; this timer covers
+   * pages where that storage change arrives late.
+   */
+  schedulePauseExpiry() {
+    clearTimeout(this.pauseExpiryTimer);
+    this.pauseExpiryTimer = null;
+
+    const pause = getActivePause(this.pausedSites, this.currentDomain);
+    if (!pause || pause.until === null) {
+      return;
+    }
+
+    this.pauseExpiryTimer = setTimeout(() => {
+      this.pauseExpiryTimer = null;
+      Logger.info('PauseExpired', 'Pause on this site ended, resuming protection');
+      this.startProtection();
+    }, Math.max(0, pause.until - Date.now()));
+  }
+
+  /**
+   * Send this frame's counts to the top frame, which adds them to the page's
+   * domain stats (the background relays the message by tab and frame id)
+   * @param {ExecutionResults} stats - Counts from the last rule execution
+   */
+  reportFrameStats(stats) {
+    const counts = Object.fromEntries(
+      DOMAIN_STAT_KEYS.map((key) => [key, stats[key] || 0])
+    );
+
+    // Most embedded frames block nothing; stay quiet until there is something to count
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0 && !this.frameStatsReported) {
+      return;
+    }
+    this.frameStatsReported = true;
+
+    safeSendMessage({ action: "reportFrameStats", stats: counts }).catch((error) => {
+      console.debug("OriginalUI: Failed to report frame stats:", error.message);
+    });
+  }
+
   async updateDomainStats(stats) {
+    // Frames share the page's domain key; only the top frame writes it so they don't overwrite each other
+    if (!this.isTopFrame) {
+      this.reportFrameStats(stats);
+      return;
+    }
+
     // Check extension context before proceeding
     if (!isExtensionContextValid()) {
       // Use debug-level logging for expected scenario (page unload, extension reload)
@@ -412,24 +816,16 @@ class OriginalUIController {
       return;
     }
 
-    if (!this.domainStats[this.currentDomain]) {
-      this.domainStats[this.currentDomain] = {
-        defaultRulesRemoved: 0,
-        customRulesRemoved: 0,
-        easylistRulesRemoved: 0,
-        easylistRulesHidden: 0,
-      };
+    // Update session stats: this frame's counts plus the latest from each of its frames
+    this.pageStats = stats;
+    const pageEntry = {};
+    for (const key of DOMAIN_STAT_KEYS) {
+      pageEntry[key] = stats[key] || 0;
+      for (const frameCounts of this.frameStats.values()) {
+        pageEntry[key] += frameCounts[key] || 0;
+      }
     }
-
-    // Update session stats
-    this.domainStats[this.currentDomain].defaultRulesRemoved =
-      stats.defaultRulesRemoved || 0;
-    this.domainStats[this.currentDomain].customRulesRemoved =
-      stats.customRulesRemoved || 0;
-    this.domainStats[this.currentDomain].easylistRulesRemoved =
-      stats.easylistRulesRemoved || 0;
-    this.domainStats[this.currentDomain].easylistRulesHidden =
-      stats.easylistRulesHidden || 0;
+    this.domainStats[this.currentDomain] = pageEntry;
 
     // Store in Chrome storage using debounced safe method to reduce API calls
     try {
@@ -489,6 +885,11 @@ class OriginalUIController {
     this.domainStats = {};
     this.navigationStats = { blockedCount: 0, allowedCount: 0 };
     this.whitelistCache = null;
+    this.siteProfiles = {};
+    this.siteOverrides = {};
+    this.pausedSites = {};
+    clearTimeout(this.pauseExpiryTimer);
+    this.pauseExpiryTimer = null;
 
     // Clean up ElementRemover static state
     if (typeof this.constructor.ElementRemover?.cleanup === "function") {
@@ -6,6 +6,7 @@ import { PermissionCache } from "./utils/permission-cache.js";
 import { showBlockedToast } from "./ui/toast-notification.js";
 import { safeParseUrl } from "../utils/url-utils.js";
 import Logger from "./utils/logger.js";
+import { SHADOW_ROOT_ATTACHED_EVENT } from "./modules/rule-execution/executors/hybrid-executor/shadow-roots.js";
 
 (function () {
   "use strict";
@@ -106,14 +107,15 @@ import Logger from "./utils/logger.js";
 
     // 2. Check permission cache (1ms lookup)
     // ✅ FIX: No optional chaining needed - cache always initialized
+    // Decisions for this site first, then ones remembered for the destination everywhere
     const sourceOrigin = window.location.origin;
     try {
       const targetOrigin = urlObj.origin;
-      const cached = inMemoryPermissionCache.getSync(sourceOrigin, targetOrigin);
+      const cached = inMemoryPermissionCache.matchSync(sourceOrigin, targetOrigin);
       if (cached && !cached.isExpired) {
         return {
           decision: cached.decision === 'ALLOW' ? 'ALLOW' : 'BLOCK',
-          reason: 'cached-permission',
+          reason: cached.sourceOrigin === sourceOrigin ? 'cached-permission' : 'cached-permission-any-site',
           metadata: cached.metadata
         };
       }
@@ -206,14 +208,22 @@ import Logger from "./utils/logger.js";
     if (event.source !== window) return;
 
     if (event.data?.type === 'NAV_CACHE_UPDATE') {
-      const { sourceOrigin, targetOrigin, decision, persistent } = event.data;
+      const { sourceOrigin, targetOrigin, decision, persistent, expiresAt, revoked } = event.data;
+
+      // Decision revoked in settings
+      if (revoked) {
+        inMemoryPermissionCache.deleteSync(sourceOrigin, targetOrigin);
+        Logger.debug('PermissionRevoked', 'Permission decision revoked', () => ({ targetOrigin }));
+        return;
+      }
 
       // Cache always exists (initialized synchronously above)
+      // expiresAt is set for decisions replayed from storage (settings edits, other tabs)
       inMemoryPermissionCache.setSync(
         sourceOrigin,
         targetOrigin,
         decision,
-        { persist: persistent }
+        { persist: persistent, expiresAt }
       );
 
       // Debounced sync to chrome.storage happens automatically
@@ -424,7 +434,7 @@ import Logger from "./utils/logger.js";
   }
 
   // Send message to content script and wait for response
-  function checkNavigationPermission(url, signal) {
+  function checkNavigationPermission(url, navType, signal) {
     return new Promise((resolve, reject) => {
       const messageId = generateMessageId();
       let hasResolved = false;
@@ -529,6 +539,7 @@ import Logger from "./utils/logger.js";
           {
             type: "NAV_GUARDIAN_CHECK",
             url: url,
+            navType: navType,
             messageId: messageId,
             popUnderAnalysis: {
               isPopUnder: true, // This function is only called for suspected pop-unders
@@ -566,7 +577,7 @@ import Logger from "./utils/logger.js";
     try {
       for (let attempt = 0; attempt <= CONFIG.MAX_PERMISSION_RETRIES; attempt++) {
         try {
-          return await checkNavigationPermission(url, activeSignal);
+          return await checkNavigationPermission(url, navType, activeSignal);
         } catch (error) {
           // Log error with URL context for debugging
           Logger.warn(
@@ -646,6 +657,7 @@ import Logger from "./utils/logger.js";
     locationAssign: false,
     locationReplace: false,
     locationHref: false,
+    attachShadow: false,
   };
 
   // Pop-under detection now uses MaliciousPatternDetector module
@@ -1273,6 +1285,33 @@ import Logger from "./utils/logger.js";
     );
   }
 
+  // Announce open shadow roots so the content script's cosmetic filtering can
+  // reach into them (the isolated world cannot see attachShadow calls)
+  const originalAttachShadow = Element.prototype.attachShadow;
+  if (typeof originalAttachShadow === "function") {
+    overrideStatus.attachShadow = safeOverride(
+      Element.prototype,
+      "attachShadow",
+      function (init) {
+        const shadowRoot = originalAttachShadow.call(this, init);
+        if (init?.mode === "open") {
+          // Deferred so the page can fill the root before it is scanned
+          const host = this;
+          queueMicrotask(() => {
+            host.dispatchEvent(
+              new CustomEvent(SHADOW_ROOT_ATTACHED_EVENT, {
+                bubbles: true,
+                composed: true,
+              })
+            );
+          });
+        }
+        return shadowRoot;
+      },
+      "Element.prototype.attachShadow"
+    );
+  }
+
   // Log what was successfully overridden
   const successfulOverrides = Object.entries(overrideStatus)
     .filter(([_, success]) => success)
@@ -0,0 +1,348 @@
+/**
+ * Anti-Adblock Wall Detection Module
+ * Removes "disable your ad blocker" overlays that sites show once their bait
+ * elements are hidden, and undoes the scroll lock and blur that come with them
+ */
+
+import Logger from '@script-utils/logger.js';
+
+// Detection thresholds and constants
+const FULLSCREEN_COVERAGE_THRESHOLD = 0.8; // Same as click hijacking protection
+const MAX_WALL_TEXT_LENGTH = 2000; // Walls are short; longer overlays are page content (e.g. fixed app shells)
+const BACKDROP_MAX_TEXT_LENGTH = 20; // Backdrops carry (almost) no text
+const BACKDROP_MAX_Z_INDEX_GAP = 10; // "Directly behind" a wall: z-index at most this far below it
+const SCAN_DELAY_MS = 200; // Debounce for DOM mutations
+
+// Wording of anti-adblock walls (English and the most common other languages)
+const ANTI_ADBLOCK_PATTERNS = [
+  /\bad[\s-]?block(er|ers|ing)?\b/i,
+  /\b(disable|turn off|pause|deactivate) (your |the )?ad/i,
+  /\b(whitelist|allowlist|allow ?list) (us|this site|our site)\b/i,
+  /werbeblocker|adblocker deaktivieren/i,
+  /bloqueur de pub/i,
+  /bloqueador de (anuncios|publicidad|an[úu]ncios)/i,
+  /blocco (degli )?annunci/i,
+];
+
+// Our own UI (Navigation Guardian modal, toasts, element picker) must never be treated as a wall
+const OWN_UI_SELECTOR = '[id^="originalui-"], [class^="originalui-"]';
+
+// Dialog-like elements that are checked even when they are not direct children of body
+const DIALOG_SELECTOR = 'dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"]';
+
+export class AntiAdblockDetector {
+  /**
+   * @param {object} [options]
+   * @param {function({removed: number}): void} [options.onDetected] - Called the first time
+   *   a wall is removed on the page (used to record the site)
+   */
+  constructor({ onDetected } = {}) {
+    this.isActive = false;
+    this.onDetected = onDetected || null;
+    this.wallDetected = false;
+    this.removedCount = 0;
+    this.observer = null;
+    this.scanTimer = null;
+
+    this._boundScheduleScan = this.scheduleScan.bind(this);
+  }
+
+  /**
+   * Activate wall detection (scans now and whenever the page changes)
+   */
+  activate() {
+    if (this.isActive) {
+      return;
+    }
+    this.isActive = true;
+    this.startObserving();
+    this.scan();
+    Logger.info('AntiAdblockActivated', 'Anti-adblock wall detection activated');
+  }
+
+  /**
+   * Deactivate wall detection
+   */
+  deactivate() {
+    this.isActive = false;
+    this.stopObserving();
+    Logger.info('AntiAdblockDeactivated', 'Anti-adblock wall detection deactivated');
+  }
+
+  /**
+   * Clean up observers and timers
+   */
+  cleanup() {
+    this.deactivate();
+    this.onDetected = null;
+    Logger.info('AntiAdblockCleanup', 'Anti-adblock wall detection cleaned up');
+  }
+
+  /**
+   * Watch body children (walls are usually appended there) and html/body
+   * attributes (scroll lock and blur are applied through style/class)
+   */
+  startObserving() {
+    if (this.observer || typeof MutationObserver === 'undefined') {
+      return;
+    }
+
+    this.observer = new MutationObserver(this._boundScheduleScan);
+    const attributeOptions = { attributes: true, attributeFilter: ['style', 'class'] };
+    this.observer.observe(document.documentElement, attributeOptions);
+    if (document.body) {
+      this.observer.observe(document.body, { ...attributeOptions, childList: true });
+    } else {
+      // document_start: body does not exist yet
+      this.observer.observe(document.documentElement, { childList: true });
+    }
+  }
+
+  stopObserving() {
+    this.observer?.disconnect();
+    this.observer = null;
+    clearTimeout(this.scanTimer);
+    this.scanTimer = null;
+  }
+
+  /**
+   * Debounced scan after DOM mutations
+   * @private
+   */
+  scheduleScan() {
+    if (!this.isActive || this.scanTimer) {
+      return;
+    }
+    this.scanTimer = setTimeout(() => {
+      this.scanTimer = null;
+      // Body may have been created since observing started
+      if (this.observer && document.body) {
+        this.observer.observe(document.body, {
+          attributes: true,
+          attributeFilter: ['style', 'class'],
+          childList: true,
+        });
+      }
+      this.scan();
+    }, SCAN_DELAY_MS);
+  }
+
+  /**
+   * Find and neutralise anti-adblock walls
+   * Once a wall was found, later scans keep undoing the scroll lock and blur
+   * (sites often re-apply them on a timer).
+   * @returns {number} Walls and backdrops removed by this scan
+   */
+  scan() {
+    if (!this.isActive || !document.body) {
+      return 0;
+    }
+
+    try {
+      const walls = this.findWalls();
+      let removed = 0;
+
+      if (walls.length > 0) {
+        const backdrops = this.findBackdrops(walls);
+        [...walls, ...backdrops].forEach((element) => this.removeOverlay(element));
+        removed = walls.length + backdrops.length;
+        this.removedCount += removed;
+      }
+
+      if (walls.length > 0 || this.wallDetected) {
+        this.restoreScrolling();
+        this.removeBlur();
+      }
+
+      if (walls.length > 0 && !this.wallDetected) {
+        this.wallDetected = true;
+        Logger.security('AntiAdblockWallRemoved', 'Removed anti-adblock wall', { removed });
+        this.onDetected?.({ removed });
+      }
+
+      return removed;
+    } catch (error) {
+      Logger.warn('AntiAdblockScanError', 'Error scanning for anti-adblock walls', { error });
+      return 0;
+    }
+  }
+
+  /**
+   * Candidate overlays: body children, dialogs, and the fixed ancestors of
+   * whatever sits in the middle of the viewport
+   * @returns {HTMLElement[]}
+   */
+  getCandidates() {
+    const candidates = new Set([
+      ...document.body.children,
+      ...document.querySelectorAll(DIALOG_SELECTOR),
+    ]);
+
+    if (typeof document.elementsFromPoint === 'function') {
+      document.elementsFromPoint(window.innerWidth / 2, window.innerHeight / 2).forEach((element) => {
+        for (let node = element; node && node !== document.body; node = node.parentElement) {
+          candidates.add(node);
+        }
+      });
+    }
+
+    return [...candidates].filter(
+      (element) => element instanceof HTMLElement && !element.closest(OWN_UI_SELECTOR)
+    );
+  }
+
+  /**
+   * Anti-adblock walls on the page (outermost element of each)
+   * @returns {HTMLElement[]}
+   */
+  findWalls() {
+    const walls = this.getCandidates().filter((element) => this.isAntiAdblockWall(element));
+    return walls.filter((wall) => !walls.some((other) => other !== wall && other.contains(wall)));
+  }
+
+  /**
+   * Whether an element is a fixed full-screen (or modal) overlay asking to disable ad blocking
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  isAntiAdblockWall(element) {
+    const style = window.getComputedStyle(element);
+    if (style.position !== 'fixed' || style.display === 'none' || style.visibility === 'hidden') {
+      return false;
+    }
+
+    const isDialog = element.matches(DIALOG_SELECTOR);
+    if (!isDialog && !this.coversViewport(element)) {
+      return false;
+    }
+
+    return this.hasAntiAdblockText(element);
+  }
+
+  /**
+   * Whether an element's text asks the user to disable their ad blocker
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  hasAntiAdblockText(element) {
+    const text = element.textContent || '';
+    return text.length <= MAX_WALL_TEXT_LENGTH && ANTI_ADBLOCK_PATTERNS.some((pattern) => pattern.test(text));
+  }
+
+  /**
+   * Whether an element covers most of the viewport
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  coversViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return (
+      rect.width >= window.innerWidth * FULLSCREEN_COVERAGE_THRESHOLD &&
+      rect.height >= window.innerHeight * FULLSCREEN_COVERAGE_THRESHOLD
+    );
+  }
+
+  /**
+   * Dimmed full-screen layers shown behind the walls (fixed, no text)
+   * A fixed, text-less layer is only a backdrop when it looks like one -
+   * see isBackdropLayer() - so fixed app roots and page shells stay.
+   * @param {HTMLElement[]} walls
+   * @returns {HTMLElement[]}
+   */
+  findBackdrops(walls) {
+    const wallZIndexes = walls.map((wall) => parseInt(window.getComputedStyle(wall).zIndex, 10));
+
+    return [...document.body.children].filter((element) => {
+      if (walls.some((wall) => wall === element || wall.contains(element) || element.contains(wall))) {
+        return false;
+      }
+      if (element.closest(OWN_UI_SELECTOR) || (element.textContent || '').trim().length > BACKDROP_MAX_TEXT_LENGTH) {
+        return false;
+      }
+      const style = window.getComputedStyle(element);
+      return (
+        style.position === 'fixed' &&
+        this.coversViewport(element) &&
+        this.isBackdropLayer(style, wallZIndexes)
+      );
+    });
+  }
+
+  /**
+   * Whether a fixed full-screen layer dims the page or sits directly behind a wall:
+   * translucent background, opacity below 1, or a z-index just below a wall's
+   * @param {CSSStyleDeclaration} style - Computed style of the layer
+   * @param {number[]} wallZIndexes - Z-indexes of the walls (NaN for `auto`)
+   * @returns {boolean}
+   */
+  isBackdropLayer(style, wallZIndexes) {
+    if (isTranslucent(style.backgroundColor) || parseFloat(style.opacity) < 1) {
+      return true;
+    }
+
+    const zIndex = parseInt(style.zIndex, 10);
+    return wallZIndexes.some(
+      (wallZIndex) => zIndex < wallZIndex && wallZIndex - zIndex <= BACKDROP_MAX_Z_INDEX_GAP
+    );
+  }
+
+  /**
+   * Remove an overlay and log the action
+   * @param {HTMLElement} overlay
+   */
+  removeOverlay(overlay) {
+    Logger.debug('AntiAdblockOverlayRemoved', 'Removing anti-adblock overlay', {
+      tagName: overlay.tagName,
+      id: overlay.id,
+      className: overlay.className,
+    });
+    overlay.setAttribute('data-justui-removed', 'anti-adblock');
+    overlay.remove();
+  }
+
+  /**
+   * Undo `overflow: hidden` on html and body
+   */
+  restoreScrolling() {
+    [document.documentElement, document.body].forEach((element) => {
+      const style = window.getComputedStyle(element);
+      if (style.overflow === 'hidden' || style.overflowY === 'hidden') {
+        element.style.setProperty('overflow', 'auto', 'important');
+        element.style.setProperty('overflow-y', 'auto', 'important');
+      }
+    });
+  }
+
+  /**
+   * Undo `filter: blur(...)` on html, body and the page's top-level containers
+   */
+  removeBlur() {
+    [document.documentElement, document.body, ...document.body.children].forEach((element) => {
+      if (element.closest?.(OWN_UI_SELECTOR)) {
+        return;
+      }
+      if ((window.getComputedStyle(element).filter || '').includes('blur(')) {
+        element.style.setProperty('filter', 'none', 'important');
+      }
+    });
+  }
+}
+
+/**
+ * Whether a computed color is partly transparent (`rgba(0, 0, 0, 0.6)`, `rgb(0 0 0 / 60%)`)
+ * @param {string} color - Computed CSS color
+ * @returns {boolean}
+ */
+function isTranslucent(color) {
+  const match = /^rgba?\(([^)]*)\)$/.exec((color || '').trim());
+  if (!match) {
+    return false;
+  }
+
+  const [, , , alphaText] = match[1].split(/[\s,/]+/).filter(Boolean);
+  if (alphaText === undefined) {
+    return false;
+  }
+  const alpha = alphaText.endsWith('%') ? parseFloat(alphaText) / 100 : parseFloat(alphaText);
+  return alpha > 0 && alpha < 1;
+}
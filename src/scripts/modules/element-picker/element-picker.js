@@ -0,0 +1,546 @@
+/**
+ * Element Picker Module - Point-and-click creation of custom selector rules
+ *
+ * @fileoverview Lets the user hover and click an element on the page, widen or narrow
+ * the selection through its ancestors/children, preview every element the generated
+ * selector matches, and save the result as a domain-scoped `customRules` entry.
+ * The highlight layer and toolbar live inside the shared Shadow DOM UI so page CSS
+ * cannot interfere, and saved rules use the exact shape produced by RuleEditModal so
+ * CustomRuleSource and SelectorExecutor pick them up without translation.
+ *
+ * @example
+ * const picker = new ElementPicker();
+ * await picker.start('example.com');
+ * // ...user clicks an element and presses "Save Rule"
+ * picker.cleanup();
+ *
+ * @module ElementPicker
+ * @since 1.0.0
+ * @author OriginalUI Team
+ */
+
+import Logger from "@script-utils/logger.js";
+import { safeStorageGet, safeStorageSet } from "@script-utils/chrome-api-safe.js";
+import {
+  createShadowDOMWithStyles,
+  injectBaseShadowStyles,
+  injectFontsIntoDocument,
+} from "@utils/shadow-dom.js";
+import { mountElementPickerPanel } from "@/components/element-picker-panel.jsx";
+import { SelectorParser } from "../rule-execution/parsers/selector-parser.js";
+import { SelectorBuilder } from "./selector-builder.js";
+
+/**
+ * Maximum number of preview boxes drawn for selector matches
+ * @type {number}
+ * @private
+ */
+const MAX_PREVIEW_BOXES = 100;
+
+/**
+ * Highlight colors (kept in sync with the accent purple used by the UI kit)
+ * @type {{target: string, preview: string}}
+ * @private
+ */
+const HIGHLIGHT_COLORS = {
+  target: "rgba(147, 51, 234, 0.25)",
+  preview: "rgba(147, 51, 234, 0.9)",
+};
+
+/**
+ * ElementPicker class providing the interactive "pick element" workflow
+ * @class
+ */
+export class ElementPicker {
+  /**
+   * @param {object} [options]
+   * @param {SelectorBuilder} [options.selectorBuilder] - Selector builder instance
+   * @param {SelectorParser} [options.selectorParser] - Used for selector validation
+   */
+  constructor(options = {}) {
+    this.selectorBuilder = options.selectorBuilder || new SelectorBuilder();
+    this.selectorParser = options.selectorParser || new SelectorParser();
+
+    this.isActive = false;
+    this.domain = "";
+
+    /** @private */
+    this.shadowDOMSetup = null;
+    /** @private */
+    this.panel = null;
+    /** @private */
+    this.highlightLayer = null;
+
+    // Selection state
+    this.hoveredElement = null;
+    this.selectedElement = null;
+    this.selector = "";
+    this.matchCount = 0;
+    this.isLocked = false;
+    this.error = "";
+
+    /**
+     * Elements stepped out of via widen(), so narrow() can walk back down the same path
+     * @type {Element[]}
+     * @private
+     */
+    this.childTrail = [];
+
+    /** @private */
+    this.redrawFrame = null;
+
+    // Stable bound handler references for add/removeEventListener
+    this._boundMouseMove = this._handleMouseMove.bind(this);
+    this._boundClick = this._handleClick.bind(this);
+    this._boundKeyDown = this._handleKeyDown.bind(this);
+    this._boundViewportChange = this._scheduleRedraw.bind(this);
+  }
+
+  /**
+   * Enter picker mode on the current page
+   * @param {string} domain - Current page domain (rules are scoped to it)
+   * @returns {Promise<boolean>} True if picker mode was started
+   */
+  async start(domain) {
+    if (this.isActive) {
+      Logger.debug("ElementPicker:Start", "Picker already active");
+      return false;
+    }
+
+    this.isActive = true;
+    this.domain = domain;
+
+    try {
+      injectFontsIntoDocument();
+      const shadowDOMSetup = await createShadowDOMWithStyles();
+      if (!this.isActive) {
+        // stop() ran while the UI was loading
+        shadowDOMSetup.container.remove();
+        return false;
+      }
+      this.shadowDOMSetup = shadowDOMSetup;
+      const { shadowRoot, portalTarget } = shadowDOMSetup;
+      injectBaseShadowStyles(shadowRoot);
+
+      // Let the cursor reach page elements; only the toolbar itself is interactive
+      portalTarget.style.pointerEvents = "none";
+
+      this.highlightLayer = document.createElement("div");
+      this.highlightLayer.style.cssText =
+        "position: fixed; inset: 0; pointer-events: none;";
+      shadowRoot.insertBefore(this.highlightLayer, portalTarget);
+
+      this.panel = mountElementPickerPanel(this.shadowDOMSetup, {
+        ...this.getPanelState(),
+        onSelectorChange: (value) => this.setSelector(value),
+        onWiden: () => this.widen(),
+        onNarrow: () => this.narrow(),
+        onSave: (description) => this.save(description),
+        onCancel: () => this.stop(),
+      });
+    } catch (error) {
+      Logger.error("ElementPicker:Start", "Failed to create picker UI", error);
+      this.stop();
+      return false;
+    }
+
+    window.addEventListener("mousemove", this._boundMouseMove, true);
+    window.addEventListener("click", this._boundClick, true);
+    window.addEventListener("keydown", this._boundKeyDown, true);
+    window.addEventListener("scroll", this._boundViewportChange, { capture: true, passive: true });
+    window.addEventListener("resize", this._boundViewportChange, { passive: true });
+
+    Logger.info("ElementPicker:Start", "Element picker started", { domain });
+    return true;
+  }
+
+  /**
+   * Leave picker mode and remove all UI
+   */
+  stop() {
+    if (!this.isActive) {
+      return;
+    }
+    this.isActive = false;
+
+    window.removeEventListener("mousemove", this._boundMouseMove, true);
+    window.removeEventListener("click", this._boundClick, true);
+    window.removeEventListener("keydown", this._boundKeyDown, true);
+    window.removeEventListener("scroll", this._boundViewportChange, { capture: true });
+    window.removeEventListener("resize", this._boundViewportChange);
+
+    if (this.redrawFrame !== null) {
+      cancelAnimationFrame(this.redrawFrame);
+      this.redrawFrame = null;
+    }
+
+    try {
+      this.panel?.unmount();
+    } catch (error) {
+      Logger.warn("ElementPicker:Stop", "Failed to unmount picker panel", error);
+    }
+
+    const container = this.shadowDOMSetup?.container;
+    if (container?.parentNode) {
+      container.parentNode.removeChild(container);
+    }
+
+    this.panel = null;
+    this.shadowDOMSetup = null;
+    this.highlightLayer = null;
+    this.hoveredElement = null;
+    this.selectedElement = null;
+    this.selector = "";
+    this.matchCount = 0;
+    this.isLocked = false;
+    this.error = "";
+    this.childTrail = [];
+
+    Logger.info("ElementPicker:Stop", "Element picker stopped");
+  }
+
+  /**
+   * Lock the selection onto an element and build its selector
+   * @param {Element} element - Element to select
+   */
+  select(element) {
+    if (!element || this.isPickerNode(element)) {
+      return;
+    }
+
+    this.selectedElement = element;
+    this.childTrail = [];
+    this.isLocked = true;
+    this.applySelector(this.selectorBuilder.build(element));
+  }
+
+  /**
+   * Widen the selection to the parent element
+   * @returns {boolean} True if the selection changed
+   */
+  widen() {
+    const parent = this.selectedElement?.parentElement;
+    if (!parent || !this.isSelectableElement(parent)) {
+      return false;
+    }
+
+    this.childTrail.push(this.selectedElement);
+    this.selectedElement = parent;
+    this.applySelector(this.selectorBuilder.build(parent));
+    return true;
+  }
+
+  /**
+   * Narrow the selection back to the previous child, or to the first child element
+   * @returns {boolean} True if the selection changed
+   */
+  narrow() {
+    if (!this.selectedElement) {
+      return false;
+    }
+
+    const child = this.childTrail.pop() || this.selectedElement.firstElementChild;
+    if (!child) {
+      return false;
+    }
+
+    this.selectedElement = child;
+    this.applySelector(this.selectorBuilder.build(child));
+    return true;
+  }
+
+  /**
+   * Replace the selector with a user-edited one (selection stays where it is)
+   * @param {string} selector - CSS selector typed by the user
+   */
+  setSelector(selector) {
+    this.applySelector(typeof selector === "string" ? selector : "");
+  }
+
+  /**
+   * Get elements currently matched by the selector (excluding picker UI)
+   * @returns {Element[]} Matching elements
+   */
+  getMatches() {
+    return this.selectorBuilder
+      .queryAll(this.selector)
+      .filter((element) => !this.isPickerNode(element));
+  }
+
+  /**
+   * Build the customRules entry for the current selection
+   * @param {string} [description] - Optional user description
+   * @returns {Object|null} Rule object or null when nothing is selected
+   */
+  buildRule(description = "") {
+    const selector = this.selector.trim();
+    if (!selector) {
+      return null;
+    }
+
+    return {
+      id: `custom-${Date.now()}`,
+      selector,
+      description: description || `Picked element on ${this.domain}`,
+      domains: [this.domain],
+      category: "custom",
+      confidence: "user-defined",
+      enabled: true,
+    };
+  }
+
+  /**
+   * Validate and persist the current selection as a custom rule
+   * @param {string} [description] - Optional user description
+   * @returns {Promise<Object|null>} Saved rule, or null if validation/storage failed
+   */
+  async save(description = "") {
+    const rule = this.buildRule(description);
+
+    if (!rule || !this.selectorParser.validateSelector(rule.selector)) {
+      this.setError("Selector is not valid CSS");
+      return null;
+    }
+    if (this.getMatches().length === 0) {
+      this.setError("Selector does not match anything on this page");
+      return null;
+    }
+
+    try {
+      const result = await safeStorageGet(["customRules"]);
+      const customRules = Array.isArray(result?.customRules) ? result.customRules : [];
+
+      const isDuplicate = customRules.some(
+        (existing) =>
+          !existing.isException &&
+          existing.selector === rule.selector &&
+          (existing.domains || []).includes(this.domain)
+      );
+      if (isDuplicate) {
+        this.setError("A rule with this selector already exists for this site");
+        return null;
+      }
+
+      await safeStorageSet({ customRules: [...customRules, rule] });
+    } catch (error) {
+      Logger.error("ElementPicker:Save", "Failed to save custom rule", error);
+      this.setError("Failed to save rule. Please try again.");
+      return null;
+    }
+
+    Logger.info("ElementPicker:Save", "Custom rule saved from picker", {
+      selector: rule.selector,
+      domain: this.domain,
+    });
+
+    this.stop();
+    return rule;
+  }
+
+  /**
+   * Clean up all event listeners and UI (CleanupRegistry interface)
+   */
+  cleanup() {
+    this.stop();
+  }
+
+  /**
+   * Check whether a node belongs to the picker's own UI
+   * @param {Node} node - Node to check
+   * @returns {boolean} True if node is part of the picker UI
+   */
+  isPickerNode(node) {
+    const container = this.shadowDOMSetup?.container;
+    return Boolean(container && node && (node === container || container.contains(node)));
+  }
+
+  /**
+   * Elements that can be picked (never the document root/body or picker UI)
+   * @param {Element} element - Candidate element
+   * @returns {boolean} True if selectable
+   * @private
+   */
+  isSelectableElement(element) {
+    if (!element || element.nodeType !== 1 || this.isPickerNode(element)) {
+      return false;
+    }
+    return element !== document.documentElement && element !== document.body;
+  }
+
+  /**
+   * Store a selector, recount matches and refresh UI
+   * @param {string} selector - New selector
+   * @private
+   */
+  applySelector(selector) {
+    this.selector = selector;
+    this.matchCount = this.getMatches().length;
+    this.error = "";
+    this.render();
+  }
+
+  /**
+   * Show an error in the panel
+   * @param {string} message - Error message
+   * @private
+   */
+  setError(message) {
+    this.error = message;
+    this.render();
+  }
+
+  /**
+   * Current props for the panel component
+   * @returns {Object} Panel props
+   * @private
+   */
+  getPanelState() {
+    return {
+      domain: this.domain,
+      selector: this.selector,
+      matchCount: this.matchCount,
+      isLocked: this.isLocked,
+      canWiden: this.isSelectableElement(this.selectedElement?.parentElement),
+      canNarrow: Boolean(this.childTrail.length || this.selectedElement?.firstElementChild),
+      error: this.error,
+    };
+  }
+
+  /**
+   * Re-render panel and highlight boxes
+   * @private
+   */
+  render() {
+    this.panel?.update(this.getPanelState());
+    this.drawHighlights();
+  }
+
+  /**
+   * Draw the target box plus preview boxes for every match
+   * @private
+   */
+  drawHighlights() {
+    if (!this.highlightLayer) {
+      return;
+    }
+
+    this.highlightLayer.replaceChildren();
+
+    const target = this.isLocked ? this.selectedElement : this.hoveredElement;
+    if (target) {
+      this.highlightLayer.appendChild(
+        this.createBox(target.getBoundingClientRect(), `background: ${HIGHLIGHT_COLORS.target};`)
+      );
+    }
+
+    if (!this.isLocked) {
+      return;
+    }
+
+    this.getMatches()
+      .slice(0, MAX_PREVIEW_BOXES)
+      .forEach((element) => {
+        this.highlightLayer.appendChild(
+          this.createBox(
+            element.getBoundingClientRect(),
+            `outline: 2px dashed ${HIGHLIGHT_COLORS.preview};`
+          )
+        );
+      });
+  }
+
+  /**
+   * Create a fixed-position box over a viewport rect
+   * @param {DOMRect} rect - Element bounding rect
+   * @param {string} style - Extra inline style
+   * @returns {HTMLDivElement} Box element
+   * @private
+   */
+  createBox(rect, style) {
+    const box = document.createElement("div");
+    box.style.cssText = `
+      position: fixed;
+      top: ${rect.top}px;
+      left: ${rect.left}px;
+      width: ${rect.width}px;
+      height: ${rect.height}px;
+      pointer-events: none;
+      box-sizing: border-box;
+      ${style}
+    `;
+    return box;
+  }
+
+  /**
+   * Coalesce scroll/resize redraws into one per frame
+   * @private
+   */
+  _scheduleRedraw() {
+    if (this.redrawFrame !== null) {
+      return;
+    }
+    this.redrawFrame = requestAnimationFrame(() => {
+      this.redrawFrame = null;
+      this.drawHighlights();
+    });
+  }
+
+  /**
+   * Track the hovered element until a selection is locked
+   * @param {MouseEvent} event - Mouse event
+   * @private
+   */
+  _handleMouseMove(event) {
+    if (this.isLocked || !this.isSelectableElement(event.target)) {
+      return;
+    }
+    if (event.target !== this.hoveredElement) {
+      this.hoveredElement = event.target;
+      this.drawHighlights();
+    }
+  }
+
+  /**
+   * Select the clicked page element and keep the page from reacting to the click
+   * @param {MouseEvent} event - Click event
+   * @private
+   */
+  _handleClick(event) {
+    if (this.isPickerNode(event.target)) {
+      return; // Toolbar interaction
+    }
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (this.isSelectableElement(event.target)) {
+      this.select(event.target);
+    }
+  }
+
+  /**
+   * Keyboard shortcuts: Esc exits, ArrowUp/ArrowDown widen/narrow a locked selection
+   * @param {KeyboardEvent} event - Keyboard event
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.stop();
+      return;
+    }
+
+    // Don't steal arrow keys from the toolbar inputs
+    if (!this.isLocked || this.isPickerNode(event.target)) {
+      return;
+    }
+
+    if (event.key === "ArrowUp") {
+      event.preventDefault();
+      this.widen();
+    } else if (event.key === "ArrowDown") {
+      event.preventDefault();
+      this.narrow();
+    }
+  }
+}
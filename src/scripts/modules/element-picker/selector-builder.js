@@ -0,0 +1,219 @@
+/**
+ * Selector Builder
+ *
+ * @fileoverview Builds short, stable CSS selectors for elements picked by the user.
+ * Prefers human-authored IDs and class names and skips tokens that look generated
+ * (CSS-in-JS hashes, long numeric runs), so a saved rule keeps matching after reload.
+ * Falls back to :nth-of-type() only where siblings are otherwise indistinguishable.
+ *
+ * @module selector-builder
+ */
+
+import Logger from "@script-utils/logger.js";
+
+/**
+ * Patterns for class/id tokens that are likely regenerated on every build or page load
+ * @type {RegExp[]}
+ * @private
+ */
+const UNSTABLE_TOKEN_PATTERNS = [
+  /\d{3,}/, // Long numeric runs (timestamps, counters)
+  /^(css|sc|jsx|emotion|styled)-/i, // CSS-in-JS prefixes
+  /(^|[_-])(?=[a-zA-Z]*\d)(?=\d*[a-zA-Z])[a-zA-Z0-9]{5,}$/, // Mixed letter/digit hash (e.g. "header_a8f3k")
+];
+
+/**
+ * Class name prefixes used by the extension itself - never part of a saved selector
+ * @type {string[]}
+ * @private
+ */
+const EXTENSION_CLASS_PREFIXES = ["originalui-", "justui-"];
+
+/**
+ * Builds stable CSS selectors for DOM elements
+ */
+export class SelectorBuilder {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxDepth=6] - Maximum ancestors to walk before giving up on uniqueness
+   * @param {number} [options.maxClasses=2] - Maximum class names per path segment
+   */
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth ?? 6;
+    this.maxClasses = options.maxClasses ?? 2;
+  }
+
+  /**
+   * Build a selector that uniquely identifies the element when possible
+   * @param {Element} element - Target element
+   * @returns {string} CSS selector ('' if element is not selectable)
+   */
+  build(element) {
+    if (!element || element.nodeType !== 1) {
+      return "";
+    }
+
+    const root = element.ownerDocument || document;
+    const segments = [];
+    let current = element;
+    let depth = 0;
+
+    while (current && current.nodeType === 1 && depth < this.maxDepth) {
+      const tagName = current.tagName.toLowerCase();
+      if (tagName === "html" || tagName === "body") {
+        segments.unshift(tagName);
+        break;
+      }
+
+      const stableId = this.getStableId(current, root);
+      if (stableId) {
+        segments.unshift(`#${escapeIdentifier(stableId)}`);
+        break;
+      }
+
+      segments.unshift(this.buildSegment(current));
+
+      const candidate = segments.join(" > ");
+      if (this.countMatches(candidate, root) === 1) {
+        return candidate;
+      }
+
+      current = current.parentElement;
+      depth++;
+    }
+
+    const selector = segments.join(" > ");
+    Logger.debug("ElementPicker:SelectorBuilder", "Built selector", {
+      selector,
+      matches: this.countMatches(selector, root),
+    });
+    return selector;
+  }
+
+  /**
+   * Count elements matching a selector (0 for invalid selectors)
+   * @param {string} selector - CSS selector
+   * @param {Document|Element} [root=document] - Query root
+   * @returns {number} Match count
+   */
+  countMatches(selector, root = document) {
+    return this.queryAll(selector, root).length;
+  }
+
+  /**
+   * Query elements matching a selector without throwing
+   * @param {string} selector - CSS selector
+   * @param {Document|Element} [root=document] - Query root
+   * @returns {Element[]} Matching elements
+   */
+  queryAll(selector, root = document) {
+    if (!selector || typeof selector !== "string") {
+      return [];
+    }
+
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Return the element's id when it is both stable-looking and unique
+   * @param {Element} element - Element to inspect
+   * @param {Document} root - Owning document
+   * @returns {string|null} Stable id or null
+   * @private
+   */
+  getStableId(element, root) {
+    const id = element.getAttribute("id");
+    if (!id || !this.isStableToken(id)) {
+      return null;
+    }
+
+    return this.countMatches(`#${escapeIdentifier(id)}`, root) === 1 ? id : null;
+  }
+
+  /**
+   * Build a single path segment: tag + stable classes, plus :nth-of-type when needed
+   * @param {Element} element - Element to describe
+   * @returns {string} Selector segment
+   * @private
+   */
+  buildSegment(element) {
+    const tagName = element.tagName.toLowerCase();
+    const classes = this.getStableClasses(element).slice(0, this.maxClasses);
+    let segment = tagName + classes.map((cls) => `.${escapeIdentifier(cls)}`).join("");
+
+    const parent = element.parentElement;
+    if (parent) {
+      const lookalikes = Array.from(parent.children).filter(
+        (sibling) => sibling.tagName === element.tagName && matchesSafely(sibling, segment)
+      );
+      if (lookalikes.length > 1) {
+        const sameTag = Array.from(parent.children).filter(
+          (sibling) => sibling.tagName === element.tagName
+        );
+        segment += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+      }
+    }
+
+    return segment;
+  }
+
+  /**
+   * Get class names that look hand-written
+   * @param {Element} element - Element to inspect
+   * @returns {string[]} Stable class names
+   * @private
+   */
+  getStableClasses(element) {
+    return Array.from(element.classList || []).filter(
+      (cls) =>
+        this.isStableToken(cls) &&
+        !EXTENSION_CLASS_PREFIXES.some((prefix) => cls.startsWith(prefix))
+    );
+  }
+
+  /**
+   * Check whether an id/class token looks stable across page loads
+   * @param {string} token - Token to check
+   * @returns {boolean} True if token is likely stable
+   */
+  isStableToken(token) {
+    if (!token || token.length > 40) {
+      return false;
+    }
+    return !UNSTABLE_TOKEN_PATTERNS.some((pattern) => pattern.test(token));
+  }
+}
+
+/**
+ * Escape an identifier for use in a selector (CSS.escape with a fallback for older runtimes)
+ * @param {string} value - Raw identifier
+ * @returns {string} Escaped identifier
+ * @private
+ */
+function escapeIdentifier(value) {
+  if (typeof CSS !== "undefined" && typeof CSS.escape === "function") {
+    return CSS.escape(value);
+  }
+  return String(value)
+    .replace(/([^a-zA-Z0-9_-])/g, "\\$1")
+    .replace(/^(\d)/, "\\3$1 ");
+}
+
+/**
+ * Element.matches without throwing on invalid selectors
+ * @param {Element} element - Element to test
+ * @param {string} selector - CSS selector
+ * @returns {boolean} True if element matches
+ * @private
+ */
+function matchesSafely(element, selector) {
+  try {
+    return element.matches(selector);
+  } catch (error) {
+    return false;
+  }
+}
@@ -128,10 +128,12 @@ export class ModalManager {
    * @param {number} [config.threatDetails.riskScore] - Risk score (0-20+)
    * @param {Array} [config.threatDetails.threats] - Array of detected threats
    * @param {boolean} [config.threatDetails.isPopUnder] - True if pop-under detected
-   * @returns {Promise<Object>} Promise that resolves with {allowed: boolean, remember: boolean}
+   * @param {Object} [config.destination] - Destination preview (see NavigationGuardian.getDestinationPreview)
+   * @returns {Promise<Object>} Promise that resolves with {allowed: boolean, remember: string|false}
+   *   (`remember` is one of REMEMBER_SCOPES, or false; `directUrl` is set for "go directly")
    */
   async showConfirmationModal(config) {
-    const { url: targetURL, threatDetails = null } = config;
+    const { url: targetURL, threatDetails = null, destination = null } = config;
 
     // Prevent multiple modals for the same URL
     if (this.activeModal) {
@@ -162,6 +164,7 @@ export class ModalManager {
     const modalConfig = {
       url: validatedURL,
       threatDetails: threatDetails,
+      destination: destination,
     };
 
     try {
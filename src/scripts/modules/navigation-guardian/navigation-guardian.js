@@ -32,8 +32,17 @@
 import Logger from "@script-utils/logger.js";
 import {
   isExtensionContextValid,
+  safeStorageGet,
   safeStorageSet,
 } from "@script-utils/chrome-api-safe.js";
+import { PERMISSION_CACHE_STORAGE_KEY } from "@script-utils/permission-cache.js";
+import {
+  NEVER_EXPIRES,
+  addPermissionDecision,
+  toCacheUpdateMessages,
+  toRememberedDecision,
+} from "@utils/permission-decisions.js";
+import { resolveDestination } from "@utils/destination-preview.js";
 import { domainMatches, safeParseUrl } from "@utils/url-utils.js";
 import { ModalManager } from "./modal-manager.js";
 import { SecurityValidator } from "./security-validator.js";
@@ -132,7 +141,7 @@ export class NavigationGuardian {
       typeof this.modalManager.setStatisticsCallback === "function"
     ) {
       this.modalManager.setStatisticsCallback((result) => {
-        // result is {allowed: boolean, remember: boolean} from showExternalLinkModal
+        // result is {allowed: boolean, remember: string|false} from showExternalLinkModal
         if (result.allowed) {
           this.navigationStats.allowedCount++;
         } else {
@@ -181,15 +190,22 @@ export class NavigationGuardian {
    * @param {Object} [stats={blockedCount: 0, allowedCount: 0}] - Existing navigation statistics
    * @param {number} stats.blockedCount - Number of previously blocked navigation attempts
    * @param {number} stats.allowedCount - Number of previously allowed navigation attempts
+   * @param {Object} [options={}] - Initialization options
+   * @param {boolean} [options.enabled=true] - Whether protection starts enabled (global toggle or site profile)
    * @throws {Error} If whitelist is not an array or stats is not an object
    *
    * @example
    * // Initialize with trusted domains and existing stats
    * guardian.initialize(['google.com', 'github.com'], { blockedCount: 5, allowedCount: 10 });
+   *
+   * @example
+   * // Initialize switched off for this site (listeners stay ready for enable())
+   * guardian.initialize([], undefined, { enabled: false });
    */
-  initialize(whitelist = [], stats = { blockedCount: 0, allowedCount: 0 }) {
+  initialize(whitelist = [], stats = { blockedCount: 0, allowedCount: 0 }, { enabled = true } = {}) {
     this.whitelist = whitelist;
     this.navigationStats = stats;
+    this.isEnabled = enabled;
     this.setupEventListeners();
     this.injectNavigationScript();
     this.startModalCacheCleanup();
@@ -197,7 +213,7 @@ export class NavigationGuardian {
     Logger.info(
       "GuardianInitialized",
       "NavigationGuardian initialized with whitelist",
-      { whitelistSize: whitelist.length }
+      { whitelistSize: whitelist.length, enabled }
     );
   }
 
@@ -285,12 +301,14 @@ export class NavigationGuardian {
     event.stopPropagation();
 
     this.showNavigationModal(href, (result) => {
-      // result is {allowed: boolean, remember: boolean} from showConfirmationModal
+      // result is {allowed: boolean, remember: string|false, directUrl?: string} from showConfirmationModal
       if (result.allowed) {
+        // "Go directly" skips the redirect wrapper
+        const destinationUrl = result.directUrl || href;
         if (link.target === "_blank") {
-          window.open(href, "_blank");
+          window.open(destinationUrl, "_blank");
         } else {
-          window.location.href = href;
+          window.location.href = destinationUrl;
         }
       }
     });
@@ -417,8 +435,9 @@ export class NavigationGuardian {
     event.preventDefault();
     event.stopPropagation();
 
+    // Going straight to a wrapped URL would drop the form data
     this.showNavigationModal(action, (result) => {
-      // result is {allowed: boolean, remember: boolean} from showConfirmationModal
+      // result is {allowed: boolean, remember: string|false} from showConfirmationModal
       if (result.allowed) {
         // Create sanitized form for ALL submissions (consistent security)
         const safeForm = this.createSanitizedForm(form);
@@ -475,7 +494,7 @@ export class NavigationGuardian {
           }
         }
       }
-    });
+    }, null, { allowDirect: false });
   }
 
   /**
@@ -486,7 +505,7 @@ export class NavigationGuardian {
     if (event.source !== window) return;
 
     if (event.data?.type === "NAV_GUARDIAN_CHECK") {
-      const { url, messageId, popUnderAnalysis } = event.data;
+      const { url, messageId, popUnderAnalysis, navType } = event.data;
 
       // If this messageId is already being processed, ignore duplicate
       if (this.pendingModalKeys.has(messageId)) {
@@ -583,38 +602,47 @@ export class NavigationGuardian {
         this.showNavigationModal(
           url,
           (result) => {
-            // Destructure result object {allowed, remember}
-            const { allowed: userAllowed, remember } = result;
+            // Destructure result object {allowed, remember, directUrl}
+            const { allowed: userAllowed, remember, directUrl } = result;
 
             // Remove from pending map and update stats
             if (this.pendingModalKeys.delete(messageId)) {
               this.modalCacheStats.currentPending--;
             }
 
-            // If remember is true, send cache update to injected script
+            // If a remember scope was chosen, send cache update to injected script
             if (remember) {
-              const sourceOrigin = window.location.origin;
               try {
                 const targetOrigin = new URL(url, window.location.href).origin;
+                const remembered = toRememberedDecision(
+                  remember,
+                  window.location.origin,
+                  targetOrigin
+                );
+                if (!remembered) {
+                  throw new Error(`Unknown remember scope: ${remember}`);
+                }
 
                 // Send cache update message to injected-script
                 window.postMessage(
                   {
                     type: "NAV_CACHE_UPDATE",
-                    sourceOrigin: sourceOrigin,
+                    sourceOrigin: remembered.sourceOrigin, // "*" for every site
                     targetOrigin: targetOrigin,
-                    decision: userAllowed ? "ALLOW" : "DENY",
-                    persistent: true, // 30-day TTL
+                    decision: remembered.decision,
+                    persistent: true,
+                    expiresAt: NEVER_EXPIRES,
                   },
                   "*"
                 );
 
+                // Persist for other tabs and the settings page (page world has no storage access)
+                this.rememberPermissionDecision(remembered);
+
                 Logger.debug(
                   "PermissionCached",
-                  `Cached permission decision (${
-                    userAllowed ? "ALLOW" : "DENY"
-                  })`,
-                  { targetOrigin }
+                  `Cached permission decision (${remembered.decision})`,
+                  { targetOrigin, scope: remember }
                 );
               } catch (e) {
                 Logger.warn(
@@ -626,14 +654,19 @@ export class NavigationGuardian {
             }
 
             // Send response with the user's decision
+            // ("Go directly" denies the page's navigation and opens the unwrapped URL instead)
             window.postMessage(
               {
                 type: "NAV_GUARDIAN_RESPONSE",
                 messageId: messageId,
-                allowed: userAllowed,
+                allowed: userAllowed && !directUrl,
               },
               "*"
             );
+
+            if (userAllowed && directUrl) {
+              this.openDirectDestination(directUrl, navType);
+            }
           },
           combinedAnalysis
         );
@@ -657,8 +690,12 @@ export class NavigationGuardian {
    * @param {string} targetURL - The target URL
    * @param {Function} callback - Callback function with user decision
    * @param {Object} threatDetails - Optional threat analysis details
+   * @param {Object} [options]
+   * @param {boolean} [options.allowDirect=true] - Offer "go directly" past redirect wrappers
    */
-  showNavigationModal(targetURL, callback, threatDetails = null) {
+  showNavigationModal(targetURL, callback, threatDetails = null, options = {}) {
+    const { allowDirect = true } = options;
+
     // Validate callback function
     if (!callback || typeof callback !== "function") {
       Logger.error(
@@ -673,6 +710,7 @@ export class NavigationGuardian {
       .showConfirmationModal({
         url: targetURL,
         threatDetails: threatDetails,
+        destination: this.getDestinationPreview(targetURL, allowDirect),
       })
       .then((allowed) => {
         this.safeInvokeCallback(callback, allowed);
@@ -683,6 +721,47 @@ export class NavigationGuardian {
       });
   }
 
+  /**
+   * Describe where a navigation leads for the confirmation modal
+   * @param {string} url - Navigation URL
+   * @param {boolean} [allowDirect=true] - Whether "go directly" can be offered
+   * @returns {Object|null} DestinationPreview with `isHomograph` and `canGoDirect`
+   */
+  getDestinationPreview(url, allowDirect = true) {
+    const preview = resolveDestination(url, window.location.href);
+    if (!preview) {
+      return null;
+    }
+
+    const validator = this.securityValidator;
+    return {
+      ...preview,
+      isHomograph:
+        validator?.containsSuspiciousUnicode(preview.unicodeHostname) === true,
+      // Only offer unwrapped URLs that pass the same checks as displayed URLs
+      canGoDirect:
+        allowDirect &&
+        preview.finalUrl !== preview.originalUrl &&
+        validator?.validateURL(preview.finalUrl).isValid === true,
+    };
+  }
+
+  /**
+   * Navigate straight to an unwrapped destination, skipping the redirect wrapper
+   * @param {string} url - Final destination URL
+   * @param {string} [navType] - Navigation type of the page's request ('window.open' opens a tab)
+   */
+  openDirectDestination(url, navType) {
+    Logger.info("NavigationGuardian", "Going directly to unwrapped destination", {
+      url: url?.substring(0, 200),
+    });
+    if (navType === "window.open") {
+      window.open(url, "_blank", "noopener");
+    } else {
+      window.location.assign(url);
+    }
+  }
+
   /**
    * Safely invoke callback with error handling
    * @param {Function} callback - Callback function to invoke
@@ -725,7 +804,11 @@ export class NavigationGuardian {
         return;
       }
 
-      script.onload = () => script.remove();
+      script.onload = () => {
+        script.remove();
+        // Hand stored decisions for this page to the injected script's cache
+        this.replayPermissionDecisions();
+      };
       (document.head || document.documentElement).appendChild(script);
       Logger.debug(
         "InjectedScriptLoaded",
@@ -740,6 +823,57 @@ export class NavigationGuardian {
     }
   }
 
+  /**
+   * Persist a remembered modal decision to `permissionCacheV1`
+   * @param {object} remembered - Decision from toRememberedDecision()
+   */
+  async rememberPermissionDecision(remembered) {
+    try {
+      const result = await safeStorageGet([PERMISSION_CACHE_STORAGE_KEY]);
+      await safeStorageSet({
+        [PERMISSION_CACHE_STORAGE_KEY]: addPermissionDecision(
+          result[PERMISSION_CACHE_STORAGE_KEY],
+          remembered
+        ),
+      });
+    } catch (error) {
+      Logger.warn(
+        "PermissionPersistFailed",
+        "Failed to persist navigation decision",
+        error
+      );
+      // Decision still applies to this page through the injected cache
+    }
+  }
+
+  /**
+   * Forward stored decision changes for this page to the injected script
+   * (settings edits, decisions remembered in other tabs)
+   * @param {object|undefined} oldData - Previous `permissionCacheV1` value
+   * @param {object|undefined} newData - New `permissionCacheV1` value
+   */
+  applyPermissionDecisionChanges(oldData, newData) {
+    toCacheUpdateMessages(oldData, newData, window.location.origin).forEach(
+      (message) => window.postMessage(message, "*")
+    );
+  }
+
+  /**
+   * Send every stored decision for this page to the injected script
+   */
+  async replayPermissionDecisions() {
+    try {
+      const result = await safeStorageGet([PERMISSION_CACHE_STORAGE_KEY]);
+      this.applyPermissionDecisionChanges(undefined, result[PERMISSION_CACHE_STORAGE_KEY]);
+    } catch (error) {
+      Logger.warn(
+        "PermissionReplayFailed",
+        "Failed to load stored navigation decisions",
+        error
+      );
+    }
+  }
+
   /**
    * Update navigation statistics in storage
    */
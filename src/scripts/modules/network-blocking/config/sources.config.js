@@ -9,6 +9,14 @@ export const RULE_SOURCES_CONFIG = {
     updateType: "dynamic",
   },
 
+  // Tracking-parameter removal (redirects, not blocks)
+  removeParams: {
+    name: "Tracking Parameter Removal",
+    idRange: { start: 13000, end: 13999 },
+    updateInterval: 0, // Updated when settings change
+    updateType: "dynamic",
+  },
+
   easylist: {
     thirdparty: {
       name: "EasyList Thirdparty",
@@ -32,6 +40,16 @@ export const RULE_SOURCES_CONFIG = {
     },
   },
 
+  // User-added filter lists; each subscription gets its own rangeSize block of IDs
+  subscriptions: {
+    name: "Filter List Subscriptions",
+    idRange: { start: 20000, end: 44999 },
+    rangeSize: 2500,
+    maxSubscriptions: 10,
+    updateInterval: 5760, // 4 days (lists may override via "! Expires:")
+    updateType: "dynamic",
+  },
+
   defaultBlocks: {
     name: "Default Block Requests",
     // NOTE: Update this URL to point to your GitHub repository after publishing
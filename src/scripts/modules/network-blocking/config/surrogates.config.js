@@ -0,0 +1,21 @@
+/**
+ * Surrogate scripts served in place of blocked third-party scripts
+ * Keys are the values a JSON rule's `surrogate` field may use. Files live in
+ * data/surrogates/ (copied to dist/network-blocking/data/surrogates/) and must be
+ * listed in manifest.json web_accessible_resources so pages can load them.
+ */
+export const SURROGATES = {
+  "google-analytics": "network-blocking/data/surrogates/google-analytics.js",
+  "google-tag-manager": "network-blocking/data/surrogates/google-tag-manager.js",
+  "google-ima3": "network-blocking/data/surrogates/google-ima3.js",
+  "adsbygoogle": "network-blocking/data/surrogates/adsbygoogle.js",
+};
+
+/**
+ * Extension path for a surrogate, as used by a DNR redirect action
+ * @param {string} name - SURROGATES key
+ * @returns {string|null} Path starting with '/', or null for unknown names
+ */
+export function getSurrogatePath(name) {
+  return Object.prototype.hasOwnProperty.call(SURROGATES, name) ? `/${SURROGATES[name]}` : null;
+}
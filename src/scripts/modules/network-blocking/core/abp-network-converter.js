@@ -0,0 +1,324 @@
+/**
+ * Converts ABP/uBO network filters to declarativeNetRequest format
+ * Browser-compatible (no native dependencies) - runs in the service worker,
+ * unlike RuleConverter which needs @eyeo/abp2dnr at build time.
+ *
+ * Supported:
+ * - Patterns: `||domain^`, `|https://...`, plain substrings with `*` and `^`
+ * - `@@` exceptions (allow; `@@...$document` allows the whole page)
+ * - `$third-party` / `$~third-party` (`3p`, `1p`, `first-party` aliases)
+ * - `$domain=a.com|~b.com`
+ * - Resource types (`script`, `image`, `subdocument`, ...) and their negations
+ * - `$important`, `$match-case`
+ *
+ * Filters using anything else (regex patterns, `$redirect`, `$csp`, `$removeparam`,
+ * wildcard domains, ...) are skipped rather than converted approximately.
+ */
+import Logger from "@script-utils/logger.js";
+
+/**
+ * ABP resource type option -> DNR resource type
+ * @constant {Object<string, string>}
+ */
+const RESOURCE_TYPES = {
+  script: 'script',
+  image: 'image',
+  stylesheet: 'stylesheet',
+  css: 'stylesheet',
+  object: 'object',
+  'object-subrequest': 'object',
+  xmlhttprequest: 'xmlhttprequest',
+  xhr: 'xmlhttprequest',
+  subdocument: 'sub_frame',
+  frame: 'sub_frame',
+  ping: 'ping',
+  beacon: 'ping',
+  media: 'media',
+  font: 'font',
+  websocket: 'websocket',
+  other: 'other'
+};
+
+/**
+ * DNR priorities: allow beats block, `$important` block beats allow
+ * @constant {{block: number, allow: number, important: number}}
+ */
+const PRIORITY = { block: 1, allow: 2, important: 3 };
+
+/**
+ * Pattern characters DNR urlFilter cannot express
+ * @constant {RegExp}
+ */
+const NON_ASCII_PATTERN = /[^\x20-\x7e]/;
+
+/**
+ * Domain accepted by `$domain=` (no wildcards / TLD patterns like `example.*`)
+ * @constant {RegExp}
+ */
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+export class AbpNetworkConverter {
+  /**
+   * Convert ABP network filters to DNR format
+   * @param {Array<string>} rules - Filter lines (comments already removed by EasyListParser)
+   * @param {{ start: number, end: number }} idRange - Rule ID allocation range
+   * @returns {Promise<Array>} DNR-formatted rules
+   */
+  async convert(rules, idRange) {
+    const dnrRules = [];
+    let currentId = idRange.start;
+    let stats = { total: rules.length, converted: 0, failed: 0, skipped: 0 };
+
+    for (const rule of rules) {
+      try {
+        if (typeof rule !== 'string') {
+          stats.failed++;
+          continue;
+        }
+
+        const dnrRule = this.convertFilter(rule, currentId);
+        if (dnrRule) {
+          dnrRules.push(dnrRule);
+          stats.converted++;
+          currentId++;
+        } else {
+          stats.skipped++;
+        }
+
+        // Check if we exceeded ID range
+        if (currentId > idRange.end) {
+          Logger.warn(
+            "NetworkBlocking:AbpNetworkConverter",
+            `Rule ID exceeded range: ${currentId} > ${idRange.end}`
+          );
+          break;
+        }
+      } catch (error) {
+        stats.failed++;
+        Logger.warn(
+          "NetworkBlocking:AbpNetworkConverter",
+          "Failed to convert filter",
+          { rule, error: error.message }
+        );
+      }
+    }
+
+    Logger.info(
+      "NetworkBlocking:AbpNetworkConverter",
+      `ABP conversion stats: ${stats.converted}/${stats.total} converted, ${stats.failed} failed, ${stats.skipped} skipped`
+    );
+    return dnrRules;
+  }
+
+  /**
+   * Convert a single ABP network filter to a DNR rule
+   * @param {string} filter - Filter line, e.g. `||ads.example^$script,third-party`
+   * @param {number} id - Rule ID
+   * @returns {object|null} DNR rule, or null if the filter is not a supported network filter
+   */
+  convertFilter(filter, id) {
+    let text = filter.trim();
+
+    // Comments, headers and cosmetic filters are not network filters
+    if (!text || text.startsWith('!') || text.startsWith('[') || /#@?\??#/.test(text)) {
+      return null;
+    }
+
+    const isException = text.startsWith('@@');
+    if (isException) {
+      text = text.slice(2);
+    }
+
+    const { pattern, options } = splitOptions(text);
+    const parsedOptions = parseOptions(options, isException);
+    if (!parsedOptions) {
+      return null;
+    }
+
+    // Regex filters (/.../) are not converted - RE2 and DNR's regex rule limit make them unreliable
+    if (pattern.length > 1 && pattern.startsWith('/') && pattern.endsWith('/')) {
+      return null;
+    }
+
+    const urlFilter = normalizePattern(pattern);
+    if (urlFilter === null) {
+      return null;
+    }
+
+    const condition = {};
+    if (urlFilter) {
+      condition.urlFilter = urlFilter;
+    }
+    if (parsedOptions.matchCase) {
+      condition.isUrlFilterCaseSensitive = true;
+    }
+    if (parsedOptions.domainType) {
+      condition.domainType = parsedOptions.domainType;
+    }
+    if (parsedOptions.initiatorDomains.length > 0) {
+      condition.initiatorDomains = parsedOptions.initiatorDomains;
+    }
+    if (parsedOptions.excludedInitiatorDomains.length > 0) {
+      condition.excludedInitiatorDomains = parsedOptions.excludedInitiatorDomains;
+    }
+
+    let actionType = isException ? 'allow' : 'block';
+    if (isException && parsedOptions.document) {
+      actionType = 'allowAllRequests';
+      condition.resourceTypes = ['main_frame', 'sub_frame'];
+    } else if (parsedOptions.resourceTypes.length > 0) {
+      condition.resourceTypes = parsedOptions.resourceTypes;
+    } else if (parsedOptions.excludedResourceTypes.length > 0) {
+      condition.excludedResourceTypes = parsedOptions.excludedResourceTypes;
+    }
+
+    // A filter that matches everything (no pattern, no domain scope) would block the web
+    if (!condition.urlFilter && !condition.initiatorDomains) {
+      return null;
+    }
+
+    let priority = PRIORITY.block;
+    if (isException) {
+      priority = PRIORITY.allow;
+    } else if (parsedOptions.important) {
+      priority = PRIORITY.important;
+    }
+
+    return {
+      id,
+      priority,
+      action: { type: actionType },
+      condition
+    };
+  }
+}
+
+/**
+ * Split a filter into pattern and option list at the last `$`
+ * @param {string} text - Filter without `@@`
+ * @returns {{pattern: string, options: string[]}}
+ * @private
+ */
+function splitOptions(text) {
+  const dollarIndex = text.lastIndexOf('$');
+
+  // A `$` inside a regex pattern is an end anchor, not the options separator
+  if (dollarIndex === -1 || (text.startsWith('/') && text.endsWith('/'))) {
+    return { pattern: text, options: [] };
+  }
+
+  return {
+    pattern: text.slice(0, dollarIndex),
+    options: text.slice(dollarIndex + 1).split(',').map(option => option.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Parse filter options
+ * @param {string[]} options - Raw options (`third-party`, `~script`, `domain=a.com|~b.com`, ...)
+ * @param {boolean} isException - Whether the filter is an `@@` exception
+ * @returns {object|null} Parsed options, or null if any option is unsupported
+ * @private
+ */
+function parseOptions(options, isException) {
+  const parsed = {
+    domainType: null,
+    initiatorDomains: [],
+    excludedInitiatorDomains: [],
+    resourceTypes: [],
+    excludedResourceTypes: [],
+    important: false,
+    matchCase: false,
+    document: false
+  };
+
+  for (const option of options) {
+    const lower = option.toLowerCase();
+    const negated = lower.startsWith('~');
+    const name = negated ? lower.slice(1) : lower;
+
+    if (name === 'third-party' || name === '3p') {
+      parsed.domainType = negated ? 'firstParty' : 'thirdParty';
+    } else if (name === 'first-party' || name === '1p') {
+      parsed.domainType = negated ? 'thirdParty' : 'firstParty';
+    } else if (name === 'important' && !negated) {
+      parsed.important = true;
+    } else if (name === 'match-case' && !negated) {
+      parsed.matchCase = true;
+    } else if (name === 'document' && !negated && isException) {
+      parsed.document = true;
+    } else if (name.startsWith('domain=') && !negated) {
+      if (!parseDomainOption(option.slice('domain='.length), parsed)) {
+        return null;
+      }
+    } else if (RESOURCE_TYPES[name]) {
+      const list = negated ? parsed.excludedResourceTypes : parsed.resourceTypes;
+      if (!list.includes(RESOURCE_TYPES[name])) {
+        list.push(RESOURCE_TYPES[name]);
+      }
+    } else {
+      // $popup, $redirect, $csp, $removeparam, $generichide, ... have no faithful DNR equivalent here
+      return null;
+    }
+  }
+
+  // Mixing included and excluded types (`$script,~image`) means "only the included ones"
+  if (parsed.resourceTypes.length > 0) {
+    parsed.excludedResourceTypes = [];
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse `domain=a.com|~b.com` into initiator domain lists
+ * @param {string} value - Option value
+ * @param {object} parsed - Parsed options to fill
+ * @returns {boolean} False if any domain is not expressible in DNR
+ * @private
+ */
+function parseDomainOption(value, parsed) {
+  for (const entry of value.toLowerCase().split('|')) {
+    const negated = entry.startsWith('~');
+    const domain = negated ? entry.slice(1) : entry;
+
+    if (!DOMAIN_PATTERN.test(domain)) {
+      return false;
+    }
+
+    (negated ? parsed.excludedInitiatorDomains : parsed.initiatorDomains).push(domain);
+  }
+
+  return true;
+}
+
+/**
+ * Turn an ABP pattern into a DNR urlFilter
+ * DNR urlFilter already understands `||`, `|`, `^` and `*`, so most patterns pass through.
+ * @param {string} pattern - Pattern without options
+ * @returns {string|null} urlFilter ('' for an empty pattern), or null if not expressible
+ * @private
+ */
+function normalizePattern(pattern) {
+  let urlFilter = pattern;
+
+  // Leading/trailing `*` are implied by DNR substring matching
+  while (urlFilter.startsWith('*')) {
+    urlFilter = urlFilter.slice(1);
+  }
+  while (urlFilter.endsWith('*') && !urlFilter.endsWith('|*')) {
+    urlFilter = urlFilter.slice(0, -1);
+  }
+
+  if (NON_ASCII_PATTERN.test(urlFilter)) {
+    return null;
+  }
+
+  // `||` is only valid at the start; a bare anchor matches everything
+  if (urlFilter.indexOf('||', 1) !== -1 || urlFilter === '|' || urlFilter === '||') {
+    return null;
+  }
+
+  // Host names are case-insensitive; keep the path part as written for $match-case
+  return urlFilter.replace(/^\|\|[^/^*|:]+/, host => host.toLowerCase());
+}
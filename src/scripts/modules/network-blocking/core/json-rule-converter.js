@@ -3,6 +3,24 @@
  * Browser-compatible (no native dependencies)
  */
 import Logger from "@script-utils/logger.js";
+import { getSurrogatePath } from "../config/surrogates.config.js";
+
+/**
+ * DNR action types a JSON rule may request (default: block)
+ */
+const SUPPORTED_ACTIONS = new Set(['block', 'allow', 'allowAllRequests']);
+
+/**
+ * Valid DNR domainType values
+ */
+const DOMAIN_TYPES = new Set(['firstParty', 'thirdParty']);
+
+/**
+ * Priority for surrogate redirects
+ * DNR ranks block above redirect at equal priority, so redirects sit at the top
+ * severity to win over ordinary blocks; critical allows still beat them.
+ */
+const SURROGATE_PRIORITY = 3;
 
 export class JsonRuleConverter {
   /**
@@ -61,20 +79,89 @@ export class JsonRuleConverter {
 
   /**
    * Convert single JSON rule to DNR format
+   * Allow rules use the same severity priority as blocks; DNR prefers allow over
+   * block at equal priority, so a critical allow overrides every block rule.
    * @param {object} rule - JSON rule object
+   * @param {string} [rule.action='block'] - 'block', 'allow' or 'allowAllRequests'
+   * @param {string[]} [rule.initiatorDomains] - Only match requests from these sites
+   * @param {string[]} [rule.excludedInitiatorDomains] - Never match requests from these sites
+   * @param {'firstParty'|'thirdParty'} [rule.domainType] - Party restriction
+   * @param {string} [rule.surrogate] - SURROGATES key; redirects matching scripts to that no-op script instead of blocking
    * @param {number} id - Rule ID
    * @returns {object} DNR rule
    */
   convertJsonRule(rule, id) {
+    const actionType = rule.action || 'block';
+    if (!SUPPORTED_ACTIONS.has(actionType)) {
+      throw new Error(`Unsupported rule action: ${actionType}`);
+    }
+    if (rule.surrogate !== undefined) {
+      return this.convertSurrogateRule(rule, actionType, id);
+    }
+
+    // allowAllRequests may only match frame requests
+    const resourceTypes = actionType === 'allowAllRequests'
+      ? ['main_frame', 'sub_frame']
+      : rule.resourceTypes || ['xmlhttprequest', 'script', 'sub_frame'];
+
     return {
       id,
       priority: rule.severity === 'critical' ? 3 : rule.severity === 'high' ? 2 : 1,
-      action: { type: 'block' },
-      condition: {
-        urlFilter: rule.isRegex ? undefined : `*://*${rule.trigger}/*`,
-        regexFilter: rule.isRegex ? rule.trigger : undefined,
-        resourceTypes: rule.resourceTypes || ['xmlhttprequest', 'script', 'sub_frame']
-      }
+      action: { type: actionType },
+      condition: this.buildCondition(rule, resourceTypes)
     };
   }
+
+  /**
+   * Convert a rule with a `surrogate` field to a DNR redirect
+   * Only script requests are redirected - the surrogates are scripts.
+   * @param {object} rule - JSON rule object
+   * @param {string} actionType - Requested action (must be block)
+   * @param {number} id - Rule ID
+   * @returns {object} DNR redirect rule
+   */
+  convertSurrogateRule(rule, actionType, id) {
+    if (actionType !== 'block') {
+      throw new Error(`Surrogate rules must block, not ${actionType}`);
+    }
+    const extensionPath = getSurrogatePath(rule.surrogate);
+    if (!extensionPath) {
+      throw new Error(`Unknown surrogate: ${rule.surrogate}`);
+    }
+
+    return {
+      id,
+      priority: SURROGATE_PRIORITY,
+      action: { type: 'redirect', redirect: { extensionPath } },
+      condition: this.buildCondition(rule, ['script'])
+    };
+  }
+
+  /**
+   * Build the DNR condition shared by all rule actions
+   * @private
+   * @param {object} rule - JSON rule object
+   * @param {string[]} resourceTypes - Resource types to match
+   * @returns {object} DNR condition
+   */
+  buildCondition(rule, resourceTypes) {
+    const condition = {
+      urlFilter: rule.isRegex ? undefined : `*://*${rule.trigger}/*`,
+      regexFilter: rule.isRegex ? rule.trigger : undefined,
+      resourceTypes
+    };
+
+    // Optional scoping - only set when present, DNR rejects empty domain lists
+    if (Array.isArray(rule.initiatorDomains) && rule.initiatorDomains.length > 0) {
+      condition.initiatorDomains = rule.initiatorDomains;
+    }
+    if (Array.isArray(rule.excludedInitiatorDomains) && rule.excludedInitiatorDomains.length > 0) {
+      condition.excludedInitiatorDomains = rule.excludedInitiatorDomains;
+    }
+    if (DOMAIN_TYPES.has(rule.domainType)) {
+      condition.domainType = rule.domainType;
+    }
+
+    return condition;
+  }
 }
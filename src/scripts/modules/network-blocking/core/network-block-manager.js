@@ -3,6 +3,7 @@
  * Manages lifecycle of rule updates without knowing implementation details
  */
 import Logger from "@script-utils/logger.js";
+import { UNRESTRICTED_SCOPE, applySiteScope } from "./site-scope.js";
 
 export class NetworkBlockManager {
   constructor(sources, updater, parser, converter, budgetCoordinator = null) {
@@ -11,6 +12,38 @@ export class NetworkBlockManager {
     this.parser = parser;       // IParser
     this.converter = converter; // RuleConverter
     this.budgetCoordinator = budgetCoordinator; // BudgetCoordinator (optional)
+    this.formats = new Map(); // format -> { parser, converter } (see registerFormat)
+    this.siteScope = UNRESTRICTED_SCOPE; // Per-site profiles (see setSiteScope)
+  }
+
+  /**
+   * Set the sites converted rules apply to (used by later updates)
+   * @param {SiteScope} scope - Excluded sites, or the only sites rules apply to
+   */
+  setSiteScope(scope) {
+    this.siteScope = scope || UNRESTRICTED_SCOPE;
+  }
+
+  /**
+   * Register a parser/converter pair for sources of another rule format
+   * Sources pick a format via the optional IRuleSource.getFormat(); sources without
+   * a registered format use the constructor's parser and converter.
+   * @param {string} format - Format name (e.g. 'abp')
+   * @param {IParser} parser - Parser for the format
+   * @param {object} converter - Converter for the format
+   */
+  registerFormat(format, parser, converter) {
+    this.formats.set(format, { parser, converter });
+  }
+
+  /**
+   * Get the parser/converter pair for a source
+   * @param {IRuleSource} source - Rule source
+   * @returns {{parser: IParser, converter: object}}
+   */
+  getPipeline(source) {
+    const format = typeof source.getFormat === 'function' ? source.getFormat() : null;
+    return this.formats.get(format) || { parser: this.parser, converter: this.converter };
   }
 
   /**
@@ -23,7 +56,7 @@ export class NetworkBlockManager {
     const sourceRequests = [];
     for (const source of dynamicSources) {
       const rawContent = await source.fetchRules();
-      const parsedRules = await this.parser.parse(rawContent);
+      const parsedRules = await this.getPipeline(source).parser.parse(rawContent);
       sourceRequests.push({ source, ruleCount: parsedRules.length, rawContent });
     }
 
@@ -39,15 +72,16 @@ export class NetworkBlockManager {
       try {
         const allocation = allocations?.get(source.getName());
         const budgetLimit = allocation?.allocated ?? ruleCount;
+        const { parser, converter } = this.getPipeline(source);
 
         // Parse and limit rules to budget allocation
-        const parsedRules = await this.parser.parse(rawContent);
+        const parsedRules = await parser.parse(rawContent);
         const limitedRules = parsedRules.slice(0, budgetLimit);
 
-        // Convert to DNR format
-        const dnrRules = await this.converter.convert(
-          limitedRules,
-          source.getRuleIdRange()
+        // Convert to DNR format, limited to the sites blocking is on for
+        const dnrRules = applySiteScope(
+          await converter.convert(limitedRules, source.getRuleIdRange()),
+          this.siteScope
         );
 
         // Update via appropriate updater
@@ -90,16 +124,18 @@ export class NetworkBlockManager {
   async updateSource(source) {
     Logger.info("NetworkBlocking:Manager", `Updating ${source.getName()}...`);
 
+    const { parser, converter } = this.getPipeline(source);
+
     // Fetch raw rules
     const rawContent = await source.fetchRules();
 
     // Parse rules
-    const parsedRules = await this.parser.parse(rawContent);
+    const parsedRules = await parser.parse(rawContent);
 
-    // Convert to DNR format
-    const dnrRules = await this.converter.convert(
-      parsedRules,
-      source.getRuleIdRange()
+    // Convert to DNR format, limited to the sites blocking is on for
+    const dnrRules = applySiteScope(
+      await converter.convert(parsedRules, source.getRuleIdRange()),
+      this.siteScope
     );
 
     // Update via appropriate updater
@@ -0,0 +1,81 @@
+/**
+ * Converts tracking-parameter rules ({domain, params}) to DNR query transforms
+ * Only navigations (main_frame / sub_frame) are rewritten - stripping parameters
+ * from API or asset requests could break pages.
+ */
+import Logger from "@script-utils/logger.js";
+import { buildParamRegex, isValidParamDomain, normalizeParamRule } from "@utils/tracking-params.js";
+
+/**
+ * Below block and allow rules at the lowest severity: a blocked or allowed
+ * navigation is never rewritten (DNR ranks redirect last at equal priority).
+ * @constant {number}
+ */
+const REMOVE_PARAM_PRIORITY = 1;
+
+export class RemoveParamConverter {
+  /**
+   * Convert parameter rules to DNR format
+   * @param {Array<object>} rules - Rules from RemoveParamSource
+   * @param {{ start: number, end: number }} idRange - Rule ID allocation range
+   * @returns {Promise<Array>} DNR-formatted rules
+   */
+  async convert(rules, idRange) {
+    const dnrRules = [];
+    let currentId = idRange.start;
+
+    for (const rule of rules) {
+      if (currentId > idRange.end) {
+        Logger.warn(
+          "NetworkBlocking:RemoveParamConverter",
+          `Rule ID exceeded range: ${currentId} > ${idRange.end}`
+        );
+        break;
+      }
+
+      const dnrRule = this.convertParamRule(rule, currentId);
+      if (dnrRule) {
+        dnrRules.push(dnrRule);
+        currentId++;
+      }
+    }
+
+    Logger.info(
+      "NetworkBlocking:RemoveParamConverter",
+      `Converted ${dnrRules.length}/${rules.length} tracking parameter rules`
+    );
+    return dnrRules;
+  }
+
+  /**
+   * Convert a single parameter rule
+   * @param {{domain: string, params: string[]}} rule - Parameter rule ('' domain = all sites)
+   * @param {number} id - Rule ID
+   * @returns {object|null} DNR rule, or null without a valid domain and parameter
+   */
+  convertParamRule(rule, id) {
+    const { domain, params } = normalizeParamRule(rule);
+    if (params.length === 0 || !isValidParamDomain(domain)) {
+      return null;
+    }
+
+    const condition = {
+      // Only URLs carrying a listed parameter match, so every match is a cleaned URL
+      regexFilter: buildParamRegex(params),
+      resourceTypes: ['main_frame', 'sub_frame']
+    };
+    if (domain) {
+      condition.requestDomains = [domain];
+    }
+
+    return {
+      id,
+      priority: REMOVE_PARAM_PRIORITY,
+      action: {
+        type: 'redirect',
+        redirect: { transform: { queryTransform: { removeParams: params } } }
+      },
+      condition
+    };
+  }
+}
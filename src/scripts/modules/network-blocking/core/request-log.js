@@ -0,0 +1,267 @@
+/**
+ * Per-tab log of requests blocked by declarativeNetRequest rules
+ * Combines the two DNR feedback APIs (declarativeNetRequestFeedback permission):
+ * - onRuleMatchedDebug: request URL and type, but only fires in unpacked installs
+ * - getMatchedRules: available everywhere, but only reports rule and time
+ * Each entry is attributed to the rule source owning its rule ID range.
+ */
+import Logger from "@script-utils/logger.js";
+import { RULE_SOURCES_CONFIG } from "../config/sources.config.js";
+
+/**
+ * rulesetId DNR reports for dynamic rules
+ * @constant {string}
+ */
+export const DYNAMIC_RULESET_ID = '_dynamic';
+
+/**
+ * Static rulesets declared in manifest.json -> display name
+ * @constant {Object<string, string>}
+ */
+const STATIC_RULESETS = {
+  'easylist-adservers': `${RULE_SOURCES_CONFIG.easylist.adservers.name} (static)`
+};
+
+/**
+ * Rule sources an entry can be attributed to
+ * @constant {Object<string, string>}
+ */
+export const RULE_SOURCE_KEYS = {
+  CUSTOM: 'custom',
+  DEFAULT: 'default',
+  REMOVE_PARAMS: 'removeParams',
+  EASYLIST: 'easylist',
+  SUBSCRIPTION: 'subscription',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Action types that let a request through
+ * @constant {Set<string>}
+ */
+const ALLOW_ACTIONS = new Set(['allow', 'allowAllRequests']);
+
+/**
+ * Work out which rule source a matched rule came from
+ * @param {number} ruleId - Matched rule ID
+ * @param {string} [rulesetId] - Matched ruleset ('_dynamic' for dynamic rules)
+ * @returns {{key: string, name: string, slot?: number}} Source key, display name and subscription slot
+ */
+export function resolveRuleSource(ruleId, rulesetId = DYNAMIC_RULESET_ID) {
+  if (rulesetId !== DYNAMIC_RULESET_ID) {
+    return STATIC_RULESETS[rulesetId]
+      ? { key: RULE_SOURCE_KEYS.EASYLIST, name: STATIC_RULESETS[rulesetId] }
+      : { key: RULE_SOURCE_KEYS.UNKNOWN, name: rulesetId };
+  }
+
+  const { customPatterns, defaultBlocks, removeParams, easylist, subscriptions } = RULE_SOURCES_CONFIG;
+  const inRange = ({ start, end }) => ruleId >= start && ruleId <= end;
+
+  if (inRange(customPatterns.idRange)) {
+    return { key: RULE_SOURCE_KEYS.CUSTOM, name: customPatterns.name };
+  }
+  if (inRange(defaultBlocks.idRange)) {
+    return { key: RULE_SOURCE_KEYS.DEFAULT, name: defaultBlocks.name };
+  }
+  if (inRange(removeParams.idRange)) {
+    return { key: RULE_SOURCE_KEYS.REMOVE_PARAMS, name: removeParams.name };
+  }
+  for (const list of [easylist.thirdparty, easylist.specificBlock]) {
+    if (inRange(list.idRange)) {
+      return { key: RULE_SOURCE_KEYS.EASYLIST, name: list.name };
+    }
+  }
+  if (inRange(subscriptions.idRange)) {
+    const slot = Math.floor((ruleId - subscriptions.idRange.start) / subscriptions.rangeSize);
+    return { key: RULE_SOURCE_KEYS.SUBSCRIPTION, name: subscriptions.name, slot };
+  }
+
+  return { key: RULE_SOURCE_KEYS.UNKNOWN, name: 'Unknown' };
+}
+
+/**
+ * Domain an "allow" pattern should target for a blocked request
+ * Uses the request URL when known, otherwise a plain domain rule's filter.
+ * @param {string|null} url - Blocked request URL
+ * @param {object|null} condition - DNR condition of the matched rule
+ * @returns {string|null} Domain, or null when it cannot be determined
+ */
+export function getAllowDomain(url, condition) {
+  if (url) {
+    try {
+      return new URL(url).hostname || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const urlFilter = condition?.urlFilter || '';
+  // `||host^` (ABP lists) or `*://*host/*` (JsonRuleConverter)
+  const match = urlFilter.match(/^\|\|([a-z0-9.-]+)\^?$/i) || urlFilter.match(/^\*:\/\/\*([a-z0-9.-]+)\/\*$/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+export class RequestLog {
+  /**
+   * @param {number} [maxEntriesPerTab=200] - Debug entries kept per tab
+   */
+  constructor(maxEntriesPerTab = 200) {
+    this.maxEntriesPerTab = maxEntriesPerTab;
+    this.tabs = new Map();
+    this.ruleCache = new Map();
+  }
+
+  /**
+   * Record an onRuleMatchedDebug event
+   * @param {{request: object, rule: {ruleId: number, rulesetId: string}}} info - MatchedRuleInfoDebug
+   * @returns {object|null} Stored entry, or null for requests not tied to a tab
+   */
+  record(info) {
+    const { request, rule } = info || {};
+    if (!request || !rule || request.tabId < 0) {
+      return null;
+    }
+
+    const entry = {
+      url: request.url,
+      resourceType: request.type,
+      initiator: request.initiator || null,
+      tabId: request.tabId,
+      ruleId: rule.ruleId,
+      rulesetId: rule.rulesetId,
+      timeStamp: Date.now()
+    };
+
+    const entries = this.tabs.get(request.tabId) || [];
+    entries.unshift(entry);
+    this.tabs.set(request.tabId, entries.slice(0, this.maxEntriesPerTab));
+    return entry;
+  }
+
+  /**
+   * Forget a tab's entries (tab closed)
+   * @param {number} tabId - Tab ID
+   */
+  clearTab(tabId) {
+    this.tabs.delete(tabId);
+  }
+
+  /**
+   * Drop cached rule details after dynamic rules change
+   */
+  invalidateRules() {
+    this.ruleCache.clear();
+  }
+
+  /**
+   * Whether a matched rule blocks (rather than allows) requests
+   * Static rules are assumed to block - their definitions are not readable at runtime.
+   * @param {{ruleId: number, rulesetId: string}} rule - Matched rule
+   * @returns {Promise<boolean>}
+   */
+  async isBlockingRule(rule) {
+    if (rule.rulesetId !== DYNAMIC_RULESET_ID) {
+      return true;
+    }
+    const rules = await this.getDynamicRules([rule.ruleId]);
+    return !ALLOW_ACTIONS.has(rules.get(rule.ruleId)?.action?.type);
+  }
+
+  /**
+   * Blocked requests for a tab, newest first
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<{entries: Array<object>, detailed: boolean}>} Entries, and whether they include request URLs
+   */
+  async getTabLog(tabId) {
+    let entries = this.tabs.get(tabId) || [];
+    const detailed = entries.length > 0;
+
+    // Packed installs get no debug events - fall back to rule-only feedback
+    if (!detailed) {
+      entries = await this.getMatchedRules(tabId);
+    }
+
+    const dynamicIds = entries
+      .filter(entry => entry.rulesetId === DYNAMIC_RULESET_ID)
+      .map(entry => entry.ruleId);
+    const rules = await this.getDynamicRules(dynamicIds);
+
+    const blocked = entries
+      .filter(entry => entry.rulesetId !== DYNAMIC_RULESET_ID || !ALLOW_ACTIONS.has(rules.get(entry.ruleId)?.action?.type))
+      .map(entry => ({ ...entry, source: resolveRuleSource(entry.ruleId, entry.rulesetId) }))
+      // Tracking-parameter removal rewrites URLs rather than blocking them
+      .filter(entry => entry.source.key !== RULE_SOURCE_KEYS.REMOVE_PARAMS)
+      .map(entry => {
+        const condition = entry.rulesetId === DYNAMIC_RULESET_ID ? rules.get(entry.ruleId)?.condition || null : null;
+        return {
+          ...entry,
+          filter: condition?.urlFilter || condition?.regexFilter || null,
+          allowDomain: getAllowDomain(entry.url, condition)
+        };
+      })
+      .sort((a, b) => b.timeStamp - a.timeStamp);
+
+    return { entries: blocked, detailed };
+  }
+
+  /**
+   * Rule-only entries from getMatchedRules
+   * @private
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Array<object>>}
+   */
+  async getMatchedRules(tabId) {
+    try {
+      const { rulesInfo = [] } = await chrome.declarativeNetRequest.getMatchedRules({ tabId });
+      return rulesInfo.map(({ rule, tabId: matchedTabId, timeStamp }) => ({
+        url: null,
+        resourceType: null,
+        initiator: null,
+        tabId: matchedTabId,
+        ruleId: rule.ruleId,
+        rulesetId: rule.rulesetId,
+        timeStamp
+      }));
+    } catch (error) {
+      Logger.warn(
+        "NetworkBlocking:RequestLog",
+        `Failed to read matched rules for tab ${tabId}`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Look up dynamic rule definitions, cached until invalidateRules()
+   * @private
+   * @param {number[]} ruleIds - Dynamic rule IDs
+   * @returns {Promise<Map<number, object>>} Rule by ID (missing IDs are left out)
+   */
+  async getDynamicRules(ruleIds) {
+    const missing = [...new Set(ruleIds)].filter(id => !this.ruleCache.has(id));
+
+    if (missing.length > 0) {
+      try {
+        const rules = await chrome.declarativeNetRequest.getDynamicRules({ ruleIds: missing });
+        missing.forEach(id => this.ruleCache.set(id, null));
+        rules.forEach(rule => this.ruleCache.set(rule.id, rule));
+      } catch (error) {
+        Logger.warn(
+          "NetworkBlocking:RequestLog",
+          "Failed to read dynamic rules",
+          error.message
+        );
+      }
+    }
+
+    const result = new Map();
+    ruleIds.forEach(id => {
+      const rule = this.ruleCache.get(id);
+      if (rule) {
+        result.set(id, rule);
+      }
+    });
+    return result;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Limits converted DNR rules to the sites network blocking is on for
+ * Per-site profiles (see @utils/site-profiles.js) turn network blocking off on
+ * some sites, or - while it is off globally - on for some sites only. Rules are
+ * scoped by the page making the request (initiator domains).
+ *
+ * Allow rules are left alone: they only ever let requests through.
+ * The static EasyList ruleset cannot be scoped at runtime.
+ */
+
+/**
+ * Action types that can stop or change a request
+ * @constant {Set<string>}
+ */
+const SCOPED_ACTIONS = new Set(['block', 'redirect', 'upgradeScheme']);
+
+/**
+ * @typedef {object} SiteScope
+ * @property {string[]} excludedDomains - Sites network blocking is off for
+ * @property {string[]|null} includedDomains - Only sites it is on for, null for every site
+ */
+
+/**
+ * Scope that leaves rules unchanged
+ * @constant {SiteScope}
+ */
+export const UNRESTRICTED_SCOPE = Object.freeze({ excludedDomains: [], includedDomains: null });
+
+/**
+ * Whether `domain` is `site` or one of its subdomains
+ */
+const isSameOrSubdomain = (domain, site) => domain === site || domain.endsWith(`.${site}`);
+
+/**
+ * Initiator domains a rule keeps when limited to some sites
+ * A rule limited to `news.example.com` stays on `news.example.com` within the
+ * included `example.com`; a rule for `example.com` narrows to an included `news.example.com`.
+ * @param {string[]} initiatorDomains - Rule's own initiator domains
+ * @param {string[]} includedDomains - Sites network blocking is on for
+ * @returns {string[]} Intersection, empty when the rule applies to none of the sites
+ */
+function intersectDomains(initiatorDomains, includedDomains) {
+  const kept = new Set();
+  for (const domain of initiatorDomains) {
+    for (const site of includedDomains) {
+      if (isSameOrSubdomain(domain, site)) {
+        kept.add(domain);
+      } else if (isSameOrSubdomain(site, domain)) {
+        kept.add(site);
+      }
+    }
+  }
+  return [...kept];
+}
+
+/**
+ * Apply a site scope to converted rules
+ * @param {Array<object>} rules - DNR rules
+ * @param {SiteScope} scope - Site scope
+ * @returns {Array<object>} Scoped rules; rules for none of the included sites are dropped
+ */
+export function applySiteScope(rules, scope = UNRESTRICTED_SCOPE) {
+  const { excludedDomains = [], includedDomains = null } = scope;
+  if (excludedDomains.length === 0 && includedDomains === null) {
+    return rules;
+  }
+
+  const scoped = [];
+  for (const rule of rules) {
+    if (!SCOPED_ACTIONS.has(rule.action?.type)) {
+      scoped.push(rule);
+      continue;
+    }
+
+    const condition = { ...rule.condition };
+
+    if (includedDomains !== null) {
+      const initiators = condition.initiatorDomains?.length
+        ? intersectDomains(condition.initiatorDomains, includedDomains)
+        : [...includedDomains];
+      if (initiators.length === 0) {
+        continue;
+      }
+      condition.initiatorDomains = initiators;
+    }
+
+    if (excludedDomains.length > 0) {
+      condition.excludedInitiatorDomains = [
+        ...new Set([...(condition.excludedInitiatorDomains || []), ...excludedDomains])
+      ];
+    }
+
+    scoped.push({ ...rule, condition });
+  }
+  return scoped;
+}
@@ -0,0 +1,44 @@
+/**
+ * OriginalUI surrogate for Google AdSense (adsbygoogle.js)
+ * Accepts adsbygoogle.push() calls without loading ads, and marks ad slots as
+ * processed so page scripts waiting for them do not retry or throw.
+ */
+(function () {
+  "use strict";
+
+  var markSlots = function () {
+    var slots = document.querySelectorAll("ins.adsbygoogle:not([data-adsbygoogle-status])");
+    for (var i = 0; i < slots.length; i++) {
+      slots[i].setAttribute("data-adsbygoogle-status", "done");
+      slots[i].style.display = "none";
+    }
+  };
+
+  var runCallbacks = function (entry) {
+    if (entry && typeof entry === "object" && entry.params && typeof entry.params.google_ad_loaded === "function") {
+      try {
+        entry.params.google_ad_loaded();
+      } catch (e) {}
+    }
+  };
+
+  var queued = Array.isArray(window.adsbygoogle) ? window.adsbygoogle : [];
+
+  window.adsbygoogle = {
+    loaded: true,
+    push: function (entry) {
+      runCallbacks(entry);
+      markSlots();
+    },
+  };
+
+  for (var i = 0; i < queued.length; i++) {
+    runCallbacks(queued[i]);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", markSlots, { once: true });
+  } else {
+    markSlots();
+  }
+})();
@@ -0,0 +1,104 @@
+/**
+ * OriginalUI surrogate for Google Analytics (analytics.js and legacy ga.js)
+ * Served instead of the blocked script so pages calling ga() / _gaq.push() keep working.
+ * Nothing is sent anywhere; callbacks that pages wait on are still invoked.
+ */
+(function () {
+  "use strict";
+
+  var noop = function () {};
+
+  // Run hitCallback / event_callback so navigation or form submits waiting on them continue
+  var runCallback = function (args) {
+    for (var i = 0; i < args.length; i++) {
+      var arg = args[i];
+      if (arg && typeof arg === "object" && typeof arg.hitCallback === "function") {
+        try {
+          arg.hitCallback();
+        } catch (e) {}
+      }
+    }
+  };
+
+  var tracker = {
+    get: noop,
+    set: noop,
+    send: function () {
+      runCallback(arguments);
+    },
+  };
+
+  // analytics.js - the page snippet defines window[GoogleAnalyticsObject] as a command queue
+  var gaName = window.GoogleAnalyticsObject || "ga";
+  var queued = window[gaName] && Array.isArray(window[gaName].q) ? window[gaName].q : [];
+
+  var ga = function () {
+    var args = arguments;
+    if (typeof args[0] === "function") {
+      try {
+        args[0](tracker);
+      } catch (e) {}
+      return;
+    }
+    runCallback(args);
+  };
+  ga.create = function () {
+    return tracker;
+  };
+  ga.getByName = function () {
+    return tracker;
+  };
+  ga.getAll = function () {
+    return [tracker];
+  };
+  ga.remove = noop;
+  ga.loaded = true;
+  ga.answer = 42;
+  window[gaName] = ga;
+
+  for (var i = 0; i < queued.length; i++) {
+    ga.apply(null, queued[i]);
+  }
+
+  // ga.js - _gaq command queue and _gat tracker factory
+  var gaqQueue = Array.isArray(window._gaq) ? window._gaq : [];
+  var runGaq = function (command) {
+    if (typeof command === "function") {
+      try {
+        command();
+      } catch (e) {}
+    }
+  };
+  var gaqTracker = new Proxy(
+    {},
+    {
+      get: function () {
+        return noop;
+      },
+    }
+  );
+
+  window._gat = {
+    _createTracker: function () {
+      return gaqTracker;
+    },
+    _getTracker: function () {
+      return gaqTracker;
+    },
+    _getTrackerByName: function () {
+      return gaqTracker;
+    },
+    _anonymizeIP: noop,
+  };
+  window._gaq = {
+    push: function () {
+      for (var i = 0; i < arguments.length; i++) {
+        runGaq(arguments[i]);
+      }
+      return 0;
+    },
+  };
+  for (var j = 0; j < gaqQueue.length; j++) {
+    runGaq(gaqQueue[j]);
+  }
+})();
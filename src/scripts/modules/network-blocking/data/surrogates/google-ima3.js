@@ -0,0 +1,164 @@
+/**
+ * OriginalUI surrogate for the Google IMA SDK (imasdk.googleapis.com ima3.js)
+ * Video players wait for IMA before starting content. This shim implements the
+ * parts of google.ima players construct, and answers every ad request with an
+ * AD_ERROR event, which players handle by playing the video without ads.
+ */
+(function () {
+  "use strict";
+
+  var noop = function () {};
+
+  // Minimal event target used by AdsLoader / AdsManager
+  var EventTarget = function () {
+    this.listeners = {};
+  };
+  EventTarget.prototype.addEventListener = function (types, listener, useCapture, context) {
+    var list = Array.isArray(types) ? types : [types];
+    for (var i = 0; i < list.length; i++) {
+      (this.listeners[list[i]] = this.listeners[list[i]] || []).push({ listener: listener, context: context });
+    }
+  };
+  EventTarget.prototype.removeEventListener = function (types, listener) {
+    var list = Array.isArray(types) ? types : [types];
+    for (var i = 0; i < list.length; i++) {
+      this.listeners[list[i]] = (this.listeners[list[i]] || []).filter(function (entry) {
+        return entry.listener !== listener;
+      });
+    }
+  };
+  EventTarget.prototype.dispatch = function (type, event) {
+    var entries = (this.listeners[type] || []).slice();
+    for (var i = 0; i < entries.length; i++) {
+      try {
+        entries[i].listener.call(entries[i].context || null, event);
+      } catch (e) {}
+    }
+  };
+
+  var AdError = function (message, code) {
+    this.message = message;
+    this.errorCode = code;
+  };
+  AdError.prototype.getMessage = function () {
+    return this.message;
+  };
+  AdError.prototype.getErrorCode = function () {
+    return this.errorCode;
+  };
+  AdError.prototype.getVastErrorCode = function () {
+    return this.errorCode;
+  };
+  AdError.prototype.getType = function () {
+    return AdError.Type.AD_LOAD;
+  };
+  AdError.prototype.getInnerError = function () {
+    return null;
+  };
+  AdError.prototype.toString = function () {
+    return "AdError " + this.errorCode + ": " + this.message;
+  };
+  AdError.ErrorCode = { VAST_EMPTY_RESPONSE: 1009, UNKNOWN_ERROR: 900 };
+  AdError.Type = { AD_LOAD: "adLoadError", AD_PLAY: "adPlayError" };
+
+  var AdErrorEvent = function (error, userRequestContext) {
+    this.error = error;
+    this.userRequestContext = userRequestContext;
+    this.type = AdErrorEvent.Type.AD_ERROR;
+  };
+  AdErrorEvent.prototype.getError = function () {
+    return this.error;
+  };
+  AdErrorEvent.prototype.getUserRequestContext = function () {
+    return this.userRequestContext || {};
+  };
+  AdErrorEvent.Type = { AD_ERROR: "adError" };
+
+  var ImaSdkSettings = function () {};
+  [
+    "setAutoPlayAdBreaks",
+    "setCompanionBackfill",
+    "setCookiesEnabled",
+    "setDisableCustomPlaybackForIOS10Plus",
+    "setFeatureFlags",
+    "setLocale",
+    "setNumRedirects",
+    "setPlayerType",
+    "setPlayerVersion",
+    "setPpid",
+    "setSessionId",
+    "setVpaidAllowed",
+    "setVpaidMode",
+  ].forEach(function (name) {
+    ImaSdkSettings.prototype[name] = noop;
+  });
+  ImaSdkSettings.prototype.getLocale = function () {
+    return "en";
+  };
+  ImaSdkSettings.prototype.getDisableCustomPlaybackForIOS10Plus = function () {
+    return false;
+  };
+  ImaSdkSettings.CompanionBackfillMode = { ALWAYS: "always", ON_MASTER_AD: "on_master_ad" };
+  ImaSdkSettings.VpaidMode = { DISABLED: 0, ENABLED: 1, INSECURE: 2 };
+
+  var AdDisplayContainer = function () {};
+  AdDisplayContainer.prototype.initialize = noop;
+  AdDisplayContainer.prototype.destroy = noop;
+
+  var AdsRequest = function () {};
+  AdsRequest.prototype.setAdWillAutoPlay = noop;
+  AdsRequest.prototype.setAdWillPlayMuted = noop;
+  AdsRequest.prototype.setContinuousPlayback = noop;
+
+  var AdsLoader = function () {
+    EventTarget.call(this);
+  };
+  AdsLoader.prototype = Object.create(EventTarget.prototype);
+  AdsLoader.prototype.constructor = AdsLoader;
+  AdsLoader.prototype.getSettings = function () {
+    return ima.settings;
+  };
+  AdsLoader.prototype.contentComplete = noop;
+  AdsLoader.prototype.destroy = noop;
+  AdsLoader.prototype.requestAds = function (request, userRequestContext) {
+    var loader = this;
+    // Async like the real SDK - players register listeners right after requestAds()
+    setTimeout(function () {
+      var error = new AdError("No ads available", AdError.ErrorCode.VAST_EMPTY_RESPONSE);
+      loader.dispatch(AdErrorEvent.Type.AD_ERROR, new AdErrorEvent(error, userRequestContext));
+    }, 0);
+  };
+
+  var ima = {
+    AdDisplayContainer: AdDisplayContainer,
+    AdError: AdError,
+    AdErrorEvent: AdErrorEvent,
+    AdEvent: {
+      Type: {
+        ALL_ADS_COMPLETED: "allAdsCompleted",
+        CLICK: "click",
+        COMPLETE: "complete",
+        CONTENT_PAUSE_REQUESTED: "contentPauseRequested",
+        CONTENT_RESUME_REQUESTED: "contentResumeRequested",
+        LOADED: "loaded",
+        PAUSED: "pause",
+        RESUMED: "resume",
+        SKIPPED: "skip",
+        STARTED: "start",
+      },
+    },
+    AdsLoader: AdsLoader,
+    AdsManagerLoadedEvent: { Type: { ADS_MANAGER_LOADED: "adsManagerLoaded" } },
+    AdsRenderingSettings: function () {},
+    AdsRequest: AdsRequest,
+    CompanionAdSelectionSettings: function () {},
+    ImaSdkSettings: ImaSdkSettings,
+    UiElements: { AD_ATTRIBUTION: "adAttribution", COUNTDOWN: "countdown" },
+    ViewMode: { FULLSCREEN: "fullscreen", NORMAL: "normal" },
+    VERSION: "3.0.0",
+    settings: new ImaSdkSettings(),
+  };
+
+  window.google = window.google || {};
+  window.google.ima = ima;
+})();
@@ -0,0 +1,60 @@
+/**
+ * OriginalUI surrogate for Google Tag Manager (gtm.js) and the Google tag (gtag/js)
+ * Keeps dataLayer / gtag() usable without loading any tags, and invokes the
+ * eventCallback / event_callback functions pages wait on before navigating.
+ */
+(function () {
+  "use strict";
+
+  var runCallback = function (value) {
+    if (typeof value === "function") {
+      try {
+        value();
+      } catch (e) {}
+    }
+  };
+
+  // dataLayer.push({event: ..., eventCallback: fn}) and gtag('event', name, {event_callback: fn})
+  var handleEntry = function (entry) {
+    if (!entry || typeof entry !== "object") {
+      return;
+    }
+    runCallback(entry.eventCallback);
+    for (var i = 0; i < entry.length; i++) {
+      var param = entry[i];
+      if (param && typeof param === "object") {
+        runCallback(param.event_callback);
+      }
+    }
+  };
+
+  var dataLayerName = "dataLayer";
+  var script = document.currentScript;
+  if (script && script.src) {
+    try {
+      dataLayerName = new URL(script.src).searchParams.get("l") || dataLayerName;
+    } catch (e) {}
+  }
+
+  var dataLayer = Array.isArray(window[dataLayerName]) ? window[dataLayerName] : [];
+  var push = Array.prototype.push;
+  dataLayer.push = function () {
+    for (var i = 0; i < arguments.length; i++) {
+      handleEntry(arguments[i]);
+    }
+    return push.apply(dataLayer, arguments);
+  };
+  window[dataLayerName] = dataLayer;
+
+  for (var j = 0; j < dataLayer.length; j++) {
+    handleEntry(dataLayer[j]);
+  }
+
+  if (typeof window.gtag !== "function") {
+    window.gtag = function () {
+      dataLayer.push(arguments);
+    };
+  }
+
+  window.google_tag_manager = window.google_tag_manager || {};
+})();
@@ -9,7 +9,7 @@ export class EasyListParser extends IParser {
       .split('\n')
       .filter(line => {
         // Pass all non-comment, non-empty lines to converter
-        // Let @eyeo/abp2dnr handle validation (supports ||domain^, /regex/, $options, etc.)
+        // Let the converter handle validation (AbpNetworkConverter at runtime, @eyeo/abp2dnr at build time)
         const trimmed = line.trim();
         return (
           trimmed.length > 0 &&
@@ -1,9 +1,20 @@
 import Logger from "@script-utils/logger.js";
 import { IRuleSource } from "./i-rule-source.js";
+import { PATTERN_ACTIONS, normalizeNetworkPattern } from "@utils/network-patterns.js";
+
+/**
+ * Rule description per pattern action
+ */
+const ACTION_DESCRIPTIONS = {
+  [PATTERN_ACTIONS.BLOCK]: 'User-defined custom blocking pattern',
+  [PATTERN_ACTIONS.ALLOW]: 'User-defined custom allow pattern',
+  [PATTERN_ACTIONS.ALLOW_SITE]: 'User-defined site allowed to make all requests'
+};
 
 /**
  * Custom user patterns source from chrome.storage
  * Highest priority source for user-defined blocking patterns
+ * Entries are strings or structured patterns (see network-patterns.js)
  */
 export class CustomPatternSource extends IRuleSource {
   constructor(name, idStart, idEnd, updateInterval = 0) {
@@ -28,16 +39,26 @@ export class CustomPatternSource extends IRuleSource {
       );
     }
 
-    // Convert string patterns to JSON rule format
-    return patterns.slice(0, 5000).map((pattern, index) => ({
-      id: `custom_${index}`,
-      trigger: pattern,
-      category: 'custom',
-      severity: 'critical', // Highest DNR priority
-      description: 'User-defined custom blocking pattern',
-      resourceTypes: ['main_frame', 'sub_frame', 'xmlhttprequest', 'script'],
-      isRegex: false
-    }));
+    // Convert patterns to JSON rule format
+    return patterns.slice(0, 5000).map((entry, index) => {
+      const pattern = normalizeNetworkPattern(entry);
+
+      return {
+        id: `custom_${index}`,
+        trigger: pattern.trigger,
+        action: pattern.action,
+        category: 'custom',
+        severity: pattern.severity, // Defaults to critical (highest DNR priority)
+        description: ACTION_DESCRIPTIONS[pattern.action],
+        resourceTypes: pattern.action === PATTERN_ACTIONS.ALLOW_SITE
+          ? ['main_frame', 'sub_frame'] // allowAllRequests only applies to frames
+          : pattern.resourceTypes,
+        initiatorDomains: pattern.initiatorDomains,
+        excludedInitiatorDomains: pattern.excludedInitiatorDomains,
+        domainType: pattern.domainType,
+        isRegex: pattern.isRegex
+      };
+    });
   }
 
   getRuleIdRange() {
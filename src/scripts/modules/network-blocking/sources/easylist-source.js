@@ -1,7 +1,10 @@
+import Logger from "@script-utils/logger.js";
 import { IRuleSource } from './i-rule-source.js';
 
 /**
  * EasyList rule source implementation (LSP - substitutable)
+ * The last download is kept in chrome.storage.local so daily updateAll() runs
+ * reuse it within updateInterval, and a failed download falls back to it.
  */
 export class EasyListSource extends IRuleSource {
   constructor(name, url, idStart, idEnd, updateInterval = 10080, updateType = 'dynamic') {
@@ -14,11 +17,30 @@ export class EasyListSource extends IRuleSource {
   }
 
   async fetchRules() {
-    const response = await fetch(this.url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch ${this.name}: ${response.status}`);
+    const cached = await this.readCache();
+    if (cached && Date.now() - cached.fetchedAt < this.updateInterval * 60 * 1000) {
+      return cached.content;
+    }
+
+    try {
+      const response = await fetch(this.url);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${this.name}: ${response.status}`);
+      }
+      const content = await response.text();
+      await this.writeCache(content);
+      return content;
+    } catch (error) {
+      if (!cached) {
+        throw error;
+      }
+      Logger.warn(
+        "NetworkBlocking:EasyListSource",
+        `Fetch failed for ${this.name}, using copy from ${new Date(cached.fetchedAt).toISOString()}`,
+        error.message
+      );
+      return cached.content;
     }
-    return await response.text();
   }
 
   getRuleIdRange() {
@@ -36,4 +58,49 @@ export class EasyListSource extends IRuleSource {
   getUpdateType() {
     return this.updateType;
   }
+
+  getFormat() {
+    return 'abp';
+  }
+
+  /**
+   * @returns {string} Storage key for the last downloaded copy
+   */
+  getCacheKey() {
+    return `networkListCache_${this.idRange.start}`;
+  }
+
+  /**
+   * Read the last downloaded copy
+   * @private
+   * @returns {Promise<{content: string, fetchedAt: number}|null>}
+   */
+  async readCache() {
+    try {
+      const result = await chrome.storage.local.get([this.getCacheKey()]);
+      const cached = result?.[this.getCacheKey()];
+      return cached && typeof cached.content === 'string' ? cached : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a downloaded copy (best effort - a failed write only costs a refetch)
+   * @private
+   * @param {string} content - Raw list content
+   */
+  async writeCache(content) {
+    try {
+      await chrome.storage.local.set({
+        [this.getCacheKey()]: { content, fetchedAt: Date.now() }
+      });
+    } catch (error) {
+      Logger.warn(
+        "NetworkBlocking:EasyListSource",
+        `Failed to cache ${this.name}`,
+        error.message
+      );
+    }
+  }
 }
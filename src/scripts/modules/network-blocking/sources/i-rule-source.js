@@ -42,4 +42,13 @@ export class IRuleSource {
   getUpdateType() {
     throw new Error('IRuleSource.getUpdateType() must be implemented');
   }
+
+  /**
+   * Get rule format, used by NetworkBlockManager to pick a parser/converter
+   * Optional - defaults to JSON rule objects
+   * @returns {'json' | 'abp'}
+   */
+  getFormat() {
+    return 'json';
+  }
 }
@@ -2,3 +2,5 @@ export { IRuleSource } from './i-rule-source.js';
 export { EasyListSource } from './easylist-source.js';
 export { DefaultBlockSource } from './default-block-source.js';
 export { CustomPatternSource } from './custom-pattern-source.js';
+export { SubscriptionRuleSource } from './subscription-source.js';
+export { RemoveParamSource } from './remove-param-source.js';
@@ -0,0 +1,56 @@
+import { IRuleSource } from "./i-rule-source.js";
+import { DEFAULT_TRACKING_PARAMS, normalizeParamRule } from "@utils/tracking-params.js";
+
+/**
+ * Tracking-parameter removal source from chrome.storage
+ * Yields one rule for the default parameter list (when enabled) plus one per
+ * user entry; RemoveParamConverter turns them into DNR query transforms.
+ */
+export class RemoveParamSource extends IRuleSource {
+  constructor(name, idStart, idEnd, updateInterval = 0) {
+    super();
+    this.name = name;
+    this.idRange = { start: idStart, end: idEnd };
+    this.updateInterval = updateInterval; // 0 = updated when settings change
+  }
+
+  async fetchRules() {
+    const { removeParamEnabled = true, removeParamRules = [] } = await chrome.storage.local.get([
+      'removeParamEnabled',
+      'removeParamRules'
+    ]);
+
+    const rules = [];
+    if (removeParamEnabled !== false) {
+      rules.push({ domain: '', params: [...DEFAULT_TRACKING_PARAMS] });
+    }
+
+    const userRules = Array.isArray(removeParamRules) ? removeParamRules : [];
+    userRules
+      .map(normalizeParamRule)
+      .filter(rule => rule.params.length > 0)
+      .forEach(rule => rules.push(rule));
+
+    return rules;
+  }
+
+  getRuleIdRange() {
+    return this.idRange;
+  }
+
+  getUpdateInterval() {
+    return this.updateInterval;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getUpdateType() {
+    return 'dynamic';
+  }
+
+  getFormat() {
+    return 'removeparam';
+  }
+}
@@ -0,0 +1,52 @@
+import { IRuleSource } from "./i-rule-source.js";
+import { RULE_SOURCES_CONFIG } from "../config/sources.config.js";
+import {
+  getSubscriptionContentKey,
+  getSubscriptionIdRange,
+} from "@modules/subscriptions/subscription-manager.js";
+
+/**
+ * Network filters from one filter list subscription
+ * Reads the lines SubscriptionManager stored; cosmetic filters are left out
+ * because they are applied by the content script's rule sources.
+ */
+export class SubscriptionRuleSource extends IRuleSource {
+  /**
+   * @param {Subscription} subscription - Subscription record from storage
+   */
+  constructor(subscription) {
+    super();
+    this.subscription = subscription;
+    this.idRange = getSubscriptionIdRange(subscription.slot);
+  }
+
+  async fetchRules() {
+    const key = getSubscriptionContentKey(this.subscription.id);
+    const result = await chrome.storage.local.get([key]);
+    const lines = result[key]?.lines || [];
+
+    // Drop cosmetic filters (##, #@#, #?#) - EasyListParser handles comments,
+    // AbpNetworkConverter skips anything else it cannot express
+    return lines.filter(line => !/#@?\??#/.test(line)).join('\n');
+  }
+
+  getRuleIdRange() {
+    return this.idRange;
+  }
+
+  getUpdateInterval() {
+    return this.subscription.expiresMinutes || RULE_SOURCES_CONFIG.subscriptions.updateInterval;
+  }
+
+  getName() {
+    return this.subscription.title || this.subscription.url;
+  }
+
+  getUpdateType() {
+    return 'dynamic';
+  }
+
+  getFormat() {
+    return 'abp';
+  }
+}
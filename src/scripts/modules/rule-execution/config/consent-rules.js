@@ -0,0 +1,89 @@
+/**
+ * Cookie Consent Rules
+ *
+ * @fileoverview Declarative rules for the consent management platforms (CMPs)
+ * handled by ConsentExecutor. Each rule says how to recognise the CMP, which
+ * buttons answer it and what to hide:
+ *
+ * - `detect`: selectors of which any present means the CMP is on the page
+ * - `reject`: click sequence declining all optional cookies; a step is a
+ *   selector, or `{selector, text}` to pick the match whose label contains text
+ * - `essential`: click sequence accepting strictly necessary cookies only
+ * - `hide`: banner/overlay selectors hidden as soon as the CMP is detected
+ * - `unlock`: selectors of elements the CMP scroll-locks while open
+ *
+ * A CMP without `reject` uses its `essential` sequence and vice versa (on most
+ * banners "reject all" already means necessary cookies only).
+ *
+ * @module consent-rules
+ */
+
+/**
+ * Built-in CMP rules
+ * @constant {ConsentRule[]}
+ */
+export const CONSENT_RULES = [
+  {
+    id: "onetrust",
+    name: "OneTrust",
+    detect: ["#onetrust-banner-sdk", "#onetrust-pc-sdk"],
+    reject: ["#onetrust-reject-all-handler"],
+    // Open the preference centre and save it untouched (optional categories default to off)
+    essential: ["#onetrust-pc-btn-handler", "#onetrust-pc-sdk .save-preference-btn-handler"],
+    hide: ["#onetrust-consent-sdk", ".onetrust-pc-dark-filter"],
+    unlock: [],
+  },
+  {
+    id: "quantcast",
+    name: "Quantcast Choice",
+    detect: [".qc-cmp2-container"],
+    // "More options" and "Disagree" share their markup; only the label tells them apart
+    reject: [{ selector: ".qc-cmp2-summary-buttons button", text: "disagree" }],
+    hide: [".qc-cmp2-container"],
+    unlock: ["html.qc-cmp2-ui-html", "body.qc-cmp-ui-showing"],
+  },
+  {
+    id: "didomi",
+    name: "Didomi",
+    detect: ["#didomi-host", "#didomi-notice"],
+    reject: ["#didomi-notice-disagree-button"],
+    hide: ["#didomi-host"],
+    unlock: ["body.didomi-popup-open"],
+  },
+  {
+    id: "cookiebot",
+    name: "Cookiebot",
+    detect: ["#CybotCookiebotDialog"],
+    reject: ["#CybotCookiebotDialogBodyButtonDecline"],
+    // "Allow selection" with only the necessary category ticked (the default)
+    essential: ["#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowallSelection"],
+    hide: ["#CybotCookiebotDialog", "#CybotCookiebotDialogBodyUnderlay"],
+    unlock: [],
+  },
+  {
+    id: "trustarc",
+    name: "TrustArc",
+    detect: ["#truste-consent-track", "#truste-consent-content"],
+    // "Required only" is TrustArc's decline button
+    essential: ["#truste-consent-required"],
+    hide: ["#truste-consent-track", ".truste_overlay", ".truste_box_overlay"],
+    unlock: [],
+  },
+];
+
+/**
+ * @typedef {object} ConsentRule
+ * @property {string} id - Stable CMP identifier
+ * @property {string} name - Display name
+ * @property {string[]} detect - Selectors recognising the CMP
+ * @property {ConsentStep[]} [reject] - Click sequence rejecting optional cookies
+ * @property {ConsentStep[]} [essential] - Click sequence accepting necessary cookies only
+ * @property {string[]} hide - Selectors hidden while the CMP is handled
+ * @property {string[]} [unlock] - Elements whose scroll lock is undone
+ * @property {string} [mode] - Handling mode, added by ConsentRuleSource
+ */
+
+/**
+ * @typedef {string|{selector: string, text: string}} ConsentStep
+ * Button to click: a selector, or a selector plus (case-insensitive) label text
+ */
@@ -8,15 +8,25 @@
  */
 
 import Logger from "@script-utils/logger.js";
-import { RuleExecutionManager } from "@modules/rule-execution/core/rule-execution-manager.js";
+import {
+  RuleExecutionManager,
+  SUBSCRIPTION_SOURCE_PREFIX
+} from "@modules/rule-execution/core/rule-execution-manager.js";
 import { PerformanceCoordinator } from "@modules/rule-execution/core/performance-coordinator.js";
 import { DefaultRuleSource } from "@modules/rule-execution/sources/default-rule-source.js";
 import { CustomRuleSource } from "@modules/rule-execution/sources/custom-rule-source.js";
 import { EasyListDomSource } from "@modules/rule-execution/sources/easylist-dom-source.js";
+import { EasyListProceduralSource } from "@modules/rule-execution/sources/easylist-procedural-source.js";
+import { SubscriptionDomSource } from "@modules/rule-execution/sources/subscription-dom-source.js";
+import { ConsentRuleSource } from "@modules/rule-execution/sources/consent-rule-source.js";
 import { SelectorParser } from "@modules/rule-execution/parsers/selector-parser.js";
 import { EasyListDomParser } from "@modules/rule-execution/parsers/easylist-dom-parser.js";
+import { ProceduralSelectorParser } from "@modules/rule-execution/parsers/procedural-selector-parser.js";
+import { ConsentRuleParser } from "@modules/rule-execution/parsers/consent-rule-parser.js";
 import { SelectorExecutor } from "@modules/rule-execution/executors/selector-executor.js";
 import { HybridExecutor } from "@modules/rule-execution/executors/hybrid-executor/index.js";
+import { ProceduralExecutor } from "@modules/rule-execution/executors/procedural-executor.js";
+import { ConsentExecutor } from "@modules/rule-execution/executors/consent-executor.js";
 
 /**
  * Create configured RuleExecutionManager
@@ -25,11 +35,14 @@ import { HybridExecutor } from "@modules/rule-execution/executors/hybrid-executo
 export async function createRuleExecutionSystem() {
   Logger.info('RuleExecution:Config', 'Initializing rule execution system...');
 
-  // Initialize sources
+  // Initialize sources (procedural filters reuse the EasyList download)
+  const easylistSource = new EasyListDomSource();
   const sources = new Map([
     ['default', new DefaultRuleSource()],
     ['custom', new CustomRuleSource()],
-    ['easylist', new EasyListDomSource()]
+    ['easylist', easylistSource],
+    ['easylist-procedural', new EasyListProceduralSource(easylistSource)],
+    ['consent', new ConsentRuleSource()]
   ]);
 
   Logger.debug(
@@ -53,7 +66,9 @@ export async function createRuleExecutionSystem() {
   // Initialize parsers (one per executor type)
   const parsers = new Map([
     ['selector', new SelectorParser()],
-    ['hybrid', new EasyListDomParser()]
+    ['hybrid', new EasyListDomParser()],
+    ['procedural', new ProceduralSelectorParser()],
+    ['consent', new ConsentRuleParser()]
   ]);
 
   Logger.debug(
@@ -64,7 +79,9 @@ export async function createRuleExecutionSystem() {
   // Initialize executors (one per rule type)
   const executors = new Map([
     ['selector', new SelectorExecutor(performanceCoordinator)],
-    ['hybrid', new HybridExecutor()]
+    ['hybrid', new HybridExecutor()],
+    ['procedural', new ProceduralExecutor(performanceCoordinator)],
+    ['consent', new ConsentExecutor()]
   ]);
 
   Logger.debug(
@@ -85,6 +102,48 @@ export async function createRuleExecutionSystem() {
   return manager;
 }
 
+/**
+ * Register one hybrid + one procedural source per enabled filter list subscription
+ * Previously registered subscription sources are removed first, so this can be
+ * called again whenever the subscription list changes.
+ * @param {RuleExecutionManager} manager - Manager from createRuleExecutionSystem()
+ * @param {Subscription[]} subscriptions - Subscriptions from storage
+ * @returns {string[]} Names of the registered sources (pass to executeAllRules)
+ */
+export function registerSubscriptionSources(manager, subscriptions = []) {
+  Array.from(manager.sources.keys())
+    .filter(name => name.startsWith(SUBSCRIPTION_SOURCE_PREFIX))
+    .forEach(name => manager.unregisterSource(name));
+
+  const sourceNames = [];
+
+  for (const subscription of subscriptions) {
+    if (!subscription || !subscription.id || subscription.enabled === false) {
+      continue;
+    }
+
+    const listSource = new SubscriptionDomSource(subscription);
+    const hybridName = `${SUBSCRIPTION_SOURCE_PREFIX}${subscription.id}`;
+    const proceduralName = `${hybridName}:procedural`;
+
+    manager.registerSource(hybridName, listSource, new HybridExecutor());
+    manager.registerSource(
+      proceduralName,
+      new EasyListProceduralSource(listSource, `${listSource.getName()} (procedural)`),
+      new ProceduralExecutor(manager.performanceCoordinator)
+    );
+
+    sourceNames.push(hybridName, proceduralName);
+  }
+
+  Logger.debug(
+    'RuleExecution:Config',
+    `Registered ${sourceNames.length} subscription sources`
+  );
+
+  return sourceNames;
+}
+
 /**
  * Configuration constants for rule sources
  */
@@ -110,6 +169,12 @@ export const RULE_EXECUTION_CONFIG = {
     updateInterval: 10080, // 7 days in minutes
     cacheTTL: 7 * 24 * 60 * 60 * 1000, // 7 days in ms
     maxPatterns: 5000
+  },
+  consent: {
+    name: 'Cookie Consent Rules',
+    storageKey: 'cookieConsentMode',
+    executorType: 'consent',
+    updateInterval: 0 // Rules ship with the extension
   }
 };
 
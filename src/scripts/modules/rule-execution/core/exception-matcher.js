@@ -0,0 +1,49 @@
+/**
+ * Exception Matcher
+ *
+ * @fileoverview Element hiding exceptions (`#@#selector`, `example.com#@#selector`).
+ * An exception disables every hiding rule with the exact same selector text on the
+ * domains it covers, mirroring Adblock Plus semantics. Exceptions come from EasyList
+ * (`#@#` lines) and from custom rules flagged with `isException: true`.
+ *
+ * @module exception-matcher
+ */
+
+import { matchesDomainScope } from "@utils/url-utils.js";
+
+/**
+ * Check whether a rule is an element hiding exception
+ * @param {Rule} rule - Rule object
+ * @returns {boolean} True if the rule un-hides rather than hides
+ */
+export function isExceptionRule(rule) {
+  return Boolean(rule && rule.isException === true);
+}
+
+/**
+ * Collect selectors whose hiding is disabled on the given domain(s)
+ * @param {Rule[]} exceptions - Exception rules (non-exception rules are ignored)
+ * @param {string|string[]} domain - Current hostname, or the page and frame hostnames
+ * @returns {Set<string>} Excepted selectors
+ */
+export function getExceptedSelectors(exceptions, domain) {
+  const excepted = new Set();
+  const domains = [].concat(domain);
+
+  if (!Array.isArray(exceptions)) {
+    return excepted;
+  }
+
+  for (const rule of exceptions) {
+    if (
+      isExceptionRule(rule) &&
+      rule.enabled !== false &&
+      typeof rule.selector === "string" &&
+      domains.some((d) => matchesDomainScope(d, rule.domains, rule.excludedDomains))
+    ) {
+      excepted.add(rule.selector.trim());
+    }
+  }
+
+  return excepted;
+}
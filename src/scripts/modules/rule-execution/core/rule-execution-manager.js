@@ -9,6 +9,12 @@
 
 import Logger from "@script-utils/logger.js";
 
+/**
+ * Name prefix for filter list subscription sources ("subscription:<id>[:procedural]")
+ * @constant {string}
+ */
+export const SUBSCRIPTION_SOURCE_PREFIX = 'subscription:';
+
 /**
  * Main orchestrator for rule execution
  */
@@ -25,6 +31,13 @@ export class RuleExecutionManager {
     this.parsers = parsers;
     this.performanceCoordinator = performanceCoordinator;
 
+    /**
+     * Executors dedicated to a single source (e.g. one per filter list subscription),
+     * used instead of the shared executor for the source's type
+     * @type {Map<string, Executor>}
+     */
+    this.sourceExecutors = new Map();
+
     // Statistics
     this.stats = {
       totalExecutions: 0,
@@ -41,13 +54,16 @@ export class RuleExecutionManager {
    * @param {string[]} [options.enabledSources] - Sources to execute ['default', 'custom']
    * @param {boolean} [options.timeSlicing=true] - Enable time-slicing
    * @param {number} [options.maxExecutionTime=16] - Max time per frame (ms)
+   * @param {string} [options.frameDomain] - Own hostname of an embedded frame; rules
+   *   for it apply alongside those for the page domain
    * @returns {Promise<ExecutionResults>} Execution results with statistics
    */
   async executeAllRules(currentDomain, options = {}) {
     const {
       enabledSources = ['default', 'custom'],
       timeSlicing = true,
-      maxExecutionTime = 16
+      maxExecutionTime = 16,
+      frameDomain
     } = options;
 
     const results = {
@@ -55,6 +71,9 @@ export class RuleExecutionManager {
       customRulesRemoved: 0,
       easylistRulesRemoved: 0,
       easylistRulesHidden: 0,
+      proceduralRulesRemoved: 0,
+      subscriptionRulesRemoved: 0,
+      consentBannersHandled: 0,
       executionTimeMs: 0,
       errors: []
     };
@@ -66,19 +85,22 @@ export class RuleExecutionManager {
       `Executing ${enabledSources.length} sources for domain: ${currentDomain}`
     );
 
+    // Exceptions (#@#) from any source apply to every executor
+    const exceptions = await this.collectExceptionRules(enabledSources);
+
     // Execute each enabled source
     for (const sourceName of enabledSources) {
       try {
         const removed = await this.executeSource(
           sourceName,
           currentDomain,
-          { timeSlicing, maxExecutionTime }
+          { timeSlicing, maxExecutionTime, exceptions, frameDomain }
         );
 
         // Map to result keys
         const resultKey = this.getResultKey(sourceName);
         if (resultKey) {
-          results[resultKey] = removed;
+          results[resultKey] += removed; // Several subscriptions share one key
         }
 
         // For easylist, get detailed stats (removed vs hidden)
@@ -130,7 +152,7 @@ export class RuleExecutionManager {
 
   /**
    * Execute a single rule source
-   * @param {string} sourceName - Name of source ('default', 'custom', 'easylist')
+   * @param {string} sourceName - Name of source ('default', 'custom', 'easylist', 'consent')
    * @param {string} currentDomain - Current page domain
    * @param {object} options - Execution options
    * @returns {Promise<number>} Number of elements removed
@@ -179,8 +201,8 @@ export class RuleExecutionManager {
       return 0;
     }
 
-    // Get appropriate executor
-    const executor = this.executors.get(executorType);
+    // Get appropriate executor (a dedicated one if the source registered it)
+    const executor = this.sourceExecutors.get(sourceName) || this.executors.get(executorType);
     if (!executor) {
       throw new Error(`Executor for type "${executorType}" not found`);
     }
@@ -196,6 +218,70 @@ export class RuleExecutionManager {
     return removed;
   }
 
+  /**
+   * Register a source at runtime, optionally with its own executor instance
+   * Sources sharing an executor type (e.g. several hybrid filter lists) need separate
+   * executors because HybridExecutor/ProceduralExecutor keep per-run page state.
+   * @param {string} sourceName - Unique source name
+   * @param {IDomRuleSource} source - Source instance
+   * @param {Executor} [executor] - Dedicated executor (defaults to the shared one for the type)
+   */
+  registerSource(sourceName, source, executor = null) {
+    this.unregisterSource(sourceName);
+    this.sources.set(sourceName, source);
+    if (executor) {
+      this.sourceExecutors.set(sourceName, executor);
+    }
+  }
+
+  /**
+   * Remove a runtime-registered source and clean up its dedicated executor
+   * @param {string} sourceName - Source name
+   * @returns {boolean} True if a source was removed
+   */
+  unregisterSource(sourceName) {
+    const executor = this.sourceExecutors.get(sourceName);
+    if (executor && typeof executor.cleanup === 'function') {
+      executor.cleanup();
+    }
+    this.sourceExecutors.delete(sourceName);
+    return this.sources.delete(sourceName);
+  }
+
+  /**
+   * Gather element hiding exceptions from enabled sources that provide them
+   * @param {string[]} enabledSources - Source names to consult
+   * @returns {Promise<Rule[]>} Exception rules
+   */
+  async collectExceptionRules(enabledSources) {
+    const exceptions = [];
+
+    for (const sourceName of enabledSources) {
+      const source = this.sources.get(sourceName);
+      if (!source || typeof source.getExceptionRules !== 'function') {
+        continue;
+      }
+
+      try {
+        if (!(await this.isSourceEnabled(sourceName))) {
+          continue;
+        }
+        const rules = await source.getExceptionRules();
+        if (Array.isArray(rules)) {
+          exceptions.push(...rules);
+        }
+      } catch (error) {
+        Logger.error(
+          "RuleExecution:Manager",
+          `Error collecting exceptions from "${sourceName}"`,
+          error
+        );
+      }
+    }
+
+    return exceptions;
+  }
+
   /**
    * Check if source is enabled via storage
    * @param {string} sourceName - Source name
@@ -206,7 +292,9 @@ export class RuleExecutionManager {
     const storageKeyMap = {
       'default': 'defaultRulesEnabled',
       'custom': 'customRulesEnabled',
-      'easylist': 'easylistEnabled'
+      'easylist': 'easylistEnabled',
+      'easylist-procedural': 'easylistEnabled',
+      'consent': 'cookieConsentEnabled'
     };
 
     const storageKey = storageKeyMap[sourceName];
@@ -238,8 +326,13 @@ export class RuleExecutionManager {
     const keyMap = {
       'default': 'defaultRulesRemoved',
       'custom': 'customRulesRemoved',
-      'easylist': 'easylistRulesRemoved'
+      'easylist': 'easylistRulesRemoved',
+      'easylist-procedural': 'proceduralRulesRemoved',
+      'consent': 'consentBannersHandled'
     };
+    if (sourceName.startsWith(SUBSCRIPTION_SOURCE_PREFIX)) {
+      return 'subscriptionRulesRemoved';
+    }
     return keyMap[sourceName] || null;
   }
 
@@ -317,6 +410,11 @@ export class RuleExecutionManager {
         executor.cleanup();
       }
     });
+    this.sourceExecutors.forEach((executor) => {
+      if (typeof executor.cleanup === 'function') {
+        executor.cleanup();
+      }
+    });
 
     // Reset stats
     this.stats = {
@@ -334,6 +432,9 @@ export class RuleExecutionManager {
  * @property {number} customRulesRemoved - Elements removed by custom rules
  * @property {number} easylistRulesRemoved - Elements removed by EasyList (iframes, scripts)
  * @property {number} easylistRulesHidden - Elements hidden by EasyList (divs, spans - framework-safe)
+ * @property {number} proceduralRulesRemoved - Elements hidden or removed by procedural EasyList filters
+ * @property {number} subscriptionRulesRemoved - Elements hidden or removed by filter list subscriptions
+ * @property {number} consentBannersHandled - Cookie-consent banners rejected or hidden
  * @property {number} executionTimeMs - Total execution time
  * @property {Array} errors - Errors encountered during execution
  */
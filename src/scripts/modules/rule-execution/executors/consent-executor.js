@@ -0,0 +1,294 @@
+/**
+ * Consent Executor
+ *
+ * @fileoverview Handles cookie-consent banners of known CMPs. A detected CMP is
+ * hidden straight away (no flash of the banner), then - unless the mode is
+ * "hide" - its reject / essential-only buttons are clicked in order so the
+ * site records the choice. If a button never shows up the banner simply stays
+ * hidden.
+ *
+ * CMPs usually load after the page, so the executor keeps watching the DOM for
+ * a while after each execution. Each CMP is handled once per page.
+ *
+ * @module consent-executor
+ */
+
+import Logger from "@script-utils/logger.js";
+import { COOKIE_CONSENT_MODES } from "@utils/cookie-consent.js";
+
+const WATCH_DURATION_MS = 30000; // CMPs that appear later than this are left alone
+const SCAN_DELAY_MS = 250; // Debounce for DOM mutations
+const STEP_TIMEOUT_MS = 5000; // Wait per button of a click sequence
+const STEP_POLL_INTERVAL_MS = 100;
+const STYLE_ID = 'originalui-consent-rules';
+
+/**
+ * Executor for CMP rules
+ */
+export class ConsentExecutor {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.watchDuration] - How long to watch for late CMPs (ms)
+   * @param {number} [options.stepTimeout] - How long to wait for each button (ms)
+   */
+  constructor({ watchDuration = WATCH_DURATION_MS, stepTimeout = STEP_TIMEOUT_MS } = {}) {
+    this.watchDuration = watchDuration;
+    this.stepTimeout = stepTimeout;
+
+    /** @type {ConsentRule[]} */
+    this.rules = [];
+
+    /**
+     * CMPs handled on this page (id → rule)
+     * @type {Map<string, ConsentRule>}
+     */
+    this.handled = new Map();
+
+    this.observer = null;
+    this.scanTimer = null;
+    this.watchTimer = null;
+    this.styleElement = null;
+
+    // Bumped by cleanup() so pending click sequences stop
+    this.generation = 0;
+  }
+
+  /**
+   * Handle the CMPs on the page and watch for late ones
+   * @param {ConsentRule[]} rules - Parsed rules (with mode)
+   * @param {string} currentDomain - Current page domain
+   * @returns {Promise<number>} CMPs handled by this execution so far
+   */
+  async execute(rules, currentDomain) {
+    this.stopWatching();
+    this.rules = rules;
+
+    const handled = this.scan();
+    this.startWatching();
+
+    if (handled > 0) {
+      Logger.info(
+        "RuleExecution:ConsentExecutor",
+        `Handled ${handled} consent banner(s) on ${currentDomain}`
+      );
+    }
+
+    return handled;
+  }
+
+  /**
+   * Handle every detected CMP that was not handled yet
+   * @returns {number} CMPs handled by this scan
+   */
+  scan() {
+    let handled = 0;
+
+    for (const rule of this.rules) {
+      if (this.handled.has(rule.id) || !this.isDetected(rule)) {
+        continue;
+      }
+      this.handle(rule);
+      handled++;
+    }
+
+    return handled;
+  }
+
+  /**
+   * Whether a CMP is on the page
+   * @param {ConsentRule} rule
+   * @returns {boolean}
+   */
+  isDetected(rule) {
+    try {
+      return document.querySelector(rule.detect.join(', ')) !== null;
+    } catch (error) {
+      Logger.warn("RuleExecution:ConsentExecutor", `Invalid detect selector in "${rule.id}"`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Hide a CMP and answer it according to its mode
+   * @param {ConsentRule} rule
+   */
+  handle(rule) {
+    this.handled.set(rule.id, rule);
+    this.updateStyles();
+
+    const steps = this.getClickSequence(rule);
+    Logger.info("RuleExecution:ConsentExecutor", `${rule.name} detected`, {
+      mode: rule.mode,
+      steps: steps.length
+    });
+
+    if (steps.length > 0) {
+      this.runClickSequence(rule, steps);
+    }
+  }
+
+  /**
+   * Buttons to click for a rule's mode (reject and essential fall back to each other)
+   * @param {ConsentRule} rule
+   * @returns {ConsentStep[]}
+   */
+  getClickSequence(rule) {
+    const reject = rule.reject || [];
+    const essential = rule.essential || [];
+
+    switch (rule.mode) {
+      case COOKIE_CONSENT_MODES.HIDE:
+        return [];
+      case COOKIE_CONSENT_MODES.ESSENTIAL:
+        return essential.length > 0 ? essential : reject;
+      default:
+        return reject.length > 0 ? reject : essential;
+    }
+  }
+
+  /**
+   * Click a sequence of buttons, waiting for each to appear
+   * @param {ConsentRule} rule
+   * @param {ConsentStep[]} steps
+   * @returns {Promise<boolean>} True if every button was clicked
+   */
+  async runClickSequence(rule, steps) {
+    const generation = this.generation;
+
+    try {
+      for (const step of steps) {
+        const button = await this.waitForStep(step, generation);
+        if (!button) {
+          Logger.info(
+            "RuleExecution:ConsentExecutor",
+            `${rule.name}: button not found, banner left hidden`,
+            { step }
+          );
+          return false;
+        }
+        button.click();
+      }
+
+      Logger.info("RuleExecution:ConsentExecutor", `${rule.name}: consent answered (${rule.mode})`);
+      return true;
+    } catch (error) {
+      Logger.warn("RuleExecution:ConsentExecutor", `${rule.name}: click sequence failed`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Wait until a step's button exists
+   * @param {ConsentStep} step
+   * @param {number} generation - Generation the sequence started in
+   * @returns {Promise<HTMLElement|null>} Null on timeout or cleanup
+   */
+  async waitForStep(step, generation) {
+    const deadline = Date.now() + this.stepTimeout;
+
+    while (generation === this.generation) {
+      const button = this.findStepElement(step);
+      if (button || Date.now() >= deadline) {
+        return button;
+      }
+      await new Promise(resolve => setTimeout(resolve, STEP_POLL_INTERVAL_MS));
+    }
+
+    return null;
+  }
+
+  /**
+   * Element for a click step
+   * @param {ConsentStep} step - Selector, or {selector, text}
+   * @returns {HTMLElement|null}
+   */
+  findStepElement(step) {
+    if (typeof step === 'string') {
+      return document.querySelector(step);
+    }
+
+    const text = step.text.toLowerCase();
+    return Array.from(document.querySelectorAll(step.selector)).find(
+      element => (element.textContent || '').trim().toLowerCase().includes(text)
+    ) || null;
+  }
+
+  /**
+   * Write hiding and scroll-unlock CSS for every handled CMP
+   */
+  updateStyles() {
+    const rules = Array.from(this.handled.values());
+    const css = [
+      ...rules.map(rule => `${rule.hide.join(',\n')} { display: none !important; }`),
+      ...rules
+        .filter(rule => rule.unlock?.length > 0)
+        .map(rule => `${rule.unlock.join(',\n')} { overflow: auto !important; }`)
+    ].join('\n');
+
+    if (!this.styleElement || !this.styleElement.isConnected) {
+      this.styleElement = document.getElementById(STYLE_ID) || document.createElement('style');
+      this.styleElement.id = STYLE_ID;
+      (document.head || document.documentElement).appendChild(this.styleElement);
+    }
+    this.styleElement.textContent = `/* Cookie consent banners - Auto-generated */\n${css}`;
+  }
+
+  /**
+   * Watch for CMPs injected after execution (bounded by watchDuration)
+   */
+  startWatching() {
+    if (typeof MutationObserver === 'undefined' || this.rules.every(rule => this.handled.has(rule.id))) {
+      return;
+    }
+
+    this.observer = new MutationObserver(() => this.scheduleScan());
+    this.observer.observe(document.documentElement, { childList: true, subtree: true });
+    this.watchTimer = setTimeout(() => this.stopWatching(), this.watchDuration);
+  }
+
+  /**
+   * Debounced scan after DOM mutations
+   * @private
+   */
+  scheduleScan() {
+    if (this.scanTimer) {
+      return;
+    }
+    this.scanTimer = setTimeout(() => {
+      this.scanTimer = null;
+      this.scan();
+      if (this.rules.every(rule => this.handled.has(rule.id))) {
+        this.stopWatching();
+      }
+    }, SCAN_DELAY_MS);
+  }
+
+  stopWatching() {
+    this.observer?.disconnect();
+    this.observer = null;
+    clearTimeout(this.scanTimer);
+    clearTimeout(this.watchTimer);
+    this.scanTimer = null;
+    this.watchTimer = null;
+  }
+
+  /**
+   * Get execution statistics
+   * @returns {{handled: string[]}} IDs of the CMPs handled on this page
+   */
+  getStats() {
+    return { handled: Array.from(this.handled.keys()) };
+  }
+
+  /**
+   * Clean up observers, pending clicks and injected styles
+   */
+  cleanup() {
+    this.stopWatching();
+    this.generation++;
+    this.styleElement?.remove();
+    this.styleElement = null;
+    this.handled.clear();
+    this.rules = [];
+  }
+}
@@ -4,6 +4,10 @@
  * @fileoverview Single-pass DOM scanner with tiered removal strategy.
  * Scans all elements with id/class attributes and checks against token index.
  *
+ * Open shadow roots of web components are scanned by scanShadowRoots() (each
+ * root is reported through `options.onShadowRoot` so CSS and observers can
+ * follow).
+ *
  * Tiered Removal Strategy:
  * - Tier 1: REMOVE third-party iframes (safe, saves bandwidth)
  * - Tier 2: REMOVE scripts and link tags (prevents ad execution)
@@ -14,6 +18,7 @@
 
 import Logger from '@script-utils/logger.js';
 import { isSpecialUrlExact } from "@script-utils/threat-patterns.js";
+import { findShadowRoots, getOpenShadowRoot } from "./shadow-roots.js";
 
 /**
  * DOM Scanner with tiered removal strategy
@@ -37,6 +42,7 @@ export class DomScanner {
     this.options = {
       enableRemoval: true,   // Enable actual removal (vs just counting)
       logMatches: false,     // Log matched elements for debugging
+      onShadowRoot: null,    // Called with each open shadow root reached
       ...options
     };
 
@@ -49,6 +55,8 @@ export class DomScanner {
 
   /**
    * Scan entire DOM for matching elements
+   * Shadow roots are left to scanShadowRoots() so this light-DOM pass stays a
+   * single native query.
    * @returns {{removed: number, hidden: number}} Scan statistics
    */
   scan() {
@@ -73,6 +81,25 @@ export class DomScanner {
     return { ...this.stats };
   }
 
+  /**
+   * Scan the open shadow roots of the custom elements in a tree (and the ones
+   * nested in them)
+   * @param {Document|ShadowRoot|Element} [root=document] - Tree to search for hosts
+   * @returns {{removed: number, hidden: number}} Scan statistics
+   */
+  scanShadowRoots(root = document) {
+    const localStats = { removed: 0, hidden: 0 };
+
+    // querySelectorAll stops at shadow boundaries - descend into each open root
+    for (const shadowRoot of findShadowRoots(root)) {
+      const result = this.scanShadowRoot(shadowRoot);
+      localStats.removed += result.removed;
+      localStats.hidden += result.hidden;
+    }
+
+    return localStats;
+  }
+
   /**
    * Scan a single element and its descendants
    * @param {Element} root - Root element to scan
@@ -103,6 +130,43 @@ export class DomScanner {
       localStats.hidden += result.hidden;
     }
 
+    // Pierce the root's own shadow root and those of its descendants
+    const shadowRoot = getOpenShadowRoot(root);
+    if (shadowRoot) {
+      const result = this.scanShadowRoot(shadowRoot);
+      localStats.removed += result.removed;
+      localStats.hidden += result.hidden;
+    }
+
+    const shadowResult = this.scanShadowRoots(root);
+    localStats.removed += shadowResult.removed;
+    localStats.hidden += shadowResult.hidden;
+
+    return localStats;
+  }
+
+  /**
+   * Scan an open shadow root (and the ones nested in it)
+   * @param {ShadowRoot} shadowRoot - Shadow root to scan
+   * @returns {{removed: number, hidden: number}} Scan statistics
+   */
+  scanShadowRoot(shadowRoot) {
+    const localStats = { removed: 0, hidden: 0 };
+
+    if (this.options.onShadowRoot) {
+      this.options.onShadowRoot(shadowRoot);
+    }
+
+    for (const el of shadowRoot.querySelectorAll('[id],[class]')) {
+      const result = this.processElement(el);
+      localStats.removed += result.removed;
+      localStats.hidden += result.hidden;
+    }
+
+    const nested = this.scanShadowRoots(shadowRoot);
+    localStats.removed += nested.removed;
+    localStats.hidden += nested.hidden;
+
     return localStats;
   }
 
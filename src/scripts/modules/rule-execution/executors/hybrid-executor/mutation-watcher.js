@@ -8,11 +8,13 @@
  * 1. Buffer mutations and process in batches
  * 2. Debounce using requestAnimationFrame
  * 3. Deduplicate with WeakSet to avoid reprocessing
+ * 4. Observe open shadow roots as they are found or attached (see shadow-roots.js)
  *
  * @module mutation-watcher
  */
 
 import Logger from "@script-utils/logger.js";
+import { SHADOW_ROOT_ATTACHED_EVENT, getOpenShadowRoot } from "./shadow-roots.js";
 
 /**
  * Debounced MutationObserver for dynamic content
@@ -72,11 +74,19 @@ export class MutationWatcher {
      */
     this.seen = new WeakSet();
 
+    /**
+     * Shadow roots observed in addition to the start target
+     * @type {WeakSet<ShadowRoot>}
+     */
+    this.observedShadowRoots = new WeakSet();
+
     /**
      * Cumulative statistics
-     * @type {{removed: number, hidden: number, mutations: number}}
+     * @type {{removed: number, hidden: number, mutations: number, shadowRoots: number}}
      */
-    this.stats = { removed: 0, hidden: 0, mutations: 0 };
+    this.stats = { removed: 0, hidden: 0, mutations: 0, shadowRoots: 0 };
+
+    this._boundShadowRootAttached = this.handleShadowRootAttached.bind(this);
 
     /**
      * Callback for external stat updates
@@ -104,14 +114,60 @@ export class MutationWatcher {
       this.handleMutations(mutations);
     });
 
-    this.observer.observe(target, {
+    this.observer.observe(target, this.getObserveOptions());
+
+    // Shadow roots attached after the scan (announced by the injected script)
+    document.addEventListener(SHADOW_ROOT_ATTACHED_EVENT, this._boundShadowRootAttached, true);
+
+    Logger.info("RuleExecution:MutationWatcher", "Started observing");
+  }
+
+  /**
+   * Also observe an open shadow root (mutations do not cross shadow boundaries)
+   * @param {ShadowRoot} shadowRoot - Shadow root to observe
+   */
+  observe(shadowRoot) {
+    if (!this.observer || this.observedShadowRoots.has(shadowRoot)) {
+      return;
+    }
+
+    this.observer.observe(shadowRoot, this.getObserveOptions());
+    this.observedShadowRoots.add(shadowRoot);
+    this.stats.shadowRoots++;
+  }
+
+  /**
+   * MutationObserver options for the start target and shadow roots
+   * @private
+   * @returns {MutationObserverInit}
+   */
+  getObserveOptions() {
+    return {
       childList: this.options.childList,
       subtree: this.options.subtree,
       attributes: this.options.attributes,
       attributeFilter: this.options.attributeFilter
-    });
+    };
+  }
 
-    Logger.info("RuleExecution:MutationWatcher", "Started observing");
+  /**
+   * Observe and scan a shadow root the page just attached
+   * The scanner also reports it through its onShadowRoot callback (where the
+   * executor adopts the hiding CSS).
+   * @private
+   * @param {Event} event - SHADOW_ROOT_ATTACHED_EVENT, dispatched on the host
+   */
+  handleShadowRootAttached(event) {
+    // composedPath()[0] is the host itself, even when it sits in another shadow tree
+    const host = event.composedPath ? event.composedPath()[0] : event.target;
+    const shadowRoot = host instanceof Element ? getOpenShadowRoot(host) : null;
+    if (!shadowRoot || this.observedShadowRoots.has(shadowRoot)) {
+      return;
+    }
+
+    this.observe(shadowRoot);
+    const result = this.scanner.scanShadowRoot(shadowRoot);
+    this.recordStats(result.removed, result.hidden);
   }
 
   /**
@@ -175,19 +231,30 @@ export class MutationWatcher {
       }
     }
 
-    // Update cumulative stats
-    if (localRemoved > 0 || localHidden > 0) {
-      this.stats.removed += localRemoved;
-      this.stats.hidden += localHidden;
-
-      // Call external callback if set
-      if (this.onStatsUpdate) {
-        this.onStatsUpdate({
-          removed: localRemoved,
-          hidden: localHidden,
-          total: this.stats
-        });
-      }
+    this.recordStats(localRemoved, localHidden);
+  }
+
+  /**
+   * Update cumulative stats and notify the stats callback
+   * @private
+   * @param {number} removed - Elements removed
+   * @param {number} hidden - Elements hidden
+   */
+  recordStats(removed, hidden) {
+    if (removed === 0 && hidden === 0) {
+      return;
+    }
+
+    this.stats.removed += removed;
+    this.stats.hidden += hidden;
+
+    // Call external callback if set
+    if (this.onStatsUpdate) {
+      this.onStatsUpdate({
+        removed,
+        hidden,
+        total: this.stats
+      });
     }
   }
 
@@ -223,6 +290,8 @@ export class MutationWatcher {
       this.observer.disconnect();
       this.observer = null;
     }
+    document.removeEventListener(SHADOW_ROOT_ATTACHED_EVENT, this._boundShadowRootAttached, true);
+    this.observedShadowRoots = new WeakSet();
 
     // Clear buffer
     this.pendingMutations = [];
@@ -233,7 +302,7 @@ export class MutationWatcher {
 
   /**
    * Get cumulative statistics
-   * @returns {{removed: number, hidden: number, mutations: number}}
+   * @returns {{removed: number, hidden: number, mutations: number, shadowRoots: number}}
    */
   getStats() {
     return { ...this.stats };
@@ -243,7 +312,7 @@ export class MutationWatcher {
    * Reset statistics
    */
   resetStats() {
-    this.stats = { removed: 0, hidden: 0, mutations: 0 };
+    this.stats = { removed: 0, hidden: 0, mutations: 0, shadowRoots: 0 };
   }
 
   /**
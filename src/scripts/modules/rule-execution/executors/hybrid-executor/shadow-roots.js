@@ -0,0 +1,68 @@
+/**
+ * Shadow Root Discovery
+ *
+ * @fileoverview Helpers for reaching open shadow roots of page web components.
+ * `querySelectorAll` and MutationObserver stop at shadow boundaries, so the
+ * scanner walks into each open root and the watcher observes them separately.
+ *
+ * Hosts are looked up among custom elements only (a TreeWalker over the tree,
+ * so the id/class query of the scan stays a native filter). Built-in hosts such
+ * as a `<div>` with a shadow root are reached through announcements: the
+ * injected script (main world, loaded with Navigation Guardian) wraps
+ * `Element.prototype.attachShadow` and dispatches SHADOW_ROOT_ATTACHED_EVENT on
+ * the host. Closed roots are not reachable and are left alone.
+ *
+ * @module shadow-roots
+ */
+
+/**
+ * Event dispatched on a host after it attached an open shadow root
+ * (bubbles and is composed, so it reaches `document` from nested roots too)
+ * @constant {string}
+ */
+export const SHADOW_ROOT_ATTACHED_EVENT = 'originalui:shadow-root-attached';
+
+// Our own UI (Navigation Guardian modal, element picker) lives in shadow roots too
+const OWN_UI_HOST_SELECTOR = '[id^="originalui-"]';
+
+/**
+ * Open shadow root of an element, unless it hosts our own UI
+ * @param {Element} element
+ * @returns {ShadowRoot|null}
+ */
+export function getOpenShadowRoot(element) {
+  const shadowRoot = element?.shadowRoot;
+  if (!shadowRoot || element.matches(OWN_UI_HOST_SELECTOR)) {
+    return null;
+  }
+  return shadowRoot;
+}
+
+/**
+ * Open shadow roots of the custom elements inside a tree (not nested ones -
+ * scan those by calling this again on each returned root)
+ * @param {Document|ShadowRoot|Element} root - Tree to search
+ * @returns {ShadowRoot[]}
+ */
+export function findShadowRoots(root) {
+  const shadowRoots = [];
+  const doc = root.ownerDocument || root;
+
+  // Custom element names always contain a hyphen; other elements are passed
+  // over without reading their shadowRoot (no acceptNode callback - calling
+  // into a filter for every node costs more than the check itself)
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+
+  while (walker.nextNode()) {
+    const element = walker.currentNode;
+    if (!element.localName.includes('-')) {
+      continue;
+    }
+    const shadowRoot = getOpenShadowRoot(element);
+    if (shadowRoot) {
+      shadowRoots.push(shadowRoot);
+    }
+  }
+
+  return shadowRoots;
+}
@@ -7,6 +7,11 @@
  * This is the "Declarative Fast Path" of the Hybrid Engine.
  * All 13,000+ EasyList selectors are injected as a single <style> tag,
  * letting the browser handle matching and hiding instantly.
+ * Callers pass only the selectors scoped to the current hostname, so
+ * domain-specific filters never leak onto other sites.
+ *
+ * Document styles do not cross shadow boundaries, so the same CSS is adopted
+ * into each open shadow root the scanner reaches (adoptInto).
  *
  * @module style-injector
  */
@@ -29,6 +34,24 @@ export class StyleInjector {
      * @type {string}
      */
     this.styleId = 'easylist-hide-rules';
+
+    /**
+     * CSS of the last injection (adopted into shadow roots)
+     * @type {string}
+     */
+    this.css = '';
+
+    /**
+     * Stylesheet shared by all shadow roots (constructable stylesheets)
+     * @type {CSSStyleSheet|null}
+     */
+    this.shadowSheet = null;
+
+    /**
+     * Shadow roots the CSS was adopted into → adopted sheet or fallback <style>
+     * @type {Map<ShadowRoot, CSSStyleSheet|HTMLStyleElement>}
+     */
+    this.adoptedRoots = new Map();
   }
 
   /**
@@ -47,6 +70,7 @@ export class StyleInjector {
 
     // Build CSS string with all selectors
     const css = this.buildCss(selectors);
+    this.css = css;
 
     // Create and inject style element
     this.styleElement = document.createElement('style');
@@ -100,7 +124,57 @@ export class StyleInjector {
   }
 
   /**
-   * Remove injected style element
+   * Apply the injected CSS inside a shadow root
+   * @param {ShadowRoot} shadowRoot - Open shadow root
+   * @returns {boolean} True if the CSS was adopted now
+   */
+  adoptInto(shadowRoot) {
+    if (!this.css || this.adoptedRoots.has(shadowRoot)) {
+      return false;
+    }
+
+    try {
+      if (this.supportsAdoptedStyleSheets(shadowRoot)) {
+        if (!this.shadowSheet) {
+          this.shadowSheet = new CSSStyleSheet();
+          this.shadowSheet.replaceSync(this.css);
+        }
+        shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, this.shadowSheet];
+        this.adoptedRoots.set(shadowRoot, this.shadowSheet);
+      } else {
+        const style = document.createElement('style');
+        style.setAttribute('data-easylist', 'true');
+        style.textContent = this.css;
+        shadowRoot.appendChild(style);
+        this.adoptedRoots.set(shadowRoot, style);
+      }
+      return true;
+    } catch (error) {
+      Logger.warn(
+        "RuleExecution:StyleInjector",
+        "Failed to adopt CSS into shadow root",
+        { error: error.message }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Whether constructable stylesheets can be adopted into a shadow root
+   * @private
+   * @param {ShadowRoot} shadowRoot
+   * @returns {boolean}
+   */
+  supportsAdoptedStyleSheets(shadowRoot) {
+    return (
+      Array.isArray(shadowRoot.adoptedStyleSheets) &&
+      typeof CSSStyleSheet === 'function' &&
+      typeof CSSStyleSheet.prototype.replaceSync === 'function'
+    );
+  }
+
+  /**
+   * Remove injected style element and the CSS adopted into shadow roots
    */
   cleanup() {
     if (this.styleElement) {
@@ -108,6 +182,17 @@ export class StyleInjector {
       this.styleElement = null;
     }
 
+    this.adoptedRoots.forEach((sheet, shadowRoot) => {
+      if (sheet === this.shadowSheet) {
+        shadowRoot.adoptedStyleSheets = shadowRoot.adoptedStyleSheets.filter(s => s !== sheet);
+      } else {
+        sheet.remove();
+      }
+    });
+    this.adoptedRoots.clear();
+    this.shadowSheet = null;
+    this.css = '';
+
     // Also try to remove by ID in case reference was lost
     const existing = document.getElementById(this.styleId);
     if (existing) {
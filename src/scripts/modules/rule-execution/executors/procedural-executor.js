@@ -0,0 +1,405 @@
+/**
+ * Procedural Executor
+ *
+ * @fileoverview Executes procedural cosmetic filters (`:has-text()`, `:upward()`,
+ * `:xpath()`, `:matches-css()`, `:min-text-length()`, `:remove()`) compiled by
+ * ProceduralSelectorParser.
+ *
+ * Unlike plain selectors these cannot be handed to the browser as CSS, so every
+ * rule is evaluated against the DOM with PerformanceCoordinator time slicing.
+ * A MutationWatcher keeps running afterwards; each batch of mutations triggers
+ * one re-evaluation of all applicable rules.
+ *
+ * @module procedural-executor
+ */
+
+import Logger from "@script-utils/logger.js";
+import { matchesDomainScope } from "@utils/url-utils.js";
+import { getRuleDomains } from "@utils/frame-context.js";
+import { getExceptedSelectors, isExceptionRule } from "../core/exception-matcher.js";
+import { MutationWatcher } from "./hybrid-executor/mutation-watcher.js";
+
+/**
+ * Executor for procedural cosmetic rules
+ */
+export class ProceduralExecutor {
+  /**
+   * @param {PerformanceCoordinator} performanceCoordinator - Time-slicing coordinator
+   */
+  constructor(performanceCoordinator) {
+    this.performanceCoordinator = performanceCoordinator;
+
+    /**
+     * Rules applicable to the current page
+     * @type {Rule[]}
+     */
+    this.rules = [];
+
+    /**
+     * Options from the last execute() call, reused for re-evaluation
+     * @type {{timeSlicing: boolean, maxExecutionTime: number}}
+     */
+    this.executionOptions = { timeSlicing: true, maxExecutionTime: 16 };
+
+    /**
+     * Elements already hidden or removed
+     * @type {WeakSet<Element>}
+     */
+    this.processedElements = new WeakSet();
+
+    /**
+     * Mutation watcher instance
+     * @type {MutationWatcher|null}
+     */
+    this.watcher = null;
+
+    /**
+     * Serializes evaluations so mutation batches never overlap
+     * @type {Promise<void>}
+     */
+    this.evaluationChain = Promise.resolve();
+
+    /**
+     * True while a re-evaluation is queued but not started
+     * @type {boolean}
+     */
+    this.reevaluationScheduled = false;
+
+    /**
+     * Execution statistics
+     * @type {{removed: number, hidden: number, evaluations: number}}
+     */
+    this.stats = { removed: 0, hidden: 0, evaluations: 0 };
+
+    /**
+     * Callback for stat updates from re-evaluation
+     * @type {Function|null}
+     */
+    this.onStatsUpdate = null;
+  }
+
+  /**
+   * Execute procedural rules on the current page
+   * @param {Rule[]} rules - Parsed procedural rules (with `steps`)
+   * @param {string} domain - Current hostname
+   * @param {object} options - Execution options
+   * @param {boolean} [options.timeSlicing=true] - Enable time-slicing
+   * @param {number} [options.maxExecutionTime=16] - Max time per frame (ms)
+   * @param {Rule[]} [options.exceptions] - Exception rules that disable matching selectors
+   * @param {string} [options.frameDomain] - Embedded frame's own hostname, matched as well
+   * @returns {Promise<number>} Number of elements removed or hidden
+   */
+  async execute(rules, domain, options = {}) {
+    const { timeSlicing = true, maxExecutionTime = 16 } = options;
+    const startTime = performance.now();
+
+    this.stopWatcher();
+    this.stats = { removed: 0, hidden: 0, evaluations: 0 };
+    this.executionOptions = { timeSlicing, maxExecutionTime };
+
+    const validRules = (rules || []).filter(r => r && r.selector && r.enabled !== false);
+    const domains = getRuleDomains(domain, options.frameDomain);
+    const exceptedSelectors = getExceptedSelectors(
+      [...validRules.filter(isExceptionRule), ...(options.exceptions || [])],
+      domains
+    );
+
+    this.rules = validRules.filter(
+      r =>
+        !isExceptionRule(r) &&
+        Array.isArray(r.steps) &&
+        !exceptedSelectors.has(r.selector.trim()) &&
+        domains.some(d => this.ruleAppliesTo(r, d))
+    );
+
+    if (this.rules.length === 0) {
+      return 0;
+    }
+
+    const result = await this.evaluateRules(this.executionOptions);
+
+    if (document.body) {
+      // Any added subtree or newly attached shadow root triggers a re-evaluation
+      const reevaluate = () => {
+        this.scheduleReevaluation();
+        return { removed: 0, hidden: 0 };
+      };
+      this.watcher = new MutationWatcher(null, {
+        scanElement: reevaluate,
+        scanShadowRoot: reevaluate
+      });
+      this.watcher.start(document.body);
+    }
+
+    const duration = performance.now() - startTime;
+    Logger.info(
+      "RuleExecution:ProceduralExecutor",
+      `Execution complete in ${duration.toFixed(2)}ms`,
+      { rules: this.rules.length, removed: result.removed, hidden: result.hidden }
+    );
+
+    return result.removed + result.hidden;
+  }
+
+  /**
+   * Evaluate every applicable rule once and act on new matches
+   * @param {{timeSlicing: boolean, maxExecutionTime: number}} options - Time-slicing options
+   * @returns {Promise<{removed: number, hidden: number}>} Elements acted on in this pass
+   */
+  async evaluateRules({ timeSlicing, maxExecutionTime }) {
+    const startTime = performance.now();
+    const result = { removed: 0, hidden: 0 };
+    const rules = this.rules;
+
+    for (const rule of rules) {
+      try {
+        for (const element of this.evaluate(rule.steps)) {
+          const outcome = this.applyAction(element, rule);
+          if (outcome) {
+            result[outcome]++;
+          }
+        }
+      } catch (error) {
+        Logger.warn(
+          "RuleExecution:ProceduralExecutor",
+          `Error evaluating rule ${rule.id}`,
+          { selector: rule.selector, error: error.message }
+        );
+      }
+
+      if (timeSlicing && this.performanceCoordinator) {
+        await this.performanceCoordinator.yieldIfNeeded(startTime, maxExecutionTime);
+      }
+    }
+
+    this.stats.removed += result.removed;
+    this.stats.hidden += result.hidden;
+    this.stats.evaluations++;
+
+    return result;
+  }
+
+  /**
+   * Evaluate a compiled step chain against the document
+   * @param {ProceduralStep[]} steps - Steps from ProceduralSelectorParser
+   * @param {Document} [root=document] - Document to evaluate against
+   * @returns {Element[]} Matching elements
+   */
+  evaluate(steps, root = document) {
+    let elements = null; // null = document context (before the first step)
+
+    for (const step of steps) {
+      if (elements && elements.length === 0) {
+        return [];
+      }
+
+      switch (step.type) {
+        case 'css':
+          elements = Array.from(root.querySelectorAll(step.selector));
+          break;
+
+        case 'descend':
+          elements = unique(elements.flatMap(el => Array.from(el.querySelectorAll(step.selector))));
+          break;
+
+        case 'filter':
+          elements = elements.filter(el => el.matches(step.selector));
+          break;
+
+        case 'has-text':
+          elements = elements.filter(el => step.test(el.textContent || ''));
+          break;
+
+        case 'min-text-length':
+          elements = elements.filter(el => (el.textContent || '').length >= step.length);
+          break;
+
+        case 'matches-css': {
+          const view = root.defaultView || window;
+          elements = elements.filter(el =>
+            step.test(view.getComputedStyle(el).getPropertyValue(step.property))
+          );
+          break;
+        }
+
+        case 'upward':
+          elements = unique(elements.map(el => findAncestor(el, step)).filter(Boolean));
+          break;
+
+        case 'xpath':
+          elements = unique((elements || [root]).flatMap(context => evaluateXPath(root, step.expression, context)));
+          break;
+
+        default:
+          return [];
+      }
+    }
+
+    return elements || [];
+  }
+
+  /**
+   * Hide or remove a matched element
+   * @param {Element} element - Matched element
+   * @param {Rule} rule - Rule that matched
+   * @returns {'removed'|'hidden'|null} Outcome, or null if skipped
+   */
+  applyAction(element, rule) {
+    if (
+      this.processedElements.has(element) ||
+      !element.isConnected ||
+      element === document.documentElement ||
+      element === document.body ||
+      element.hasAttribute('data-content-blocked')
+    ) {
+      return null;
+    }
+
+    this.processedElements.add(element);
+
+    if (rule.action === 'remove') {
+      element.remove();
+      return 'removed';
+    }
+
+    element.setAttribute('data-content-blocked', 'true');
+    element.style.setProperty('display', 'none', 'important');
+    return 'hidden';
+  }
+
+  /**
+   * Queue a re-evaluation after a MutationWatcher batch (coalesces batches while one is pending)
+   * @private
+   */
+  scheduleReevaluation() {
+    if (this.reevaluationScheduled) {
+      return;
+    }
+    this.reevaluationScheduled = true;
+
+    this.evaluationChain = this.evaluationChain
+      .then(async () => {
+        this.reevaluationScheduled = false;
+        const result = await this.evaluateRules(this.executionOptions);
+
+        if ((result.removed > 0 || result.hidden > 0) && this.onStatsUpdate) {
+          this.onStatsUpdate(this.getStats());
+        }
+      })
+      .catch(error => {
+        Logger.error("RuleExecution:ProceduralExecutor", "Re-evaluation failed", error);
+      });
+  }
+
+  /**
+   * Check if a rule's domain scope covers the current hostname
+   * @param {Rule} rule - Parsed rule (domains / excludedDomains)
+   * @param {string} domain - Current hostname
+   * @returns {boolean} True if rule applies
+   */
+  ruleAppliesTo(rule, domain) {
+    return matchesDomainScope(domain, rule.domains, rule.excludedDomains);
+  }
+
+  /**
+   * Stop the mutation watcher if running
+   * @private
+   */
+  stopWatcher() {
+    if (this.watcher) {
+      this.watcher.stop();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Get current execution statistics
+   * @returns {{removed: number, hidden: number, evaluations: number}}
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Set callback for stat updates
+   * @param {Function} callback - Callback(stats) called when re-evaluation blocks elements
+   */
+  setStatsCallback(callback) {
+    this.onStatsUpdate = callback;
+  }
+
+  /**
+   * Check if executor is watching for mutations
+   * @returns {boolean}
+   */
+  isActive() {
+    return Boolean(this.watcher && this.watcher.isActive());
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.stopWatcher();
+    this.rules = [];
+    this.processedElements = new WeakSet();
+
+    Logger.info("RuleExecution:ProceduralExecutor", "Cleanup complete");
+  }
+}
+
+/**
+ * Resolve an `:upward()` step for one element
+ * @private
+ * @param {Element} element - Starting element
+ * @param {ProceduralStep} step - Upward step (distance or selector)
+ * @returns {Element|null} Ancestor, or null if none
+ */
+function findAncestor(element, step) {
+  if (step.selector) {
+    return element.parentElement ? element.parentElement.closest(step.selector) : null;
+  }
+
+  let current = element;
+  for (let i = 0; i < step.distance && current; i++) {
+    current = current.parentElement;
+  }
+  return current;
+}
+
+/**
+ * Evaluate an XPath expression and return element results
+ * @private
+ * @param {Document} root - Owning document
+ * @param {string} expression - XPath expression
+ * @param {Node} context - Context node
+ * @returns {Element[]} Matched elements
+ */
+function evaluateXPath(root, expression, context) {
+  const snapshot = root.evaluate(
+    expression,
+    context,
+    null,
+    XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+    null
+  );
+
+  const elements = [];
+  for (let i = 0; i < snapshot.snapshotLength; i++) {
+    const node = snapshot.snapshotItem(i);
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      elements.push(node);
+    }
+  }
+  return elements;
+}
+
+/**
+ * Remove duplicate elements while keeping document order
+ * @private
+ * @param {Element[]} elements - Elements
+ * @returns {Element[]} Unique elements
+ */
+function unique(elements) {
+  return Array.from(new Set(elements));
+}
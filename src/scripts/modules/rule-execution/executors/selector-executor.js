@@ -8,8 +8,10 @@
  */
 
 import Logger from "@script-utils/logger.js";
-import { domainMatches } from "@utils/url-utils.js";
+import { matchesDomainScope } from "@utils/url-utils.js";
+import { getRuleDomains } from "@utils/frame-context.js";
 import { ElementRemover } from "@modules/element-remover.js";
+import { getExceptedSelectors, isExceptionRule } from "../core/exception-matcher.js";
 /**
  * Executor for CSS selector-based rules
  */
@@ -29,15 +31,26 @@ export class SelectorExecutor {
    * @param {object} options - Execution options
    * @param {boolean} [options.timeSlicing=true] - Enable time-slicing
    * @param {number} [options.maxExecutionTime=16] - Max time per frame (ms)
+   * @param {Rule[]} [options.exceptions] - Exception rules that disable matching selectors
+   * @param {string} [options.frameDomain] - Embedded frame's own hostname, matched as well
    * @returns {Promise<number>} Number of elements removed
    */
   async execute(rules, currentDomain, options = {}) {
     const { timeSlicing = true, maxExecutionTime = 16 } = options;
     const startTime = performance.now();
+    const domains = getRuleDomains(currentDomain, options.frameDomain);
 
-    // Filter rules applicable to current domain
-    const applicableRules = rules.filter((rule) =>
-      this.ruleAppliesTo(rule, currentDomain)
+    const exceptedSelectors = getExceptedSelectors(
+      [...rules.filter(isExceptionRule), ...(options.exceptions || [])],
+      domains
+    );
+
+    // Filter removal rules applicable to current domain (exceptions never remove anything)
+    const applicableRules = rules.filter(
+      (rule) =>
+        !isExceptionRule(rule) &&
+        !exceptedSelectors.has(rule.selector?.trim()) &&
+        domains.some((domain) => this.ruleAppliesTo(rule, domain))
     );
 
     if (applicableRules.length === 0) {
@@ -93,7 +106,7 @@ export class SelectorExecutor {
 
   /**
    * Check if rule applies to current domain
-   * @param {Rule} rule - Rule with domains array
+   * @param {Rule} rule - Rule with domains array (and optional `~domain` excludedDomains)
    * @param {string} domain - Current domain
    * @returns {boolean} True if rule applies
    */
@@ -106,13 +119,8 @@ export class SelectorExecutor {
       return false;
     }
 
-    // Wildcard matches all domains
-    if (rule.domains.includes("*")) {
-      return true;
-    }
-
-    // Check if any rule domain matches current domain
-    return rule.domains.some((ruleDomain) => domainMatches(domain, ruleDomain));
+    // Wildcard or listed domain, minus excluded domains (and their subdomains)
+    return matchesDomainScope(domain, rule.domains, rule.excludedDomains);
   }
 
   /**
@@ -0,0 +1,71 @@
+/**
+ * Consent Rule Parser
+ *
+ * @fileoverview Validates cookie-consent (CMP) rules before execution. Rules
+ * with a broken selector are dropped as a whole so a half-working click
+ * sequence never runs.
+ *
+ * @module consent-rule-parser
+ */
+
+import Logger from "@script-utils/logger.js";
+import { normalizeConsentMode } from "@utils/cookie-consent.js";
+import { SelectorParser } from "./selector-parser.js";
+
+/**
+ * Parser for CMP rules
+ */
+export class ConsentRuleParser {
+  constructor() {
+    this.selectorParser = new SelectorParser();
+  }
+
+  /**
+   * Keep valid rules and normalize their optional fields
+   * @param {ConsentRule[]} rules - Rules from ConsentRuleSource
+   * @returns {Promise<ConsentRule[]>} Valid rules
+   */
+  async parse(rules) {
+    if (!Array.isArray(rules)) {
+      Logger.warn("RuleExecution:ConsentRuleParser", "rules is not an array", rules);
+      return [];
+    }
+
+    return rules
+      .filter(rule => this.isValidRule(rule))
+      .map(rule => ({
+        ...rule,
+        reject: rule.reject || [],
+        essential: rule.essential || [],
+        unlock: rule.unlock || [],
+        mode: normalizeConsentMode(rule.mode)
+      }));
+  }
+
+  /**
+   * Whether a rule can be executed
+   * @param {ConsentRule} rule
+   * @returns {boolean}
+   */
+  isValidRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || rule.enabled === false) {
+      return false;
+    }
+
+    const selectorLists = [rule.detect, rule.hide];
+    if (selectorLists.some(list => !Array.isArray(list) || list.length === 0)) {
+      Logger.warn("RuleExecution:ConsentRuleParser", `Rule "${rule.id}" needs detect and hide selectors`);
+      return false;
+    }
+
+    const steps = [...(rule.reject || []), ...(rule.essential || [])];
+    const selectors = [
+      ...rule.detect,
+      ...rule.hide,
+      ...(rule.unlock || []),
+      ...steps.map(step => (typeof step === 'string' ? step : step?.selector))
+    ];
+
+    return selectors.every(selector => this.selectorParser.validateSelector(selector));
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Custom Filter Parser
+ *
+ * @fileoverview Converts between custom selector rules (`customRules`) and
+ * ABP/uBO cosmetic filter text ("My filters" format), for bulk import and export:
+ *
+ *   ! Sidebar ads
+ *   example.com,~shop.example.com##.sidebar-ad
+ *   ##.cookie-wall
+ *   news.example#@#.teaser
+ *   example.com##+js(set-constant, adsEnabled, false)
+ *
+ * Scriptlet filters (`##+js(...)`) become rules whose selector is the
+ * `+js(...)` part; the scriptlet engine runs them instead of hiding elements.
+ *
+ * A `!` comment directly above a filter becomes the rule's description.
+ * Lines that cannot become a custom rule are reported with their line number
+ * instead of being skipped silently like in filter lists.
+ *
+ * @module custom-filter-parser
+ */
+
+import { COSMETIC_FILTER_PATTERN, EasyListDomParser } from "./easylist-dom-parser.js";
+import { SelectorParser } from "./selector-parser.js";
+import { isScriptletSelector, parseScriptletSelector } from "@modules/scriptlets/scriptlet-parser.js";
+
+/**
+ * Custom filter parser (text <-> customRules)
+ */
+export class CustomFilterParser {
+  constructor() {
+    this.domParser = new EasyListDomParser({ sourceName: 'custom' });
+    this.selectorParser = new SelectorParser();
+  }
+
+  /**
+   * Convert filter text into custom rules
+   * @param {string} text - Pasted or imported filter text, one filter per line
+   * @param {object} [options]
+   * @param {Rule[]} [options.existingRules=[]] - Current custom rules (duplicates are reported)
+   * @param {number} [options.now=Date.now()] - Timestamp used for new rule IDs
+   * @returns {{rules: Rule[], errors: FilterLineError[]}} New rules and rejected lines
+   */
+  parse(text, { existingRules = [], now = Date.now() } = {}) {
+    const rules = [];
+    const errors = [];
+    const seen = new Map(existingRules.map(rule => [ruleKey(rule), 0]));
+    let description = '';
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const lineNumber = index + 1;
+      const reject = (message) => errors.push({ line: lineNumber, text: line, message });
+
+      if (line.length === 0 || line.startsWith('[')) {
+        description = '';
+        return;
+      }
+      if (line.startsWith('!')) {
+        description = line.slice(1).trim();
+        return;
+      }
+
+      const ruleDescription = description;
+      description = '';
+
+      const match = COSMETIC_FILTER_PATTERN.exec(line);
+      if (!match) {
+        reject('Not an element hiding filter (expected domain##selector)');
+        return;
+      }
+
+      const [, domainPart, exceptionMarker, rawSelector] = match;
+      const selector = rawSelector.trim();
+      if (!selector) {
+        reject('Missing selector');
+        return;
+      }
+      const scriptletError = isScriptletSelector(selector)
+        ? validateScriptlet(selector, Boolean(exceptionMarker))
+        : null;
+      if (scriptletError) {
+        reject(scriptletError);
+        return;
+      }
+      if (!isScriptletSelector(selector) && this.domParser.isProceduralSelector(selector)) {
+        reject('Extended (procedural) selectors are not supported in custom rules');
+        return;
+      }
+
+      const scope = this.domParser.parseDomains(domainPart);
+      if (!scope) {
+        reject('Invalid domain list');
+        return;
+      }
+      if (!isScriptletSelector(selector) && !this.selectorParser.validateSelector(selector)) {
+        reject('Invalid CSS selector');
+        return;
+      }
+
+      const rule = {
+        id: `custom-${now}-${rules.length + 1}`,
+        selector,
+        description: ruleDescription,
+        domains: scope.domains,
+        ...(scope.excludedDomains.length > 0 && { excludedDomains: scope.excludedDomains }),
+        category: 'custom',
+        confidence: 'user-defined',
+        enabled: true,
+        ...(exceptionMarker && { isException: true }),
+      };
+
+      const key = ruleKey(rule);
+      if (seen.has(key)) {
+        const previousLine = seen.get(key);
+        reject(previousLine ? `Duplicate of line ${previousLine}` : 'A rule with this selector already exists');
+        return;
+      }
+      seen.set(key, lineNumber);
+      rules.push(rule);
+    });
+
+    return { rules, errors };
+  }
+
+  /**
+   * Convert custom rules into filter text
+   * @param {Rule[]} rules - Custom rules
+   * @returns {string} One filter per rule, descriptions as `!` comments
+   */
+  format(rules) {
+    return (Array.isArray(rules) ? rules : [])
+      .filter(rule => typeof rule?.selector === 'string' && rule.selector.trim())
+      .map(rule => {
+        const filter = `${formatDomains(rule)}${rule.isException ? '#@#' : '##'}${rule.selector.trim()}`;
+        const description = String(rule.description || '').replace(/\s+/g, ' ').trim();
+        return description ? `! ${description}\n${filter}` : filter;
+      })
+      .join('\n');
+  }
+}
+
+/**
+ * Why a `+js(...)` filter cannot become a custom rule
+ * @private
+ * @param {string} selector
+ * @param {boolean} isException - `#@#+js(...)`: an empty `+js()` is allowed
+ * @returns {string|null} Error message, or null if it is usable
+ */
+function validateScriptlet(selector, isException) {
+  const scriptlet = parseScriptletSelector(selector);
+  if (!scriptlet) {
+    return 'Malformed scriptlet (expected +js(name, arguments))';
+  }
+  if (scriptlet.rawName && !scriptlet.name) {
+    return `Unknown scriptlet "${scriptlet.rawName}"`;
+  }
+  if (!scriptlet.name && !isException) {
+    return 'Missing scriptlet name';
+  }
+  return null;
+}
+
+/**
+ * Rules with the same selector and type conflict (same check as the rule editor)
+ * @private
+ */
+function ruleKey(rule) {
+  return `${rule.isException ? '#@#' : '##'}${String(rule.selector || '').trim()}`;
+}
+
+/**
+ * Domain list before `##` (empty for rules that apply everywhere)
+ * Filter domains include subdomains, so a leading `*.` is dropped.
+ * @private
+ */
+function formatDomains(rule) {
+  const domains = (Array.isArray(rule.domains) ? rule.domains : [])
+    .filter(domain => domain && domain !== '*')
+    .map(domain => domain.replace(/^\*\./, ''));
+  const excluded = (Array.isArray(rule.excludedDomains) ? rule.excludedDomains : [])
+    .map(domain => `~${domain.replace(/^\*\./, '')}`);
+  return [...domains, ...excluded].join(',');
+}
+
+/**
+ * @typedef {object} FilterLineError
+ * @property {number} line - 1-based line number
+ * @property {string} text - The rejected line
+ * @property {string} message - Why it was rejected
+ */
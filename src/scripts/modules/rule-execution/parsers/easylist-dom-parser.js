@@ -8,18 +8,41 @@
  * - `##.selector` - Hide elements matching .selector on ALL domains
  * - `###id` - Hide element with id on ALL domains
  * - `##[attr="value"]` - Attribute selectors
+ * - `example.com,~foo.example.com##.banner` - Domain-specific rule; `~` excludes a domain
+ * - `#@#.banner` / `example.com#@#.banner` - Exception: stop hiding `.banner` (globally / on example.com)
  *
- * Note: easylist_general_hide.txt contains ONLY global rules (no domain prefixes)
+ * Domain-specific rules carry `domains` / `excludedDomains` so executors can apply
+ * only the subset matching the current hostname (see matchesDomainScope).
  *
  * @module easylist-dom-parser
  */
 
 import Logger from "@script-utils/logger.js";
 
+/**
+ * Element hiding filter: optional domain list, `##` (or `#@#` for exceptions), selector
+ * @constant {RegExp}
+ */
+export const COSMETIC_FILTER_PATTERN = /^([^#]*)#(@?)#(.*)$/;
+
+/**
+ * A single entry in a filter's domain list (optionally negated with ~)
+ * @constant {RegExp}
+ */
+const DOMAIN_ENTRY_PATTERN = /^~?[a-z0-9*][a-z0-9.*_-]*$/i;
+
 /**
  * Parser for EasyList cosmetic filter rules
  */
 export class EasyListDomParser {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.sourceName='easylist_general_hide'] - Value for each rule's `source` field
+   */
+  constructor(options = {}) {
+    this.sourceName = options.sourceName || 'easylist_general_hide';
+  }
+
   /**
    * Parse raw EasyList lines into structured rule objects
    * @param {string[]} rawLines - Array of raw EasyList lines from source
@@ -37,6 +60,7 @@ export class EasyListDomParser {
 
     const rules = [];
     let index = 0;
+    let exceptionIndex = 0;
 
     for (const line of rawLines) {
       const trimmed = line.trim();
@@ -56,13 +80,14 @@ export class EasyListDomParser {
         continue;
       }
 
-      // Only process cosmetic filter rules (## prefix)
-      if (!trimmed.startsWith('##')) {
+      // Only process element hiding rules and exceptions (`##` / `#@#`, optionally domain-prefixed)
+      const match = COSMETIC_FILTER_PATTERN.exec(trimmed);
+      if (!match) {
         continue;
       }
 
-      // Extract selector (everything after ##)
-      const selector = trimmed.substring(2);
+      const [, domainPart, exceptionMarker, rawSelector] = match;
+      const selector = rawSelector.trim();
 
       // Skip empty selectors
       if (selector.length === 0) {
@@ -70,19 +95,41 @@ export class EasyListDomParser {
       }
 
       // Skip procedural/extended selectors (not standard CSS)
-      // These contain :has(), :contains(), :xpath(), etc.
+      // These contain :has-text(), :xpath(), etc. and are handled by ProceduralSelectorParser
       if (this.isProceduralSelector(selector)) {
         continue;
       }
 
+      const scope = this.parseDomains(domainPart);
+      if (!scope) {
+        continue; // Malformed domain list (likely a network rule containing ##)
+      }
+
+      if (exceptionMarker) {
+        rules.push({
+          id: `easylist-exception-${exceptionIndex}`,
+          selector: selector,
+          domains: scope.domains,
+          excludedDomains: scope.excludedDomains,
+          isException: true,
+          enabled: true,
+          category: 'easylist',
+          confidence: 'high',
+          source: this.sourceName
+        });
+        exceptionIndex++;
+        continue;
+      }
+
       rules.push({
         id: `easylist-${index}`,
         selector: selector,
-        domains: ['*'], // All rules in general_hide.txt apply globally
+        domains: scope.domains,
+        excludedDomains: scope.excludedDomains,
         enabled: true,
         category: 'easylist',
         confidence: 'high',
-        source: 'easylist_general_hide'
+        source: this.sourceName
       });
 
       index++;
@@ -96,6 +143,33 @@ export class EasyListDomParser {
     return rules;
   }
 
+  /**
+   * Split a filter's domain list into included and excluded domains
+   * @param {string} domainPart - Text before `##` (e.g. "example.com,~foo.example.com")
+   * @returns {{domains: string[], excludedDomains: string[]}|null} Scope, or null if malformed
+   */
+  parseDomains(domainPart) {
+    const entries = domainPart
+      .split(',')
+      .map(entry => entry.trim().toLowerCase())
+      .filter(entry => entry.length > 0);
+
+    if (entries.some(entry => !DOMAIN_ENTRY_PATTERN.test(entry))) {
+      return null;
+    }
+
+    const domains = entries.filter(entry => !entry.startsWith('~'));
+    const excludedDomains = entries
+      .filter(entry => entry.startsWith('~'))
+      .map(entry => entry.substring(1));
+
+    return {
+      // No positive domains (generic or exclusion-only) means "everywhere"
+      domains: domains.length > 0 ? domains : ['*'],
+      excludedDomains
+    };
+  }
+
   /**
    * Check if selector is a procedural/extended selector (not standard CSS)
    * @private
@@ -119,6 +193,11 @@ export class EasyListDomParser {
       ':matches-media(',  // uBO extended
     ];
 
+    // uBO scriptlet (`##+js(...)`, see scriptlet-parser.js) and HTML filters (`##^...`) are not selectors
+    if (selector.startsWith('+js(') || selector.startsWith('^')) {
+      return true;
+    }
+
     const lowerSelector = selector.toLowerCase();
     return proceduralPatterns.some(pattern => lowerSelector.includes(pattern));
   }
@@ -126,11 +205,16 @@ export class EasyListDomParser {
   /**
    * Get statistics about parsed rules
    * @param {Rule[]} rules - Parsed rules
-   * @returns {{total: number, byType: Object}}
+   * @returns {{total: number, exceptions: number, byType: Object, byScope: Object}}
    */
   getStatistics(rules) {
     const stats = {
       total: rules.length,
+      exceptions: 0,
+      byScope: {
+        generic: 0,
+        domainSpecific: 0
+      },
       byType: {
         class: 0,
         id: 0,
@@ -143,6 +227,14 @@ export class EasyListDomParser {
     for (const rule of rules) {
       const sel = rule.selector;
 
+      if (rule.isException) {
+        stats.exceptions++;
+      }
+
+      const isGeneric = (rule.domains || ['*']).includes('*') &&
+        !(rule.excludedDomains && rule.excludedDomains.length > 0);
+      stats.byScope[isGeneric ? 'generic' : 'domainSpecific']++;
+
       if (sel.startsWith('.')) {
         stats.byType.class++;
       } else if (sel.startsWith('#')) {
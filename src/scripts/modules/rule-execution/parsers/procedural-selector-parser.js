@@ -0,0 +1,459 @@
+/**
+ * Procedural Selector Parser
+ *
+ * @fileoverview Parses ABP/uBO extended (procedural) cosmetic filters that
+ * EasyListDomParser skips because they are not valid CSS.
+ *
+ * Supported operators (chainable, evaluated left to right):
+ * - `:has-text(text|/regex/)` (aliases `:contains()`, `:-abp-contains()`) - keep elements whose text matches
+ * - `:upward(n|selector)` - replace each element with its n-th ancestor / closest matching ancestor
+ * - `:xpath(expr)` - evaluate XPath relative to each element (or the document when first)
+ * - `:matches-css(property: value|/regex/)` - keep elements whose computed style matches
+ * - `:min-text-length(n)` - keep elements with at least n characters of text
+ * - `:remove()` - remove matches instead of hiding them (must be last)
+ *
+ * Plain CSS may appear before the first operator and between operators, e.g.
+ * `example.com##div.card:has-text(Sponsored):upward(2) > .footer`.
+ *
+ * Each rule carries compiled `steps` and an `action` ('hide' | 'remove') for
+ * the procedural executor. Filters with unsupported operators are dropped.
+ *
+ * @module procedural-selector-parser
+ */
+
+import Logger from "@script-utils/logger.js";
+import { EasyListDomParser } from "./easylist-dom-parser.js";
+
+/**
+ * Element hiding filter: domains, `##`/`#?#` (or `#@#`/`#@?#` for exceptions), selector
+ * @constant {RegExp}
+ */
+const PROCEDURAL_FILTER_PATTERN = /^([^#]*)#(@?)\??#(.*)$/;
+
+/**
+ * Operator names (and aliases) mapped to their canonical step type
+ * @constant {Object<string, string>}
+ */
+const OPERATORS = {
+  'has-text': 'has-text',
+  'contains': 'has-text',
+  '-abp-contains': 'has-text',
+  'upward': 'upward',
+  'xpath': 'xpath',
+  'matches-css': 'matches-css',
+  'min-text-length': 'min-text-length',
+  'remove': 'remove'
+};
+
+/**
+ * Largest accepted `:upward(n)` distance
+ * @constant {number}
+ */
+const MAX_UPWARD_DISTANCE = 256;
+
+/**
+ * Parser for procedural cosmetic filters
+ * @extends EasyListDomParser
+ */
+export class ProceduralSelectorParser extends EasyListDomParser {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.sourceName='easylist_procedural'] - Value for each rule's `source` field
+   */
+  constructor(options = {}) {
+    super({ sourceName: options.sourceName || 'easylist_procedural' });
+  }
+
+  /**
+   * Parse raw filter lines into compiled procedural rules
+   * @param {string[]} rawLines - Array of raw filter lines
+   * @returns {Promise<Rule[]>} Procedural rules (with `steps` and `action`)
+   */
+  async parse(rawLines) {
+    if (!Array.isArray(rawLines)) {
+      Logger.warn(
+        "RuleExecution:ProceduralSelectorParser",
+        "rawLines is not an array",
+        rawLines
+      );
+      return [];
+    }
+
+    const rules = [];
+    let index = 0;
+    let exceptionIndex = 0;
+    let unsupported = 0;
+
+    for (const line of rawLines) {
+      const trimmed = line.trim();
+
+      if (trimmed.length === 0 || trimmed.startsWith('!') || trimmed.startsWith('[')) {
+        continue;
+      }
+
+      const match = PROCEDURAL_FILTER_PATTERN.exec(trimmed);
+      if (!match) {
+        continue;
+      }
+
+      const [, domainPart, exceptionMarker, rawSelector] = match;
+      const selector = rawSelector.trim();
+
+      // Plain CSS filters belong to EasyListDomParser; scriptlets/HTML filters to nobody
+      if (
+        selector.length === 0 ||
+        selector.startsWith('+js(') ||
+        selector.startsWith('^') ||
+        !this.isProceduralSelector(selector)
+      ) {
+        continue;
+      }
+
+      const scope = this.parseDomains(domainPart);
+      if (!scope) {
+        continue;
+      }
+
+      if (exceptionMarker) {
+        rules.push({
+          id: `procedural-exception-${exceptionIndex}`,
+          selector,
+          domains: scope.domains,
+          excludedDomains: scope.excludedDomains,
+          isException: true,
+          enabled: true,
+          category: 'easylist',
+          confidence: 'high',
+          source: this.sourceName
+        });
+        exceptionIndex++;
+        continue;
+      }
+
+      const compiled = compileProceduralSelector(selector);
+      if (!compiled) {
+        unsupported++;
+        continue;
+      }
+
+      rules.push({
+        id: `procedural-${index}`,
+        selector,
+        steps: compiled.steps,
+        action: compiled.action,
+        domains: scope.domains,
+        excludedDomains: scope.excludedDomains,
+        enabled: true,
+        category: 'easylist',
+        confidence: 'high',
+        source: this.sourceName
+      });
+      index++;
+    }
+
+    Logger.debug(
+      "RuleExecution:ProceduralSelectorParser",
+      `Parsed ${rules.length} procedural rules (${unsupported} unsupported)`
+    );
+
+    return rules;
+  }
+}
+
+/**
+ * Compile a procedural selector into executable steps
+ * @param {string} selector - Procedural selector (e.g. "div:has-text(Ad):upward(1)")
+ * @returns {{steps: ProceduralStep[], action: 'hide'|'remove'}|null} Compiled selector, or null if unsupported
+ */
+export function compileProceduralSelector(selector) {
+  const tokens = tokenizeSelector(selector);
+  if (!tokens) {
+    return null;
+  }
+
+  const steps = [];
+  let action = 'hide';
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (action === 'remove') {
+      return null; // Nothing may follow :remove()
+    }
+
+    if (token.type === 'css') {
+      const step = compileCssSegment(token.text, steps.length === 0);
+      if (!step) {
+        return null;
+      }
+      steps.push(step);
+      continue;
+    }
+
+    if (steps.length === 0 && token.operator !== 'xpath') {
+      return null; // Operators need a CSS anchor (scanning every element is too costly)
+    }
+
+    if (token.operator === 'remove') {
+      if (token.arg.trim() !== '') {
+        return null;
+      }
+      action = 'remove';
+      continue;
+    }
+
+    const step = compileOperator(token.operator, token.arg);
+    if (!step) {
+      return null;
+    }
+    steps.push(step);
+  }
+
+  return steps.length > 0 ? { steps, action } : null;
+}
+
+/**
+ * Split a selector into CSS segments and operator calls, respecting
+ * brackets, quotes and escapes
+ * @private
+ * @param {string} selector - Procedural selector
+ * @returns {Array<{type: 'css', text: string}|{type: 'operator', operator: string, arg: string}>|null}
+ */
+function tokenizeSelector(selector) {
+  const tokens = [];
+  let cssStart = 0;
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+      continue;
+    }
+    if (char === '(' || char === '[') {
+      depth++;
+      continue;
+    }
+    if (char === ')' || char === ']') {
+      depth--;
+      continue;
+    }
+    if (char !== ':' || depth !== 0) {
+      continue;
+    }
+
+    const name = /^[a-z-]+/i.exec(selector.slice(i + 1))?.[0]?.toLowerCase();
+    const operator = name && OPERATORS[name];
+    if (!operator || selector[i + 1 + name.length] !== '(') {
+      continue; // Regular CSS pseudo-class
+    }
+
+    const argStart = i + name.length + 2;
+    const argEnd = findClosingParen(selector, argStart);
+    if (argEnd === -1) {
+      return null;
+    }
+
+    if (i > cssStart) {
+      tokens.push({ type: 'css', text: selector.slice(cssStart, i) });
+    }
+    tokens.push({ type: 'operator', operator, arg: selector.slice(argStart, argEnd) });
+
+    cssStart = argEnd + 1;
+    i = argEnd;
+  }
+
+  if (quote || depth !== 0) {
+    return null;
+  }
+  if (cssStart < selector.length) {
+    tokens.push({ type: 'css', text: selector.slice(cssStart) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the parenthesis closing an operator argument
+ * @private
+ * @param {string} text - Full selector
+ * @param {number} start - Index just after the opening parenthesis
+ * @returns {number} Index of the closing parenthesis, or -1
+ */
+function findClosingParen(text, start) {
+  let depth = 1;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Compile a plain CSS segment
+ * @private
+ * @param {string} text - CSS text
+ * @param {boolean} isFirst - True if the segment anchors the chain
+ * @returns {ProceduralStep|null} Step, or null if the CSS is invalid or unsupported
+ */
+function compileCssSegment(text, isFirst) {
+  const trimmed = text.trim();
+  if (trimmed.length === 0) {
+    // Whitespace between operators has no effect
+    return isFirst ? null : { type: 'filter', selector: '*' };
+  }
+
+  let step;
+  if (isFirst) {
+    step = { type: 'css', selector: trimmed };
+  } else if (/^[+~]/.test(trimmed)) {
+    return null; // Sibling combinators cannot be evaluated with querySelectorAll
+  } else if (/^\s/.test(text) || trimmed.startsWith('>')) {
+    // Descendant or child combinator after an operator
+    step = { type: 'descend', selector: `:scope ${trimmed}` };
+  } else {
+    step = { type: 'filter', selector: trimmed };
+  }
+
+  return isValidCss(step.selector) ? step : null;
+}
+
+/**
+ * Compile an operator call into a step
+ * @private
+ * @param {string} operator - Canonical operator name
+ * @param {string} rawArg - Raw argument text
+ * @returns {ProceduralStep|null} Step, or null if the argument is invalid
+ */
+function compileOperator(operator, rawArg) {
+  const arg = rawArg.trim();
+
+  switch (operator) {
+    case 'has-text': {
+      const test = createTextMatcher(arg);
+      return arg && test ? { type: 'has-text', arg, test } : null;
+    }
+
+    case 'min-text-length': {
+      const length = Number(arg);
+      return Number.isInteger(length) && length > 0
+        ? { type: 'min-text-length', length }
+        : null;
+    }
+
+    case 'upward': {
+      if (/^\d+$/.test(arg)) {
+        const distance = Number(arg);
+        return distance >= 1 && distance <= MAX_UPWARD_DISTANCE
+          ? { type: 'upward', distance }
+          : null;
+      }
+      return arg && isValidCss(arg) ? { type: 'upward', selector: arg } : null;
+    }
+
+    case 'xpath':
+      return arg && isValidXPath(arg) ? { type: 'xpath', expression: arg } : null;
+
+    case 'matches-css': {
+      const separator = arg.indexOf(':');
+      if (separator <= 0) {
+        return null;
+      }
+      const property = arg.slice(0, separator).trim().toLowerCase();
+      const value = arg.slice(separator + 1).trim();
+      const test = createTextMatcher(value, { exact: true });
+      return value && test ? { type: 'matches-css', property, arg: value, test } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build a matcher for a literal or `/regex/flags` argument
+ * @private
+ * @param {string} arg - Operator argument
+ * @param {object} [options]
+ * @param {boolean} [options.exact=false] - Literal must equal the value instead of being contained in it
+ * @returns {Function|null} Matcher(text) → boolean, or null for an invalid regex
+ */
+function createTextMatcher(arg, { exact = false } = {}) {
+  const regexMatch = /^\/(.+)\/([imsu]*)$/.exec(arg);
+
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2]);
+      return (text) => regex.test(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const literal = arg.replace(/^(["'])(.*)\1$/, '$2');
+  return exact
+    ? (text) => text.trim() === literal
+    : (text) => text.includes(literal);
+}
+
+/**
+ * Check whether a selector is valid CSS in this browser
+ * @private
+ * @param {string} selector - CSS selector
+ * @returns {boolean} True if valid
+ */
+function isValidCss(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether an XPath expression compiles
+ * @private
+ * @param {string} expression - XPath expression
+ * @returns {boolean} True if valid
+ */
+function isValidXPath(expression) {
+  try {
+    document.createExpression(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @typedef {object} ProceduralStep
+ * @property {'css'|'descend'|'filter'|'has-text'|'min-text-length'|'upward'|'xpath'|'matches-css'} type
+ * @property {string} [selector] - CSS selector (css, descend, filter, upward)
+ * @property {number} [distance] - Ancestor distance (upward)
+ * @property {string} [expression] - XPath expression (xpath)
+ * @property {string} [property] - CSS property (matches-css)
+ * @property {number} [length] - Minimum text length (min-text-length)
+ * @property {Function} [test] - Text/value matcher (has-text, matches-css)
+ */
@@ -0,0 +1,94 @@
+/**
+ * Consent Rule Source
+ *
+ * @fileoverview Provides the built-in cookie-consent (CMP) rules, each tagged
+ * with the handling mode chosen in settings (`cookieConsentMode`).
+ *
+ * @module consent-rule-source
+ */
+
+import Logger from "@script-utils/logger.js";
+import { IDomRuleSource } from "./i-dom-rule-source.js";
+import { safeStorageGet } from "@script-utils/chrome-api-safe.js";
+import { normalizeConsentMode } from "@utils/cookie-consent.js";
+import { CONSENT_RULES } from "../config/consent-rules.js";
+
+/**
+ * Source for cookie-consent banner rules
+ * @extends IDomRuleSource
+ */
+export class ConsentRuleSource extends IDomRuleSource {
+  /**
+   * @param {ConsentRule[]} [rules=CONSENT_RULES] - CMP rules (overridable for tests)
+   */
+  constructor(rules = CONSENT_RULES) {
+    super();
+    this.rules = rules;
+    this.cachedRules = null;
+    this.cacheTime = 0;
+    this.cacheTTL = 60000; // 1 minute cache (the mode rarely changes)
+  }
+
+  /**
+   * Fetch CMP rules with the current handling mode
+   * @returns {Promise<ConsentRule[]>} Rules with `mode` set
+   */
+  async fetchRules() {
+    const now = Date.now();
+    if (this.cachedRules && (now - this.cacheTime) < this.cacheTTL) {
+      return this.cachedRules;
+    }
+
+    let mode = normalizeConsentMode(null);
+    try {
+      const result = await safeStorageGet(['cookieConsentMode']);
+      mode = normalizeConsentMode(result.cookieConsentMode);
+    } catch (error) {
+      Logger.error(
+        "RuleExecution:ConsentRuleSource",
+        "Failed to read consent mode, using default",
+        error
+      );
+    }
+
+    this.cachedRules = this.rules.map(rule => ({ ...rule, mode }));
+    this.cacheTime = now;
+    return this.cachedRules;
+  }
+
+  /**
+   * @returns {string} Human-readable source name
+   */
+  getName() {
+    return 'Cookie Consent Rules';
+  }
+
+  /**
+   * @returns {'consent'} Executor type - detects CMPs and answers or hides them
+   */
+  getExecutorType() {
+    return 'consent';
+  }
+
+  /**
+   * @returns {number} Update interval (0 = rules ship with the extension)
+   */
+  getUpdateInterval() {
+    return 0;
+  }
+
+  /**
+   * @returns {string} Storage key of the setting the rules depend on
+   */
+  getCacheKey() {
+    return 'cookieConsentMode';
+  }
+
+  /**
+   * Invalidate cache (call when the mode changes)
+   */
+  invalidateCache() {
+    this.cachedRules = null;
+    this.cacheTime = 0;
+  }
+}
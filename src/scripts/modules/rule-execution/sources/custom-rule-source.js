@@ -3,6 +3,9 @@
  *
  * @fileoverview Wraps existing customRules from chrome.storage.
  * These are user-created CSS selector rules defined in settings.
+ * Rules flagged `isException: true` are `#@#` exceptions: they remove nothing and
+ * instead disable hiding of the same selector by other sources on their domains.
+ * Scriptlet rules (`+js(...)` selectors) are left to the ScriptletInjector.
  *
  * @module custom-rule-source
  */
@@ -10,6 +13,8 @@
 import Logger from "@script-utils/logger.js";
 import { IDomRuleSource } from "./i-dom-rule-source.js";
 import { safeStorageGet } from "@script-utils/chrome-api-safe.js";
+import { isExceptionRule } from "../core/exception-matcher.js";
+import { isScriptletSelector } from "@modules/scriptlets/scriptlet-parser.js";
 
 /**
  * Source for user-defined custom CSS selector rules
@@ -36,7 +41,7 @@ export class CustomRuleSource extends IDomRuleSource {
 
     try {
       const result = await safeStorageGet(['customRules']);
-      this.cachedRules = result.customRules || [];
+      this.cachedRules = (result.customRules || []).filter(rule => !isScriptletSelector(rule?.selector));
       this.cacheTime = now;
       return this.cachedRules;
     } catch (error) {
@@ -50,6 +55,15 @@ export class CustomRuleSource extends IDomRuleSource {
     }
   }
 
+  /**
+   * Custom rules that act as element hiding exceptions
+   * @returns {Promise<Rule[]>} Enabled exception rules
+   */
+  async getExceptionRules() {
+    const rules = await this.fetchRules();
+    return rules.filter(rule => isExceptionRule(rule) && rule.enabled !== false);
+  }
+
   /**
    * @returns {string} Human-readable source name
    */
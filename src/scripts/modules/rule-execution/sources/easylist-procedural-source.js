@@ -0,0 +1,72 @@
+/**
+ * EasyList Procedural Rule Source
+ *
+ * @fileoverview Exposes the procedural (extended selector) filters contained in
+ * the EasyList cosmetic list. Shares the EasyListDomSource download and cache,
+ * so the list is fetched once but parsed by both the hybrid and procedural parsers.
+ * Also wraps subscription sources, which carry procedural filters the same way.
+ *
+ * @module easylist-procedural-source
+ */
+
+import { IDomRuleSource } from "./i-dom-rule-source.js";
+import { EasyListDomSource } from "./easylist-dom-source.js";
+
+/**
+ * Source for procedural cosmetic filters from EasyList
+ * @extends IDomRuleSource
+ */
+export class EasyListProceduralSource extends IDomRuleSource {
+  /**
+   * @param {IDomRuleSource} [listSource] - Source whose raw lines are reused
+   * @param {string} [name='EasyList Procedural Rules'] - Human-readable source name
+   */
+  constructor(listSource = new EasyListDomSource(), name = 'EasyList Procedural Rules') {
+    super();
+    this.listSource = listSource;
+    this.name = name;
+  }
+
+  /**
+   * Fetch raw EasyList lines (procedural filters are picked out by the parser)
+   * @returns {Promise<string[]>} Array of raw EasyList lines
+   */
+  async fetchRules() {
+    return this.listSource.fetchRules();
+  }
+
+  /**
+   * @returns {string} Human-readable source name
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * @returns {'procedural'} Executor type - evaluated by the procedural executor
+   */
+  getExecutorType() {
+    return 'procedural';
+  }
+
+  /**
+   * @returns {number} Update interval in minutes (follows the shared list)
+   */
+  getUpdateInterval() {
+    return this.listSource.getUpdateInterval();
+  }
+
+  /**
+   * @returns {string} Storage key for caching (shared with EasyListDomSource)
+   */
+  getCacheKey() {
+    return this.listSource.getCacheKey();
+  }
+
+  /**
+   * Invalidate the shared list cache
+   */
+  invalidateCache() {
+    this.listSource.invalidateCache();
+  }
+}
@@ -38,7 +38,7 @@ export class IDomRuleSource {
 
   /**
    * Get executor type for this source
-   * @returns {'selector'|'domain-pattern'} Executor type
+   * @returns {'selector'|'hybrid'|'procedural'} Executor type
    */
   getExecutorType() {
     throw new Error('IDomRuleSource.getExecutorType() must be implemented by subclass');
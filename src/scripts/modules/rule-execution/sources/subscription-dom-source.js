@@ -0,0 +1,93 @@
+/**
+ * Subscription DOM Rule Source
+ *
+ * @fileoverview Cosmetic rules from one user-added filter list subscription.
+ * The background SubscriptionManager downloads the list; this source only reads
+ * the stored lines, so content scripts never hit the network.
+ *
+ * @module subscription-dom-source
+ */
+
+import Logger from "@script-utils/logger.js";
+import { IDomRuleSource } from "./i-dom-rule-source.js";
+import { safeStorageGet } from "@script-utils/chrome-api-safe.js";
+import { getSubscriptionContentKey } from "@modules/subscriptions/subscription-manager.js";
+
+/**
+ * Source for one filter list subscription
+ * @extends IDomRuleSource
+ */
+export class SubscriptionDomSource extends IDomRuleSource {
+  /**
+   * @param {Subscription} subscription - Subscription record from storage
+   */
+  constructor(subscription) {
+    super();
+    this.subscription = subscription;
+    this.cachedRules = null;
+    this.cacheTime = 0;
+    this.cacheTTL = 60000; // 1 minute cache (content changes on refresh only)
+  }
+
+  /**
+   * Fetch the stored list lines
+   * @returns {Promise<string[]>} Array of raw filter lines
+   */
+  async fetchRules() {
+    const now = Date.now();
+    if (this.cachedRules && (now - this.cacheTime) < this.cacheTTL) {
+      return this.cachedRules;
+    }
+
+    try {
+      const key = this.getCacheKey();
+      const result = await safeStorageGet([key]);
+      this.cachedRules = result[key]?.lines || [];
+      this.cacheTime = now;
+      return this.cachedRules;
+    } catch (error) {
+      Logger.error(
+        "RuleExecution:SubscriptionDomSource",
+        `Failed to read "${this.getName()}"`,
+        error
+      );
+      return this.cachedRules || [];
+    }
+  }
+
+  /**
+   * @returns {string} Human-readable source name (list title)
+   */
+  getName() {
+    return this.subscription.title || this.subscription.url;
+  }
+
+  /**
+   * @returns {'hybrid'} Executor type - same engine as EasyList
+   */
+  getExecutorType() {
+    return 'hybrid';
+  }
+
+  /**
+   * @returns {number} Update interval in minutes (driven by the background manager)
+   */
+  getUpdateInterval() {
+    return this.subscription.expiresMinutes || 0;
+  }
+
+  /**
+   * @returns {string} Storage key holding the list content
+   */
+  getCacheKey() {
+    return getSubscriptionContentKey(this.subscription.id);
+  }
+
+  /**
+   * Invalidate memory cache
+   */
+  invalidateCache() {
+    this.cachedRules = null;
+    this.cacheTime = 0;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Scriptlet Injector
+ *
+ * @fileoverview Content-script side of the scriptlet engine. Collects the
+ * `##+js(...)` filters that apply to the page from custom rules and the filter
+ * list subscriptions (parsed ahead of time by SubscriptionManager, so no list is
+ * read here), then runs them in the page's main world by adding
+ * scripts/scriptlets.js the same way NavigationGuardian adds injected-script.js.
+ *
+ * Scriptlets patch page globals, so they cannot be undone: rule changes and
+ * toggles apply from the next page load.
+ *
+ * @module scriptlet-injector
+ */
+
+import Logger from "@script-utils/logger.js";
+import { isExtensionContextValid, safeStorageGet } from "@script-utils/chrome-api-safe.js";
+import { getSubscriptionContentKey } from "@modules/subscriptions/subscription-manager.js";
+import { fromCustomRule, parseScriptletLines, selectScriptlets } from "./scriptlet-parser.js";
+
+/**
+ * Injects the scriptlets matching the current page
+ */
+export class ScriptletInjector {
+  constructor() {
+    this.injected = false;
+  }
+
+  /**
+   * Scriptlets for a page
+   * @param {string|string[]} hostname - Page hostname (in frames, also the frame's own)
+   * @param {object} sources
+   * @param {Rule[]} [sources.customRules=[]] - Custom rules (only `+js(...)` rules are used)
+   * @param {Subscription[]} [sources.subscriptions=[]] - Subscriptions to use (disabled ones are skipped)
+   * @param {Object<string, ScriptletFilter[]>} [sources.subscriptionScriptlets={}] - Cached
+   *   filters by subscription ID (`subscriptionScriptlets` in storage)
+   * @returns {Promise<Array<{name: string, args: string[]}>>}
+   */
+  async collect(hostname, { customRules = [], subscriptions = [], subscriptionScriptlets = {} } = {}) {
+    const filters = customRules.map(fromCustomRule).filter(Boolean);
+
+    // Lists stored before the cache existed are read until their next refresh caches them
+    const keys = [];
+    for (const subscription of subscriptions) {
+      if (!subscription?.id || subscription.enabled === false) continue;
+      const cached = subscriptionScriptlets[subscription.id];
+      if (Array.isArray(cached)) {
+        filters.push(...cached);
+      } else {
+        keys.push(getSubscriptionContentKey(subscription.id));
+      }
+    }
+    if (keys.length > 0) {
+      try {
+        const result = await safeStorageGet(keys);
+        keys.forEach(key => filters.push(...parseScriptletLines(result[key]?.lines)));
+      } catch (error) {
+        Logger.error("Scriptlets", "Failed to read subscription scriptlets", error);
+      }
+    }
+
+    return selectScriptlets(filters, hostname);
+  }
+
+  /**
+   * Collect and inject the page's scriptlets (once per page)
+   * @param {string|string[]} hostname - Page hostname (in frames, also the frame's own)
+   * @param {object} sources - See collect()
+   * @returns {Promise<number>} Number of scriptlets injected
+   */
+  async injectForPage(hostname, sources) {
+    if (this.injected) {
+      return 0;
+    }
+    this.injected = true;
+
+    const scriptlets = await this.collect(hostname, sources);
+    if (scriptlets.length === 0) {
+      return 0;
+    }
+
+    return this.inject(scriptlets) ? scriptlets.length : 0;
+  }
+
+  /**
+   * Add scripts/scriptlets.js to the page with the scriptlets to run
+   * @param {Array<{name: string, args: string[]}>} scriptlets
+   * @returns {boolean} True if the script element was added
+   */
+  inject(scriptlets) {
+    try {
+      if (!isExtensionContextValid()) {
+        Logger.warn(
+          "ExtensionContextInvalid",
+          "Chrome extension context invalid, skipping scriptlet injection"
+        );
+        return false;
+      }
+
+      const script = document.createElement("script");
+      script.src = chrome.runtime.getURL("scripts/scriptlets.js");
+      // Read by scripts/scriptlets.js through document.currentScript
+      script.dataset.scriptlets = JSON.stringify(scriptlets);
+      script.onload = () => script.remove();
+      (document.head || document.documentElement).appendChild(script);
+
+      Logger.debug("Scriptlets", `Injected ${scriptlets.length} scriptlets`, {
+        names: scriptlets.map(({ name }) => name),
+      });
+      return true;
+    } catch (error) {
+      Logger.error("Scriptlets", "Failed to inject scriptlets", error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,391 @@
+/**
+ * Scriptlet Library
+ *
+ * @fileoverview Scriptlets run in the page's main world (bundled into
+ * scripts/scriptlets.js), for sites where hiding elements is not enough:
+ * anti-adblock checks, setTimeout-driven overlays and fetch-based ad loaders.
+ *
+ * - abort-on-property-read(chain): reading `chain` throws
+ * - set-constant(chain, value): `chain` always reads as a constant
+ * - prevent-setTimeout(needle, delay): defuses matching setTimeout callbacks
+ * - json-prune(propsToRemove, requiredProps): strips properties from parsed JSON
+ * - no-fetch-if(conditions): answers matching fetch() calls with an empty response
+ * - remove-attr(attrs, selector, behavior): removes attributes from elements
+ *
+ * Text arguments that look like `/regex/flags` are regular expressions,
+ * anything else matches as a plain substring. Each scriptlet receives the page
+ * window first so it can be tested against a stand-in.
+ *
+ * @module scriptlet-library
+ */
+
+import Logger from "@script-utils/logger.js";
+
+/**
+ * Values set-constant accepts (uBO names)
+ * Functions and containers are created per call so pages cannot share them.
+ * @constant {Object<string, function(): *>}
+ */
+const CONSTANT_VALUES = {
+  undefined: () => undefined,
+  false: () => false,
+  true: () => true,
+  null: () => null,
+  "": () => "",
+  emptyStr: () => "",
+  emptyArr: () => [],
+  emptyObj: () => ({}),
+  noopFunc: () => function () {},
+  trueFunc: () => function () { return true; },
+  falseFunc: () => function () { return false; },
+};
+
+/**
+ * Largest number set-constant accepts (same limit as uBO)
+ * @constant {number}
+ */
+const MAX_CONSTANT_NUMBER = 0x7fff;
+
+/**
+ * Pattern for a text argument: `/regex/flags` or a plain substring
+ * An empty argument matches everything.
+ * @param {string} text
+ * @returns {RegExp}
+ */
+export function toPattern(text = "") {
+  const literal = /^\/(.+)\/([imsu]*)$/.exec(text);
+  if (literal) {
+    try {
+      return new RegExp(literal[1], literal[2]);
+    } catch {
+      // Not a valid expression - match the text as written
+    }
+  }
+  return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+}
+
+/**
+ * Objects that can carry properties
+ * @private
+ */
+const isObjectLike = (value) =>
+  value !== null && (typeof value === "object" || typeof value === "function");
+
+/**
+ * Install an accessor at the end of a property chain ("a.b.c")
+ * Missing links are watched: when the page assigns `a`, the rest of the chain
+ * is trapped on the new value.
+ * @private
+ * @param {object} owner - Object holding the first property
+ * @param {string} chain - Dot-separated property chain
+ * @param {{get: function(): *, set: function(*): void}} accessor - Final property
+ */
+function trapChain(owner, chain, accessor) {
+  const dot = chain.indexOf(".");
+  const prop = dot === -1 ? chain : chain.slice(0, dot);
+  const rest = dot === -1 ? "" : chain.slice(dot + 1);
+
+  if (!rest) {
+    Object.defineProperty(owner, prop, { ...accessor, configurable: false });
+    return;
+  }
+
+  let value = owner[prop];
+  if (isObjectLike(value)) {
+    trapChain(value, rest, accessor);
+    return;
+  }
+
+  Object.defineProperty(owner, prop, {
+    configurable: true,
+    get: () => value,
+    set: (next) => {
+      value = next;
+      if (isObjectLike(next)) {
+        trapChain(next, rest, accessor);
+      }
+    },
+  });
+}
+
+/**
+ * Throw when the page reads a property (kills inline anti-adblock checks)
+ * @param {Window} win
+ * @param {string} chain - e.g. "detectAdBlock" or "ads.check"
+ * @returns {boolean} False if the arguments are unusable
+ */
+function abortOnPropertyRead(win, chain = "") {
+  if (!chain) {
+    return false;
+  }
+
+  const error = () => new win.ReferenceError(`${chain} is not defined`);
+  trapChain(win, chain, {
+    get: () => {
+      throw error();
+    },
+    set: () => {},
+  });
+  return true;
+}
+
+/**
+ * Make a property always read as a constant; assignments are ignored
+ * @param {Window} win
+ * @param {string} chain - e.g. "config.adsEnabled"
+ * @param {string} value - A CONSTANT_VALUES name or an integer up to 32767
+ * @returns {boolean} False if the arguments are unusable
+ */
+function setConstant(win, chain = "", value = "") {
+  let makeValue = Object.hasOwn(CONSTANT_VALUES, value) ? CONSTANT_VALUES[value] : null;
+  if (!makeValue && /^-?\d+$/.test(value) && Math.abs(Number(value)) <= MAX_CONSTANT_NUMBER) {
+    makeValue = () => Number(value);
+  }
+  if (!chain || !makeValue) {
+    return false;
+  }
+
+  const constant = makeValue();
+  trapChain(win, chain, { get: () => constant, set: () => {} });
+  return true;
+}
+
+/**
+ * Replace matching setTimeout callbacks with a no-op
+ * @param {Window} win
+ * @param {string} [needle=""] - Matched against the callback source; `!` negates
+ * @param {string} [delay=""] - Delay in ms to match; `!` negates; empty matches any
+ * @returns {boolean}
+ */
+function preventSetTimeout(win, needle = "", delay = "") {
+  const negateNeedle = needle.startsWith("!");
+  const pattern = toPattern(negateNeedle ? needle.slice(1) : needle);
+  const negateDelay = delay.startsWith("!");
+  const delayValue = Number.parseInt(negateDelay ? delay.slice(1) : delay, 10);
+
+  const matches = (callback, ms) => {
+    const delayMatches = Number.isNaN(delayValue) || ((Number(ms) || 0) === delayValue) !== negateDelay;
+    return delayMatches && pattern.test(String(callback)) !== negateNeedle;
+  };
+
+  win.setTimeout = new Proxy(win.setTimeout, {
+    apply(target, thisArg, args) {
+      if (matches(args[0], args[1])) {
+        args[0] = function () {};
+      }
+      return Reflect.apply(target, thisArg, args);
+    },
+  });
+  return true;
+}
+
+/**
+ * Owners and keys a property path points to
+ * `[]` or `*` segments stand for every element / property.
+ * @private
+ * @param {*} root
+ * @param {string[]} segments
+ * @returns {Array<[object, string]>}
+ */
+function resolvePath(root, segments) {
+  if (!isObjectLike(root) || segments.length === 0) {
+    return [];
+  }
+
+  const [segment, ...rest] = segments;
+  const keys = segment === "[]" || segment === "*" ? Object.keys(root) : [segment];
+  return keys.flatMap((key) => {
+    if (!Object.hasOwn(root, key)) {
+      return [];
+    }
+    return rest.length === 0 ? [[root, key]] : resolvePath(root[key], rest);
+  });
+}
+
+/**
+ * Remove properties from a parsed JSON value
+ * @param {*} data
+ * @param {string[][]} prunePaths
+ * @param {string[][]} requiredPaths - All must exist for anything to be removed
+ * @returns {*} The same value
+ */
+export function pruneJson(data, prunePaths, requiredPaths = []) {
+  if (requiredPaths.some((path) => resolvePath(data, path).length === 0)) {
+    return data;
+  }
+  for (const path of prunePaths) {
+    for (const [owner, key] of resolvePath(data, path)) {
+      delete owner[key];
+    }
+  }
+  return data;
+}
+
+/**
+ * Strip properties from everything parsed with JSON.parse() or Response.json()
+ * @param {Window} win
+ * @param {string} propsToRemove - Space-separated paths (e.g. "playerAds adPlacements.[].renderer")
+ * @param {string} [requiredProps=""] - Space-separated paths that must all exist
+ * @returns {boolean} False if there is nothing to remove
+ */
+function jsonPrune(win, propsToRemove = "", requiredProps = "") {
+  const toPaths = (text) => text.split(/\s+/).filter(Boolean).map((path) => path.split("."));
+  const prunePaths = toPaths(propsToRemove);
+  const requiredPaths = toPaths(requiredProps);
+  if (prunePaths.length === 0) {
+    return false;
+  }
+
+  const prune = (data) => pruneJson(data, prunePaths, requiredPaths);
+
+  win.JSON.parse = new Proxy(win.JSON.parse, {
+    apply: (target, thisArg, args) => prune(Reflect.apply(target, thisArg, args)),
+  });
+
+  const responseProto = win.Response?.prototype;
+  if (responseProto?.json) {
+    responseProto.json = new Proxy(responseProto.json, {
+      apply: (target, thisArg, args) => Reflect.apply(target, thisArg, args).then(prune),
+    });
+  }
+  return true;
+}
+
+/**
+ * Request properties a no-fetch-if condition can test
+ * @private
+ * @param {Window} win
+ * @param {RequestInfo|URL} input - First fetch() argument
+ * @param {RequestInit} [init] - Second fetch() argument
+ * @returns {Object<string, string>}
+ */
+function describeRequest(win, input, init = {}) {
+  const request = win.Request && input instanceof win.Request ? input : null;
+  const props = {
+    url: request ? request.url : String(input),
+    method: (init?.method || request?.method || "GET").toUpperCase(),
+  };
+  for (const key of ["body", "mode", "credentials", "cache", "redirect", "referrer", "referrerPolicy"]) {
+    const value = init?.[key] ?? request?.[key];
+    if (value !== undefined && value !== null) {
+      props[key] = typeof value === "string" ? value : String(value);
+    }
+  }
+  return props;
+}
+
+/**
+ * Answer matching fetch() calls with an empty 200 response instead of sending them
+ * @param {Window} win
+ * @param {string} conditions - Space-separated `prop:pattern` pairs; a bare pattern tests the URL
+ * @returns {boolean} False without conditions
+ */
+function noFetchIf(win, conditions = "") {
+  const tests = conditions
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((condition) => {
+      const match = /^(\w+):(.+)$/.exec(condition);
+      return match ? [match[1], toPattern(match[2])] : ["url", toPattern(condition)];
+    });
+  if (tests.length === 0 || typeof win.fetch !== "function") {
+    return false;
+  }
+
+  win.fetch = new Proxy(win.fetch, {
+    apply(target, thisArg, args) {
+      const props = describeRequest(win, args[0], args[1]);
+      const blocked = tests.every(([prop, pattern]) => prop in props && pattern.test(props[prop]));
+      if (!blocked) {
+        return Reflect.apply(target, thisArg, args);
+      }
+      return Promise.resolve(new win.Response("", { status: 200, statusText: "OK" }));
+    },
+  });
+  return true;
+}
+
+/**
+ * Remove attributes from elements, now and (optionally) as the page changes
+ * @param {Window} win
+ * @param {string} attrs - Attribute names separated by `|`
+ * @param {string} [selector=""] - Elements to clean (default: any element with one of the attributes)
+ * @param {string} [behavior=""] - "stay" keeps watching the DOM; "complete" waits for the load event
+ * @returns {boolean} False without attributes
+ */
+function removeAttr(win, attrs = "", selector = "", behavior = "") {
+  const names = attrs.split("|").map((name) => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    return false;
+  }
+
+  const { document } = win;
+  const query = selector || names.map((name) => `[${name}]`).join(",");
+  const clean = () => {
+    try {
+      document.querySelectorAll(query).forEach((element) => {
+        names.forEach((name) => element.removeAttribute(name));
+      });
+    } catch (error) {
+      Logger.debug("Scriptlets", "remove-attr selector failed", { query, error: error.message });
+    }
+  };
+
+  const start = () => {
+    clean();
+    if (behavior.includes("stay")) {
+      new win.MutationObserver(clean).observe(document.documentElement, {
+        attributes: true,
+        attributeFilter: names,
+        childList: true,
+        subtree: true,
+      });
+    }
+  };
+
+  if (behavior.includes("complete") && document.readyState !== "complete") {
+    win.addEventListener("load", start, { once: true });
+  } else if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start, { once: true });
+  } else {
+    start();
+  }
+  return true;
+}
+
+/**
+ * Scriptlets by library name (see SCRIPTLET_NAMES in scriptlet-parser.js)
+ * @constant {Object<string, function(Window, ...string): boolean>}
+ */
+export const SCRIPTLETS = {
+  "abort-on-property-read": abortOnPropertyRead,
+  "set-constant": setConstant,
+  "prevent-setTimeout": preventSetTimeout,
+  "json-prune": jsonPrune,
+  "no-fetch-if": noFetchIf,
+  "remove-attr": removeAttr,
+};
+
+/**
+ * Run scriptlets in a window
+ * A failing scriptlet (e.g. a property the page made non-configurable) does
+ * not stop the others.
+ * @param {Array<{name: string, args: string[]}>} scriptlets
+ * @param {Window} [win=window]
+ * @returns {number} Scriptlets applied
+ */
+export function runScriptlets(scriptlets, win = window) {
+  let applied = 0;
+  for (const { name, args = [] } of Array.isArray(scriptlets) ? scriptlets : []) {
+    const scriptlet = SCRIPTLETS[name];
+    if (!scriptlet) continue;
+    try {
+      if (scriptlet(win, ...args.map(String))) {
+        applied++;
+      }
+    } catch (error) {
+      Logger.debug("Scriptlets", `${name} failed`, { args, error: error.message });
+    }
+  }
+  return applied;
+}
@@ -0,0 +1,261 @@
+/**
+ * Scriptlet Parser
+ *
+ * @fileoverview Parses uBO-style scriptlet filters and picks the scriptlets
+ * that run on a page:
+ *
+ *   example.com##+js(set-constant, adsEnabled, false)
+ *   example.com,~shop.example.com##+js(aopr, detectAdBlock)
+ *   example.com#@#+js(set-constant, adsEnabled, false)  - exception for one scriptlet
+ *   example.com#@#+js()                                  - no scriptlets on example.com
+ *
+ * Arguments are comma-separated; a comma inside an argument is written `\,`
+ * or the argument is quoted ('...', "..." or `...`). Short uBO names
+ * (aopr, set, nostif, ...) map to the names in SCRIPTLET_NAMES.
+ *
+ * Custom rules hold scriptlets as rules whose selector is `+js(...)`.
+ *
+ * @module scriptlet-parser
+ */
+
+import { COSMETIC_FILTER_PATTERN, EasyListDomParser } from "@modules/rule-execution/parsers/easylist-dom-parser.js";
+import { matchesDomainScope } from "@utils/url-utils.js";
+
+/**
+ * Scriptlets in the library (see scriptlet-library.js)
+ * @constant {string[]}
+ */
+export const SCRIPTLET_NAMES = [
+  'abort-on-property-read',
+  'set-constant',
+  'prevent-setTimeout',
+  'json-prune',
+  'no-fetch-if',
+  'remove-attr',
+];
+
+/**
+ * Other names filter lists use for the same scriptlets
+ * @constant {Object<string, string>}
+ */
+const SCRIPTLET_ALIASES = {
+  'aopr': 'abort-on-property-read',
+  'set': 'set-constant',
+  'nostif': 'prevent-setTimeout',
+  'no-settimeout-if': 'prevent-setTimeout',
+  'settimeout-defuser': 'prevent-setTimeout',
+  'prevent-fetch': 'no-fetch-if',
+  'ra': 'remove-attr',
+};
+
+/**
+ * Scriptlet part of a filter: `+js(` ... `)`
+ * @constant {RegExp}
+ */
+const SCRIPTLET_BODY_PATTERN = /^\+js\((.*)\)$/;
+
+const domainParser = new EasyListDomParser({ sourceName: 'scriptlets' });
+
+/**
+ * Whether a selector is a scriptlet (`+js(...)`) rather than CSS
+ * @param {string} selector
+ * @returns {boolean}
+ */
+export function isScriptletSelector(selector) {
+  return typeof selector === 'string' && selector.trim().startsWith('+js(');
+}
+
+/**
+ * Library name of a scriptlet ("aopr", "set-constant.js" -> library names)
+ * @param {string} name
+ * @returns {string|null} Null if the library has no such scriptlet
+ */
+export function normalizeScriptletName(name) {
+  const bare = String(name || '').trim().replace(/\.js$/, '');
+  const alias = SCRIPTLET_ALIASES[bare.toLowerCase()];
+  if (alias) {
+    return alias;
+  }
+  return SCRIPTLET_NAMES.find(known => known.toLowerCase() === bare.toLowerCase()) || null;
+}
+
+/**
+ * Split the argument list of `+js(...)`
+ * @param {string} body - Text between the parentheses
+ * @returns {string[]} Trimmed arguments (the scriptlet name first)
+ */
+export function parseScriptletArgs(body) {
+  const args = [];
+  const text = String(body || '');
+  let i = 0;
+
+  while (i <= text.length) {
+    while (text[i] === ' ') i++;
+
+    const quote = text[i];
+    if (quote === "'" || quote === '"' || quote === '`') {
+      const end = text.indexOf(quote, i + 1);
+      const after = end === -1 ? -1 : text.slice(end + 1).search(/\S/);
+      // Quoted only if the closing quote ends the argument
+      if (end !== -1 && (after === -1 || text[end + 1 + after] === ',')) {
+        args.push(text.slice(i + 1, end));
+        i = after === -1 ? text.length + 1 : end + 1 + after + 1;
+        continue;
+      }
+    }
+
+    let arg = '';
+    for (; i < text.length && text[i] !== ','; i++) {
+      if (text[i] === '\\' && text[i + 1] === ',') {
+        arg += ',';
+        i++;
+      } else {
+        arg += text[i];
+      }
+    }
+    args.push(arg.trim());
+    i++; // Skip the comma
+  }
+
+  return args.length === 1 && args[0] === '' ? [] : args;
+}
+
+/**
+ * Parse the `+js(...)` part of a filter
+ * @param {string} selector - e.g. "+js(set-constant, ads, false)"
+ * @returns {{name: string|null, args: string[]}|null} Null if it is not a scriptlet;
+ *   `name` is null for an empty `+js()` (exceptions only) or an unknown scriptlet
+ */
+export function parseScriptletSelector(selector) {
+  const match = SCRIPTLET_BODY_PATTERN.exec(String(selector || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [rawName = '', ...args] = parseScriptletArgs(match[1]);
+  return {
+    name: rawName ? normalizeScriptletName(rawName) : null,
+    rawName,
+    args,
+  };
+}
+
+/**
+ * Parse a scriptlet filter line
+ * @param {string} line - e.g. "example.com##+js(aopr, detectAdBlock)"
+ * @returns {ScriptletFilter|null} Null if the line is not a usable scriptlet filter
+ */
+export function parseScriptletFilter(line) {
+  const match = COSMETIC_FILTER_PATTERN.exec(String(line || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, domainPart, exceptionMarker, selector] = match;
+  const scriptlet = parseScriptletSelector(selector);
+  const scope = scriptlet && domainParser.parseDomains(domainPart);
+  if (!scope) {
+    return null;
+  }
+
+  const isException = exceptionMarker === '@';
+  // Unknown scriptlets are skipped; `+js()` only makes sense as an exception
+  if (!scriptlet.name && (scriptlet.rawName || !isException)) {
+    return null;
+  }
+
+  return {
+    name: scriptlet.name,
+    args: scriptlet.args,
+    domains: scope.domains,
+    excludedDomains: scope.excludedDomains,
+    isException,
+  };
+}
+
+/**
+ * Scriptlet filters from raw list lines
+ * @param {string[]} lines - Raw filter list lines
+ * @returns {ScriptletFilter[]}
+ */
+export function parseScriptletLines(lines) {
+  const filters = [];
+  for (const line of Array.isArray(lines) ? lines : []) {
+    // Cheap pre-check: lists hold tens of thousands of other filters
+    if (typeof line !== 'string' || !line.includes('#+js(')) continue;
+    const filter = parseScriptletFilter(line);
+    if (filter) filters.push(filter);
+  }
+  return filters;
+}
+
+/**
+ * Scriptlet filter for a custom rule
+ * @param {Rule} rule - Custom rule with a `+js(...)` selector
+ * @returns {ScriptletFilter|null} Null for other rules and disabled rules
+ */
+export function fromCustomRule(rule) {
+  if (!rule || rule.enabled === false || !isScriptletSelector(rule.selector)) {
+    return null;
+  }
+
+  const scriptlet = parseScriptletSelector(rule.selector);
+  if (!scriptlet || (!scriptlet.name && (scriptlet.rawName || !rule.isException))) {
+    return null;
+  }
+
+  return {
+    name: scriptlet.name,
+    args: scriptlet.args,
+    domains: Array.isArray(rule.domains) && rule.domains.length > 0 ? rule.domains : ['*'],
+    excludedDomains: Array.isArray(rule.excludedDomains) ? rule.excludedDomains : [],
+    isException: rule.isException === true,
+  };
+}
+
+/**
+ * Scriptlets to run on a page
+ * Exceptions matching the page remove the same scriptlet (same name and
+ * arguments); an empty `+js()` exception removes them all. Duplicates run once.
+ * @param {ScriptletFilter[]} filters
+ * @param {string|string[]} hostname - Page hostname (in frames, also the frame's own)
+ * @returns {Array<{name: string, args: string[]}>}
+ */
+export function selectScriptlets(filters, hostname) {
+  const hostnames = [].concat(hostname);
+  const applicable = filters.filter(filter =>
+    hostnames.some(name => matchesDomainScope(name, filter.domains, filter.excludedDomains))
+  );
+
+  const exceptions = applicable.filter(filter => filter.isException);
+  if (exceptions.some(filter => !filter.name)) {
+    return [];
+  }
+
+  const excluded = new Set(exceptions.map(scriptletKey));
+  const selected = new Map();
+  for (const filter of applicable) {
+    const key = scriptletKey(filter);
+    if (filter.isException || excluded.has(key) || selected.has(key)) continue;
+    selected.set(key, { name: filter.name, args: filter.args });
+  }
+
+  return [...selected.values()];
+}
+
+/**
+ * Identity of a scriptlet call (name and arguments)
+ * @private
+ */
+function scriptletKey({ name, args }) {
+  return JSON.stringify([name, ...args]);
+}
+
+/**
+ * @typedef {object} ScriptletFilter
+ * @property {string|null} name - Library name (null for a `#@#+js()` exception)
+ * @property {string[]} args - Scriptlet arguments
+ * @property {string[]} domains - Domains the filter applies to (`*` for all)
+ * @property {string[]} excludedDomains - Domains it must not apply to
+ * @property {boolean} isException - `#@#+js(...)` exception
+ */
@@ -0,0 +1,245 @@
+/**
+ * Settings Sync Manager
+ *
+ * @fileoverview Runs settings sync in the background service worker (see
+ * utils/settings-sync.js for the document format). A sync run:
+ *
+ * 1. records local edits made since the last run (trackLocalChanges)
+ * 2. merges them with the documents in chrome.storage.sync, newest entry wins
+ * 3. writes changed values back to chrome.storage.local, so edits from other
+ *    devices reach content scripts through chrome.storage.onChanged as usual
+ * 4. writes the merged documents to chrome.storage.sync if they changed
+ *
+ * Runs are serialized, and the writes of a run trigger one more run that
+ * finds nothing to do, so local and sync storage cannot ping-pong.
+ *
+ * Storage layout (chrome.storage.local):
+ * - `settingsSyncEnabled`: boolean - opt-in flag
+ * - `settingsSyncState`: SyncDocuments - documents from the last run
+ * - `settingsSyncStatus`: SyncStatus - last result, shown in settings
+ *
+ * @module settings-sync-manager
+ */
+
+import Logger from "@script-utils/logger.js";
+import { safeStorageGet, safeStorageSet } from "@script-utils/chrome-api-safe.js";
+import {
+  SETTINGS_SYNC_ENABLED_KEY,
+  SETTINGS_SYNC_STATE_KEY,
+  SETTINGS_SYNC_STATUS_KEY,
+  SYNCED_LOCAL_KEYS,
+  SYNC_ERROR_TYPES,
+  SYNC_QUOTA,
+  SYNC_STATUS,
+  decodeSyncItems,
+  encodeSyncItems,
+  getSyncItemsSize,
+  isQuotaError,
+  isSyncItemKey,
+  mergeSyncDocuments,
+  pruneTombstones,
+  toLocalValues,
+  trackLocalChanges,
+} from "@utils/settings-sync.js";
+
+/**
+ * Delay before syncing after a change, so bursts of edits share one write
+ * (chrome.storage.sync allows 120 writes per minute)
+ * @constant {number}
+ */
+const SYNC_DEBOUNCE_MS = 2000;
+
+/**
+ * Manages settings sync
+ */
+export class SettingsSyncManager {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.debounceMs=SYNC_DEBOUNCE_MS] - Delay used by scheduleSync()
+   */
+  constructor(options = {}) {
+    this.debounceMs = options.debounceMs ?? SYNC_DEBOUNCE_MS;
+    this.syncTimer = null;
+    this.syncQueue = Promise.resolve();
+  }
+
+  /**
+   * Whether the user turned sync on
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    const result = await safeStorageGet([SETTINGS_SYNC_ENABLED_KEY]);
+    return result[SETTINGS_SYNC_ENABLED_KEY] === true;
+  }
+
+  /**
+   * Turn sync on (merging this device's settings with synced ones) or off
+   * Turning sync off keeps the synced copy for the user's other devices.
+   * @param {boolean} enabled
+   * @returns {Promise<SyncStatus|null>} Result of the first sync, null when turned off
+   */
+  async setEnabled(enabled) {
+    if (!enabled) {
+      clearTimeout(this.syncTimer);
+      await safeStorageSet({ [SETTINGS_SYNC_ENABLED_KEY]: false });
+      await chrome.storage.local.remove(SETTINGS_SYNC_STATUS_KEY);
+      Logger.info("SettingsSync:Manager", "Settings sync turned off");
+      return null;
+    }
+
+    await safeStorageSet({ [SETTINGS_SYNC_ENABLED_KEY]: true });
+    Logger.info("SettingsSync:Manager", "Settings sync turned on");
+    return this.sync();
+  }
+
+  /**
+   * Whether a storage change should trigger a sync
+   * @param {object} changes - chrome.storage.onChanged changes
+   * @param {string} namespace - Storage area name
+   * @returns {boolean}
+   */
+  isRelevantChange(changes, namespace) {
+    const keys = Object.keys(changes);
+    if (namespace === "sync") {
+      return keys.some(isSyncItemKey);
+    }
+    return namespace === "local" && keys.some((key) => SYNCED_LOCAL_KEYS.includes(key));
+  }
+
+  /**
+   * Sync after a short delay (restarted by every call)
+   */
+  scheduleSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.sync();
+    }, this.debounceMs);
+  }
+
+  /**
+   * Run a sync now (after any run in progress)
+   * Errors are recorded in the sync status instead of being thrown.
+   * @returns {Promise<SyncStatus|null>} New status, null when sync is off
+   */
+  sync() {
+    const run = this.syncQueue.then(() => this.performSync());
+    this.syncQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  async performSync() {
+    if (!(await this.isEnabled())) {
+      return null;
+    }
+
+    const now = Date.now();
+    let status;
+
+    try {
+      const [local, remoteItems] = await Promise.all([
+        safeStorageGet([...SYNCED_LOCAL_KEYS, SETTINGS_SYNC_STATE_KEY]),
+        chrome.storage.sync.get(null),
+      ]);
+
+      // A device joining sync takes the synced value for entries both sides have
+      const previous = local[SETTINGS_SYNC_STATE_KEY];
+      const tracked = trackLocalChanges(local, previous, previous ? now : 0);
+      const merged = pruneTombstones(mergeSyncDocuments(tracked, decodeSyncItems(remoteItems)), now);
+
+      // CHECKPOINT: local values and the state they were tracked against, in one write
+      const localUpdates = this.getLocalUpdates(local, toLocalValues(merged));
+      await safeStorageSet({ ...localUpdates, [SETTINGS_SYNC_STATE_KEY]: merged });
+
+      const pushed = await this.pushDocuments(merged, remoteItems);
+
+      status = { state: SYNC_STATUS.OK, lastSyncedAt: now };
+      Logger.info("SettingsSync:Manager", "Settings synced", {
+        pulledKeys: Object.keys(localUpdates),
+        pushed,
+      });
+    } catch (error) {
+      const quota = isQuotaError(error);
+      status = {
+        state: SYNC_STATUS.ERROR,
+        errorType: quota ? SYNC_ERROR_TYPES.QUOTA : SYNC_ERROR_TYPES.OTHER,
+        error: error.message,
+        failedAt: now,
+      };
+      Logger.error("SettingsSync:Manager", quota ? "Sync storage quota exceeded" : "Settings sync failed", error);
+    }
+
+    await safeStorageSet({ [SETTINGS_SYNC_STATUS_KEY]: status });
+    return status;
+  }
+
+  /**
+   * Local values that differ from the merged ones
+   * @private
+   */
+  getLocalUpdates(local, values) {
+    return Object.fromEntries(
+      Object.entries(values).filter(([key, value]) => {
+        if (local[key] === undefined && Array.isArray(value) && value.length === 0) {
+          return false; // Nothing stored yet and nothing synced
+        }
+        return JSON.stringify(local[key]) !== JSON.stringify(value);
+      })
+    );
+  }
+
+  /**
+   * Write documents to chrome.storage.sync if they changed
+   * @private
+   * @returns {Promise<boolean>} True if anything was written
+   * @throws {Error} Quota errors from Chrome, or before writing when the items cannot fit
+   */
+  async pushDocuments(documents, remoteItems) {
+    const items = encodeSyncItems(documents);
+    const changed = Object.fromEntries(
+      Object.entries(items).filter(
+        ([key, value]) => JSON.stringify(remoteItems[key]) !== JSON.stringify(value)
+      )
+    );
+    const staleKeys = Object.keys(remoteItems).filter(
+      (key) => isSyncItemKey(key) && !(key in items)
+    );
+
+    if (Object.keys(changed).length === 0 && staleKeys.length === 0) {
+      return false;
+    }
+
+    // Other sync data (e.g. networkBlockPatterns) shares the quota
+    const otherItems = Object.fromEntries(
+      Object.entries(remoteItems).filter(([key]) => !isSyncItemKey(key))
+    );
+    const totalBytes = getSyncItemsSize(otherItems) + getSyncItemsSize(items);
+    const totalItems = Object.keys(otherItems).length + Object.keys(items).length;
+    if (totalBytes > SYNC_QUOTA.BYTES || totalItems > SYNC_QUOTA.MAX_ITEMS) {
+      throw new Error(
+        `QUOTA_BYTES quota exceeded: synced settings need ${Math.ceil(totalBytes / 1024)} KB of ${SYNC_QUOTA.BYTES / 1024} KB`
+      );
+    }
+
+    // Manifests and chunks in one write, so other devices see complete documents
+    if (Object.keys(changed).length > 0) {
+      await chrome.storage.sync.set(changed);
+    }
+    if (staleKeys.length > 0) {
+      await chrome.storage.sync.remove(staleKeys);
+    }
+    return true;
+  }
+}
+
+/**
+ * @typedef {object} SyncStatus
+ * @property {string} state - One of SYNC_STATUS
+ * @property {number} [lastSyncedAt] - Time of the last successful sync
+ * @property {string} [errorType] - One of SYNC_ERROR_TYPES
+ * @property {string} [error] - Error message
+ * @property {number} [failedAt] - Time of the failed sync
+ */
@@ -0,0 +1,157 @@
+/**
+ * Filter List Metadata
+ *
+ * @fileoverview Reads the `! Key: value` header of an ABP/uBO filter list and
+ * classifies its lines so the settings page can show what a subscription contains.
+ *
+ * Header example:
+ * ```
+ * [Adblock Plus 2.0]
+ * ! Title: EasyPrivacy
+ * ! Version: 202410181234
+ * ! Last modified: 18 Oct 2024 12:34 UTC
+ * ! Expires: 4 days (update frequency)
+ * ! Homepage: https://easylist.to/
+ * ```
+ *
+ * @module list-metadata
+ */
+
+import { EasyListDomParser } from "@modules/rule-execution/parsers/easylist-dom-parser.js";
+import { isScriptletSelector } from "@modules/scriptlets/scriptlet-parser.js";
+
+/**
+ * Header lines are only looked for near the top of the list
+ * @constant {number}
+ */
+const HEADER_SCAN_LINES = 50;
+
+/**
+ * `! Key: value` header comment
+ * @constant {RegExp}
+ */
+const HEADER_PATTERN = /^!\s*([a-z][a-z ]*?)\s*:\s*(.+)$/i;
+
+/**
+ * `! Expires: 4 days` / `12 hours` (anything after the unit is ignored)
+ * @constant {RegExp}
+ */
+const EXPIRES_PATTERN = /^(\d+)\s*(hour|day)s?/i;
+
+/**
+ * Cosmetic filter separators: `##`, `#@#`, `#?#`, `#@?#`
+ * @constant {RegExp}
+ */
+const COSMETIC_SEPARATOR_PATTERN = /#@?\??#/;
+
+/**
+ * Bounds for list-provided expiry, in minutes (1 hour .. 14 days)
+ * @constant {{min: number, max: number}}
+ */
+const EXPIRES_BOUNDS = { min: 60, max: 14 * 24 * 60 };
+
+/**
+ * Used only for its procedural-selector detection
+ * @type {EasyListDomParser}
+ * @private
+ */
+const selectorClassifier = new EasyListDomParser();
+
+/**
+ * Parse the header of a filter list
+ * @param {string[]} lines - Raw list lines
+ * @returns {ListMetadata} Header fields (missing fields are null)
+ */
+export function parseListHeader(lines) {
+  const metadata = {
+    title: null,
+    version: null,
+    lastModified: null,
+    homepage: null,
+    expiresMinutes: null
+  };
+
+  for (const line of lines.slice(0, HEADER_SCAN_LINES)) {
+    const match = HEADER_PATTERN.exec(line.trim());
+    if (!match) {
+      continue;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'title') {
+      metadata.title = value;
+    } else if (key === 'version') {
+      metadata.version = value;
+    } else if (key === 'last modified') {
+      metadata.lastModified = value;
+    } else if (key === 'homepage') {
+      metadata.homepage = value;
+    } else if (key === 'expires') {
+      metadata.expiresMinutes = parseExpires(value);
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Convert an `Expires` value to minutes, clamped to sane bounds
+ * @param {string} value - e.g. "4 days (update frequency)"
+ * @returns {number|null} Minutes, or null if unparseable
+ */
+export function parseExpires(value) {
+  const match = EXPIRES_PATTERN.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const amount = Number(match[1]);
+  const minutes = match[2].toLowerCase() === 'hour' ? amount * 60 : amount * 24 * 60;
+  return Math.min(Math.max(minutes, EXPIRES_BOUNDS.min), EXPIRES_BOUNDS.max);
+}
+
+/**
+ * Count the rules in a list by kind
+ * @param {string[]} lines - Raw list lines
+ * @returns {{cosmetic: number, procedural: number, scriptlets: number, exceptions: number, network: number}}
+ */
+export function countListRules(lines) {
+  const counts = { cosmetic: 0, procedural: 0, scriptlets: 0, exceptions: 0, network: 0 };
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (trimmed.length === 0 || trimmed.startsWith('!') || trimmed.startsWith('[')) {
+      continue;
+    }
+
+    const separator = COSMETIC_SEPARATOR_PATTERN.exec(trimmed);
+    if (!separator) {
+      counts.network++;
+      continue;
+    }
+
+    const selector = trimmed.slice(separator.index + separator[0].length);
+    if (separator[0].includes('@')) {
+      counts.exceptions++;
+    } else if (isScriptletSelector(selector)) {
+      counts.scriptlets++;
+    } else if (selectorClassifier.isProceduralSelector(selector)) {
+      counts.procedural++;
+    } else {
+      counts.cosmetic++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * @typedef {object} ListMetadata
+ * @property {string|null} title - `! Title:`
+ * @property {string|null} version - `! Version:`
+ * @property {string|null} lastModified - `! Last modified:` (as written by the list)
+ * @property {string|null} homepage - `! Homepage:`
+ * @property {number|null} expiresMinutes - `! Expires:` converted to minutes
+ */
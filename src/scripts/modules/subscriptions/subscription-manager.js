@@ -0,0 +1,410 @@
+/**
+ * Subscription Manager
+ *
+ * @fileoverview Manages user-added ABP/uBO filter list subscriptions (EasyPrivacy,
+ * Fanboy Annoyances, regional lists, ...). Runs in the background service worker:
+ * downloads lists, reads their headers, and stores the raw lines so per-list rule
+ * sources in content scripts (IDomRuleSource) and the background (IRuleSource) can
+ * read them without refetching.
+ *
+ * Storage layout (chrome.storage.local):
+ * - `filterSubscriptions`: Subscription[] - metadata shown in settings
+ * - `subscriptionRules_<id>`: {lines: string[], fetchedAt: number} - raw list content
+ * - `subscriptionScriptlets`: {[id]: ScriptletFilter[]} - each list's `+js(...)`
+ *   filters, parsed once so content scripts can inject them without reading lists
+ *
+ * @module subscription-manager
+ */
+
+import Logger from "@script-utils/logger.js";
+import { safeStorageGet, safeStorageSet } from "@script-utils/chrome-api-safe.js";
+import { RULE_SOURCES_CONFIG } from "@modules/network-blocking/config/sources.config.js";
+import { parseScriptletLines } from "@modules/scriptlets/scriptlet-parser.js";
+import { countListRules, parseListHeader } from "./list-metadata.js";
+
+/**
+ * Storage key for subscription metadata
+ * @constant {string}
+ */
+export const SUBSCRIPTIONS_STORAGE_KEY = 'filterSubscriptions';
+
+/**
+ * Storage key for the parsed scriptlet filters of every subscription
+ * @constant {string}
+ */
+export const SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY = 'subscriptionScriptlets';
+
+/**
+ * Storage key prefix for raw list content
+ * @constant {string}
+ */
+const CONTENT_KEY_PREFIX = 'subscriptionRules_';
+
+/**
+ * Get the storage key holding a subscription's raw lines
+ * @param {string} id - Subscription ID
+ * @returns {string} Storage key
+ */
+export function getSubscriptionContentKey(id) {
+  return `${CONTENT_KEY_PREFIX}${id}`;
+}
+
+/**
+ * Get the network rule ID range reserved for a subscription slot
+ * @param {number} slot - Slot index (0-based)
+ * @returns {{start: number, end: number}} ID range
+ */
+export function getSubscriptionIdRange(slot) {
+  const { idRange, rangeSize } = RULE_SOURCES_CONFIG.subscriptions;
+  const start = idRange.start + slot * rangeSize;
+  return { start, end: Math.min(start + rangeSize - 1, idRange.end) };
+}
+
+/**
+ * Installed dynamic rule IDs that belong to subscription slots no longer in use
+ * @param {number[]} ruleIds - IDs of the installed dynamic rules
+ * @param {Iterable<number>} usedSlots - Slots of the enabled subscriptions
+ * @returns {number[]} IDs to remove (rules of other sources are never included)
+ */
+export function getStaleSubscriptionRuleIds(ruleIds, usedSlots) {
+  const { idRange, rangeSize } = RULE_SOURCES_CONFIG.subscriptions;
+  const used = new Set(usedSlots);
+
+  return ruleIds.filter(
+    (id) => id >= idRange.start && id <= idRange.end && !used.has(Math.floor((id - idRange.start) / rangeSize))
+  );
+}
+
+/**
+ * Manages filter list subscriptions
+ */
+export class SubscriptionManager {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxSubscriptions] - Maximum number of subscriptions
+   */
+  constructor(options = {}) {
+    this.maxSubscriptions = options.maxSubscriptions ?? RULE_SOURCES_CONFIG.subscriptions.maxSubscriptions;
+  }
+
+  /**
+   * Get all subscriptions
+   * @returns {Promise<Subscription[]>} Subscriptions in the order they were added
+   */
+  async getSubscriptions() {
+    const result = await safeStorageGet([SUBSCRIPTIONS_STORAGE_KEY]);
+    const subscriptions = result[SUBSCRIPTIONS_STORAGE_KEY];
+    return Array.isArray(subscriptions) ? subscriptions : [];
+  }
+
+  /**
+   * Subscribe to a filter list (downloads it immediately)
+   * @param {string} url - List URL (http/https)
+   * @returns {Promise<Subscription>} New subscription
+   * @throws {Error} If the URL is invalid, already subscribed, the limit is reached, or the download fails
+   */
+  async addSubscription(url) {
+    const normalizedUrl = this.normalizeUrl(url);
+    const subscriptions = await this.getSubscriptions();
+
+    if (subscriptions.some(sub => sub.url === normalizedUrl)) {
+      throw new Error('Already subscribed to this list');
+    }
+
+    const slot = this.allocateSlot(subscriptions);
+    if (slot === null) {
+      throw new Error(`Subscription limit reached (max ${this.maxSubscriptions})`);
+    }
+
+    const lines = await this.fetchList(normalizedUrl);
+    const subscription = {
+      id: `sub-${Date.now()}`,
+      url: normalizedUrl,
+      slot,
+      enabled: true,
+      ...this.describeList(lines, normalizedUrl)
+    };
+
+    await this.saveContent(subscription.id, lines);
+    await this.saveSubscriptions([...subscriptions, subscription]);
+
+    Logger.info(
+      "Subscriptions:Manager",
+      `Subscribed to "${subscription.title}"`,
+      { url: normalizedUrl, ruleCounts: subscription.ruleCounts }
+    );
+
+    return subscription;
+  }
+
+  /**
+   * Unsubscribe and delete cached content
+   * @param {string} id - Subscription ID
+   * @returns {Promise<boolean>} True if a subscription was removed
+   */
+  async removeSubscription(id) {
+    const subscriptions = await this.getSubscriptions();
+    const remaining = subscriptions.filter(sub => sub.id !== id);
+
+    if (remaining.length === subscriptions.length) {
+      return false;
+    }
+
+    await this.saveSubscriptions(remaining);
+    await chrome.storage.local.remove(getSubscriptionContentKey(id));
+    await this.cacheScriptlets(id, null);
+
+    Logger.info("Subscriptions:Manager", `Removed subscription ${id}`);
+    return true;
+  }
+
+  /**
+   * Enable or disable a subscription
+   * @param {string} id - Subscription ID
+   * @param {boolean} enabled - New state
+   * @returns {Promise<Subscription>} Updated subscription
+   */
+  async setEnabled(id, enabled) {
+    return this.updateSubscription(id, { enabled: Boolean(enabled) });
+  }
+
+  /**
+   * Re-download a subscription and update its metadata
+   * On failure the previous content is kept and `lastError` is recorded.
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Subscription>} Updated subscription
+   */
+  async refreshSubscription(id) {
+    const subscription = await this.findSubscription(id);
+
+    try {
+      const lines = await this.fetchList(subscription.url);
+      await this.saveContent(id, lines);
+      return await this.updateSubscription(id, this.describeList(lines, subscription.url));
+    } catch (error) {
+      Logger.warn(
+        "Subscriptions:Manager",
+        `Failed to refresh "${subscription.title}"`,
+        { url: subscription.url, error: error.message }
+      );
+      return this.updateSubscription(id, {
+        lastChecked: Date.now(),
+        lastError: error.message
+      });
+    }
+  }
+
+  /**
+   * Refresh every enabled subscription whose update interval has elapsed
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Promise<Subscription[]>} Subscriptions that were refreshed
+   */
+  async refreshDue(now = Date.now()) {
+    const subscriptions = await this.getSubscriptions();
+    const refreshed = [];
+
+    for (const subscription of subscriptions) {
+      if (!subscription.enabled || !this.isDue(subscription, now)) {
+        continue;
+      }
+      refreshed.push(await this.refreshSubscription(subscription.id));
+    }
+
+    return refreshed;
+  }
+
+  /**
+   * Check whether a subscription should be re-downloaded
+   * @param {Subscription} subscription - Subscription
+   * @param {number} now - Current time
+   * @returns {boolean} True if due
+   */
+  isDue(subscription, now) {
+    const interval = subscription.expiresMinutes || RULE_SOURCES_CONFIG.subscriptions.updateInterval;
+    const lastAttempt = Math.max(subscription.lastUpdated || 0, subscription.lastChecked || 0);
+    return now - lastAttempt >= interval * 60 * 1000;
+  }
+
+  /**
+   * Validate and normalize a list URL
+   * @private
+   * @param {string} url - Raw URL
+   * @returns {string} Normalized URL
+   * @throws {Error} If the URL is not http(s)
+   */
+  normalizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || '').trim());
+    } catch (error) {
+      throw new Error('Invalid list URL');
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      throw new Error('List URL must use http or https');
+    }
+
+    return parsed.href;
+  }
+
+  /**
+   * Lowest free slot (slots map to network rule ID ranges)
+   * @private
+   * @param {Subscription[]} subscriptions - Existing subscriptions
+   * @returns {number|null} Slot index, or null if all slots are taken
+   */
+  allocateSlot(subscriptions) {
+    const used = new Set(subscriptions.map(sub => sub.slot));
+    for (let slot = 0; slot < this.maxSubscriptions; slot++) {
+      if (!used.has(slot)) {
+        return slot;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Download a filter list
+   * @private
+   * @param {string} url - List URL
+   * @returns {Promise<string[]>} Non-empty lines
+   * @throws {Error} If the download fails or does not look like a filter list
+   */
+  async fetchList(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch list: ${response.status} ${response.statusText}`);
+    }
+
+    const text = await response.text();
+    if (/^\s*</.test(text)) {
+      throw new Error('URL did not return a filter list');
+    }
+
+    const lines = text.split('\n').map(line => line.trimEnd()).filter(line => line.trim().length > 0);
+    if (lines.length === 0) {
+      throw new Error('Filter list is empty');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Build metadata fields from list content
+   * @private
+   * @param {string[]} lines - Raw list lines
+   * @param {string} url - List URL (title fallback)
+   * @returns {object} Metadata fields for the subscription record
+   */
+  describeList(lines, url) {
+    const header = parseListHeader(lines);
+    const now = Date.now();
+
+    return {
+      title: header.title || new URL(url).pathname.split('/').pop() || url,
+      version: header.version,
+      lastModified: header.lastModified,
+      homepage: header.homepage,
+      expiresMinutes: header.expiresMinutes,
+      ruleCounts: countListRules(lines),
+      lastUpdated: now,
+      lastChecked: now,
+      lastError: null
+    };
+  }
+
+  /**
+   * Find a subscription by ID
+   * @private
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Subscription>} Subscription
+   * @throws {Error} If not found
+   */
+  async findSubscription(id) {
+    const subscription = (await this.getSubscriptions()).find(sub => sub.id === id);
+    if (!subscription) {
+      throw new Error(`Subscription ${id} not found`);
+    }
+    return subscription;
+  }
+
+  /**
+   * Merge fields into a stored subscription
+   * @private
+   * @param {string} id - Subscription ID
+   * @param {object} fields - Fields to update
+   * @returns {Promise<Subscription>} Updated subscription
+   */
+  async updateSubscription(id, fields) {
+    const subscriptions = await this.getSubscriptions();
+    const index = subscriptions.findIndex(sub => sub.id === id);
+    if (index === -1) {
+      throw new Error(`Subscription ${id} not found`);
+    }
+
+    const updated = { ...subscriptions[index], ...fields };
+    subscriptions[index] = updated;
+    await this.saveSubscriptions(subscriptions);
+    return updated;
+  }
+
+  /**
+   * @private
+   * @param {Subscription[]} subscriptions - Subscriptions to store
+   */
+  async saveSubscriptions(subscriptions) {
+    await safeStorageSet({ [SUBSCRIPTIONS_STORAGE_KEY]: subscriptions });
+  }
+
+  /**
+   * @private
+   * @param {string} id - Subscription ID
+   * @param {string[]} lines - Raw list lines
+   */
+  async saveContent(id, lines) {
+    await safeStorageSet(
+      { [getSubscriptionContentKey(id)]: { lines, fetchedAt: Date.now() } },
+      { maxItemSize: Number.POSITIVE_INFINITY } // Lists are large by design
+    );
+    await this.cacheScriptlets(id, parseScriptletLines(lines));
+  }
+
+  /**
+   * Store a subscription's scriptlet filters, or drop them with `null`
+   * @private
+   * @param {string} id - Subscription ID
+   * @param {ScriptletFilter[]|null} filters - Parsed scriptlet filters
+   */
+  async cacheScriptlets(id, filters) {
+    const result = await safeStorageGet([SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY]);
+    const cache = { ...result[SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY] };
+    if (filters) {
+      cache[id] = filters;
+    } else {
+      delete cache[id];
+    }
+
+    await safeStorageSet(
+      { [SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY]: cache },
+      { maxItemSize: Number.POSITIVE_INFINITY } // Scriptlet-heavy lists hold thousands
+    );
+  }
+}
+
+/**
+ * @typedef {object} Subscription
+ * @property {string} id - Unique ID ("sub-<timestamp>")
+ * @property {string} url - List URL
+ * @property {number} slot - Slot index for the network rule ID range
+ * @property {boolean} enabled - Whether the list is applied
+ * @property {string} title - List title (header or file name)
+ * @property {string|null} version - List version from the header
+ * @property {string|null} lastModified - List's own "Last modified" value
+ * @property {string|null} homepage - List homepage
+ * @property {number|null} expiresMinutes - Update interval requested by the list
+ * @property {{cosmetic: number, procedural: number, scriptlets: number, exceptions: number, network: number}} ruleCounts
+ * @property {number} lastUpdated - Time content was last downloaded
+ * @property {number} lastChecked - Time of the last download attempt
+ * @property {string|null} lastError - Error from the last failed refresh
+ */
@@ -0,0 +1,23 @@
+// Scriptlet runner
+// Runs in the page's main world with the scriptlets ScriptletInjector picked
+// for this page (passed as JSON in the script element's data-scriptlets)
+
+import { runScriptlets } from "./modules/scriptlets/scriptlet-library.js";
+import Logger from "./utils/logger.js";
+
+(function () {
+  "use strict";
+
+  // Read synchronously - currentScript is only set while this script runs
+  const script = document.currentScript;
+
+  let scriptlets = [];
+  try {
+    scriptlets = JSON.parse(script?.dataset.scriptlets || "[]");
+  } catch (error) {
+    Logger.warn("Scriptlets", "Invalid scriptlet list", { error: error.message });
+  }
+
+  const applied = runScriptlets(scriptlets, window);
+  Logger.debug("Scriptlets", `Applied ${applied} of ${scriptlets.length} scriptlets`);
+})();
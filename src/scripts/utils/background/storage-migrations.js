@@ -0,0 +1,361 @@
+/**
+ * Storage Schema Migrations
+ * Ordered, resumable upgrades of persisted chrome.storage.local data
+ *
+ * @fileoverview The stored `schemaVersion` records the last migration step that
+ * was applied. On install, update and browser startup the background runs every
+ * step above it, in order. Each step reads the keys it owns and returns only the
+ * values it changed; those values and the new `schemaVersion` are written in a
+ * single storage call, so a service worker killed mid-run resumes at the first
+ * step that did not commit. Steps must be idempotent and tolerate missing keys
+ * (fresh installs run them against empty storage).
+ *
+ * `permissionCacheV1` keeps its own payload version (see docs/MIGRATIONS.md).
+ *
+ * @example
+ * // background.js - before installation defaults are written
+ * await runStorageMigrations();
+ *
+ * @module StorageMigrations
+ * @since 1.0.0
+ * @author OriginalUI Team
+ */
+
+import Logger from "../logger.js";
+
+/**
+ * Storage key holding the applied schema version
+ * @constant {string}
+ */
+export const SCHEMA_VERSION_KEY = "schemaVersion";
+
+/**
+ * Storage key holding the migration run checkpoint
+ * @constant {string}
+ */
+export const MIGRATION_STATE_KEY = "schemaMigrationState";
+
+/**
+ * Migration run states (mirrors INSTALLATION_STATE in background.js)
+ * @constant {{IN_PROGRESS: string, COMPLETED: string, FAILED: string}}
+ */
+export const MIGRATION_STATE = {
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+const DOMAIN_STATS_FIELDS = [
+  "defaultRulesRemoved",
+  "customRulesRemoved",
+  "easylistRulesRemoved",
+  "easylistRulesHidden",
+];
+const MAX_RECENT_BLOCKS = 100; // Same limit as storeBlockedRequest()
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Non-negative integer, or 0
+ * @private
+ */
+const toCount = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : 0;
+};
+
+/**
+ * Object of string -> count, dropping invalid entries
+ * @private
+ */
+const toCountMap = (value) =>
+  Object.fromEntries(
+    Object.entries(isPlainObject(value) ? value : {})
+      .filter(([key]) => key)
+      .map(([key, count]) => [key, toCount(count)])
+  );
+
+/**
+ * Result helper: only report a key when its value actually changed
+ * @private
+ */
+const changedValues = (before, after) =>
+  Object.fromEntries(
+    Object.entries(after).filter(
+      ([key, value]) => JSON.stringify(before[key]) !== JSON.stringify(value)
+    )
+  );
+
+/**
+ * Migration steps, in the order they run
+ * - `version`: schemaVersion after the step (strictly increasing)
+ * - `keys`: storage keys the step reads
+ * - `migrate(values)`: values for those keys -> changed values to write
+ * @constant {Array<MigrationStep>}
+ */
+export const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    name: "installationState",
+    description: "Mark installations made before installation checkpoints as completed",
+    keys: ["installationState", "isActive", "defaultRules"],
+    migrate: ({ installationState, isActive, defaultRules }) =>
+      !installationState && (isActive !== undefined || defaultRules)
+        ? { installationState: "completed", installationCompleteTime: Date.now() } // INSTALLATION_STATE.COMPLETED
+        : {},
+  },
+  {
+    version: 2,
+    name: "customRules",
+    description: "Give every custom rule an ID, a domain list and an enabled flag",
+    keys: ["customRules"],
+    migrate: ({ customRules }) => {
+      if (customRules === undefined) return {};
+
+      const usedIds = new Set();
+      const rules = (Array.isArray(customRules) ? customRules : [])
+        .map((entry) => (typeof entry === "string" ? { selector: entry } : entry))
+        .filter((rule) => isPlainObject(rule) && typeof rule.selector === "string" && rule.selector.trim())
+        .map((rule, index) => {
+          let id = typeof rule.id === "string" && rule.id.trim() ? rule.id.trim() : "";
+          if (!id || usedIds.has(id)) {
+            id = `custom-legacy-${index + 1}`;
+          }
+          usedIds.add(id);
+
+          const domains = typeof rule.domains === "string" ? [rule.domains] : rule.domains;
+          const validDomains = Array.isArray(domains)
+            ? domains.map((domain) => String(domain).trim()).filter(Boolean)
+            : [];
+
+          return {
+            ...rule,
+            id,
+            selector: rule.selector.trim(),
+            description: typeof rule.description === "string" ? rule.description : "",
+            domains: validDomains.length > 0 ? validDomains : ["*"],
+            category: rule.category || "custom",
+            confidence: rule.confidence || "user-defined",
+            enabled: rule.enabled !== false,
+          };
+        });
+
+      return changedValues({ customRules }, { customRules: rules });
+    },
+  },
+  {
+    version: 3,
+    name: "whitelist",
+    description: "Store whitelist entries as unique, lowercase hostnames",
+    keys: ["whitelist"],
+    migrate: ({ whitelist }) => {
+      if (whitelist === undefined) return {};
+
+      const entries = typeof whitelist === "string" ? whitelist.split(/[\s,]+/) : whitelist;
+      const domains = (Array.isArray(entries) ? entries : [])
+        .filter((entry) => typeof entry === "string")
+        .map((entry) =>
+          entry
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, "") // Pasted URLs: drop scheme...
+            .replace(/[/?#].*$/, "") // ...and path
+        )
+        .filter(Boolean);
+
+      return changedValues({ whitelist }, { whitelist: [...new Set(domains)] });
+    },
+  },
+  {
+    version: 4,
+    name: "domainStats",
+    description: "Store per-domain removal counters as objects with every counter",
+    keys: ["domainStats"],
+    migrate: ({ domainStats }) => {
+      if (domainStats === undefined) return {};
+
+      const stats = {};
+      for (const [domain, entry] of Object.entries(isPlainObject(domainStats) ? domainStats : {})) {
+        if (!domain) continue;
+        // A bare number is a single removal count
+        const source = isPlainObject(entry) ? entry : { defaultRulesRemoved: entry };
+        stats[domain] = Object.fromEntries(
+          DOMAIN_STATS_FIELDS.map((field) => [field, toCount(source[field])])
+        );
+      }
+
+      return changedValues({ domainStats }, { domainStats: stats });
+    },
+  },
+  {
+    version: 5,
+    name: "navigationStats",
+    description: "Store Navigation Guardian counters as non-negative integers",
+    keys: ["navigationStats"],
+    migrate: ({ navigationStats }) => {
+      if (navigationStats === undefined) return {};
+
+      const source = isPlainObject(navigationStats) ? navigationStats : {};
+      return changedValues(
+        { navigationStats },
+        {
+          navigationStats: {
+            ...source,
+            blockedCount: toCount(source.blockedCount),
+            allowedCount: toCount(source.allowedCount),
+          },
+        }
+      );
+    },
+  },
+  {
+    version: 6,
+    name: "blockedRequestStats",
+    description: "Complete blocked request stats and cap recent blocks",
+    keys: ["blockedRequestStats"],
+    migrate: ({ blockedRequestStats }) => {
+      if (blockedRequestStats === undefined) return {};
+
+      const source = isPlainObject(blockedRequestStats) ? blockedRequestStats : {};
+      const recentBlocks = Array.isArray(source.recentBlocks)
+        ? source.recentBlocks.filter(isPlainObject).slice(0, MAX_RECENT_BLOCKS)
+        : [];
+
+      return changedValues(
+        { blockedRequestStats },
+        {
+          blockedRequestStats: {
+            totalBlocked: toCount(source.totalBlocked),
+            byType: toCountMap(source.byType),
+            byDomain: toCountMap(source.byDomain),
+            recentBlocks,
+          },
+        }
+      );
+    },
+  },
+];
+
+/**
+ * Schema version written by a complete run (and by fresh installations)
+ * @constant {number}
+ */
+export const CURRENT_SCHEMA_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+// Simple in-memory mutex (onInstalled and onStartup can fire together)
+let migrationPromise = null;
+
+/**
+ * Apply all pending migration steps
+ * @param {object} [options]
+ * @param {Array<MigrationStep>} [options.migrations=STORAGE_MIGRATIONS] - Steps to run
+ * @param {chrome.storage.StorageArea} [options.storage=chrome.storage.local] - Storage area
+ * @returns {Promise<{fromVersion: number, toVersion: number, applied: string[]}>}
+ * @throws {Error} If a step fails (earlier steps stay committed; the run resumes next time)
+ */
+export async function runStorageMigrations(options = {}) {
+  if (migrationPromise) {
+    return migrationPromise;
+  }
+
+  migrationPromise = performMigrations(options);
+  try {
+    return await migrationPromise;
+  } finally {
+    migrationPromise = null;
+  }
+}
+
+/**
+ * @private
+ */
+async function performMigrations({
+  migrations = STORAGE_MIGRATIONS,
+  storage = chrome.storage.local,
+} = {}) {
+  const stored = await storage.get([SCHEMA_VERSION_KEY]);
+  const fromVersion = Number.isInteger(stored[SCHEMA_VERSION_KEY]) ? stored[SCHEMA_VERSION_KEY] : 0;
+  const targetVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const pending = migrations.filter((step) => step.version > fromVersion);
+
+  if (fromVersion > targetVersion) {
+    // Extension was downgraded - leave newer data alone
+    Logger.warn('SchemaVersionAhead', 'Stored schema is newer than this build, skipping migrations', {
+      storedVersion: fromVersion,
+      currentVersion: targetVersion,
+    });
+    return { fromVersion, toVersion: fromVersion, applied: [] };
+  }
+  if (pending.length === 0) {
+    return { fromVersion, toVersion: fromVersion, applied: [] };
+  }
+
+  // CHECKPOINT 1: Mark migration run as in progress
+  await storage.set({
+    [MIGRATION_STATE_KEY]: {
+      state: MIGRATION_STATE.IN_PROGRESS,
+      fromVersion,
+      targetVersion,
+      startedAt: Date.now(),
+    },
+  });
+
+  const applied = [];
+  let version = fromVersion;
+
+  for (const step of pending) {
+    try {
+      const values = await storage.get(step.keys);
+      const updates = step.migrate(values);
+
+      // CHECKPOINT: step data and version bump in one write (atomic per step)
+      await storage.set({ ...updates, [SCHEMA_VERSION_KEY]: step.version });
+      version = step.version;
+      applied.push(step.name);
+
+      Logger.info('SchemaMigrationStep', `Applied migration ${step.version} (${step.name})`, {
+        changedKeys: Object.keys(updates),
+      });
+    } catch (error) {
+      Logger.error('SchemaMigrationFailed', `Migration ${step.version} (${step.name}) failed`, error);
+      await storage.set({
+        [MIGRATION_STATE_KEY]: {
+          state: MIGRATION_STATE.FAILED,
+          fromVersion,
+          targetVersion,
+          failedVersion: step.version,
+          error: error.message,
+          failedAt: Date.now(),
+        },
+      });
+      throw error;
+    }
+  }
+
+  // CHECKPOINT 2: Mark migration run as completed (COMMIT POINT)
+  await storage.set({
+    [MIGRATION_STATE_KEY]: {
+      state: MIGRATION_STATE.COMPLETED,
+      fromVersion,
+      targetVersion,
+      completedAt: Date.now(),
+    },
+  });
+
+  Logger.info('SchemaMigrationComplete', 'Storage schema up to date', {
+    fromVersion,
+    toVersion: version,
+    applied,
+  });
+  return { fromVersion, toVersion: version, applied };
+}
+
+/**
+ * @typedef {object} MigrationStep
+ * @property {number} version - Schema version after this step
+ * @property {string} name - Short name for logs
+ * @property {string} description - What the step changes
+ * @property {string[]} keys - Storage keys the step reads
+ * @property {function(object): object} migrate - Stored values -> changed values to write
+ */
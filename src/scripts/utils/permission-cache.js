@@ -9,6 +9,7 @@
  * - Chrome storage persistence with debouncing
  * - LRU eviction at 500 entries
  * - TTL expiration (24h default, 30d with "Remember" checkbox)
+ * - Wildcard source entries ("*") that apply to a destination from any site
  * - Statistics tracking for cache performance
  */
 
@@ -20,6 +21,8 @@ import { normalizeOrigin } from '../../utils/url-utils.js';
 const STORAGE_KEY = 'permissionCacheV1';
 const CACHE_KEY_PREFIX = 'origin:';
 const CACHE_KEY_SEPARATOR = '->';
+// Source origin of entries that apply from any site ("origin:*->https://target.com")
+const WILDCARD_SOURCE = '*';
 
 // Default configuration
 const CONFIG = {
@@ -31,6 +34,14 @@ const CONFIG = {
   VERSION: 1                                   // Schema version for migrations
 };
 
+/**
+ * Normalize a source origin, keeping the wildcard source as-is
+ * @param {string} origin
+ * @returns {string|null}
+ */
+const normalizeSourceOrigin = (origin) =>
+  origin === WILDCARD_SOURCE ? WILDCARD_SOURCE : normalizeOrigin(origin);
+
 /**
  * Permission Cache Entry
  * @typedef {Object} CacheEntry
@@ -243,13 +254,14 @@ export class PermissionCache {
   /**
    * Generate cache key from source and target origins
    * Format: "origin:https://app.com->https://oauth.com"
+   * ("origin:*->https://oauth.com" for entries that apply from any site)
    *
-   * @param {string} sourceOrigin - Source page origin
+   * @param {string} sourceOrigin - Source page origin, or "*" for any site
    * @param {string} targetOrigin - Target navigation origin
    * @returns {string} Cache key
    */
   static getCacheKey(sourceOrigin, targetOrigin) {
-    const normalizedSource = normalizeOrigin(sourceOrigin);
+    const normalizedSource = normalizeSourceOrigin(sourceOrigin);
     const normalizedTarget = normalizeOrigin(targetOrigin);
 
     if (!normalizedSource || !normalizedTarget) {
@@ -259,6 +271,26 @@ export class PermissionCache {
     return `${CACHE_KEY_PREFIX}${normalizedSource}${CACHE_KEY_SEPARATOR}${normalizedTarget}`;
   }
 
+  /**
+   * Split a cache key into its origins
+   *
+   * @param {string} key - Cache key ("origin:https://app.com->https://oauth.com")
+   * @returns {{sourceOrigin: string, targetOrigin: string}|null} Normalized origins, or null if invalid
+   */
+  static parseCacheKey(key) {
+    const normalizedKey = PermissionCache.normalizeCacheKey(key);
+    if (!normalizedKey) {
+      return null;
+    }
+
+    const raw = normalizedKey.slice(CACHE_KEY_PREFIX.length);
+    const separatorIndex = raw.indexOf(CACHE_KEY_SEPARATOR);
+    return {
+      sourceOrigin: raw.slice(0, separatorIndex),
+      targetOrigin: raw.slice(separatorIndex + CACHE_KEY_SEPARATOR.length)
+    };
+  }
+
   /**
    * Normalize a stored cache key to canonical format.
    *
@@ -282,7 +314,7 @@ export class PermissionCache {
       return null;
     }
 
-    const normalizedSource = normalizeOrigin(sourcePart);
+    const normalizedSource = normalizeSourceOrigin(sourcePart);
     const normalizedTarget = normalizeOrigin(targetPart);
 
     if (!normalizedSource || !normalizedTarget) {
@@ -301,36 +333,72 @@ export class PermissionCache {
    * @returns {Object|null} Cache entry or null
    */
   getSync(sourceOrigin, targetOrigin) {
-    const key = PermissionCache.getCacheKey(sourceOrigin, targetOrigin);
-    if (!key) {
+    const node = this._getLiveNode(PermissionCache.getCacheKey(sourceOrigin, targetOrigin));
+    if (!node) {
       this.stats.cacheMisses++;
       return null;
     }
 
-    const node = this.cache.get(key);  // Returns CacheNode
+    this.stats.cacheHits++;
+    return {
+      decision: node.value.decision,
+      isExpired: false,
+      metadata: node.value.metadata
+    };
+  }
+
+  /**
+   * Synchronous lookup of the decision that applies to a navigation
+   * The entry for this exact pair wins over a wildcard entry for the target,
+   * so a site-specific choice can override an "everywhere" one.
+   *
+   * @param {string} sourceOrigin - Source page origin
+   * @param {string} targetOrigin - Target navigation origin
+   * @returns {Object|null} Cache entry (with the matched `sourceOrigin`) or null
+   */
+  matchSync(sourceOrigin, targetOrigin) {
+    const node =
+      this._getLiveNode(PermissionCache.getCacheKey(sourceOrigin, targetOrigin)) ||
+      this._getLiveNode(PermissionCache.getCacheKey(WILDCARD_SOURCE, targetOrigin));
     if (!node) {
       this.stats.cacheMisses++;
       return null;
     }
 
+    this.stats.cacheHits++;
+    return {
+      decision: node.value.decision,
+      isExpired: false,
+      metadata: node.value.metadata,
+      sourceOrigin: PermissionCache.parseCacheKey(node.key).sourceOrigin
+    };
+  }
+
+  /**
+   * Get an unexpired node and mark it as recently used
+   * Expired nodes are removed.
+   *
+   * @private
+   * @param {string|null} key - Cache key
+   * @returns {CacheNode|null}
+   */
+  _getLiveNode(key) {
+    const node = key ? this.cache.get(key) : null;  // Returns CacheNode
+    if (!node) {
+      return null;
+    }
+
     // Check expiration
     if (Date.now() > node.value.expiresAt) {
       this._removeNode(node);  // Remove from DLL
       this.cache.delete(key);  // Remove from Map
       this.size--;             // Decrement size
-      this.stats.cacheMisses++;
       return null;
     }
 
     // LRU: Mark as recently used
     this._moveToHead(node);
-
-    this.stats.cacheHits++;
-    return {
-      decision: node.value.decision,
-      isExpired: false,
-      metadata: node.value.metadata
-    };
+    return node;
   }
 
   /**
@@ -366,6 +434,7 @@ export class PermissionCache {
    * @param {string} decision - 'ALLOW' or 'DENY'
    * @param {Object} options - Configuration options
    * @param {boolean} options.persist - Use 30-day TTL instead of 24h
+   * @param {number} [options.expiresAt] - Explicit expiry (entries edited in settings), overrides the TTL
    * @param {Object} options.metadata - Additional context
    */
   setSync(sourceOrigin, targetOrigin, decision, options = {}) {
@@ -385,7 +454,7 @@ export class PermissionCache {
     const entry = {
       decision: decision,
       timestamp: timestamp,
-      expiresAt: timestamp + ttl,
+      expiresAt: Number.isFinite(options.expiresAt) ? options.expiresAt : timestamp + ttl,
       isPersistent: persist,
       metadata: metadata
     };
@@ -431,6 +500,33 @@ export class PermissionCache {
     await this.syncToStorage();
   }
 
+  /**
+   * Remove a cached decision (revoked in settings)
+   *
+   * @param {string} sourceOrigin - Source page origin
+   * @param {string} targetOrigin - Target navigation origin
+   * @returns {boolean} True if an entry was removed
+   */
+  deleteSync(sourceOrigin, targetOrigin) {
+    const key = PermissionCache.getCacheKey(sourceOrigin, targetOrigin);
+    const node = key ? this.cache.get(key) : null;
+    if (!node) {
+      return false;
+    }
+
+    this._removeNode(node);  // Remove from DLL
+    this.cache.delete(key);  // Remove from Map
+    this.size--;
+    this.stats.totalEntries = this.size;
+
+    this.scheduleStorageSync();
+
+    // Validate DLL integrity (development mode only)
+    this._validateDLL();
+
+    return true;
+  }
+
   /**
    * Remove expired entries from cache
    * Called automatically every 5 minutes and before eviction
@@ -834,4 +930,8 @@ export class PermissionCache {
 }
 
 // Export configuration for testing
-export { CONFIG as PERMISSION_CACHE_CONFIG };
+export {
+  CONFIG as PERMISSION_CACHE_CONFIG,
+  STORAGE_KEY as PERMISSION_CACHE_STORAGE_KEY,
+  WILDCARD_SOURCE as PERMISSION_CACHE_WILDCARD_SOURCE
+};
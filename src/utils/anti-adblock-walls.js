@@ -0,0 +1,100 @@
+/**
+ * Anti-Adblock Wall Records
+ *
+ * @fileoverview Model for the sites where AntiAdblockDetector removed a
+ * "disable your ad blocker" wall (`antiAdblockWalls` in chrome.storage.local):
+ *
+ *   { "example.com": { count: 3, firstSeen: 1700000000000, lastSeen: 1700000360000 } }
+ *
+ * The popup uses the records to suggest a site exception (cosmetic filters
+ * off for the site) until the user takes it or dismisses the suggestion.
+ *
+ * @module anti-adblock-walls
+ */
+
+import { SITE_PROFILE_SYSTEMS, isSystemEnabled } from "./site-profiles.js";
+
+/**
+ * Storage key for wall records
+ * @constant {string}
+ */
+export const ANTI_ADBLOCK_WALLS_STORAGE_KEY = "antiAdblockWalls";
+
+/**
+ * Most sites kept; the least recently seen are dropped first
+ * @constant {number}
+ */
+export const MAX_WALL_SITES = 100;
+
+/**
+ * Record a wall removed on a site
+ * @param {object} walls - Stored `antiAdblockWalls`
+ * @param {string} domain - Site hostname
+ * @param {number} [now=Date.now()]
+ * @returns {Object<string, WallRecord>} Updated records (input is not modified)
+ */
+export function recordWallDetection(walls, domain, now = Date.now()) {
+  const key = String(domain || "").trim().toLowerCase();
+  const current = walls && typeof walls === "object" && !Array.isArray(walls) ? walls : {};
+  if (!key) {
+    return { ...current };
+  }
+
+  const previous = current[key];
+  const { [key]: _replaced, ...others } = current;
+  const record = {
+    ...previous,
+    count: (previous?.count || 0) + 1,
+    firstSeen: previous?.firstSeen || now,
+    lastSeen: now,
+  };
+
+  // Most recently seen first, oldest dropped beyond the limit
+  return Object.fromEntries(
+    [
+      [key, record],
+      ...Object.entries(others).sort(([, a], [, b]) => (b?.lastSeen || 0) - (a?.lastSeen || 0)),
+    ].slice(0, MAX_WALL_SITES)
+  );
+}
+
+/**
+ * Stop suggesting an exception for a site (it is still recorded)
+ * @param {object} walls - Stored `antiAdblockWalls`
+ * @param {string} domain - Site hostname
+ * @returns {Object<string, WallRecord>} Updated records (input is not modified)
+ */
+export function dismissWallSuggestion(walls, domain) {
+  const key = String(domain || "").trim().toLowerCase();
+  if (!walls?.[key]) {
+    return { ...walls };
+  }
+  return { ...walls, [key]: { ...walls[key], dismissed: true } };
+}
+
+/**
+ * Wall record to suggest a site exception for
+ * @param {object} walls - Stored `antiAdblockWalls`
+ * @param {string} domain - Site hostname
+ * @param {object} siteOverrides - Result of getSiteOverrides() for the site
+ * @returns {WallRecord|null} Null if the site showed no wall, the suggestion was
+ *   dismissed, or cosmetic filters are already off for the site
+ */
+export function getWallSuggestion(walls, domain, siteOverrides) {
+  const record = walls?.[String(domain || "").trim().toLowerCase()];
+  if (!record || record.dismissed) {
+    return null;
+  }
+  if (!isSystemEnabled(siteOverrides, SITE_PROFILE_SYSTEMS.COSMETIC_FILTERS, true)) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * @typedef {object} WallRecord
+ * @property {number} count - Walls removed on the site
+ * @property {number} firstSeen - First removal (ms)
+ * @property {number} lastSeen - Latest removal (ms)
+ * @property {boolean} [dismissed] - User dismissed the exception suggestion
+ */
@@ -0,0 +1,66 @@
+/**
+ * Cookie Consent Utilities
+ *
+ * @fileoverview Settings model for cookie-consent banner handling. Banners of
+ * known consent management platforms (CMPs) are answered or hidden by
+ * ConsentExecutor according to the chosen mode.
+ *
+ * Storage (chrome.storage.local):
+ * - `cookieConsentEnabled`: boolean - handle consent banners at all
+ * - `cookieConsentMode`: "reject" | "essential" | "hide" - how banners are handled
+ *
+ * @module cookie-consent
+ */
+
+/**
+ * How consent banners are handled
+ * - REJECT: click the CMP's "reject all" button
+ * - ESSENTIAL: accept strictly necessary cookies only
+ * - HIDE: leave consent unanswered and hide the banner
+ * Both click modes fall back to hiding when the buttons cannot be found.
+ * @constant {{REJECT: string, ESSENTIAL: string, HIDE: string}}
+ */
+export const COOKIE_CONSENT_MODES = {
+  REJECT: "reject",
+  ESSENTIAL: "essential",
+  HIDE: "hide",
+};
+
+/**
+ * Mode used until the user picks one
+ * @constant {string}
+ */
+export const DEFAULT_COOKIE_CONSENT_MODE = COOKIE_CONSENT_MODES.REJECT;
+
+/**
+ * Mode labels and descriptions for the settings page
+ * @constant {Array<{value: string, label: string, description: string}>}
+ */
+export const COOKIE_CONSENT_MODE_OPTIONS = [
+  {
+    value: COOKIE_CONSENT_MODES.REJECT,
+    label: "Reject all",
+    description: "Decline every optional cookie category.",
+  },
+  {
+    value: COOKIE_CONSENT_MODES.ESSENTIAL,
+    label: "Essential only",
+    description: "Accept strictly necessary cookies and nothing else.",
+  },
+  {
+    value: COOKIE_CONSENT_MODES.HIDE,
+    label: "Hide banner",
+    description: "Do not answer; just hide the banner.",
+  },
+];
+
+/**
+ * Stored mode, or the default when missing or unknown
+ * @param {*} mode - Stored `cookieConsentMode`
+ * @returns {string} One of COOKIE_CONSENT_MODES
+ */
+export function normalizeConsentMode(mode) {
+  return Object.values(COOKIE_CONSENT_MODES).includes(mode)
+    ? mode
+    : DEFAULT_COOKIE_CONSENT_MODE;
+}
@@ -0,0 +1,296 @@
+/**
+ * Destination Preview Utilities
+ *
+ * @fileoverview Works out where a navigation really leads before the Navigation
+ * Guardian modal is shown: unwraps redirect wrappers (`?url=`, `?redirect=`,
+ * l.facebook.com/l.php?u=, google.com/url?q=, ...), and describes the final
+ * host (registrable domain, punycode and Unicode forms).
+ *
+ * Everything here is computed from the URL alone; no request is made, so
+ * link shorteners such as t.co can only be flagged, not resolved.
+ *
+ * @module destination-preview
+ */
+
+import { domainMatches } from "./url-utils.js";
+
+/**
+ * Maximum number of nested wrappers unwrapped
+ * @constant {number}
+ */
+export const MAX_UNWRAP_DEPTH = 5;
+
+/**
+ * Redirect services with a known destination parameter
+ * `path` limits the match to the redirect endpoint of general-purpose sites.
+ * @constant {Array<{host: string, path?: RegExp, params: string[]}>}
+ */
+const KNOWN_REDIRECTORS = [
+  { host: "l.facebook.com", params: ["u"] },
+  { host: "lm.facebook.com", params: ["u"] },
+  { host: "l.messenger.com", params: ["u"] },
+  { host: "l.instagram.com", params: ["u"] },
+  { host: "l.threads.net", params: ["u"] },
+  { host: "google.com", path: /^\/url\/?$/, params: ["q", "url"] },
+  { host: "youtube.com", path: /^\/redirect\/?$/, params: ["q"] },
+  { host: "out.reddit.com", params: ["url"] },
+  { host: "slack-redir.net", params: ["url"] },
+  { host: "steamcommunity.com", path: /^\/linkfilter\/?$/, params: ["u", "url"] },
+  { host: "vk.com", path: /^\/away\.php$/, params: ["to"] },
+  { host: "safelinks.protection.outlook.com", params: ["url"] },
+];
+
+/**
+ * Query parameters that carry the destination on other sites (lowercase)
+ * Only absolute http(s) URLs in these parameters are unwrapped.
+ * @constant {string[]}
+ */
+const REDIRECT_PARAMS = [
+  "url",
+  "u",
+  "redirect",
+  "redirect_url",
+  "redirecturl",
+  "dest",
+  "destination",
+  "target",
+  "goto",
+  "to",
+  "out",
+  "link",
+];
+
+/**
+ * Link shorteners whose destination is only known to their server
+ * @constant {Set<string>}
+ */
+const LINK_SHORTENERS = new Set([
+  "t.co",
+  "bit.ly",
+  "buff.ly",
+  "ow.ly",
+  "lnkd.in",
+  "tinyurl.com",
+  "is.gd",
+  "goo.gl",
+  "rebrand.ly",
+  "shorturl.at",
+]);
+
+/**
+ * Public suffixes with two labels (subset of the Public Suffix List)
+ * Keeps `example.co.uk` from being reported as `co.uk`.
+ * @constant {Set<string>}
+ */
+const MULTI_LABEL_SUFFIXES = new Set([
+  "co.uk", "org.uk", "ac.uk", "gov.uk", "me.uk", "ltd.uk", "plc.uk",
+  "com.au", "net.au", "org.au", "edu.au", "gov.au",
+  "co.nz", "org.nz", "govt.nz",
+  "co.jp", "ne.jp", "or.jp", "ac.jp", "go.jp",
+  "co.kr", "or.kr",
+  "com.cn", "net.cn", "org.cn", "gov.cn",
+  "com.tw", "org.tw", "com.hk", "com.sg", "com.my",
+  "co.in", "net.in", "org.in", "gov.in",
+  "com.br", "net.br", "org.br", "gov.br",
+  "com.ar", "com.mx", "com.co", "com.tr", "com.ua",
+  "co.za", "co.il", "co.id", "co.th",
+  "github.io", "gitlab.io", "netlify.app", "vercel.app", "pages.dev",
+  "herokuapp.com", "blogspot.com", "appspot.com", "azurewebsites.net",
+  "cloudfront.net", "web.app", "firebaseapp.com",
+]);
+
+/**
+ * Parse an absolute http(s) URL
+ * Wrapped URLs are sometimes encoded twice ("https%3A%2F%2F...").
+ * @param {string} value
+ * @returns {URL|null}
+ */
+function parseRedirectTarget(value) {
+  let candidate = String(value || "").trim();
+  if (/^https?%3A/i.test(candidate)) {
+    try {
+      candidate = decodeURIComponent(candidate);
+    } catch {
+      return null;
+    }
+  }
+  if (!/^https?:\/\//i.test(candidate)) {
+    return null;
+  }
+
+  try {
+    return new URL(candidate);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Destination carried by a redirect wrapper
+ * @param {URL} urlObj - Parsed URL
+ * @returns {URL|null} Wrapped URL, or null if the URL is not a wrapper
+ */
+export function unwrapRedirect(urlObj) {
+  const known = KNOWN_REDIRECTORS.find(
+    ({ host, path }) => domainMatches(urlObj.hostname, host) && (!path || path.test(urlObj.pathname))
+  );
+  const params = known ? known.params : REDIRECT_PARAMS;
+
+  for (const [name, value] of urlObj.searchParams) {
+    if (!params.includes(name.toLowerCase())) continue;
+    const target = parseRedirectTarget(value);
+    if (target) {
+      return target;
+    }
+  }
+  return null;
+}
+
+// RFC 3492 (punycode) parameters
+const PUNYCODE = { BASE: 36, TMIN: 1, TMAX: 26, SKEW: 38, DAMP: 700, INITIAL_BIAS: 72, INITIAL_N: 128 };
+
+/**
+ * Bias adaptation function (RFC 3492, section 6.1)
+ */
+function adaptBias(delta, numPoints, firstTime) {
+  const { BASE, TMIN, TMAX, SKEW, DAMP } = PUNYCODE;
+  let k = 0;
+  delta = firstTime ? Math.floor(delta / DAMP) : Math.floor(delta / 2);
+  delta += Math.floor(delta / numPoints);
+  for (; delta > ((BASE - TMIN) * TMAX) >> 1; k += BASE) {
+    delta = Math.floor(delta / (BASE - TMIN));
+  }
+  return Math.floor(k + ((BASE - TMIN + 1) * delta) / (delta + SKEW));
+}
+
+/**
+ * Decode the part of a label after "xn--" (RFC 3492, section 6.2)
+ * @param {string} input
+ * @returns {string|null} Unicode label, or null if the input is not valid punycode
+ */
+function decodePunycode(input) {
+  const { BASE, TMIN, TMAX, INITIAL_BIAS, INITIAL_N } = PUNYCODE;
+  const basicLength = Math.max(input.lastIndexOf("-"), 0);
+  const output = [];
+
+  for (let j = 0; j < basicLength; j++) {
+    const code = input.charCodeAt(j);
+    if (code >= 0x80) return null;
+    output.push(code);
+  }
+
+  let n = INITIAL_N;
+  let bias = INITIAL_BIAS;
+  let i = 0;
+
+  for (let index = basicLength > 0 ? basicLength + 1 : 0; index < input.length; ) {
+    const oldI = i;
+    for (let w = 1, k = BASE; ; k += BASE) {
+      if (index >= input.length) return null;
+      const code = input.charCodeAt(index++);
+      const digit =
+        code >= 48 && code <= 57 ? code - 22 // 0-9 -> 26-35
+          : code >= 65 && code <= 90 ? code - 65 // A-Z -> 0-25
+            : code >= 97 && code <= 122 ? code - 97 // a-z -> 0-25
+              : BASE;
+      if (digit >= BASE) return null;
+      i += digit * w;
+      const t = k <= bias ? TMIN : k >= bias + TMAX ? TMAX : k - bias;
+      if (digit < t) break;
+      w *= BASE - t;
+      if (!Number.isSafeInteger(i) || !Number.isSafeInteger(w)) return null;
+    }
+
+    bias = adaptBias(i - oldI, output.length + 1, oldI === 0);
+    n += Math.floor(i / (output.length + 1));
+    if (n > 0x10ffff) return null;
+    i %= output.length + 1;
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...output);
+}
+
+/**
+ * Unicode form of a hostname ("xn--pple-43d.com" -> "аpple.com")
+ * Labels that are not valid punycode are kept as they are.
+ * @param {string} hostname - ASCII hostname (as in URL.hostname)
+ * @returns {string}
+ */
+export function toUnicodeHostname(hostname) {
+  return String(hostname || "")
+    .split(".")
+    .map((label) =>
+      label.toLowerCase().startsWith("xn--") ? decodePunycode(label.slice(4)) ?? label : label
+    )
+    .join(".");
+}
+
+/**
+ * Registrable domain of a hostname ("login.example.co.uk" -> "example.co.uk")
+ * Approximates the Public Suffix List with MULTI_LABEL_SUFFIXES; IP addresses
+ * are returned as they are.
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function getRegistrableDomain(hostname) {
+  const host = String(hostname || "").toLowerCase().replace(/\.$/, "");
+  if (!host || host.includes(":") || /^\d+(\.\d+){3}$/.test(host)) {
+    return host;
+  }
+
+  const labels = host.split(".");
+  const suffixLength = MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join(".")) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join(".");
+}
+
+/**
+ * Describe where a navigation leads
+ * @param {string} url - Navigation URL
+ * @param {string} [base] - Base URL for relative URLs
+ * @returns {DestinationPreview|null} Null if the URL is not http(s)
+ */
+export function resolveDestination(url, base) {
+  let current;
+  try {
+    current = new URL(url, base);
+  } catch {
+    return null;
+  }
+  if (!["http:", "https:"].includes(current.protocol)) {
+    return null;
+  }
+
+  const originalUrl = current.href;
+  const redirectHosts = [];
+  for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+    const next = unwrapRedirect(current);
+    if (!next) break;
+    redirectHosts.push(current.hostname);
+    current = next;
+  }
+
+  const { hostname } = current;
+  return {
+    originalUrl,
+    finalUrl: current.href,
+    redirectHosts,
+    shortenerHost: LINK_SHORTENERS.has(hostname) ? hostname : null,
+    hostname,
+    unicodeHostname: toUnicodeHostname(hostname),
+    isIdn: hostname.split(".").some((label) => label.startsWith("xn--")),
+    registrableDomain: getRegistrableDomain(hostname),
+  };
+}
+
+/**
+ * @typedef {object} DestinationPreview
+ * @property {string} originalUrl - URL the page navigates to
+ * @property {string} finalUrl - URL after unwrapping redirect wrappers
+ * @property {string[]} redirectHosts - Hosts of the unwrapped wrappers, in order
+ * @property {string|null} shortenerHost - Link shortener the final URL still goes through
+ * @property {string} hostname - Final host (ASCII / punycode)
+ * @property {string} unicodeHostname - Final host with punycode labels decoded
+ * @property {boolean} isIdn - Final host has punycode labels
+ * @property {string} registrableDomain - Final host's registrable domain (ASCII)
+ */
@@ -0,0 +1,103 @@
+/**
+ * Frame Context Utilities
+ *
+ * @fileoverview Resolves the domain of the top-level page a frame belongs to.
+ * The content script runs in every frame, and whitelist, pause and site
+ * profile decisions are made for the page the user sees - not for the (often
+ * third-party) origin of each embedded frame. Rules match both: a
+ * `youtube.com##...` rule still applies inside a YouTube embed, and the
+ * page's own rules reach into its frames.
+ *
+ * Resolution order: own hostname in the top frame, the top frame's location
+ * when it is same-origin, then `location.ancestorOrigins`. When none of these
+ * work (sandboxed frames report a "null" origin) the content script asks the
+ * background for the tab's URL.
+ *
+ * @module frame-context
+ */
+
+/**
+ * Whether a window is the top-level frame
+ * @param {Window} [win=window]
+ * @returns {boolean}
+ */
+export function isTopFrame(win = window) {
+  try {
+    return win.top === win;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Hostname of the frame itself ("" for about:blank, data: and similar)
+ * @param {Window} [win=window]
+ * @returns {string}
+ */
+export function getFrameDomain(win = window) {
+  try {
+    return new URL(win.location.href).hostname;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Hostname of the top-level page, resolved without messaging
+ * @param {Window} [win=window]
+ * @returns {string|null} Null if the frame cannot see its top-level origin
+ */
+export function getTopLevelDomain(win = window) {
+  if (isTopFrame(win)) {
+    return getFrameDomain(win);
+  }
+
+  // Same-origin ancestors expose their location; cross-origin access throws
+  try {
+    const hostname = win.top.location.hostname;
+    if (hostname) {
+      return hostname;
+    }
+  } catch {
+    // Cross-origin top frame
+  }
+
+  // Chromium lists ancestor origins innermost first, so the top frame is last
+  const ancestors = win.location?.ancestorOrigins;
+  if (ancestors && ancestors.length > 0) {
+    return hostnameFromOrigin(ancestors[ancestors.length - 1]);
+  }
+
+  return null;
+}
+
+/**
+ * Hostnames rules are matched against: the page's, plus the frame's own when
+ * it differs
+ * @param {string} pageDomain - Top-level page hostname
+ * @param {string} [frameDomain] - Frame hostname (omitted in the top frame)
+ * @returns {string[]}
+ */
+export function getRuleDomains(pageDomain, frameDomain) {
+  const domains = pageDomain ? [pageDomain] : [];
+  if (frameDomain && frameDomain !== pageDomain) {
+    domains.push(frameDomain);
+  }
+  return domains;
+}
+
+/**
+ * Hostname of a URL or origin
+ * @param {string} url - URL or origin ("null" for opaque origins)
+ * @returns {string|null} Null for opaque or unparsable input
+ */
+export function hostnameFromOrigin(url) {
+  if (!url || url === "null") {
+    return null;
+  }
+  try {
+    return new URL(url).hostname || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Custom Network Pattern Utilities
+ *
+ * @fileoverview Model for custom network patterns (`networkBlockPatterns` in
+ * chrome.storage.sync). A stored entry is either a plain string or an object.
+ *
+ * Strings cover the common case and keep sync storage small; allow rules reuse
+ * the ABP `@@` exception prefix:
+ * - `ads.example.com`                 block requests to the domain
+ * - `@@cdn.example.com`               allow requests to the domain (overrides block rules)
+ * - `@@news.example.com$document`     allow every request made by pages on the site
+ *
+ * Objects carry per-rule options (see NetworkPattern); fields left at their
+ * defaults are omitted when stored, and an object with only defaults is stored
+ * back as a string.
+ *
+ * @module network-patterns
+ */
+
+/**
+ * Pattern actions, matching the DNR action type each one produces
+ * @constant {{BLOCK: string, ALLOW: string, ALLOW_SITE: string}}
+ */
+export const PATTERN_ACTIONS = {
+  BLOCK: "block",
+  ALLOW: "allow",
+  ALLOW_SITE: "allowAllRequests",
+};
+
+/**
+ * Resource types offered by the pattern editor (DNR names)
+ * @constant {string[]}
+ */
+export const NETWORK_RESOURCE_TYPES = [
+  "main_frame",
+  "sub_frame",
+  "script",
+  "xmlhttprequest",
+  "image",
+  "stylesheet",
+  "font",
+  "media",
+  "websocket",
+  "ping",
+  "object",
+  "other",
+];
+
+/**
+ * Resource types used when a pattern does not choose its own
+ * @constant {string[]}
+ */
+export const DEFAULT_RESOURCE_TYPES = ["main_frame", "sub_frame", "xmlhttprequest", "script"];
+
+/**
+ * Severities, highest DNR priority first
+ * @constant {string[]}
+ */
+export const PATTERN_SEVERITIES = ["critical", "high", "medium", "low"];
+
+/**
+ * Party restriction (DNR domainType); null matches both
+ * @constant {{FIRST_PARTY: string, THIRD_PARTY: string}}
+ */
+export const DOMAIN_TYPES = {
+  FIRST_PARTY: "firstParty",
+  THIRD_PARTY: "thirdParty",
+};
+
+const ALLOW_PREFIX = "@@";
+const SITE_SUFFIX = "$document";
+const DEFAULT_SEVERITY = "critical";
+
+/**
+ * Split a stored pattern into trigger and action
+ * @param {string} pattern - Stored pattern string
+ * @returns {{trigger: string, action: string}} Trigger without markers, and its PATTERN_ACTIONS value
+ */
+export function parseNetworkPattern(pattern) {
+  const value = String(pattern || "").trim();
+
+  if (!value.startsWith(ALLOW_PREFIX)) {
+    return { trigger: value, action: PATTERN_ACTIONS.BLOCK };
+  }
+
+  const trigger = value.slice(ALLOW_PREFIX.length);
+  if (trigger.endsWith(SITE_SUFFIX)) {
+    return {
+      trigger: trigger.slice(0, -SITE_SUFFIX.length),
+      action: PATTERN_ACTIONS.ALLOW_SITE,
+    };
+  }
+
+  return { trigger, action: PATTERN_ACTIONS.ALLOW };
+}
+
+/**
+ * Build the stored pattern string for a trigger and action
+ * @param {string} trigger - Domain or URL pattern
+ * @param {string} [action=PATTERN_ACTIONS.BLOCK] - PATTERN_ACTIONS value
+ * @returns {string} Pattern string for `networkBlockPatterns`
+ */
+export function formatNetworkPattern(trigger, action = PATTERN_ACTIONS.BLOCK) {
+  const value = parseNetworkPattern(trigger).trigger; // Drop markers typed by the user
+
+  if (action === PATTERN_ACTIONS.ALLOW) {
+    return `${ALLOW_PREFIX}${value}`;
+  }
+  if (action === PATTERN_ACTIONS.ALLOW_SITE) {
+    return `${ALLOW_PREFIX}${value}${SITE_SUFFIX}`;
+  }
+  return value;
+}
+
+/**
+ * Build a complete pattern from a stored entry (string or object)
+ * Unknown values fall back to defaults, so hand-edited or synced data is safe to use.
+ * @param {string|object} entry - Stored entry
+ * @returns {NetworkPattern} Pattern with every field set
+ */
+export function normalizeNetworkPattern(entry) {
+  if (typeof entry === "string" || !entry || typeof entry !== "object") {
+    return { ...parseNetworkPattern(entry), ...defaultOptions() };
+  }
+
+  const actions = Object.values(PATTERN_ACTIONS);
+  const resourceTypes = toStringList(entry.resourceTypes).filter((type) =>
+    NETWORK_RESOURCE_TYPES.includes(type)
+  );
+
+  return {
+    trigger: String(entry.trigger || "").trim(),
+    action: actions.includes(entry.action) ? entry.action : PATTERN_ACTIONS.BLOCK,
+    resourceTypes: resourceTypes.length > 0 ? resourceTypes : [...DEFAULT_RESOURCE_TYPES],
+    initiatorDomains: toDomainList(entry.initiatorDomains),
+    excludedInitiatorDomains: toDomainList(entry.excludedInitiatorDomains),
+    domainType: Object.values(DOMAIN_TYPES).includes(entry.domainType) ? entry.domainType : null,
+    isRegex: entry.isRegex === true,
+    severity: PATTERN_SEVERITIES.includes(entry.severity) ? entry.severity : DEFAULT_SEVERITY,
+  };
+}
+
+/**
+ * Convert a pattern to its stored form (string when no option differs from the default)
+ * @param {NetworkPattern} pattern - Pattern from the editor
+ * @returns {string|object} Entry for `networkBlockPatterns`
+ */
+export function serializeNetworkPattern(pattern) {
+  const normalized = normalizeNetworkPattern(pattern);
+  const defaults = defaultOptions();
+  const stored = { trigger: normalized.trigger };
+
+  if (normalized.action !== PATTERN_ACTIONS.BLOCK) {
+    stored.action = normalized.action;
+  }
+  const changedOptions = Object.keys(defaults).filter(
+    (key) => comparable(normalized[key]) !== comparable(defaults[key])
+  );
+  changedOptions.forEach((key) => {
+    stored[key] = normalized[key];
+  });
+
+  return changedOptions.length === 0
+    ? formatNetworkPattern(normalized.trigger, normalized.action)
+    : stored;
+}
+
+/**
+ * Add an allow pattern for a domain that covers a resource type
+ * An existing allow pattern for the domain is widened instead of duplicated;
+ * the stored form follows serializeNetworkPattern().
+ * @param {Array<string|object>} patterns - Stored `networkBlockPatterns`
+ * @param {string} domain - Domain to allow
+ * @param {string} [resourceType] - DNR resource type of the blocked request (every type when unknown)
+ * @returns {{patterns: Array<string|object>, added: boolean}} Updated list; `added` is false when it was already covered
+ */
+export function withAllowPattern(patterns, domain, resourceType) {
+  const resourceTypes = NETWORK_RESOURCE_TYPES.includes(resourceType)
+    ? [resourceType]
+    : [...NETWORK_RESOURCE_TYPES];
+
+  const index = patterns.findIndex((entry) => {
+    const { trigger, action } = normalizeNetworkPattern(entry);
+    return action === PATTERN_ACTIONS.ALLOW && trigger === domain;
+  });
+
+  if (index === -1) {
+    const pattern = {
+      trigger: domain,
+      action: PATTERN_ACTIONS.ALLOW,
+      resourceTypes: [...new Set([...DEFAULT_RESOURCE_TYPES, ...resourceTypes])],
+    };
+    return { patterns: [...patterns, serializeNetworkPattern(pattern)], added: true };
+  }
+
+  const existing = normalizeNetworkPattern(patterns[index]);
+  const missing = resourceTypes.filter((type) => !existing.resourceTypes.includes(type));
+  if (missing.length === 0) {
+    return { patterns, added: false };
+  }
+
+  const updated = [...patterns];
+  updated[index] = serializeNetworkPattern({
+    ...existing,
+    resourceTypes: [...existing.resourceTypes, ...missing],
+  });
+  return { patterns: updated, added: true };
+}
+
+/**
+ * Option defaults shared by string patterns and missing object fields
+ * @private
+ * @returns {object} Default option values
+ */
+function defaultOptions() {
+  return {
+    resourceTypes: [...DEFAULT_RESOURCE_TYPES],
+    initiatorDomains: [],
+    excludedInitiatorDomains: [],
+    domainType: null,
+    isRegex: false,
+    severity: DEFAULT_SEVERITY,
+  };
+}
+
+/**
+ * Order-insensitive comparison key for option values
+ * @private
+ * @param {*} value - Option value
+ * @returns {string} Comparison key
+ */
+function comparable(value) {
+  return JSON.stringify(Array.isArray(value) ? [...value].sort() : value);
+}
+
+/**
+ * @private
+ * @param {*} value - Possibly an array
+ * @returns {string[]} Non-empty trimmed strings
+ */
+function toStringList(value) {
+  return Array.isArray(value)
+    ? value.map((item) => String(item).trim()).filter(Boolean)
+    : [];
+}
+
+/**
+ * @private
+ * @param {*} value - Possibly an array of domains
+ * @returns {string[]} Lowercased, de-duplicated domains
+ */
+function toDomainList(value) {
+  return [...new Set(toStringList(value).map((domain) => domain.toLowerCase()))];
+}
+
+/**
+ * @typedef {object} NetworkPattern
+ * @property {string} trigger - Domain/URL substring, or a regex when isRegex
+ * @property {string} action - PATTERN_ACTIONS value
+ * @property {string[]} resourceTypes - DNR resource types
+ * @property {string[]} initiatorDomains - Only match requests made by these sites
+ * @property {string[]} excludedInitiatorDomains - Never match requests made by these sites
+ * @property {string|null} domainType - DOMAIN_TYPES value, or null for any party
+ * @property {boolean} isRegex - Treat trigger as a regular expression
+ * @property {string} severity - PATTERN_SEVERITIES value (sets DNR priority)
+ */
@@ -0,0 +1,295 @@
+/**
+ * Navigation Permission Decisions
+ *
+ * @fileoverview Reads and edits the Navigation Guardian decisions persisted in
+ * `permissionCacheV1` (see PermissionCache), for the settings page and for
+ * content scripts that replay changes into live pages.
+ *
+ * Changes reach the page-world PermissionCache of open tabs as
+ * `NAV_CACHE_UPDATE` messages (see toCacheUpdateMessages()); a message with
+ * `revoked: true` removes the pair.
+ *
+ * Pairs whose source is ANY_SITE ("*") apply to the destination from every site.
+ *
+ * @module permission-decisions
+ */
+
+import {
+  PERMISSION_CACHE_CONFIG,
+  PERMISSION_CACHE_WILDCARD_SOURCE,
+  PermissionCache,
+} from "../scripts/utils/permission-cache.js";
+
+/**
+ * Decisions a pair can hold
+ * @constant {{ALLOW: string, DENY: string}}
+ */
+export const PERMISSION_DECISIONS = {
+  ALLOW: "ALLOW",
+  DENY: "DENY",
+};
+
+/**
+ * How long a decision added in settings lasts
+ * - DAY / MONTH: same TTLs as the navigation modal (default / "Remember")
+ * - ALWAYS: pre-approved pair that never expires (e.g. an SSO provider)
+ * @constant {{DAY: string, MONTH: string, ALWAYS: string}}
+ */
+export const PERMISSION_DURATIONS = {
+  DAY: "day",
+  MONTH: "month",
+  ALWAYS: "always",
+};
+
+/**
+ * Expiry stored for pre-approved pairs
+ * @constant {number}
+ */
+export const NEVER_EXPIRES = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Source origin of pairs that apply from any site
+ * @constant {string}
+ */
+export const ANY_SITE = PERMISSION_CACHE_WILDCARD_SOURCE;
+
+/**
+ * "Remember this decision" choices of the navigation modal
+ * @constant {{ALLOW_FROM_SITE: string, ALLOW_EVERYWHERE: string, BLOCK_EVERYWHERE: string}}
+ */
+export const REMEMBER_SCOPES = {
+  ALLOW_FROM_SITE: "allow-from-site",
+  ALLOW_EVERYWHERE: "allow-everywhere",
+  BLOCK_EVERYWHERE: "block-everywhere",
+};
+
+/**
+ * Empty `permissionCacheV1` value
+ * @returns {object}
+ */
+const emptyCacheData = () => ({ version: PERMISSION_CACHE_CONFIG.VERSION, entries: {}, stats: {} });
+
+/**
+ * Read an origin typed by the user ("sso.example.com", "https://sso.example.com/login")
+ * @param {string} input
+ * @returns {string|null} Origin, or null if the input is not an http(s) address
+ */
+export function parseOriginInput(input) {
+  const trimmed = String(input || "").trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return ["http:", "https:"].includes(url.protocol) && url.hostname ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the decisions that have not expired, newest first
+ * @param {object} cacheData - `permissionCacheV1` value
+ * @param {number} [now=Date.now()]
+ * @returns {PermissionDecision[]}
+ */
+export function listPermissionDecisions(cacheData, now = Date.now()) {
+  return Object.entries(cacheData?.entries || {})
+    .map(([key, entry]) => {
+      const origins = PermissionCache.parseCacheKey(key);
+      if (!origins || !entry || !(entry.expiresAt > now)) {
+        return null;
+      }
+      return {
+        key,
+        ...origins,
+        decision: entry.decision === PERMISSION_DECISIONS.ALLOW ? PERMISSION_DECISIONS.ALLOW : PERMISSION_DECISIONS.DENY,
+        timestamp: entry.timestamp || 0,
+        expiresAt: entry.expiresAt,
+        isPersistent: entry.isPersistent === true,
+        preApproved: entry.metadata?.preApproved === true,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Filter decisions by origin or decision text (case-insensitive)
+ * @param {PermissionDecision[]} decisions
+ * @param {string} query
+ * @returns {PermissionDecision[]}
+ */
+export function filterPermissionDecisions(decisions, query) {
+  const needle = String(query || "").trim().toLowerCase();
+  if (!needle) {
+    return decisions;
+  }
+  return decisions.filter(({ sourceOrigin, targetOrigin, decision }) =>
+    [sourceOrigin, targetOrigin, decision].some((text) => text.toLowerCase().includes(needle))
+  );
+}
+
+/**
+ * Add or replace the decision for an origin pair
+ * @param {object} cacheData - `permissionCacheV1` value (may be missing)
+ * @param {object} decision
+ * @param {string} decision.sourceOrigin - Page the navigation starts on
+ * @param {string} decision.targetOrigin - Navigation destination
+ * @param {string} decision.decision - One of PERMISSION_DECISIONS
+ * @param {string} [decision.duration=PERMISSION_DURATIONS.MONTH] - One of PERMISSION_DURATIONS
+ * @param {object} [decision.metadata] - Defaults to `{preApproved: true}` for ALWAYS
+ * @param {number} [now=Date.now()]
+ * @returns {object} New `permissionCacheV1` value
+ * @throws {Error} If an origin or the decision is invalid
+ */
+export function addPermissionDecision(
+  cacheData,
+  {
+    sourceOrigin,
+    targetOrigin,
+    decision,
+    duration = PERMISSION_DURATIONS.MONTH,
+    metadata = duration === PERMISSION_DURATIONS.ALWAYS ? { preApproved: true } : {},
+  },
+  now = Date.now()
+) {
+  const key = PermissionCache.getCacheKey(sourceOrigin, targetOrigin);
+  if (!key) {
+    throw new Error("Enter valid http(s) addresses for both sites");
+  }
+  if (!Object.values(PERMISSION_DECISIONS).includes(decision)) {
+    throw new Error(`Unknown decision: ${decision}`);
+  }
+
+  const expiresAt = {
+    [PERMISSION_DURATIONS.DAY]: now + PERMISSION_CACHE_CONFIG.DEFAULT_TTL_MS,
+    [PERMISSION_DURATIONS.MONTH]: now + PERMISSION_CACHE_CONFIG.PERSISTENT_TTL_MS,
+    [PERMISSION_DURATIONS.ALWAYS]: NEVER_EXPIRES,
+  }[duration];
+  if (!expiresAt) {
+    throw new Error(`Unknown duration: ${duration}`);
+  }
+
+  const base = cacheData?.entries ? cacheData : emptyCacheData();
+  const { [key]: _replaced, ...others } = base.entries;
+
+  // Newest entry first (MRU order), oldest dropped beyond the cache limit
+  const entries = Object.fromEntries(
+    [
+      [
+        key,
+        {
+          decision,
+          timestamp: now,
+          expiresAt,
+          isPersistent: duration !== PERMISSION_DURATIONS.DAY,
+          metadata,
+        },
+      ],
+      ...Object.entries(others),
+    ].slice(0, PERMISSION_CACHE_CONFIG.MAX_CACHE_SIZE)
+  );
+
+  return { ...base, entries };
+}
+
+/**
+ * Decision to store for a "Remember this decision" choice of the modal
+ * @param {string} scope - One of REMEMBER_SCOPES
+ * @param {string} sourceOrigin - Page the navigation starts on
+ * @param {string} targetOrigin - Navigation destination
+ * @returns {object|null} Argument for addPermissionDecision(), or null for an unknown scope
+ */
+export function toRememberedDecision(scope, sourceOrigin, targetOrigin) {
+  const remembered = {
+    [REMEMBER_SCOPES.ALLOW_FROM_SITE]: { sourceOrigin, decision: PERMISSION_DECISIONS.ALLOW },
+    [REMEMBER_SCOPES.ALLOW_EVERYWHERE]: { sourceOrigin: ANY_SITE, decision: PERMISSION_DECISIONS.ALLOW },
+    [REMEMBER_SCOPES.BLOCK_EVERYWHERE]: { sourceOrigin: ANY_SITE, decision: PERMISSION_DECISIONS.DENY },
+  }[scope];
+
+  return remembered
+    ? {
+        ...remembered,
+        targetOrigin,
+        duration: PERMISSION_DURATIONS.ALWAYS,
+        metadata: { rememberScope: scope },
+      }
+    : null;
+}
+
+/**
+ * Remove decisions by cache key
+ * @param {object} cacheData - `permissionCacheV1` value
+ * @param {string[]} keys - Cache keys to revoke
+ * @returns {object} New `permissionCacheV1` value
+ */
+export function removePermissionDecisions(cacheData, keys) {
+  const revoked = new Set(keys);
+  const base = cacheData?.entries ? cacheData : emptyCacheData();
+  return {
+    ...base,
+    entries: Object.fromEntries(Object.entries(base.entries).filter(([key]) => !revoked.has(key))),
+  };
+}
+
+/**
+ * Whether a pair applies to navigations from a page
+ * @param {{sourceOrigin: string}|null} origins - Parsed cache key
+ * @param {string} sourceOrigin - Page origin
+ * @returns {boolean}
+ */
+const appliesTo = (origins, sourceOrigin) =>
+  origins?.sourceOrigin === sourceOrigin || origins?.sourceOrigin === ANY_SITE;
+
+/**
+ * Messages that bring a page's PermissionCache in line with a storage change
+ * Only pairs starting on `sourceOrigin` or ANY_SITE are sent: messages are
+ * posted to the page window, so other sites' decisions must not be exposed.
+ * @param {object|undefined} oldData - Previous `permissionCacheV1` value
+ * @param {object|undefined} newData - New `permissionCacheV1` value
+ * @param {string} sourceOrigin - Origin of the page receiving the messages
+ * @param {number} [now=Date.now()] - Expired entries are not sent
+ * @returns {Array<object>} NAV_CACHE_UPDATE messages
+ */
+export function toCacheUpdateMessages(oldData, newData, sourceOrigin, now = Date.now()) {
+  const oldEntries = oldData?.entries || {};
+  const newEntries = newData?.entries || {};
+  const messages = [];
+
+  for (const [key, entry] of Object.entries(newEntries)) {
+    const origins = PermissionCache.parseCacheKey(key);
+    if (!appliesTo(origins, sourceOrigin) || !(entry?.expiresAt > now)) continue;
+    if (JSON.stringify(oldEntries[key]) === JSON.stringify(entry)) continue;
+
+    messages.push({
+      type: "NAV_CACHE_UPDATE",
+      ...origins,
+      decision: entry.decision,
+      persistent: entry.isPersistent === true,
+      expiresAt: entry.expiresAt,
+    });
+  }
+
+  for (const key of Object.keys(oldEntries)) {
+    const origins = PermissionCache.parseCacheKey(key);
+    if (appliesTo(origins, sourceOrigin) && !(key in newEntries)) {
+      messages.push({ type: "NAV_CACHE_UPDATE", ...origins, revoked: true });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * @typedef {object} PermissionDecision
+ * @property {string} key - Cache key
+ * @property {string} sourceOrigin - Page the navigation starts on (ANY_SITE for every site)
+ * @property {string} targetOrigin - Navigation destination
+ * @property {string} decision - ALLOW or DENY
+ * @property {number} timestamp - When the decision was made
+ * @property {number} expiresAt - When it expires (NEVER_EXPIRES for pre-approved pairs)
+ * @property {boolean} isPersistent - Remembered for 30 days or longer
+ * @property {boolean} preApproved - Added in settings to never expire
+ */
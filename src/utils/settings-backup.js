@@ -0,0 +1,680 @@
+/**
+ * Settings Backup Utilities
+ *
+ * @fileoverview Export and import of user settings as a versioned JSON file:
+ *
+ *   {
+ *     "format": "originalui-settings",
+ *     "version": 1,
+ *     "exportedAt": "2026-01-01T00:00:00.000Z",
+ *     "settings": { "toggles": {...}, "whitelist": [...], "customRules": [...], ... }
+ *   }
+ *
+ * `settings` holds one entry per section (see BACKUP_SECTIONS); a section
+ * missing from a file is left untouched on import. Imported values are checked
+ * with the same validators the background uses for messages, and invalid
+ * entries are skipped and reported rather than failing the whole import.
+ *
+ * Files from older versions are upgraded by BACKUP_MIGRATIONS before validation.
+ * Version 0 is a plain chrome.storage dump (e.g. copied from DevTools).
+ *
+ * @module settings-backup
+ */
+
+import { isValidDomain, isValidURL } from "../scripts/utils/background/message-validators.js";
+import { PERMISSION_CACHE_CONFIG, PermissionCache } from "../scripts/utils/permission-cache.js";
+import {
+  formatNetworkPattern,
+  normalizeNetworkPattern,
+  serializeNetworkPattern,
+} from "./network-patterns.js";
+import { MAX_SITE_PROFILES, normalizeSiteProfiles } from "./site-profiles.js";
+import { isValidParamDomain, normalizeParamRule } from "./tracking-params.js";
+
+/**
+ * Format marker written to every backup file
+ * @constant {string}
+ */
+export const BACKUP_FORMAT = "originalui-settings";
+
+/**
+ * Current backup file version
+ * @constant {number}
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * Import modes: merge keeps existing entries, replace swaps whole sections
+ * @constant {{MERGE: string, REPLACE: string}}
+ */
+export const IMPORT_MODES = {
+  MERGE: "merge",
+  REPLACE: "replace",
+};
+
+/**
+ * Largest backup file accepted by the settings page (bytes)
+ * @constant {number}
+ */
+export const MAX_BACKUP_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Boolean settings exported under `settings.toggles`, with their display names
+ * @constant {Object<string, string>}
+ */
+export const BACKUP_TOGGLES = {
+  isActive: "Extension enabled",
+  defaultRulesEnabled: "Default selector rules",
+  customRulesEnabled: "Custom rules",
+  navigationGuardEnabled: "Navigation Guardian",
+  popUnderProtectionEnabled: "Click protection",
+  defaultBlockRequestEnabled: "Request blocking",
+  removeParamEnabled: "Tracking parameter removal",
+  cookieConsentEnabled: "Cookie banner handling",
+};
+
+/**
+ * Storage keys read for an export, per storage area
+ * @constant {{local: string[], sync: string[]}}
+ */
+export const BACKUP_STORAGE_KEYS = {
+  local: [
+    ...Object.keys(BACKUP_TOGGLES),
+    "whitelist",
+    "customRules",
+    "removeParamRules",
+    "siteProfiles",
+    "filterSubscriptions",
+    "permissionCacheV1",
+  ],
+  sync: ["networkBlockPatterns"],
+};
+
+const MAX_WHITELIST_SIZE = 1000; // Same limit as the updateWhitelist message
+const PERMISSION_DECISIONS = ["ALLOW", "DENY"];
+const PERMISSION_KEY_PREFIX = "origin:";
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isValidRuleDomain = (domain) => domain === "*" || isValidDomain(domain);
+
+/**
+ * List sections: how entries are validated, matched across imports and shown in previews
+ * - `sanitize(entry, index)`: {value} for a usable entry, {error} otherwise
+ * - `identify(entry)`: key entries are merged by
+ * - `describe(entry)`: short text for the import preview
+ * @private
+ */
+const LIST_SECTIONS = {
+  whitelist: {
+    label: "Whitelist",
+    limit: MAX_WHITELIST_SIZE,
+    sanitize: (entry) => {
+      const domain = String(entry ?? "").trim().toLowerCase();
+      return isValidDomain(domain)
+        ? { value: domain }
+        : { error: `"${entry}" is not a valid domain` };
+    },
+    identify: (domain) => String(domain),
+    describe: (domain) => String(domain),
+  },
+  customRules: {
+    label: "Custom rules",
+    sanitize: (entry, index) => {
+      if (!isPlainObject(entry)) {
+        return { error: `Entry ${index + 1} is not a rule` };
+      }
+      const selector = typeof entry.selector === "string" ? entry.selector.trim() : "";
+      if (!selector) {
+        return { error: `Entry ${index + 1} has no selector` };
+      }
+      const domains = Array.isArray(entry.domains) && entry.domains.length > 0
+        ? entry.domains.map((domain) => String(domain).trim())
+        : ["*"];
+      const invalidDomain = domains.find((domain) => !isValidRuleDomain(domain));
+      if (invalidDomain !== undefined) {
+        return { error: `Rule "${selector}" has an invalid domain "${invalidDomain}"` };
+      }
+
+      const id = typeof entry.id === "string" && entry.id.trim() ? entry.id.trim() : `custom-import-${index + 1}`;
+      return {
+        value: {
+          ...entry,
+          id,
+          selector,
+          description: typeof entry.description === "string" ? entry.description : "",
+          domains,
+          enabled: entry.enabled !== false,
+        },
+      };
+    },
+    identify: (rule) => String(rule?.id),
+    describe: (rule) => rule?.selector || String(rule?.id),
+  },
+  networkBlockPatterns: {
+    label: "Network patterns",
+    sanitize: (entry, index) => {
+      const pattern = normalizeNetworkPattern(entry);
+      if (!pattern.trigger) {
+        return { error: `Entry ${index + 1} has no pattern` };
+      }
+      if (pattern.isRegex) {
+        try {
+          new RegExp(pattern.trigger);
+        } catch {
+          return { error: `"${pattern.trigger}" is not a valid regular expression` };
+        }
+      }
+      return { value: serializeNetworkPattern(pattern) };
+    },
+    identify: (entry) => {
+      const { trigger, action } = normalizeNetworkPattern(entry);
+      return formatNetworkPattern(trigger, action);
+    },
+    describe: (entry) => LIST_SECTIONS.networkBlockPatterns.identify(entry),
+  },
+  removeParamRules: {
+    label: "Tracking parameters",
+    sanitize: (entry, index) => {
+      const rule = normalizeParamRule(entry);
+      if (rule.domain && !isValidParamDomain(rule.domain)) {
+        return { error: `"${rule.domain}" is not a valid domain` };
+      }
+      if (rule.params.length === 0) {
+        return { error: `Entry ${index + 1} has no valid parameters` };
+      }
+      return { value: rule };
+    },
+    identify: (rule) => normalizeParamRule(rule).domain,
+    describe: (rule) => {
+      const { domain, params } = normalizeParamRule(rule);
+      return `${domain || "All sites"}: ${params.join(", ")}`;
+    },
+  },
+  filterSubscriptions: {
+    label: "Filter lists",
+    sanitize: (entry, index) => {
+      const url = typeof entry?.url === "string" ? entry.url.trim() : "";
+      if (!isValidURL(url) || !/^https?:$/.test(new URL(url).protocol)) {
+        return { error: `Entry ${index + 1} has no valid http(s) URL` };
+      }
+      return {
+        value: {
+          url,
+          enabled: entry.enabled !== false,
+          title: typeof entry.title === "string" ? entry.title : "",
+        },
+      };
+    },
+    identify: (subscription) => String(subscription?.url),
+    describe: (subscription) => subscription?.title || String(subscription?.url),
+  },
+};
+
+/**
+ * Map sections: objects keyed by domain or origin pair
+ * - `sanitize(map)`: {value, errors}
+ * - `merge(current, incoming)`: merged map
+ * @private
+ */
+const MAP_SECTIONS = {
+  siteProfiles: {
+    label: "Site profiles",
+    sanitize: (profiles) => {
+      const errors = [];
+      const valid = Object.fromEntries(
+        Object.entries(profiles).filter(([domain]) => {
+          if (isValidDomain(domain)) return true;
+          errors.push(`"${domain}" is not a valid domain`);
+          return false;
+        })
+      );
+      const value = normalizeSiteProfiles(valid);
+      const domains = Object.keys(value);
+      if (domains.length > MAX_SITE_PROFILES) {
+        errors.push(`Only the first ${MAX_SITE_PROFILES} site profiles were kept`);
+        domains.slice(MAX_SITE_PROFILES).forEach((domain) => delete value[domain]);
+      }
+      return { value, errors };
+    },
+    merge: (current, incoming) => {
+      const merged = { ...current };
+      for (const [domain, profile] of Object.entries(incoming)) {
+        merged[domain] = { ...merged[domain], ...profile };
+      }
+      return merged;
+    },
+    describe: (domain) => domain,
+  },
+  permissionDecisions: {
+    label: "Navigation decisions",
+    sanitize: (entries, now) => {
+      const errors = [];
+      const value = {};
+      for (const [rawKey, entry] of Object.entries(entries)) {
+        const key = PermissionCache.normalizeCacheKey(rawKey);
+        if (!key || !isPlainObject(entry) || !PERMISSION_DECISIONS.includes(entry.decision)) {
+          errors.push(`"${rawKey}" is not a valid navigation decision`);
+          continue;
+        }
+        if (typeof entry.expiresAt !== "number" || entry.expiresAt <= now) {
+          continue; // Expired decisions are dropped like they are on cache load
+        }
+        value[key] = {
+          decision: entry.decision,
+          timestamp: typeof entry.timestamp === "number" ? entry.timestamp : now,
+          expiresAt: entry.expiresAt,
+          isPersistent: entry.isPersistent === true,
+          metadata: isPlainObject(entry.metadata) ? entry.metadata : {},
+        };
+      }
+      return { value: limitDecisions(value), errors };
+    },
+    // The more recent decision wins
+    merge: (current, incoming) => {
+      const merged = { ...current };
+      for (const [key, entry] of Object.entries(incoming)) {
+        if (!merged[key] || (merged[key].timestamp || 0) <= entry.timestamp) {
+          merged[key] = entry;
+        }
+      }
+      return limitDecisions(merged);
+    },
+    describe: (key) => key.slice(PERMISSION_KEY_PREFIX.length),
+  },
+};
+
+/**
+ * Ordered section list for previews
+ * @constant {Array<{key: string, label: string}>}
+ */
+export const BACKUP_SECTIONS = [
+  { key: "toggles", label: "Protection toggles" },
+  ...Object.entries(LIST_SECTIONS).map(([key, { label }]) => ({ key, label })),
+  ...Object.entries(MAP_SECTIONS).map(([key, { label }]) => ({ key, label })),
+];
+
+/**
+ * Backup migrations, keyed by the version they upgrade from
+ * @constant {Object<number, Function>}
+ */
+export const BACKUP_MIGRATIONS = {
+  // 0 -> 1: plain storage dump -> versioned file with sections
+  0: (data) => ({
+    format: BACKUP_FORMAT,
+    version: 1,
+    exportedAt: null,
+    settings: readStorageSettings(data),
+  }),
+};
+
+/**
+ * Collect backup sections from raw storage values
+ * @param {object} local - chrome.storage.local values (BACKUP_STORAGE_KEYS.local)
+ * @param {object} [sync] - chrome.storage.sync values (BACKUP_STORAGE_KEYS.sync)
+ * @returns {BackupSettings} Sections present in storage (values as stored)
+ */
+export function readStorageSettings(local = {}, sync = {}) {
+  const values = { ...local, ...sync };
+  const settings = {};
+
+  const toggles = Object.fromEntries(
+    Object.keys(BACKUP_TOGGLES)
+      .filter((key) => typeof values[key] === "boolean")
+      .map((key) => [key, values[key]])
+  );
+  if (Object.keys(toggles).length > 0) {
+    settings.toggles = toggles;
+  }
+
+  for (const key of ["whitelist", "customRules", "networkBlockPatterns", "removeParamRules"]) {
+    if (Array.isArray(values[key])) {
+      settings[key] = values[key];
+    }
+  }
+  if (Array.isArray(values.filterSubscriptions)) {
+    // Only what is needed to subscribe again; list content is re-downloaded
+    settings.filterSubscriptions = values.filterSubscriptions.map(({ url, enabled, title }) => ({
+      url,
+      enabled,
+      title,
+    }));
+  }
+  if (isPlainObject(values.siteProfiles)) {
+    settings.siteProfiles = values.siteProfiles;
+  }
+  if (isPlainObject(values.permissionCacheV1?.entries)) {
+    settings.permissionDecisions = values.permissionCacheV1.entries;
+  }
+
+  return settings;
+}
+
+/**
+ * Build a backup file from raw storage values
+ * @param {object} local - chrome.storage.local values (BACKUP_STORAGE_KEYS.local)
+ * @param {object} [sync] - chrome.storage.sync values (BACKUP_STORAGE_KEYS.sync)
+ * @param {{now?: number}} [options]
+ * @returns {object} Backup ready for JSON.stringify
+ */
+export function createBackup(local, sync = {}, { now = Date.now() } = {}) {
+  const { settings } = sanitizeBackupSettings(readStorageSettings(local, sync), { now });
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    settings,
+  };
+}
+
+/**
+ * Upgrade a backup file to BACKUP_VERSION
+ * @param {object} data - Parsed file
+ * @returns {object} Backup in the current version
+ * @throws {Error} If the file is not a settings backup or comes from a newer version
+ */
+export function migrateBackup(data) {
+  if (!isPlainObject(data)) {
+    throw new Error("File is not an OriginalUI settings backup");
+  }
+
+  let backup = data;
+  let version = 0;
+  if (data.format !== undefined) {
+    if (data.format !== BACKUP_FORMAT || !Number.isInteger(data.version) || data.version < 1) {
+      throw new Error("File is not an OriginalUI settings backup");
+    }
+    version = data.version;
+  } else if (![...BACKUP_STORAGE_KEYS.local, ...BACKUP_STORAGE_KEYS.sync].some((key) => key in data)) {
+    throw new Error("File is not an OriginalUI settings backup");
+  }
+
+  if (version > BACKUP_VERSION) {
+    throw new Error(`Backup was made by a newer version (file version ${version}, supported ${BACKUP_VERSION})`);
+  }
+
+  while (version < BACKUP_VERSION) {
+    backup = BACKUP_MIGRATIONS[version](backup);
+    version = backup.version;
+  }
+  return backup;
+}
+
+/**
+ * Validate backup sections, dropping invalid entries
+ * @param {object} settings - `settings` from a backup file
+ * @param {{now?: number}} [options]
+ * @returns {{settings: BackupSettings, errors: BackupError[]}} Usable sections and skipped entries
+ */
+export function sanitizeBackupSettings(settings, { now = Date.now() } = {}) {
+  const result = {};
+  const errors = [];
+  if (!isPlainObject(settings)) {
+    return { settings: result, errors };
+  }
+  const report = (section) => (message) => errors.push({ section, message });
+
+  if (settings.toggles !== undefined) {
+    const toggles = {};
+    for (const [key, value] of Object.entries(isPlainObject(settings.toggles) ? settings.toggles : {})) {
+      if (key in BACKUP_TOGGLES && typeof value === "boolean") {
+        toggles[key] = value;
+      } else {
+        report("toggles")(`"${key}" is not a known on/off setting`);
+      }
+    }
+    result.toggles = toggles;
+  }
+
+  for (const [section, { sanitize, identify, limit }] of Object.entries(LIST_SECTIONS)) {
+    if (settings[section] === undefined) continue;
+    if (!Array.isArray(settings[section])) {
+      report(section)("Section is not a list");
+      continue;
+    }
+
+    const entries = new Map();
+    settings[section].forEach((entry, index) => {
+      const { value, error } = sanitize(entry, index);
+      if (error) {
+        report(section)(error);
+      } else {
+        entries.set(identify(value), value); // Later duplicates win
+      }
+    });
+
+    const values = [...entries.values()];
+    if (limit && values.length > limit) {
+      report(section)(`Only the first ${limit} entries were kept`);
+    }
+    result[section] = limit ? values.slice(0, limit) : values;
+  }
+
+  for (const [section, { sanitize }] of Object.entries(MAP_SECTIONS)) {
+    if (settings[section] === undefined) continue;
+    if (!isPlainObject(settings[section])) {
+      report(section)("Section is not an object");
+      continue;
+    }
+    const { value, errors: sectionErrors } = sanitize(settings[section], now);
+    sectionErrors.forEach(report(section));
+    result[section] = value;
+  }
+
+  return { settings: result, errors };
+}
+
+/**
+ * Read a backup file: migrate to the current version, then validate
+ * @param {string|object} input - File text, or an already parsed file
+ * @param {{now?: number}} [options]
+ * @returns {{settings: BackupSettings, errors: BackupError[], exportedAt: string|null}}
+ * @throws {Error} If the file is not valid JSON or not a settings backup
+ */
+export function readBackup(input, options = {}) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("File is not valid JSON");
+    }
+  }
+
+  const backup = migrateBackup(data);
+  return {
+    ...sanitizeBackupSettings(backup.settings, options),
+    exportedAt: typeof backup.exportedAt === "string" ? backup.exportedAt : null,
+  };
+}
+
+/**
+ * Combine current settings with imported ones
+ * Only sections present in `incoming` are returned. Toggles are always taken from the file.
+ * @param {BackupSettings} current - Current settings (readStorageSettings)
+ * @param {BackupSettings} incoming - Validated imported settings
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {BackupSettings} New values for the imported sections
+ */
+export function mergeBackupSettings(current, incoming, mode) {
+  const replace = mode === IMPORT_MODES.REPLACE;
+  const result = {};
+
+  if (incoming.toggles) {
+    result.toggles = { ...current.toggles, ...incoming.toggles };
+  }
+
+  for (const [section, { identify }] of Object.entries(LIST_SECTIONS)) {
+    if (!incoming[section]) continue;
+    result[section] = replace
+      ? incoming[section]
+      : mergeList(current[section] || [], incoming[section], identify);
+  }
+
+  for (const [section, { merge }] of Object.entries(MAP_SECTIONS)) {
+    if (!incoming[section]) continue;
+    result[section] = replace ? incoming[section] : merge(current[section] || {}, incoming[section]);
+  }
+
+  return result;
+}
+
+/**
+ * Summarize what an import changes, for the preview
+ * @param {BackupSettings} current - Current settings
+ * @param {BackupSettings} next - Result of mergeBackupSettings
+ * @returns {BackupChange[]} Changed sections in BACKUP_SECTIONS order
+ */
+export function diffBackupSettings(current, next) {
+  const changes = [];
+
+  for (const { key: section, label } of BACKUP_SECTIONS) {
+    if (!next[section]) continue;
+    const change = { section, label, added: [], removed: [], changed: [] };
+
+    if (section === "toggles") {
+      for (const [key, value] of Object.entries(next.toggles)) {
+        if (current.toggles?.[key] !== value) {
+          change.changed.push(`${BACKUP_TOGGLES[key]}: ${value ? "on" : "off"}`);
+        }
+      }
+    } else if (LIST_SECTIONS[section]) {
+      const { identify, describe } = LIST_SECTIONS[section];
+      diffEntries(
+        new Map((current[section] || []).map((entry) => [identify(entry), entry])),
+        new Map(next[section].map((entry) => [identify(entry), entry])),
+        describe,
+        change
+      );
+    } else {
+      const { describe } = MAP_SECTIONS[section];
+      diffEntries(
+        new Map(Object.entries(current[section] || {})),
+        new Map(Object.entries(next[section])),
+        (_value, key) => describe(key),
+        change
+      );
+    }
+
+    if (change.added.length + change.removed.length + change.changed.length > 0) {
+      changes.push(change);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Storage writes for imported sections
+ * Filter list subscriptions are not included: they are downloaded by the
+ * background SubscriptionManager.
+ * @param {BackupSettings} settings - Result of mergeBackupSettings
+ * @param {object} [currentLocal] - Current local values (keeps permission cache stats)
+ * @returns {{local: object, sync: object}} Values for chrome.storage.local and .sync
+ */
+export function toStorageValues(settings, currentLocal = {}) {
+  const local = { ...settings.toggles };
+  const sync = {};
+
+  for (const key of ["whitelist", "customRules", "removeParamRules", "siteProfiles"]) {
+    if (settings[key]) local[key] = settings[key];
+  }
+  if (settings.networkBlockPatterns) {
+    sync.networkBlockPatterns = settings.networkBlockPatterns;
+  }
+  if (settings.permissionDecisions) {
+    local.permissionCacheV1 = {
+      ...(isPlainObject(currentLocal.permissionCacheV1) ? currentLocal.permissionCacheV1 : {}),
+      version: PERMISSION_CACHE_CONFIG.VERSION,
+      entries: settings.permissionDecisions,
+    };
+  }
+
+  return { local, sync };
+}
+
+/**
+ * Suggested file name for an export
+ * @param {number} [now] - Current time
+ * @returns {string} e.g. "originalui-settings-2026-01-31.json"
+ */
+export function getBackupFileName(now = Date.now()) {
+  return `${BACKUP_FORMAT}-${new Date(now).toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Replace entries with matching identities in place and append new ones
+ * @private
+ */
+function mergeList(current, incoming, identify) {
+  const incomingById = new Map(incoming.map((entry) => [identify(entry), entry]));
+  const existing = new Set(current.map(identify));
+  return [
+    ...current.map((entry) => incomingById.get(identify(entry)) ?? entry),
+    ...incoming.filter((entry) => !existing.has(identify(entry))),
+  ];
+}
+
+/**
+ * Fill a change record from two identity -> entry maps
+ * @private
+ */
+function diffEntries(before, after, describe, change) {
+  for (const [id, entry] of after) {
+    if (!before.has(id)) {
+      change.added.push(describe(entry, id));
+    } else if (JSON.stringify(before.get(id)) !== JSON.stringify(entry)) {
+      change.changed.push(describe(entry, id));
+    }
+  }
+  for (const [id, entry] of before) {
+    if (!after.has(id)) {
+      change.removed.push(describe(entry, id));
+    }
+  }
+}
+
+/**
+ * Keep the most recent decisions within the permission cache size
+ * @private
+ */
+function limitDecisions(entries) {
+  const keys = Object.keys(entries);
+  if (keys.length <= PERMISSION_CACHE_CONFIG.MAX_CACHE_SIZE) {
+    return entries;
+  }
+  return Object.fromEntries(
+    keys
+      .sort((a, b) => entries[b].timestamp - entries[a].timestamp)
+      .slice(0, PERMISSION_CACHE_CONFIG.MAX_CACHE_SIZE)
+      .map((key) => [key, entries[key]])
+  );
+}
+
+/**
+ * @typedef {object} BackupSettings
+ * @property {Object<string, boolean>} [toggles] - On/off settings (see BACKUP_TOGGLES)
+ * @property {string[]} [whitelist] - Whitelisted domains
+ * @property {object[]} [customRules] - Custom selector rules
+ * @property {Array<string|object>} [networkBlockPatterns] - Custom network patterns (sync storage)
+ * @property {object[]} [removeParamRules] - Tracking parameter entries
+ * @property {Array<{url: string, enabled: boolean, title: string}>} [filterSubscriptions] - Filter lists
+ * @property {Object<string, object>} [siteProfiles] - Per-site protection profiles
+ * @property {Object<string, object>} [permissionDecisions] - `permissionCacheV1` entries
+ */
+
+/**
+ * @typedef {object} BackupError
+ * @property {string} section - Section key
+ * @property {string} message - What was skipped and why
+ */
+
+/**
+ * @typedef {object} BackupChange
+ * @property {string} section - Section key
+ * @property {string} label - Section name
+ * @property {string[]} added - New entries
+ * @property {string[]} removed - Entries the import removes (replace mode)
+ * @property {string[]} changed - Entries whose value changes
+ */
@@ -0,0 +1,388 @@
+/**
+ * Settings Sync Utilities
+ *
+ * @fileoverview Opt-in mirroring of user-authored settings (toggles, whitelist,
+ * custom rules, tracking parameter rules) from chrome.storage.local to
+ * chrome.storage.sync, so they follow the user's browser profile.
+ *
+ * Each synced setting is kept as a document of entries keyed by ID, with the
+ * time each entry last changed:
+ *
+ *   { "example.com": { "value": "example.com", "updatedAt": 1700000000000 },
+ *     "old.example": { "deleted": true, "updatedAt": 1700000000000 } }
+ *
+ * Devices merge documents entry by entry and the newest change wins, so
+ * edits to different entries on two devices are both kept. Deleted entries
+ * stay as tombstones for TOMBSTONE_TTL so a device that was offline does not
+ * bring them back.
+ *
+ * chrome.storage.sync limits a single item to 8 KB, so each document is
+ * stored as a JSON string split over numbered chunk items:
+ *
+ *   settingsSync:whitelist   -> { "chunks": 2 }
+ *   settingsSync:whitelist:0 -> "{\"example.com\":{\"value\":..."
+ *   settingsSync:whitelist:1 -> "...}"
+ *
+ * @module settings-sync
+ */
+
+import { isValidDomain } from "../scripts/utils/background/message-validators.js";
+import { BACKUP_TOGGLES } from "./settings-backup.js";
+
+/**
+ * chrome.storage.local key of the opt-in flag
+ * @constant {string}
+ */
+export const SETTINGS_SYNC_ENABLED_KEY = "settingsSyncEnabled";
+
+/**
+ * chrome.storage.local key of the last sync result shown in settings
+ * @constant {string}
+ */
+export const SETTINGS_SYNC_STATUS_KEY = "settingsSyncStatus";
+
+/**
+ * chrome.storage.local key of the documents from the last sync
+ * (used to tell which local entries changed since then)
+ * @constant {string}
+ */
+export const SETTINGS_SYNC_STATE_KEY = "settingsSyncState";
+
+/**
+ * Sync result states
+ * @constant {{OK: string, ERROR: string}}
+ */
+export const SYNC_STATUS = {
+  OK: "ok",
+  ERROR: "error",
+};
+
+/**
+ * Kinds of sync errors (quota errors need the user to free up space)
+ * @constant {{QUOTA: string, OTHER: string}}
+ */
+export const SYNC_ERROR_TYPES = {
+  QUOTA: "quota",
+  OTHER: "other",
+};
+
+/**
+ * chrome.storage.sync limits (same values as chrome.storage.sync.QUOTA_*)
+ * @constant {{BYTES: number, BYTES_PER_ITEM: number, MAX_ITEMS: number}}
+ */
+export const SYNC_QUOTA = {
+  BYTES: 102400,
+  BYTES_PER_ITEM: 8192,
+  MAX_ITEMS: 512,
+};
+
+/**
+ * How long deleted entries are remembered (ms)
+ * @constant {number}
+ */
+export const TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+const SYNC_KEY_PREFIX = "settingsSync:";
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Synced settings
+ * - `keys`: chrome.storage.local keys the setting is made of
+ * - `toEntries(values)`: local values -> [id, value] pairs
+ * - `fromEntries(pairs)`: [id, value] pairs -> local values
+ * - `isValid(value)`: check applied to entries read from sync
+ * @constant {Object<string, SyncedSetting>}
+ */
+export const SYNCED_SETTINGS = {
+  toggles: {
+    keys: Object.keys(BACKUP_TOGGLES),
+    toEntries: (values) =>
+      Object.keys(BACKUP_TOGGLES)
+        .filter((key) => typeof values[key] === "boolean")
+        .map((key) => [key, values[key]]),
+    fromEntries: (pairs) => Object.fromEntries(pairs),
+    isValid: (value, id) => id in BACKUP_TOGGLES && typeof value === "boolean",
+  },
+  whitelist: listSetting("whitelist", (domain) => domain, (domain) =>
+    typeof domain === "string" && isValidDomain(domain)
+  ),
+  customRules: listSetting("customRules", (rule) => rule?.id, (rule) =>
+    isPlainObject(rule) && typeof rule.id === "string" && typeof rule.selector === "string"
+  ),
+  removeParamRules: listSetting("removeParamRules", (rule) => rule?.domain, (rule) =>
+    isPlainObject(rule) && typeof rule.domain === "string" && Array.isArray(rule.params)
+  ),
+};
+
+/**
+ * chrome.storage.local keys mirrored to sync
+ * @constant {string[]}
+ */
+export const SYNCED_LOCAL_KEYS = Object.values(SYNCED_SETTINGS).flatMap(({ keys }) => keys);
+
+/**
+ * Setting stored as an array whose items have an ID
+ * @private
+ */
+function listSetting(key, getId, isValid) {
+  return {
+    keys: [key],
+    toEntries: (values) =>
+      (Array.isArray(values[key]) ? values[key] : [])
+        .map((item) => [getId(item), item])
+        .filter(([id]) => typeof id === "string" && id),
+    fromEntries: (pairs) => ({ [key]: pairs.map(([, value]) => value) }),
+    isValid,
+  };
+}
+
+/**
+ * Whether a storage key belongs to settings sync (chrome.storage.sync)
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+export function isSyncItemKey(key) {
+  return key.startsWith(SYNC_KEY_PREFIX);
+}
+
+/**
+ * Record local changes since the last sync
+ * Entries whose value changed get `now` as their time; entries that are gone
+ * become tombstones. Settings without any of their keys stored are skipped.
+ * @param {object} values - chrome.storage.local values (SYNCED_LOCAL_KEYS)
+ * @param {SyncDocuments} [previous={}] - Documents from the last sync
+ * @param {number} [now=Date.now()] - Change time
+ * @returns {SyncDocuments}
+ */
+export function trackLocalChanges(values, previous = {}, now = Date.now()) {
+  const documents = {};
+
+  for (const [name, setting] of Object.entries(SYNCED_SETTINGS)) {
+    const before = isPlainObject(previous[name]) ? previous[name] : {};
+    if (!setting.keys.some((key) => values[key] !== undefined)) {
+      documents[name] = before;
+      continue;
+    }
+
+    const document = {};
+    for (const [id, value] of setting.toEntries(values)) {
+      const entry = before[id];
+      document[id] =
+        entry && !entry.deleted && JSON.stringify(entry.value) === JSON.stringify(value)
+          ? entry
+          : { value, updatedAt: now };
+    }
+    for (const [id, entry] of Object.entries(before)) {
+      if (!(id in document)) {
+        document[id] = entry.deleted ? entry : { deleted: true, updatedAt: now };
+      }
+    }
+    documents[name] = document;
+  }
+
+  return documents;
+}
+
+/**
+ * Merge this device's documents with the synced ones, newest entry wins
+ * Ties are broken by content so every device picks the same entry.
+ * @param {SyncDocuments} local - Documents from trackLocalChanges()
+ * @param {SyncDocuments} remote - Documents read from chrome.storage.sync
+ * @returns {SyncDocuments}
+ */
+export function mergeSyncDocuments(local, remote) {
+  return Object.fromEntries(
+    Object.keys(SYNCED_SETTINGS).map((name) => {
+      const merged = { ...(local[name] || {}) };
+      for (const [id, entry] of Object.entries(remote[name] || {})) {
+        const current = merged[id];
+        if (!current || isNewer(entry, current)) {
+          merged[id] = entry;
+        }
+      }
+      return [name, merged];
+    })
+  );
+}
+
+/**
+ * @private
+ */
+function isNewer(entry, other) {
+  if (entry.updatedAt !== other.updatedAt) {
+    return entry.updatedAt > other.updatedAt;
+  }
+  return JSON.stringify(entry) > JSON.stringify(other);
+}
+
+/**
+ * Drop tombstones older than TOMBSTONE_TTL
+ * @param {SyncDocuments} documents
+ * @param {number} [now=Date.now()]
+ * @returns {SyncDocuments}
+ */
+export function pruneTombstones(documents, now = Date.now()) {
+  return Object.fromEntries(
+    Object.entries(documents).map(([name, document]) => [
+      name,
+      Object.fromEntries(
+        Object.entries(document).filter(
+          ([, entry]) => !entry.deleted || now - entry.updatedAt < TOMBSTONE_TTL
+        )
+      ),
+    ])
+  );
+}
+
+/**
+ * Convert documents back into chrome.storage.local values
+ * @param {SyncDocuments} documents
+ * @returns {object} Values for SYNCED_LOCAL_KEYS
+ */
+export function toLocalValues(documents) {
+  return Object.assign(
+    {},
+    ...Object.entries(SYNCED_SETTINGS).map(([name, setting]) =>
+      setting.fromEntries(
+        Object.entries(documents[name] || {})
+          .filter(([, entry]) => !entry.deleted)
+          .map(([id, entry]) => [id, entry.value])
+      )
+    )
+  );
+}
+
+/**
+ * Split documents into chrome.storage.sync items
+ * @param {SyncDocuments} documents
+ * @param {number} [maxItemBytes=SYNC_QUOTA.BYTES_PER_ITEM] - Per-item quota
+ * @returns {object} Items keyed by storage key
+ */
+export function encodeSyncItems(documents, maxItemBytes = SYNC_QUOTA.BYTES_PER_ITEM) {
+  const items = {};
+
+  for (const name of Object.keys(SYNCED_SETTINGS)) {
+    const key = SYNC_KEY_PREFIX + name;
+    // Longest chunk key is at most a few digits longer than the manifest key
+    const chunks = splitString(JSON.stringify(documents[name] || {}), maxItemBytes - key.length - 8);
+    items[key] = { chunks: chunks.length };
+    chunks.forEach((chunk, index) => {
+      items[`${key}:${index}`] = chunk;
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Split text into pieces whose JSON encoding fits in maxBytes
+ * @private
+ */
+function splitString(text, maxBytes) {
+  const chunks = [];
+  let start = 0;
+
+  do {
+    let end = Math.min(text.length, start + maxBytes - 2);
+    let size;
+    while ((size = getByteLength(JSON.stringify(text.slice(start, end)))) > maxBytes) {
+      // A character takes at most 6 bytes once escaped
+      end -= Math.max(1, Math.floor((size - maxBytes) / 6));
+    }
+    chunks.push(text.slice(start, end));
+    start = end;
+  } while (start < text.length);
+
+  return chunks;
+}
+
+/**
+ * Read documents from chrome.storage.sync items
+ * Settings with missing or unreadable chunks (e.g. a write from another device
+ * still arriving) are left out; invalid entries are dropped.
+ * @param {object} items - chrome.storage.sync contents
+ * @returns {SyncDocuments}
+ */
+export function decodeSyncItems(items) {
+  const documents = {};
+
+  for (const [name, setting] of Object.entries(SYNCED_SETTINGS)) {
+    const key = SYNC_KEY_PREFIX + name;
+    const count = items[key]?.chunks;
+    if (!Number.isInteger(count) || count < 1) continue;
+
+    const chunks = Array.from({ length: count }, (_, index) => items[`${key}:${index}`]);
+    if (chunks.some((chunk) => typeof chunk !== "string")) continue;
+
+    let document;
+    try {
+      document = JSON.parse(chunks.join(""));
+    } catch {
+      continue;
+    }
+    if (!isPlainObject(document)) continue;
+
+    documents[name] = Object.fromEntries(
+      Object.entries(document).filter(
+        ([id, entry]) =>
+          isPlainObject(entry) &&
+          Number.isFinite(entry.updatedAt) &&
+          (entry.deleted === true || setting.isValid(entry.value, id))
+      )
+    );
+  }
+
+  return documents;
+}
+
+/**
+ * Bytes an item set counts against the chrome.storage.sync quota
+ * (key length plus JSON-encoded value, as Chrome measures it)
+ * @param {object} items - Items keyed by storage key
+ * @returns {number}
+ */
+export function getSyncItemsSize(items) {
+  return Object.entries(items).reduce(
+    (total, [key, value]) => total + getByteLength(key) + getByteLength(JSON.stringify(value)),
+    0
+  );
+}
+
+/**
+ * @private
+ */
+function getByteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Whether a storage error is a chrome.storage.sync quota error
+ * ("QUOTA_BYTES quota exceeded", "MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded", ...)
+ * @param {Error|{message: string}} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  return /QUOTA|MAX_ITEMS|MAX_WRITE_OPERATIONS/i.test(error?.message || "");
+}
+
+/**
+ * @typedef {Object<string, Object<string, SyncEntry>>} SyncDocuments
+ * One document per SYNCED_SETTINGS name, entries keyed by ID
+ */
+
+/**
+ * @typedef {object} SyncEntry
+ * @property {*} [value] - Entry value (absent for tombstones)
+ * @property {boolean} [deleted] - Entry was removed
+ * @property {number} updatedAt - Time of the last change (ms)
+ */
+
+/**
+ * @typedef {object} SyncedSetting
+ * @property {string[]} keys
+ * @property {function(object): Array<[string, *]>} toEntries
+ * @property {function(Array<[string, *]>): object} fromEntries
+ * @property {function(*, string): boolean} isValid
+ */
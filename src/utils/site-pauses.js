@@ -0,0 +1,126 @@
+/**
+ * Site Pause Utilities
+ *
+ * @fileoverview Model for temporary "pause on this site" (`pausedSites` in
+ * chrome.storage.local). A paused site and its subdomains are treated like
+ * whitelisted ones until the pause ends:
+ *
+ *   { "example.com": { until: 1700000000000, tabId: null } }   // timed
+ *   { "example.com": { until: null, tabId: 42 } }              // until tab 42 closes
+ *
+ * Timed pauses end through a chrome.alarms alarm named PAUSE_ALARM_PREFIX + domain;
+ * tab pauses end when the tab closes (tab IDs do not survive a browser restart).
+ *
+ * @module site-pauses
+ */
+
+import { domainMatches } from "./url-utils.js";
+
+/**
+ * Pause durations offered in the popup
+ * @constant {{FIFTEEN_MINUTES: string, ONE_HOUR: string, UNTIL_TAB_CLOSED: string}}
+ */
+export const PAUSE_DURATIONS = {
+  FIFTEEN_MINUTES: "15m",
+  ONE_HOUR: "1h",
+  UNTIL_TAB_CLOSED: "tab",
+};
+
+/**
+ * Length of each timed pause
+ * @constant {Object<string, number>}
+ */
+const PAUSE_DURATION_MS = {
+  [PAUSE_DURATIONS.FIFTEEN_MINUTES]: 15 * 60 * 1000,
+  [PAUSE_DURATIONS.ONE_HOUR]: 60 * 60 * 1000,
+};
+
+/**
+ * Alarm name prefix for timed pause expiry
+ * @constant {string}
+ */
+export const PAUSE_ALARM_PREFIX = "sitePauseExpiry:";
+
+/**
+ * Whether a duration is one of PAUSE_DURATIONS
+ * @param {string} duration - Requested duration
+ * @returns {boolean}
+ */
+export function isValidPauseDuration(duration) {
+  return Object.values(PAUSE_DURATIONS).includes(duration);
+}
+
+/**
+ * Build a pause entry
+ * @param {string} duration - One of PAUSE_DURATIONS
+ * @param {{now?: number, tabId?: number}} [context] - Current time, and the tab for tab pauses
+ * @returns {SitePause|null} Pause, or null for an unknown duration or missing tab
+ */
+export function createPause(duration, { now = Date.now(), tabId } = {}) {
+  if (duration === PAUSE_DURATIONS.UNTIL_TAB_CLOSED) {
+    return Number.isInteger(tabId) ? { until: null, tabId } : null;
+  }
+  if (!PAUSE_DURATION_MS[duration]) {
+    return null;
+  }
+  return { until: now + PAUSE_DURATION_MS[duration], tabId: null };
+}
+
+/**
+ * Whether a pause is still in effect
+ * @param {SitePause} pause - Stored pause
+ * @param {number} [now] - Current time
+ * @returns {boolean}
+ */
+export function isPauseActive(pause, now = Date.now()) {
+  if (!pause || typeof pause !== "object") {
+    return false;
+  }
+  if (pause.until === null) {
+    return Number.isInteger(pause.tabId);
+  }
+  return typeof pause.until === "number" && pause.until > now;
+}
+
+/**
+ * The pause covering a hostname, if any
+ * @param {object} pausedSites - Stored `pausedSites`
+ * @param {string} hostname - Page hostname
+ * @param {number} [now] - Current time
+ * @returns {(SitePause & {domain: string})|null} Active pause with the paused domain
+ */
+export function getActivePause(pausedSites, hostname, now = Date.now()) {
+  if (!hostname || !pausedSites || typeof pausedSites !== "object") {
+    return null;
+  }
+
+  for (const [domain, pause] of Object.entries(pausedSites)) {
+    if (domainMatches(hostname, domain) && isPauseActive(pause, now)) {
+      return { domain, ...pause };
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop pauses that have ended
+ * @param {object} pausedSites - Stored `pausedSites`
+ * @param {{now?: number, closedTabId?: number, dropTabPauses?: boolean}} [options]
+ *   closedTabId ends that tab's pauses; dropTabPauses ends every tab pause (browser restart)
+ * @returns {Object<string, SitePause>} Remaining pauses (input is not modified)
+ */
+export function removeEndedPauses(pausedSites, { now = Date.now(), closedTabId, dropTabPauses = false } = {}) {
+  return Object.fromEntries(
+    Object.entries(pausedSites || {}).filter(([, pause]) => {
+      if (!isPauseActive(pause, now)) return false;
+      if (pause.until !== null) return true;
+      return !dropTabPauses && pause.tabId !== closedTabId;
+    })
+  );
+}
+
+/**
+ * @typedef {object} SitePause
+ * @property {number|null} until - End time (ms), null for tab pauses
+ * @property {number|null} tabId - Tab whose closing ends the pause, null for timed pauses
+ */
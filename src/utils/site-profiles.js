@@ -0,0 +1,177 @@
+/**
+ * Site Profile Utilities
+ *
+ * @fileoverview Model for per-site protection profiles (`siteProfiles` in
+ * chrome.storage.local). A profile turns individual protection systems on or
+ * off for one site and its subdomains, overriding the global toggle:
+ *
+ *   { "example.com": { networkBlocking: false, navigationGuard: true } }
+ *
+ * A system missing from a profile follows its global setting. When several
+ * profiles match a hostname, the most specific domain wins per system.
+ * The whitelist still turns every system off and takes precedence.
+ *
+ * @module site-profiles
+ */
+
+import { domainMatches } from "./url-utils.js";
+
+/**
+ * Protection systems a profile can override
+ * @constant {Object<string, string>}
+ */
+export const SITE_PROFILE_SYSTEMS = {
+  SELECTOR_RULES: "selectorRules",
+  COSMETIC_FILTERS: "cosmeticFilters",
+  NETWORK_BLOCKING: "networkBlocking",
+  NAVIGATION_GUARD: "navigationGuard",
+  CLICK_PROTECTION: "clickProtection",
+};
+
+/**
+ * Most profiles kept (matches the whitelist size limit)
+ * @constant {number}
+ */
+export const MAX_SITE_PROFILES = 1000;
+
+const SYSTEM_NAMES = new Set(Object.values(SITE_PROFILE_SYSTEMS));
+
+/**
+ * Lowercase a profile domain and drop a leading wildcard
+ * @param {string} domain - Domain as entered or stored
+ * @returns {string} Normalized domain
+ */
+export function normalizeProfileDomain(domain) {
+  return String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\*\./, "");
+}
+
+/**
+ * Clean up stored profiles: known systems with boolean values only, no empty profiles
+ * @param {object} profiles - Stored `siteProfiles`
+ * @returns {Object<string, SiteProfile>} Normalized profiles
+ */
+export function normalizeSiteProfiles(profiles) {
+  const result = {};
+  if (!profiles || typeof profiles !== "object" || Array.isArray(profiles)) {
+    return result;
+  }
+
+  for (const [rawDomain, profile] of Object.entries(profiles)) {
+    const domain = normalizeProfileDomain(rawDomain);
+    if (!domain || !profile || typeof profile !== "object") {
+      continue;
+    }
+
+    const overrides = Object.fromEntries(
+      Object.entries(profile).filter(
+        ([system, value]) => SYSTEM_NAMES.has(system) && typeof value === "boolean"
+      )
+    );
+    if (Object.keys(overrides).length > 0) {
+      result[domain] = { ...result[domain], ...overrides };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Overrides that apply to a hostname
+ * @param {object} profiles - Stored `siteProfiles`
+ * @param {string} hostname - Page hostname
+ * @returns {SiteProfile} System -> enabled, most specific matching domain first
+ */
+export function getSiteOverrides(profiles, hostname) {
+  if (!hostname) {
+    return {};
+  }
+
+  // Least specific first, so subdomain profiles overwrite their parents
+  return Object.entries(normalizeSiteProfiles(profiles))
+    .filter(([domain]) => domainMatches(hostname, domain))
+    .sort(([a], [b]) => a.length - b.length)
+    .reduce((overrides, [, profile]) => ({ ...overrides, ...profile }), {});
+}
+
+/**
+ * A site's own overrides, apart from those it inherits from parent domain profiles
+ * @param {object} profiles - Stored `siteProfiles`
+ * @param {string} hostname - Page hostname
+ * @returns {{own: SiteProfile, inherited: SiteProfile}}
+ */
+export function splitSiteOverrides(profiles, hostname) {
+  const { [normalizeProfileDomain(hostname)]: own = {}, ...others } = normalizeSiteProfiles(profiles);
+  return { own, inherited: getSiteOverrides(others, hostname) };
+}
+
+/**
+ * Whether a system is on, given its global setting and a site's overrides
+ * @param {SiteProfile} overrides - Result of getSiteOverrides
+ * @param {string} system - One of SITE_PROFILE_SYSTEMS
+ * @param {boolean} globalEnabled - Global toggle
+ * @returns {boolean}
+ */
+export function isSystemEnabled(overrides, system, globalEnabled) {
+  return typeof overrides?.[system] === "boolean" ? overrides[system] : globalEnabled;
+}
+
+/**
+ * Set or clear one override for a site
+ * @param {object} profiles - Stored `siteProfiles`
+ * @param {string} domain - Site domain
+ * @param {string} system - One of SITE_PROFILE_SYSTEMS
+ * @param {boolean|null} value - Override, or null to follow the global setting again
+ * @returns {Object<string, SiteProfile>} Updated profiles (input is not modified; unchanged when full)
+ */
+export function setSiteOverride(profiles, domain, system, value) {
+  const normalized = normalizeSiteProfiles(profiles);
+  const key = normalizeProfileDomain(domain);
+  if (!key || !SYSTEM_NAMES.has(system)) {
+    return normalized;
+  }
+  if (!normalized[key] && Object.keys(normalized).length >= MAX_SITE_PROFILES) {
+    return normalized; // Full - existing profiles can still be edited
+  }
+
+  const { [system]: _previous, ...rest } = normalized[key] || {};
+  const profile = typeof value === "boolean" ? { ...rest, [system]: value } : rest;
+
+  if (Object.keys(profile).length > 0) {
+    normalized[key] = profile;
+  } else {
+    delete normalized[key];
+  }
+  return normalized;
+}
+
+/**
+ * Remove a site's profile (it follows the global toggles again)
+ * @param {object} profiles - Stored `siteProfiles`
+ * @param {string} domain - Site domain
+ * @returns {Object<string, SiteProfile>} Updated profiles (input is not modified)
+ */
+export function clearSiteProfile(profiles, domain) {
+  const { [normalizeProfileDomain(domain)]: _removed, ...rest } = normalizeSiteProfiles(profiles);
+  return rest;
+}
+
+/**
+ * Domains whose profile sets a system to the given state
+ * @param {object} profiles - Stored `siteProfiles`
+ * @param {string} system - One of SITE_PROFILE_SYSTEMS
+ * @param {boolean} value - Override state to look for
+ * @returns {string[]} Domains
+ */
+export function getSitesWithOverride(profiles, system, value) {
+  return Object.entries(normalizeSiteProfiles(profiles))
+    .filter(([, profile]) => profile[system] === value)
+    .map(([domain]) => domain);
+}
+
+/**
+ * @typedef {Object<string, boolean>} SiteProfile
+ * System name (see SITE_PROFILE_SYSTEMS) -> whether it is on for the site
+ */
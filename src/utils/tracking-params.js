@@ -0,0 +1,126 @@
+/**
+ * Tracking Parameter Utilities
+ *
+ * @fileoverview Model for tracking-parameter removal. Navigations carrying any of
+ * these query parameters are redirected to the same URL without them (DNR
+ * `queryTransform.removeParams`).
+ *
+ * Storage (chrome.storage.local):
+ * - `removeParamEnabled`: boolean - strip DEFAULT_TRACKING_PARAMS on every site
+ * - `removeParamRules`: ParamRule[] - user entries, each for one site or all sites
+ * - `removeParamStats`: {cleanedCount, lastCountedAt} - URLs cleaned so far
+ *
+ * @module tracking-params
+ */
+
+/**
+ * Parameters removed on every site by default
+ * DNR matches parameter names exactly, so prefixes such as utm_* are spelled out.
+ * @constant {string[]}
+ */
+export const DEFAULT_TRACKING_PARAMS = [
+  // Google Analytics campaign tags
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "utm_id",
+  "utm_name",
+  "utm_cid",
+  "utm_reader",
+  "utm_referrer",
+  "utm_social",
+  "utm_social-type",
+  "utm_brand",
+  // Ad click identifiers
+  "fbclid",
+  "gclid",
+  "gclsrc",
+  "dclid",
+  "gbraid",
+  "wbraid",
+  "msclkid",
+  "yclid",
+  "twclid",
+  "ttclid",
+  "li_fat_id",
+  "igshid",
+  "clickid",
+  // Email marketing
+  "mc_cid",
+  "mc_eid",
+  "_hsenc",
+  "_hsmi",
+  "mkt_tok",
+  "vero_id",
+  "oly_anon_id",
+  "oly_enc_id",
+  "rb_clickid",
+  "s_cid",
+];
+
+/**
+ * Characters allowed in a parameter name (keeps the generated regex simple)
+ * @constant {RegExp}
+ */
+const PARAM_NAME_PATTERN = /^[A-Za-z0-9_.\-[\]]+$/;
+
+/**
+ * Hostname a rule can be limited to (DNR rejects the whole update on a bad one)
+ * @constant {RegExp}
+ */
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+/**
+ * Build a complete rule from a stored entry
+ * @param {object} entry - Stored entry
+ * @returns {ParamRule} Rule with a lowercased domain ('' for all sites) and valid, unique params
+ */
+export function normalizeParamRule(entry) {
+  const domain = String(entry?.domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\*\./, "");
+  const params = Array.isArray(entry?.params) ? entry.params : [];
+
+  return {
+    domain,
+    params: [...new Set(params.map((param) => String(param).trim()).filter(isValidParamName))],
+  };
+}
+
+/**
+ * Whether a parameter name can be removed by a rule
+ * @param {string} name - Parameter name
+ * @returns {boolean}
+ */
+export function isValidParamName(name) {
+  return typeof name === "string" && name.length <= 100 && PARAM_NAME_PATTERN.test(name);
+}
+
+/**
+ * Whether a normalized domain can limit a rule ('' = all sites)
+ * @param {string} domain - Normalized domain
+ * @returns {boolean}
+ */
+export function isValidParamDomain(domain) {
+  return domain === "" || (domain.length <= 253 && DOMAIN_PATTERN.test(domain));
+}
+
+/**
+ * Regex matching URLs whose query string contains one of the parameters
+ * Rules only match URLs that carry a listed parameter, so every match is a cleaned URL.
+ * @param {string[]} params - Valid parameter names
+ * @returns {string} RE2-compatible regex source
+ */
+export function buildParamRegex(params) {
+  const names = params.map((param) => param.replace(/[.\-[\]]/g, "\\$&"));
+  return `[?&](?:${names.join("|")})(?:[=&#]|$)`;
+}
+
+/**
+ * @typedef {object} ParamRule
+ * @property {string} domain - Site the rule applies to (subdomains included), '' for all sites
+ * @property {string[]} params - Query parameter names to remove
+ */
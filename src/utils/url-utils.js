@@ -29,6 +29,30 @@ export function domainMatches(domain, pattern) {
   return domain.endsWith("." + pattern);
 }
 
+/**
+ * Domain scope check for filter rules with include/exclude lists
+ * (e.g. `example.com,~foo.example.com##.banner`).
+ * Exclusions win over inclusions; a missing or `*` include list means every domain.
+ * @param {string} domain - Current hostname.
+ * @param {string[]} [domains=['*']] - Domains the rule applies to.
+ * @param {string[]} [excludedDomains=[]] - Domains the rule must not apply to.
+ * @returns {boolean} True if the rule applies to the domain.
+ */
+export function matchesDomainScope(domain, domains = ["*"], excludedDomains = []) {
+  if (
+    Array.isArray(excludedDomains) &&
+    excludedDomains.some((pattern) => domainMatches(domain, pattern))
+  ) {
+    return false;
+  }
+
+  if (!Array.isArray(domains) || domains.length === 0 || domains.includes("*")) {
+    return true;
+  }
+
+  return domains.some((pattern) => domainMatches(domain, pattern));
+}
+
 /**
  * Safely parse a URL with consistent error handling.
  * @param {string} input - URL or path to parse.
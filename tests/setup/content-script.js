@@ -0,0 +1,33 @@
+/**
+ * Helpers for tests that run the content script controller (src/scripts/content.js)
+ * Module mocks stay in each test file - vi.mock() is hoisted per file
+ */
+
+import { vi, expect } from 'vitest';
+
+/**
+ * Load content.js in a fresh module registry with the given stored settings
+ * The runtime answers every message with success, and message listeners are
+ * recorded on chrome.runtime.onMessage.addListener
+ * @param {object} settings - What chrome.storage.local.get() returns
+ * @returns {Promise<object>} The controller, once initialize() has finished
+ */
+export async function loadContentScript(settings) {
+  chrome.runtime.onMessage = { addListener: vi.fn() };
+  chrome.runtime.sendMessage = vi.fn((message, callback) => callback({ success: true }));
+  chrome.storage.local.get.mockImplementation((keys, callback) => callback(settings));
+  vi.resetModules();
+  await import('@/scripts/content.js');
+
+  const controller = window.OriginalUIController;
+  await vi.waitFor(() => expect(controller.ruleExecutionManager).not.toBeNull());
+  return controller;
+}
+
+/**
+ * Tear down the controller loaded by loadContentScript(), if any
+ */
+export async function unloadContentScript() {
+  await window.OriginalUIController?.destructor();
+  delete window.OriginalUIController;
+}
@@ -0,0 +1,58 @@
+/**
+ * Unit Tests for anti-adblock-walls utilities
+ * Tests per-site wall records and the site exception suggestion
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  MAX_WALL_SITES,
+  dismissWallSuggestion,
+  getWallSuggestion,
+  recordWallDetection
+} from '@utils/anti-adblock-walls.js';
+
+const NOW = 1_700_000_000_000;
+
+describe('anti-adblock-walls', () => {
+  describe('recordWallDetection()', () => {
+    test('should count walls per site and keep the first sighting', () => {
+      const first = recordWallDetection(undefined, 'News.Example', NOW);
+      const second = recordWallDetection(first, 'news.example', NOW + 1000);
+
+      expect(second).toEqual({
+        'news.example': { count: 2, firstSeen: NOW, lastSeen: NOW + 1000 }
+      });
+    });
+
+    test('should drop the least recently seen sites beyond the limit', () => {
+      let walls = {};
+      for (let i = 0; i <= MAX_WALL_SITES; i++) {
+        walls = recordWallDetection(walls, `site-${i}.example`, NOW + i);
+      }
+
+      expect(Object.keys(walls)).toHaveLength(MAX_WALL_SITES);
+      expect(walls).not.toHaveProperty('site-0.example');
+      expect(Object.keys(walls)[0]).toBe(`site-${MAX_WALL_SITES}.example`);
+    });
+
+    test('should keep a dismissed suggestion dismissed', () => {
+      const walls = dismissWallSuggestion(recordWallDetection({}, 'a.example', NOW), 'a.example');
+
+      expect(recordWallDetection(walls, 'a.example', NOW + 1)['a.example'].dismissed).toBe(true);
+    });
+  });
+
+  describe('getWallSuggestion()', () => {
+    const walls = recordWallDetection({}, 'a.example', NOW);
+
+    test('should suggest an exception for sites that showed a wall', () => {
+      expect(getWallSuggestion(walls, 'a.example', {})).toMatchObject({ count: 1 });
+      expect(getWallSuggestion(walls, 'b.example', {})).toBeNull();
+    });
+
+    test('should not suggest once dismissed or when cosmetic filters are already off', () => {
+      expect(getWallSuggestion(dismissWallSuggestion(walls, 'a.example'), 'a.example', {})).toBeNull();
+      expect(getWallSuggestion(walls, 'a.example', { cosmeticFilters: false })).toBeNull();
+    });
+  });
+});
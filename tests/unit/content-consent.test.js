@@ -0,0 +1,44 @@
+/**
+ * Unit Tests for cookie banner settings in the content script controller
+ * Tests that turning cookie banner handling off cleans up the ConsentExecutor
+ */
+
+import { vi } from 'vitest';
+import { loadContentScript, unloadContentScript } from '@tests/setup/content-script.js';
+
+const consentExecutor = { cleanup: vi.fn() };
+const consentSource = { invalidateCache: vi.fn() };
+
+vi.mock('@modules/rule-execution/config/sources.config.js', () => ({
+  createRuleExecutionSystem: vi.fn(async () => ({
+    executeAllRules: vi.fn().mockResolvedValue({}),
+    sources: new Map([['consent', consentSource]]),
+    executors: new Map([['consent', consentExecutor]])
+  })),
+  registerSubscriptionSources: vi.fn(() => [])
+}));
+
+describe('Content script cookie banner settings', () => {
+  let controller;
+
+  beforeEach(async () => {
+    controller = await loadContentScript({ isActive: true });
+  });
+
+  afterEach(unloadContentScript);
+
+  test('should clean up the consent executor when cookie banner handling is turned off', () => {
+    controller.handleStorageChanges({ cookieConsentEnabled: { oldValue: true, newValue: false } });
+
+    expect(consentSource.invalidateCache).toHaveBeenCalled();
+    expect(consentExecutor.cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep the consent executor when handling is turned on or the mode changes', () => {
+    controller.handleStorageChanges({ cookieConsentEnabled: { oldValue: false, newValue: true } });
+    controller.handleStorageChanges({ cookieConsentMode: { oldValue: 'reject', newValue: 'hide' } });
+
+    expect(consentSource.invalidateCache).toHaveBeenCalledTimes(2);
+    expect(consentExecutor.cleanup).not.toHaveBeenCalled();
+  });
+});
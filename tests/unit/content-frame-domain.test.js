@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for the content script controller in embedded frames
+ * Tests that a cross-origin frame keeps page-level decisions on the top-level
+ * domain while rules match the frame's own domain as well, and that frame
+ * counts end up in the page's domain stats
+ */
+
+import { vi } from 'vitest';
+import { loadContentScript, unloadContentScript } from '@tests/setup/content-script.js';
+
+const executeAllRules = vi.fn();
+const frame = vi.hoisted(() => ({ isTop: false }));
+
+vi.mock('@utils/frame-context.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  isTopFrame: () => frame.isTop,
+  getFrameDomain: () => (frame.isTop ? 'news.example' : 'www.youtube.com'),
+  getTopLevelDomain: () => 'news.example'
+}));
+
+vi.mock('@modules/rule-execution/config/sources.config.js', () => ({
+  createRuleExecutionSystem: vi.fn(async () => ({ executeAllRules, sources: new Map() })),
+  registerSubscriptionSources: vi.fn(() => [])
+}));
+
+describe('Content script in a cross-origin frame', () => {
+  beforeEach(() => {
+    frame.isTop = false;
+    executeAllRules.mockResolvedValue({});
+  });
+
+  afterEach(unloadContentScript);
+
+  test('should match rules against the page domain and the frame domain', async () => {
+    const controller = await loadContentScript({ isActive: true });
+
+    await vi.waitFor(() => expect(executeAllRules).toHaveBeenCalled());
+    expect(controller.currentDomain).toBe('news.example');
+    expect(executeAllRules).toHaveBeenCalledWith(
+      'news.example',
+      expect.objectContaining({ frameDomain: 'www.youtube.com' })
+    );
+  });
+
+  test('should decide the whitelist for the page, not the embedded site', async () => {
+    await loadContentScript({ isActive: true, whitelist: ['youtube.com'] });
+    await vi.waitFor(() => expect(executeAllRules).toHaveBeenCalled());
+
+    executeAllRules.mockClear();
+    const controller = await loadContentScript({ isActive: true, whitelist: ['news.example'] });
+
+    expect(controller.isProtectionSuspended()).toBe(true);
+    expect(executeAllRules).not.toHaveBeenCalled();
+  });
+
+  test('should report its counts for the page instead of writing domain stats', async () => {
+    executeAllRules.mockResolvedValue({ easylistRulesHidden: 3, consentBannersHandled: 1 });
+    await loadContentScript({ isActive: true });
+
+    await vi.waitFor(() => expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+      {
+        action: 'reportFrameStats',
+        stats: {
+          defaultRulesRemoved: 0,
+          customRulesRemoved: 0,
+          easylistRulesRemoved: 0,
+          easylistRulesHidden: 3,
+          proceduralRulesRemoved: 0,
+          subscriptionRulesRemoved: 0,
+          consentBannersHandled: 1
+        }
+      },
+      expect.any(Function)
+    ));
+    expect(window.OriginalUIController.domainStats).toEqual({});
+  });
+
+  test('should add counts relayed from frames to the page in the top frame', async () => {
+    frame.isTop = true;
+    executeAllRules.mockResolvedValue({ defaultRulesRemoved: 1, easylistRulesHidden: 2 });
+    const controller = await loadContentScript({ isActive: true });
+    await vi.waitFor(() => expect(controller.domainStats['news.example']).toBeDefined());
+
+    const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    const relay = (frameId, stats) =>
+      onMessage({ action: 'frameStats', frameId, stats }, { id: chrome.runtime.id }, vi.fn());
+    relay(3, { easylistRulesHidden: 4 });
+    relay(5, { easylistRulesHidden: 1, subscriptionRulesRemoved: 2 });
+    relay(3, { easylistRulesHidden: 5 });
+
+    expect(controller.domainStats['news.example']).toEqual({
+      defaultRulesRemoved: 1,
+      customRulesRemoved: 0,
+      easylistRulesRemoved: 0,
+      easylistRulesHidden: 8,
+      proceduralRulesRemoved: 0,
+      subscriptionRulesRemoved: 2,
+      consentBannersHandled: 0
+    });
+  });
+});
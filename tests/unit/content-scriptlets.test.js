@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for scriptlet injection by the content script controller
+ * Tests that scriptlets go in from the settings read, before the rule system is built
+ */
+
+import { vi } from 'vitest';
+import { loadContentScript, unloadContentScript } from '@tests/setup/content-script.js';
+
+const calls = vi.hoisted(() => []);
+
+vi.mock('@modules/scriptlets/scriptlet-injector.js', () => ({
+  ScriptletInjector: class {
+    injectForPage(hostnames, sources) {
+      calls.push(['injectForPage', hostnames, sources]);
+      return Promise.resolve(0);
+    }
+  }
+}));
+
+vi.mock('@modules/rule-execution/config/sources.config.js', () => ({
+  createRuleExecutionSystem: vi.fn(async () => {
+    calls.push(['createRuleExecutionSystem']);
+    return { executeAllRules: vi.fn().mockResolvedValue({}), sources: new Map() };
+  }),
+  registerSubscriptionSources: vi.fn(() => [])
+}));
+
+describe('Content script scriptlet injection', () => {
+  const subscriptions = [{ id: 'sub-1', enabled: true }];
+  const subscriptionScriptlets = { 'sub-1': [{ name: 'set-constant', args: ['ads', 'false'], domains: ['*'] }] };
+
+  beforeEach(() => {
+    calls.length = 0;
+  });
+
+  afterEach(unloadContentScript);
+
+  test('should inject cached list scriptlets before building the rule system', async () => {
+    await loadContentScript({ isActive: true, filterSubscriptions: subscriptions, subscriptionScriptlets });
+
+    expect(calls[0]).toEqual([
+      'injectForPage',
+      [window.location.hostname],
+      expect.objectContaining({ subscriptions, subscriptionScriptlets })
+    ]);
+    expect(calls[1]).toEqual(['createRuleExecutionSystem']);
+  });
+
+  test('should not inject on whitelisted pages', async () => {
+    await loadContentScript({
+      isActive: true,
+      whitelist: [window.location.hostname],
+      filterSubscriptions: subscriptions,
+      subscriptionScriptlets
+    });
+
+    expect(calls).toEqual([['createRuleExecutionSystem']]);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for destination-preview utilities
+ * Tests redirect unwrapping, registrable domains and punycode decoding
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  MAX_UNWRAP_DEPTH,
+  getRegistrableDomain,
+  resolveDestination,
+  toUnicodeHostname,
+  unwrapRedirect
+} from '@utils/destination-preview.js';
+
+describe('destination-preview', () => {
+  describe('unwrapRedirect()', () => {
+    test('should read the destination parameter of known redirectors', () => {
+      expect(unwrapRedirect(new URL('https://l.facebook.com/l.php?u=https%3A%2F%2Fshop.example%2Fa&h=AT1')).href)
+        .toBe('https://shop.example/a');
+      expect(unwrapRedirect(new URL('https://www.google.com/url?sa=t&q=https://news.example/story')).href)
+        .toBe('https://news.example/story');
+    });
+
+    test('should only use the endpoint of general-purpose redirector sites', () => {
+      expect(unwrapRedirect(new URL('https://www.google.com/search?q=https://news.example'))).toBeNull();
+    });
+
+    test('should unwrap generic redirect parameters with absolute http(s) URLs only', () => {
+      expect(unwrapRedirect(new URL('https://ads.example/click?id=1&Redirect=https%253A%252F%252Fshop.example')).href)
+        .toBe('https://shop.example/');
+      expect(unwrapRedirect(new URL('https://app.example/go?url=/dashboard'))).toBeNull();
+      expect(unwrapRedirect(new URL('https://app.example/go?url=javascript:alert(1)'))).toBeNull();
+    });
+  });
+
+  describe('resolveDestination()', () => {
+    test('should follow nested wrappers to the final destination', () => {
+      const wrapped = 'https://l.facebook.com/l.php?u=' +
+        encodeURIComponent('https://www.google.com/url?q=' + encodeURIComponent('https://shop.example.co.uk/item?id=7'));
+
+      expect(resolveDestination(wrapped)).toEqual({
+        originalUrl: wrapped,
+        finalUrl: 'https://shop.example.co.uk/item?id=7',
+        redirectHosts: ['l.facebook.com', 'www.google.com'],
+        shortenerHost: null,
+        hostname: 'shop.example.co.uk',
+        unicodeHostname: 'shop.example.co.uk',
+        isIdn: false,
+        registrableDomain: 'example.co.uk'
+      });
+    });
+
+    test('should stop after MAX_UNWRAP_DEPTH wrappers', () => {
+      let url = 'https://final.example/';
+      for (let i = 0; i <= MAX_UNWRAP_DEPTH; i++) {
+        url = `https://hop${i}.example/?url=${encodeURIComponent(url)}`;
+      }
+
+      expect(resolveDestination(url).redirectHosts).toHaveLength(MAX_UNWRAP_DEPTH);
+    });
+
+    test('should flag link shorteners and IDN hosts', () => {
+      expect(resolveDestination('https://t.co/abc123').shortenerHost).toBe('t.co');
+      expect(resolveDestination('https://аpple.com/login')).toMatchObject({
+        hostname: 'xn--pple-43d.com',
+        unicodeHostname: 'аpple.com',
+        isIdn: true
+      });
+    });
+
+    test('should resolve relative URLs and ignore other protocols', () => {
+      expect(resolveDestination('/next', 'https://app.example/page').finalUrl).toBe('https://app.example/next');
+      expect(resolveDestination('mailto:someone@example.com')).toBeNull();
+      expect(resolveDestination('not a url')).toBeNull();
+    });
+  });
+
+  describe('toUnicodeHostname()', () => {
+    test('should decode punycode labels', () => {
+      expect(toUnicodeHostname('xn--mnchen-3ya.de')).toBe('münchen.de');
+      expect(toUnicodeHostname('www.xn--fiqs8s.xn--fiqz9s')).toBe('www.中国.中國');
+      expect(toUnicodeHostname('xn--zzzz.example')).toBe('xn--zzzz.example');
+    });
+  });
+
+  describe('getRegistrableDomain()', () => {
+    test('should keep one label below the public suffix', () => {
+      expect(getRegistrableDomain('a.b.example.com')).toBe('example.com');
+      expect(getRegistrableDomain('login.example.co.uk')).toBe('example.co.uk');
+      expect(getRegistrableDomain('user.github.io')).toBe('user.github.io');
+      expect(getRegistrableDomain('localhost')).toBe('localhost');
+      expect(getRegistrableDomain('192.168.0.1')).toBe('192.168.0.1');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for frame-context utilities
+ * Tests top-level domain resolution for top, same-origin and cross-origin frames
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  getFrameDomain,
+  getRuleDomains,
+  getTopLevelDomain,
+  hostnameFromOrigin,
+  isTopFrame
+} from '@utils/frame-context.js';
+
+/**
+ * Minimal window: `top` is the window itself unless a parent is given
+ */
+const createWindow = (href, { top, ancestorOrigins } = {}) => {
+  const win = { location: { href, hostname: new URL(href).hostname, ancestorOrigins } };
+  win.top = top || win;
+  return win;
+};
+
+/**
+ * Top window whose location throws like a cross-origin frame's
+ */
+const createCrossOriginTop = () => ({
+  get location() {
+    throw new DOMException('Blocked a frame from accessing a cross-origin frame.', 'SecurityError');
+  }
+});
+
+describe('frame-context', () => {
+  test('should use the own hostname in the top frame', () => {
+    const win = createWindow('https://news.example/article');
+
+    expect(isTopFrame(win)).toBe(true);
+    expect(getFrameDomain(win)).toBe('news.example');
+    expect(getTopLevelDomain(win)).toBe('news.example');
+  });
+
+  test('should read same-origin and about:blank frames from the top window', () => {
+    const top = createWindow('https://news.example/');
+    const frame = createWindow('about:blank', { top });
+
+    expect(isTopFrame(frame)).toBe(false);
+    expect(getFrameDomain(frame)).toBe('');
+    expect(getTopLevelDomain(frame)).toBe('news.example');
+  });
+
+  test('should use the outermost ancestor origin for cross-origin frames', () => {
+    const frame = createWindow('https://ads.example/slot', {
+      top: createCrossOriginTop(),
+      ancestorOrigins: ['https://player.example', 'https://news.example']
+    });
+
+    expect(getTopLevelDomain(frame)).toBe('news.example');
+  });
+
+  test('should report unresolved when ancestors are unknown or opaque', () => {
+    const top = createCrossOriginTop();
+
+    expect(getTopLevelDomain(createWindow('https://ads.example/', { top }))).toBeNull();
+    expect(getTopLevelDomain(createWindow('https://ads.example/', { top, ancestorOrigins: ['null'] }))).toBeNull();
+  });
+
+  test('getRuleDomains() should add the frame domain when it differs from the page', () => {
+    expect(getRuleDomains('news.example', 'www.youtube.com')).toEqual(['news.example', 'www.youtube.com']);
+    expect(getRuleDomains('news.example', 'news.example')).toEqual(['news.example']);
+    expect(getRuleDomains('news.example')).toEqual(['news.example']);
+    expect(getRuleDomains('news.example', '')).toEqual(['news.example']);
+  });
+
+  test('hostnameFromOrigin() should parse origins and URLs', () => {
+    expect(hostnameFromOrigin('https://news.example')).toBe('news.example');
+    expect(hostnameFromOrigin('https://news.example/path?q=1')).toBe('news.example');
+    expect(hostnameFromOrigin('null')).toBeNull();
+    expect(hostnameFromOrigin(undefined)).toBeNull();
+    expect(hostnameFromOrigin('not a url')).toBeNull();
+  });
+});
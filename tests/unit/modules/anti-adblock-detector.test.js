@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for AntiAdblockDetector
+ * Tests wall recognition, removal, scroll restoring and unblurring
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AntiAdblockDetector } from '@modules/anti-adblock-detector.js';
+
+/**
+ * Add an element to body; `fullscreen` makes it report a viewport-sized box
+ */
+const addElement = (html, { fullscreen = false } = {}) => {
+  document.body.insertAdjacentHTML('beforeend', html);
+  const element = document.body.lastElementChild;
+  if (fullscreen) {
+    element.getBoundingClientRect = () => ({ width: window.innerWidth, height: window.innerHeight });
+  }
+  return element;
+};
+
+describe('AntiAdblockDetector', () => {
+  let detector;
+  let onDetected;
+
+  beforeEach(() => {
+    document.documentElement.removeAttribute('style');
+    document.body.removeAttribute('style');
+    document.body.innerHTML = '<main id="content">Article</main>';
+    onDetected = vi.fn();
+    detector = new AntiAdblockDetector({ onDetected });
+  });
+
+  afterEach(() => {
+    detector.cleanup();
+    vi.useRealTimers();
+  });
+
+  test('should remove a full-screen wall and its backdrop and restore scrolling', () => {
+    document.body.style.overflow = 'hidden';
+    const backdrop = addElement(
+      '<div style="position: fixed; background-color: rgba(0, 0, 0, 0.6)"></div>',
+      { fullscreen: true }
+    );
+    const wall = addElement(
+      '<div style="position: fixed"><h2>Ad blocker detected</h2><p>Please disable your ad blocker to continue.</p></div>',
+      { fullscreen: true }
+    );
+
+    detector.activate();
+
+    expect(wall.isConnected).toBe(false);
+    expect(backdrop.isConnected).toBe(false);
+    expect(document.getElementById('content')).not.toBeNull();
+    expect(document.body.style.getPropertyValue('overflow')).toBe('auto');
+    expect(onDetected).toHaveBeenCalledWith({ removed: 2 });
+  });
+
+  test('should remove an opaque backdrop stacked directly behind the wall', () => {
+    const backdrop = addElement('<div style="position: fixed; background: #000; z-index: 9998"></div>', {
+      fullscreen: true
+    });
+    addElement('<div style="position: fixed; z-index: 9999">Please disable your ad blocker</div>', {
+      fullscreen: true
+    });
+
+    detector.activate();
+
+    expect(backdrop.isConnected).toBe(false);
+    expect(onDetected).toHaveBeenCalledWith({ removed: 2 });
+  });
+
+  test('should keep a fixed, text-less app root next to a wall', () => {
+    const appRoot = addElement('<div id="app" style="position: fixed; background: #fff; z-index: 1"></div>', {
+      fullscreen: true
+    });
+    addElement('<div style="position: fixed; z-index: 9999">Please disable your ad blocker</div>', {
+      fullscreen: true
+    });
+
+    detector.activate();
+
+    expect(appRoot.isConnected).toBe(true);
+    expect(onDetected).toHaveBeenCalledWith({ removed: 1 });
+  });
+
+  test('should recognise modal dialogs that do not cover the screen', () => {
+    const dialog = addElement(
+      '<div role="dialog" style="position: fixed">Bitte deaktiviere deinen Werbeblocker</div>'
+    );
+
+    detector.activate();
+
+    expect(dialog.isConnected).toBe(false);
+  });
+
+  test('should leave other overlays and long page content alone', () => {
+    const cookieBanner = addElement('<div style="position: fixed">We use cookies</div>', { fullscreen: true });
+    const appShell = addElement(
+      `<div style="position: fixed">${'News about adblock software. '.repeat(100)}</div>`,
+      { fullscreen: true }
+    );
+    const ownModal = addElement(
+      '<div id="originalui-external-link-modal-root" style="position: fixed">Ad blocker</div>',
+      { fullscreen: true }
+    );
+    document.body.style.overflow = 'hidden';
+
+    detector.activate();
+
+    expect(cookieBanner.isConnected).toBe(true);
+    expect(appShell.isConnected).toBe(true);
+    expect(ownModal.isConnected).toBe(true);
+    expect(document.body.style.overflow).toBe('hidden');
+    expect(onDetected).not.toHaveBeenCalled();
+  });
+
+  test('should keep undoing scroll lock and blur after a wall was found', () => {
+    vi.useFakeTimers();
+    addElement('<div style="position: fixed">Turn off your adblock</div>', { fullscreen: true });
+    detector.activate();
+
+    const content = document.getElementById('content');
+    content.style.filter = 'blur(5px)';
+    document.documentElement.style.overflow = 'hidden';
+    detector.scan();
+
+    expect(content.style.getPropertyValue('filter')).toBe('none');
+    expect(document.documentElement.style.getPropertyValue('overflow')).toBe('auto');
+    expect(onDetected).toHaveBeenCalledTimes(1);
+  });
+
+  test('should do nothing while inactive', () => {
+    const wall = addElement('<div style="position: fixed">Adblock detected</div>', { fullscreen: true });
+
+    expect(detector.scan()).toBe(0);
+    expect(wall.isConnected).toBe(true);
+  });
+});
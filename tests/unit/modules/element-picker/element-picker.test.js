@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for ElementPicker
+ * Tests selection, widen/narrow navigation, match preview and rule saving
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ElementPicker } from '@modules/element-picker/element-picker.js';
+import { safeStorageGet, safeStorageSet } from '@script-utils/chrome-api-safe.js';
+import { createShadowDOMWithStyles } from '@utils/shadow-dom.js';
+import { mountElementPickerPanel } from '@/components/element-picker-panel.jsx';
+
+vi.mock('@script-utils/chrome-api-safe.js', () => ({
+  safeStorageGet: vi.fn(),
+  safeStorageSet: vi.fn()
+}));
+
+vi.mock('@utils/shadow-dom.js', () => ({
+  createShadowDOMWithStyles: vi.fn(),
+  injectBaseShadowStyles: vi.fn(),
+  injectFontsIntoDocument: vi.fn()
+}));
+
+vi.mock('@/components/element-picker-panel.jsx', () => ({
+  mountElementPickerPanel: vi.fn()
+}));
+
+describe('ElementPicker', () => {
+  let picker;
+  let panel;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="content">
+        <section class="promo-box">
+          <a class="promo-link" href="#">Buy</a>
+        </section>
+        <section class="promo-box">
+          <a class="promo-link" href="#">Now</a>
+        </section>
+      </div>
+    `;
+
+    createShadowDOMWithStyles.mockImplementation(async () => {
+      const container = document.createElement('div');
+      const shadowRoot = container.attachShadow({ mode: 'open' });
+      const portalTarget = document.createElement('div');
+      shadowRoot.appendChild(portalTarget);
+      document.body.appendChild(container);
+      return { container, shadowRoot, portalTarget };
+    });
+
+    panel = { update: vi.fn(), unmount: vi.fn() };
+    mountElementPickerPanel.mockReturnValue(panel);
+    safeStorageGet.mockResolvedValue({ customRules: [] });
+    safeStorageSet.mockResolvedValue(undefined);
+
+    picker = new ElementPicker();
+  });
+
+  afterEach(() => {
+    picker.cleanup();
+  });
+
+  describe('start() / stop()', () => {
+    test('should mount the panel inside the shadow DOM setup', async () => {
+      const started = await picker.start('example.com');
+
+      expect(started).toBe(true);
+      expect(picker.isActive).toBe(true);
+      expect(mountElementPickerPanel).toHaveBeenCalledWith(
+        picker.shadowDOMSetup,
+        expect.objectContaining({ domain: 'example.com', selector: '' })
+      );
+      expect(picker.shadowDOMSetup.portalTarget.style.pointerEvents).toBe('none');
+    });
+
+    test('should not start twice', async () => {
+      await picker.start('example.com');
+      expect(await picker.start('example.com')).toBe(false);
+      expect(createShadowDOMWithStyles).toHaveBeenCalledTimes(1);
+    });
+
+    test('should remove UI and reset state on stop', async () => {
+      await picker.start('example.com');
+      const { container } = picker.shadowDOMSetup;
+      picker.select(document.querySelector('.promo-link'));
+
+      picker.stop();
+
+      expect(panel.unmount).toHaveBeenCalled();
+      expect(container.isConnected).toBe(false);
+      expect(picker.isActive).toBe(false);
+      expect(picker.selector).toBe('');
+    });
+
+    test('should return false when the shadow DOM cannot be created', async () => {
+      createShadowDOMWithStyles.mockRejectedValue(new Error('no shadow'));
+
+      expect(await picker.start('example.com')).toBe(false);
+      expect(picker.isActive).toBe(false);
+    });
+  });
+
+  describe('selection', () => {
+    beforeEach(async () => {
+      await picker.start('example.com');
+    });
+
+    test('should build a selector and preview every match on click', () => {
+      const link = document.querySelector('.promo-link');
+      link.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+
+      expect(picker.isLocked).toBe(true);
+      expect(picker.selectedElement).toBe(link);
+      expect(picker.getMatches()).toContain(link);
+      expect(panel.update).toHaveBeenLastCalledWith(
+        expect.objectContaining({ selector: picker.selector, matchCount: picker.matchCount })
+      );
+    });
+
+    test('should prevent the page from handling the picking click', () => {
+      const link = document.querySelector('.promo-link');
+      const pageHandler = vi.fn();
+      link.addEventListener('click', pageHandler);
+
+      const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+      link.dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(pageHandler).not.toHaveBeenCalled();
+    });
+
+    test('should widen to the parent and narrow back along the same path', () => {
+      const link = document.querySelectorAll('.promo-link')[1];
+      const section = link.parentElement;
+      picker.select(link);
+
+      expect(picker.widen()).toBe(true);
+      expect(picker.selectedElement).toBe(section);
+
+      expect(picker.narrow()).toBe(true);
+      expect(picker.selectedElement).toBe(link);
+    });
+
+    test('should not widen past body', () => {
+      picker.select(document.getElementById('content'));
+      expect(picker.widen()).toBe(false);
+      expect(picker.selectedElement).toBe(document.getElementById('content'));
+    });
+
+    test('should recount matches for a user-edited selector', () => {
+      picker.select(document.querySelector('.promo-link'));
+      picker.setSelector('.promo-box');
+
+      expect(picker.matchCount).toBe(2);
+    });
+
+    test('should exit on Escape', () => {
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+      expect(picker.isActive).toBe(false);
+    });
+  });
+
+  describe('save()', () => {
+    beforeEach(async () => {
+      await picker.start('example.com');
+    });
+
+    test('should append a domain-scoped custom rule', async () => {
+      safeStorageGet.mockResolvedValue({
+        customRules: [{ id: 'existing', selector: '.other', domains: ['*'] }]
+      });
+      picker.select(document.querySelector('.promo-link'));
+      picker.setSelector('.promo-link');
+
+      const rule = await picker.save('Promo links');
+
+      expect(rule).toEqual({
+        id: expect.stringMatching(/^custom-\d+$/),
+        selector: '.promo-link',
+        description: 'Promo links',
+        domains: ['example.com'],
+        category: 'custom',
+        confidence: 'user-defined',
+        enabled: true
+      });
+      expect(safeStorageSet).toHaveBeenCalledWith({
+        customRules: [expect.objectContaining({ id: 'existing' }), rule]
+      });
+      expect(picker.isActive).toBe(false);
+    });
+
+    test('should default the description to the domain', async () => {
+      picker.select(document.querySelector('.promo-link'));
+      const rule = await picker.save('');
+
+      expect(rule.description).toBe('Picked element on example.com');
+    });
+
+    test('should reject selectors that match nothing', async () => {
+      picker.setSelector('.does-not-exist');
+
+      expect(await picker.save()).toBeNull();
+      expect(safeStorageSet).not.toHaveBeenCalled();
+      expect(picker.error).toMatch(/does not match/);
+    });
+
+    test('should reject duplicates for the same domain', async () => {
+      safeStorageGet.mockResolvedValue({
+        customRules: [{ id: 'dup', selector: '.promo-link', domains: ['example.com'] }]
+      });
+      picker.setSelector('.promo-link');
+
+      expect(await picker.save()).toBeNull();
+      expect(safeStorageSet).not.toHaveBeenCalled();
+      expect(picker.isActive).toBe(true);
+    });
+  });
+});
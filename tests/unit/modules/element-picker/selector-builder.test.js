@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for SelectorBuilder
+ * Tests stable selector generation, uniqueness and match counting
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { SelectorBuilder } from '@modules/element-picker/selector-builder.js';
+
+describe('SelectorBuilder', () => {
+  let builder;
+
+  beforeEach(() => {
+    builder = new SelectorBuilder();
+    document.body.innerHTML = '';
+  });
+
+  describe('build()', () => {
+    test('should prefer a unique, stable id', () => {
+      document.body.innerHTML = '<div id="sidebar-ad"><span>Ad</span></div>';
+      const element = document.getElementById('sidebar-ad');
+
+      expect(builder.build(element)).toBe('#sidebar-ad');
+    });
+
+    test('should skip ids that look generated', () => {
+      document.body.innerHTML = '<div id="ad-1699999999" class="promo"></div>';
+      const element = document.querySelector('.promo');
+
+      const selector = builder.build(element);
+      expect(selector).not.toContain('1699999999');
+      expect(document.querySelectorAll(selector)).toHaveLength(1);
+    });
+
+    test('should use stable classes and drop hashed ones', () => {
+      document.body.innerHTML = '<div class="banner css-1x2y3z header_a8f3k"></div>';
+      const element = document.querySelector('.banner');
+
+      expect(builder.build(element)).toBe('div.banner');
+    });
+
+    test('should anchor to an ancestor id when the element is not unique', () => {
+      document.body.innerHTML = `
+        <div id="main"><p class="note">A</p></div>
+        <div id="aside"><p class="note">B</p></div>
+      `;
+      const element = document.querySelector('#aside .note');
+
+      const selector = builder.build(element);
+      expect(selector).toBe('#aside > p.note');
+      expect(document.querySelector(selector)).toBe(element);
+    });
+
+    test('should add :nth-of-type for indistinguishable siblings', () => {
+      document.body.innerHTML = '<ul id="list"><li>one</li><li>two</li><li>three</li></ul>';
+      const element = document.querySelectorAll('#list li')[1];
+
+      const selector = builder.build(element);
+      expect(selector).toContain('li:nth-of-type(2)');
+      expect(document.querySelector(selector)).toBe(element);
+    });
+
+    test('should ignore extension-owned classes', () => {
+      document.body.innerHTML = '<div class="originalui-highlight ad-slot"></div>';
+      const element = document.querySelector('.ad-slot');
+
+      expect(builder.build(element)).toBe('div.ad-slot');
+    });
+
+    test('should return empty string for non-elements', () => {
+      expect(builder.build(null)).toBe('');
+      expect(builder.build(document.createTextNode('x'))).toBe('');
+    });
+  });
+
+  describe('countMatches()', () => {
+    test('should count matching elements', () => {
+      document.body.innerHTML = '<i class="x"></i><i class="x"></i>';
+      expect(builder.countMatches('.x')).toBe(2);
+    });
+
+    test('should return 0 for invalid selectors instead of throwing', () => {
+      expect(builder.countMatches('div[')).toBe(0);
+      expect(builder.countMatches('')).toBe(0);
+    });
+  });
+
+  describe('isStableToken()', () => {
+    test.each([
+      ['ad-banner', true],
+      ['sponsored', true],
+      ['col-md-6', true],
+      ['item-12345', false],
+      ['sc-bdVaJa', false],
+      ['header_a8f3k', false],
+    ])('%s → %s', (token, expected) => {
+      expect(builder.isStableToken(token)).toBe(expected);
+    });
+  });
+});
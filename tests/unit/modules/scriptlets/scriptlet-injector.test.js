@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for ScriptletInjector
+ * Tests scriptlet collection from custom rules and cached subscription filters
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('@script-utils/chrome-api-safe.js', () => ({
+  isExtensionContextValid: vi.fn(() => true),
+  safeStorageGet: vi.fn()
+}));
+
+import { safeStorageGet } from '@script-utils/chrome-api-safe.js';
+import { ScriptletInjector } from '@modules/scriptlets/scriptlet-injector.js';
+import { parseScriptletLines } from '@modules/scriptlets/scriptlet-parser.js';
+import { getSubscriptionContentKey } from '@modules/subscriptions/subscription-manager.js';
+
+const LIST_LINES = ['example.com##+js(set-constant, ads, false)'];
+
+describe('ScriptletInjector', () => {
+  let injector;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    safeStorageGet.mockResolvedValue({});
+    injector = new ScriptletInjector();
+  });
+
+  describe('collect()', () => {
+    test('should use cached subscription scriptlets without reading the lists', async () => {
+      const scriptlets = await injector.collect('www.example.com', {
+        subscriptions: [{ id: 'sub-1', enabled: true }, { id: 'sub-2', enabled: false }],
+        subscriptionScriptlets: {
+          'sub-1': parseScriptletLines(LIST_LINES),
+          'sub-2': parseScriptletLines(['example.com##+js(aopr, detectAdBlock)'])
+        }
+      });
+
+      expect(scriptlets).toEqual([{ name: 'set-constant', args: ['ads', 'false'] }]);
+      expect(safeStorageGet).not.toHaveBeenCalled();
+    });
+
+    test('should read lists that are not cached yet', async () => {
+      const key = getSubscriptionContentKey('sub-1');
+      safeStorageGet.mockResolvedValue({ [key]: { lines: LIST_LINES } });
+
+      const scriptlets = await injector.collect('www.example.com', {
+        subscriptions: [{ id: 'sub-1', enabled: true }]
+      });
+
+      expect(safeStorageGet).toHaveBeenCalledWith([key]);
+      expect(scriptlets).toHaveLength(1);
+    });
+
+    test('should include custom rule scriptlets', async () => {
+      const scriptlets = await injector.collect('www.example.com', {
+        customRules: [{ selector: '+js(aopr, detectAdBlock)', domains: ['example.com'] }]
+      });
+
+      expect(scriptlets).toEqual([{ name: 'abort-on-property-read', args: ['detectAdBlock'] }]);
+    });
+  });
+
+  describe('injectForPage()', () => {
+    test('should add the scriptlets script once per page', async () => {
+      const sources = {
+        subscriptions: [{ id: 'sub-1' }],
+        subscriptionScriptlets: { 'sub-1': parseScriptletLines(LIST_LINES) }
+      };
+
+      expect(await injector.injectForPage('example.com', sources)).toBe(1);
+      expect(await injector.injectForPage('example.com', sources)).toBe(0);
+
+      const scripts = document.querySelectorAll('script[data-scriptlets]');
+      expect(scripts).toHaveLength(1);
+      expect(JSON.parse(scripts[0].dataset.scriptlets)).toEqual([{ name: 'set-constant', args: ['ads', 'false'] }]);
+    });
+  });
+});
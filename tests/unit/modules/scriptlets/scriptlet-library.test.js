@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for scriptlet-library
+ * Tests each scriptlet against a stand-in page window
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { pruneJson, runScriptlets, toPattern } from '@modules/scriptlets/scriptlet-library.js';
+
+/**
+ * Stand-in page window with its own globals
+ */
+const createWindow = (extra = {}) => ({
+  ReferenceError,
+  JSON: { parse: JSON.parse },
+  Response,
+  Request,
+  setTimeout: vi.fn(() => 1),
+  fetch: vi.fn(async () => new Response('{"real":true}')),
+  ...extra
+});
+
+describe('scriptlet-library', () => {
+  test('toPattern() should read /regex/ arguments and escape plain text', () => {
+    expect(toPattern('/ad[sv]/i').test('ADV')).toBe(true);
+    expect(toPattern('a.b').test('axb')).toBe(false);
+    expect(toPattern('').test('anything')).toBe(true);
+  });
+
+  describe('abort-on-property-read', () => {
+    test('should throw when the property is read, including nested chains set later', () => {
+      const win = createWindow();
+      runScriptlets([
+        { name: 'abort-on-property-read', args: ['detectAdBlock'] },
+        { name: 'abort-on-property-read', args: ['ads.check'] }
+      ], win);
+
+      expect(() => win.detectAdBlock).toThrow(ReferenceError);
+      win.ads = { check: () => true, other: 1 };
+      expect(() => win.ads.check).toThrow('ads.check is not defined');
+      expect(win.ads.other).toBe(1);
+    });
+  });
+
+  describe('set-constant', () => {
+    test('should pin values and ignore assignments', () => {
+      const win = createWindow({ config: { adsEnabled: true } });
+      const applied = runScriptlets([
+        { name: 'set-constant', args: ['config.adsEnabled', 'false'] },
+        { name: 'set-constant', args: ['canRunAds', 'trueFunc'] },
+        { name: 'set-constant', args: ['limit', '5'] },
+        { name: 'set-constant', args: ['bad', 'not-a-constant'] }
+      ], win);
+
+      win.config.adsEnabled = true;
+      expect(applied).toBe(3);
+      expect(win.config.adsEnabled).toBe(false);
+      expect(win.canRunAds()).toBe(true);
+      expect(win.limit).toBe(5);
+      expect('bad' in win).toBe(false);
+    });
+  });
+
+  describe('prevent-setTimeout', () => {
+    test('should defuse matching callbacks only', () => {
+      const win = createWindow();
+      const original = win.setTimeout;
+      runScriptlets([{ name: 'prevent-setTimeout', args: ['adblock', '3000'] }], win);
+
+      const blocked = () => 'show adblock wall';
+      const allowed = () => 'load comments';
+      win.setTimeout(blocked, 3000);
+      win.setTimeout(blocked, 10);
+      win.setTimeout(allowed, 3000);
+
+      const callbacks = original.mock.calls.map(([callback]) => callback);
+      expect(callbacks[0]).not.toBe(blocked);
+      expect(callbacks[1]).toBe(blocked);
+      expect(callbacks[2]).toBe(allowed);
+    });
+  });
+
+  describe('json-prune', () => {
+    test('should remove properties when required ones exist', () => {
+      expect(pruneJson({ ads: [{ renderer: 1, id: 'a' }], video: 1 }, [['ads', '[]', 'renderer']], [['video']]))
+        .toEqual({ ads: [{ id: 'a' }], video: 1 });
+      expect(pruneJson({ ads: 1 }, [['ads']], [['video']])).toEqual({ ads: 1 });
+    });
+
+    test('should prune JSON.parse() and Response.json() results', async () => {
+      const win = createWindow();
+      runScriptlets([{ name: 'json-prune', args: ['playerAds adSlots'] }], win);
+
+      expect(win.JSON.parse('{"playerAds":[1],"title":"x"}')).toEqual({ title: 'x' });
+      await expect(new Response('{"adSlots":2,"ok":true}').json()).resolves.toEqual({ ok: true });
+    });
+  });
+
+  describe('no-fetch-if', () => {
+    test('should answer matching requests without sending them', async () => {
+      const win = createWindow();
+      const original = win.fetch;
+      runScriptlets([{ name: 'no-fetch-if', args: ['ads.example method:POST'] }], win);
+
+      const blocked = await win.fetch('https://ads.example/track', { method: 'post' });
+      await win.fetch('https://ads.example/track');
+      await win.fetch('https://api.example/data', { method: 'POST' });
+
+      expect(await blocked.text()).toBe('');
+      expect(original.mock.calls.map(([url]) => url)).toEqual([
+        'https://ads.example/track',
+        'https://api.example/data'
+      ]);
+    });
+  });
+
+  describe('remove-attr', () => {
+    test('should remove attributes now and, with "stay", from later elements', async () => {
+      document.body.innerHTML = '<a id="a" onclick="popup()" href="#">x</a>';
+      runScriptlets([{ name: 'remove-attr', args: ['onclick', '', 'stay'] }], window);
+
+      expect(document.getElementById('a').hasAttribute('onclick')).toBe(false);
+
+      document.body.insertAdjacentHTML('beforeend', '<div id="b" onclick="popup()"></div>');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(document.getElementById('b').hasAttribute('onclick')).toBe(false);
+    });
+  });
+
+  test('should keep running after a scriptlet fails', () => {
+    const win = createWindow();
+    Object.defineProperty(win, 'locked', { value: 1, configurable: false });
+
+    const applied = runScriptlets([
+      { name: 'set-constant', args: ['locked', '0'] },
+      { name: 'unknown', args: [] },
+      { name: 'set-constant', args: ['open', 'true'] }
+    ], win);
+
+    expect(applied).toBe(1);
+    expect(win.open).toBe(true);
+  });
+});
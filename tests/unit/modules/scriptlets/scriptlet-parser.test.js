@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for scriptlet-parser
+ * Tests `##+js(...)` filter parsing, name aliases and per-page selection
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  fromCustomRule,
+  isScriptletSelector,
+  parseScriptletArgs,
+  parseScriptletFilter,
+  parseScriptletLines,
+  selectScriptlets
+} from '@modules/scriptlets/scriptlet-parser.js';
+
+describe('scriptlet-parser', () => {
+  describe('parseScriptletArgs()', () => {
+    test('should split on commas and trim arguments', () => {
+      expect(parseScriptletArgs('set-constant, ads.enabled ,false')).toEqual(['set-constant', 'ads.enabled', 'false']);
+    });
+
+    test('should keep escaped commas and quoted arguments together', () => {
+      expect(parseScriptletArgs('nostif, a\\,b, 100')).toEqual(['nostif', 'a,b', '100']);
+      expect(parseScriptletArgs("no-fetch-if, 'url:ads method:POST', x")).toEqual(['no-fetch-if', 'url:ads method:POST', 'x']);
+    });
+
+    test('should return no arguments for an empty body', () => {
+      expect(parseScriptletArgs('')).toEqual([]);
+    });
+  });
+
+  describe('parseScriptletFilter()', () => {
+    test('should parse domains, name and arguments', () => {
+      expect(parseScriptletFilter('example.com,~shop.example.com##+js(set-constant, ads, false)')).toEqual({
+        name: 'set-constant',
+        args: ['ads', 'false'],
+        domains: ['example.com'],
+        excludedDomains: ['shop.example.com'],
+        isException: false
+      });
+    });
+
+    test('should map uBO aliases and .js names to library names', () => {
+      expect(parseScriptletFilter('example.com##+js(aopr, detectAdBlock)').name).toBe('abort-on-property-read');
+      expect(parseScriptletFilter('example.com##+js(nostif.js, adblock)').name).toBe('prevent-setTimeout');
+      expect(parseScriptletFilter('example.com##+js(prevent-fetch, ads)').name).toBe('no-fetch-if');
+    });
+
+    test('should skip unknown scriptlets, CSS filters and empty +js()', () => {
+      expect(parseScriptletFilter('example.com##+js(trusted-click-element, .x)')).toBeNull();
+      expect(parseScriptletFilter('example.com##.ad')).toBeNull();
+      expect(parseScriptletFilter('example.com##+js()')).toBeNull();
+    });
+
+    test('should accept an empty +js() exception', () => {
+      expect(parseScriptletFilter('example.com#@#+js()')).toMatchObject({ name: null, args: [], isException: true });
+    });
+  });
+
+  describe('parseScriptletLines()', () => {
+    test('should only keep scriptlet filters', () => {
+      const filters = parseScriptletLines([
+        '! Comment',
+        '||ads.example^',
+        '##.ad',
+        'example.com##+js(ra, onclick)'
+      ]);
+
+      expect(filters).toEqual([
+        { name: 'remove-attr', args: ['onclick'], domains: ['example.com'], excludedDomains: [], isException: false }
+      ]);
+    });
+  });
+
+  describe('fromCustomRule()', () => {
+    test('should read +js() custom rules and ignore others', () => {
+      expect(isScriptletSelector('+js(aopr, x)')).toBe(true);
+      expect(fromCustomRule({ selector: '+js(aopr, x)', domains: ['a.example'], enabled: true })).toEqual({
+        name: 'abort-on-property-read',
+        args: ['x'],
+        domains: ['a.example'],
+        excludedDomains: [],
+        isException: false
+      });
+      expect(fromCustomRule({ selector: '+js(aopr, x)', enabled: false })).toBeNull();
+      expect(fromCustomRule({ selector: '.ad', enabled: true })).toBeNull();
+    });
+  });
+
+  describe('selectScriptlets()', () => {
+    const filters = parseScriptletLines([
+      'example.com##+js(set-constant, ads, false)',
+      'example.com##+js(set-constant, ads, false)',
+      'example.com##+js(aopr, detectAdBlock)',
+      '~shop.example.com##+js(nostif, adblock)',
+      'other.example##+js(aopr, other)',
+      'news.example.com#@#+js(aopr, detectAdBlock)',
+      'shop.example.com#@#+js()'
+    ]);
+
+    test('should pick scriptlets for the hostname once each', () => {
+      expect(selectScriptlets(filters, 'www.example.com')).toEqual([
+        { name: 'set-constant', args: ['ads', 'false'] },
+        { name: 'abort-on-property-read', args: ['detectAdBlock'] },
+        { name: 'prevent-setTimeout', args: ['adblock'] }
+      ]);
+    });
+
+    test('should apply exceptions for one scriptlet or all of them', () => {
+      expect(selectScriptlets(filters, 'news.example.com').map(({ name }) => name))
+        .toEqual(['set-constant', 'prevent-setTimeout']);
+      expect(selectScriptlets(filters, 'shop.example.com')).toEqual([]);
+    });
+
+    test('should pick scriptlets for every given hostname', () => {
+      expect(selectScriptlets(filters, ['other.example', 'www.example.com']).map(({ args }) => args[0]))
+        .toEqual(['ads', 'detectAdBlock', 'adblock', 'other']);
+    });
+  });
+});
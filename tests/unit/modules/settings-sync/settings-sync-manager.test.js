@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for SettingsSyncManager
+ * Tests syncing settings between chrome.storage.local and chrome.storage.sync
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('@script-utils/chrome-api-safe.js', () => ({
+  safeStorageGet: vi.fn(),
+  safeStorageSet: vi.fn()
+}));
+
+import { safeStorageGet, safeStorageSet } from '@script-utils/chrome-api-safe.js';
+import { SettingsSyncManager } from '@modules/settings-sync/settings-sync-manager.js';
+import {
+  SYNC_ERROR_TYPES,
+  SYNC_STATUS,
+  decodeSyncItems,
+  encodeSyncItems
+} from '@utils/settings-sync.js';
+
+const rule = (id, selector) => ({ id, selector, domains: ['*'], enabled: true });
+
+/**
+ * In-memory storage area
+ */
+const createArea = (data) => ({
+  get: vi.fn(async (keys) =>
+    keys === null
+      ? { ...data }
+      : Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))
+  ),
+  set: vi.fn(async (items) => {
+    Object.assign(data, items);
+  }),
+  remove: vi.fn(async (keys) => {
+    [].concat(keys).forEach(key => delete data[key]);
+  })
+});
+
+describe('SettingsSyncManager', () => {
+  let local;
+  let remote;
+  let manager;
+
+  beforeEach(() => {
+    local = { settingsSyncEnabled: true };
+    remote = {};
+
+    const localArea = createArea(local);
+    safeStorageGet.mockImplementation(localArea.get);
+    safeStorageSet.mockImplementation(localArea.set);
+    chrome.storage.local.remove.mockImplementation(localArea.remove);
+    chrome.storage.sync = createArea(remote);
+
+    manager = new SettingsSyncManager();
+  });
+
+  test('should do nothing while sync is off', async () => {
+    local.settingsSyncEnabled = false;
+
+    expect(await manager.sync()).toBeNull();
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('should push local settings and record the status', async () => {
+    Object.assign(local, { whitelist: ['a.example'], customRules: [rule('r1', '.ad')], isActive: true });
+
+    const status = await manager.sync();
+
+    expect(status).toEqual({ state: SYNC_STATUS.OK, lastSyncedAt: expect.any(Number) });
+    expect(local.settingsSyncStatus).toEqual(status);
+    expect(decodeSyncItems(remote).whitelist).toHaveProperty('a.example');
+    expect(decodeSyncItems(remote).customRules.r1.value).toEqual(rule('r1', '.ad'));
+  });
+
+  test('should take synced values when joining and keep local-only entries', async () => {
+    Object.assign(remote, encodeSyncItems({
+      toggles: { isActive: { value: false, updatedAt: 1000 } },
+      whitelist: { 'remote.example': { value: 'remote.example', updatedAt: 1000 } }
+    }));
+    Object.assign(local, { isActive: true, whitelist: ['local.example'] });
+
+    await manager.sync();
+
+    expect(local.isActive).toBe(false);
+    expect(local.whitelist).toEqual(['local.example', 'remote.example']);
+    expect(Object.keys(decodeSyncItems(remote).whitelist)).toEqual(['local.example', 'remote.example']);
+  });
+
+  test('should propagate local deletions after the first sync', async () => {
+    Object.assign(local, { whitelist: ['a.example', 'b.example'] });
+    await manager.sync();
+
+    local.whitelist = ['a.example'];
+    await manager.sync();
+
+    expect(decodeSyncItems(remote).whitelist['b.example']).toEqual({ deleted: true, updatedAt: expect.any(Number) });
+    expect(local.whitelist).toEqual(['a.example']);
+  });
+
+  test('should not write again when nothing changed', async () => {
+    Object.assign(local, { whitelist: ['a.example'] });
+    await manager.sync();
+    chrome.storage.sync.set.mockClear();
+
+    await manager.sync();
+
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('should report quota errors without losing local edits', async () => {
+    Object.assign(local, { whitelist: ['a.example'] });
+    chrome.storage.sync.set.mockRejectedValueOnce(new Error('QUOTA_BYTES quota exceeded'));
+
+    const status = await manager.sync();
+
+    expect(status).toMatchObject({ state: SYNC_STATUS.ERROR, errorType: SYNC_ERROR_TYPES.QUOTA });
+    expect(local.settingsSyncStatus).toEqual(status);
+    expect(local.whitelist).toEqual(['a.example']);
+
+    // Retried on the next sync
+    expect((await manager.sync()).state).toBe(SYNC_STATUS.OK);
+    expect(decodeSyncItems(remote).whitelist).toHaveProperty('a.example');
+  });
+
+  test('should refuse to write settings that cannot fit the sync quota', async () => {
+    remote.networkBlockPatterns = ['x'.repeat(8000)];
+    local.customRules = Array.from({ length: 600 }, (_, i) => rule(`custom-${i}`, `.ad-${i}-${'y'.repeat(100)}`));
+
+    const status = await manager.sync();
+
+    expect(status.errorType).toBe(SYNC_ERROR_TYPES.QUOTA);
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('should only react to synced keys', () => {
+    expect(manager.isRelevantChange({ whitelist: {} }, 'local')).toBe(true);
+    expect(manager.isRelevantChange({ domainStats: {} }, 'local')).toBe(false);
+    expect(manager.isRelevantChange({ 'settingsSync:whitelist': {} }, 'sync')).toBe(true);
+    expect(manager.isRelevantChange({ networkBlockPatterns: {} }, 'sync')).toBe(false);
+  });
+
+  test('should keep the synced copy when turned off', async () => {
+    Object.assign(local, { whitelist: ['a.example'] });
+    await manager.sync();
+
+    expect(await manager.setEnabled(false)).toBeNull();
+
+    expect(local.settingsSyncEnabled).toBe(false);
+    expect(local).not.toHaveProperty('settingsSyncStatus');
+    expect(decodeSyncItems(remote).whitelist).toHaveProperty('a.example');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for list-metadata
+ * Tests filter list header parsing and rule classification
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  countListRules,
+  parseExpires,
+  parseListHeader
+} from '@modules/subscriptions/list-metadata.js';
+
+const SAMPLE_LIST = [
+  '[Adblock Plus 2.0]',
+  '! Version: 202410181234',
+  '! Title: EasyPrivacy',
+  '! Last modified: 18 Oct 2024 12:34 UTC',
+  '! Expires: 4 days (update frequency)',
+  '! Homepage: https://easylist.to/',
+  '||tracker.example^$third-party',
+  '@@||cdn.example^$script',
+  '##.cookie-banner',
+  'example.com##.promo',
+  'example.com#@#.promo',
+  'example.com##div:has-text(Sponsored)',
+  'example.com#?#div:-abp-contains(Ad)',
+  'example.com##+js(set-constant, ads, false)'
+];
+
+describe('list-metadata', () => {
+  describe('parseListHeader()', () => {
+    test('should read title, version, last modified, homepage and expiry', () => {
+      expect(parseListHeader(SAMPLE_LIST)).toEqual({
+        title: 'EasyPrivacy',
+        version: '202410181234',
+        lastModified: '18 Oct 2024 12:34 UTC',
+        homepage: 'https://easylist.to/',
+        expiresMinutes: 4 * 24 * 60
+      });
+    });
+
+    test('should return nulls for a list without header', () => {
+      expect(parseListHeader(['||ads.example^'])).toEqual({
+        title: null,
+        version: null,
+        lastModified: null,
+        homepage: null,
+        expiresMinutes: null
+      });
+    });
+
+    test('should ignore header-like comments far down the list', () => {
+      const lines = [...Array(60).fill('||ads.example^'), '! Title: Late'];
+
+      expect(parseListHeader(lines).title).toBeNull();
+    });
+  });
+
+  describe('parseExpires()', () => {
+    test.each([
+      ['4 days (update frequency)', 5760],
+      ['12 hours', 720],
+      ['1 day', 1440],
+      ['30 minutes', null],
+      ['', null]
+    ])('should parse "%s"', (value, expected) => {
+      expect(parseExpires(value)).toBe(expected);
+    });
+
+    test('should clamp to between one hour and two weeks', () => {
+      expect(parseExpires('0 hours')).toBe(60);
+      expect(parseExpires('90 days')).toBe(14 * 24 * 60);
+    });
+  });
+
+  describe('countListRules()', () => {
+    test('should classify rules by kind', () => {
+      expect(countListRules(SAMPLE_LIST)).toEqual({
+        cosmetic: 2,
+        procedural: 2,
+        scriptlets: 1,
+        exceptions: 1,
+        network: 2
+      });
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Unit Tests for SubscriptionManager
+ * Tests adding, refreshing, toggling and removing filter list subscriptions
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('@script-utils/chrome-api-safe.js', () => ({
+  safeStorageGet: vi.fn(),
+  safeStorageSet: vi.fn()
+}));
+
+import { safeStorageGet, safeStorageSet } from '@script-utils/chrome-api-safe.js';
+import {
+  SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY,
+  SubscriptionManager,
+  getStaleSubscriptionRuleIds,
+  getSubscriptionContentKey,
+  getSubscriptionIdRange
+} from '@modules/subscriptions/subscription-manager.js';
+
+const LIST_TEXT = [
+  '[Adblock Plus 2.0]',
+  '! Title: Test List',
+  '! Version: 42',
+  '! Expires: 1 day',
+  '||ads.example^',
+  '##.banner'
+].join('\n');
+
+/**
+ * Respond to fetch with a list body
+ */
+function mockFetchText(text, ok = true) {
+  global.fetch = vi.fn().mockResolvedValue({
+    ok,
+    status: ok ? 200 : 404,
+    statusText: ok ? 'OK' : 'Not Found',
+    text: () => Promise.resolve(text)
+  });
+}
+
+describe('SubscriptionManager', () => {
+  let store;
+  let manager;
+
+  beforeEach(() => {
+    store = {};
+    safeStorageGet.mockImplementation(async (keys) =>
+      Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]))
+    );
+    safeStorageSet.mockImplementation(async (items) => {
+      Object.assign(store, items);
+    });
+    chrome.storage.local.remove.mockImplementation(async (key) => {
+      delete store[key];
+    });
+
+    mockFetchText(LIST_TEXT);
+    manager = new SubscriptionManager({ maxSubscriptions: 2 });
+  });
+
+  describe('addSubscription()', () => {
+    test('should download the list and store metadata and content', async () => {
+      const subscription = await manager.addSubscription('https://lists.example/test.txt');
+
+      expect(subscription).toMatchObject({
+        url: 'https://lists.example/test.txt',
+        slot: 0,
+        enabled: true,
+        title: 'Test List',
+        version: '42',
+        expiresMinutes: 1440,
+        ruleCounts: { cosmetic: 1, procedural: 0, exceptions: 0, network: 1 },
+        lastError: null
+      });
+      expect(store.filterSubscriptions).toEqual([subscription]);
+      expect(store[getSubscriptionContentKey(subscription.id)].lines).toHaveLength(6);
+    });
+
+    test('should cache the scriptlet filters of the list', async () => {
+      mockFetchText(`${LIST_TEXT}\nexample.com##+js(set-constant, ads, false)`);
+
+      const subscription = await manager.addSubscription('https://lists.example/test.txt');
+
+      expect(store[SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY]).toEqual({
+        [subscription.id]: [expect.objectContaining({ name: 'set-constant', args: ['ads', 'false'] })]
+      });
+    });
+
+    test('should fall back to the file name when the list has no title', async () => {
+      mockFetchText('||ads.example^');
+
+      const subscription = await manager.addSubscription('https://lists.example/regional.txt');
+
+      expect(subscription.title).toBe('regional.txt');
+    });
+
+    test('should reject invalid and non-http URLs', async () => {
+      await expect(manager.addSubscription('not a url')).rejects.toThrow('Invalid list URL');
+      await expect(manager.addSubscription('ftp://lists.example/a.txt')).rejects.toThrow('http or https');
+    });
+
+    test('should reject duplicate subscriptions', async () => {
+      await manager.addSubscription('https://lists.example/test.txt');
+
+      await expect(manager.addSubscription('https://lists.example/test.txt')).rejects.toThrow(
+        'Already subscribed'
+      );
+    });
+
+    test('should enforce the subscription limit', async () => {
+      await manager.addSubscription('https://lists.example/a.txt');
+      await manager.addSubscription('https://lists.example/b.txt');
+
+      await expect(manager.addSubscription('https://lists.example/c.txt')).rejects.toThrow(
+        'limit reached'
+      );
+    });
+
+    test('should reuse the slot of a removed subscription', async () => {
+      const first = await manager.addSubscription('https://lists.example/a.txt');
+      await manager.addSubscription('https://lists.example/b.txt');
+      await manager.removeSubscription(first.id);
+
+      const third = await manager.addSubscription('https://lists.example/c.txt');
+
+      expect(third.slot).toBe(0);
+    });
+
+    test('should not subscribe when the download fails or returns HTML', async () => {
+      mockFetchText('', false);
+      await expect(manager.addSubscription('https://lists.example/a.txt')).rejects.toThrow('404');
+
+      mockFetchText('<!DOCTYPE html><html></html>');
+      await expect(manager.addSubscription('https://lists.example/a.txt')).rejects.toThrow(
+        'did not return a filter list'
+      );
+
+      expect(store.filterSubscriptions).toBeUndefined();
+    });
+  });
+
+  describe('removeSubscription()', () => {
+    test('should delete metadata and stored content', async () => {
+      const subscription = await manager.addSubscription('https://lists.example/test.txt');
+
+      expect(await manager.removeSubscription(subscription.id)).toBe(true);
+      expect(store.filterSubscriptions).toEqual([]);
+      expect(store[getSubscriptionContentKey(subscription.id)]).toBeUndefined();
+      expect(store[SUBSCRIPTION_SCRIPTLETS_STORAGE_KEY]).toEqual({});
+    });
+
+    test('should return false for unknown IDs', async () => {
+      expect(await manager.removeSubscription('sub-missing')).toBe(false);
+    });
+  });
+
+  describe('setEnabled()', () => {
+    test('should toggle the enabled flag', async () => {
+      const subscription = await manager.addSubscription('https://lists.example/test.txt');
+
+      const updated = await manager.setEnabled(subscription.id, false);
+
+      expect(updated.enabled).toBe(false);
+      expect(store.filterSubscriptions[0].enabled).toBe(false);
+    });
+  });
+
+  describe('refreshSubscription()', () => {
+    test('should update metadata from the new download', async () => {
+      const subscription = await manager.addSubscription('https://lists.example/test.txt');
+      mockFetchText(LIST_TEXT.replace('! Version: 42', '! Version: 43'));
+
+      const updated = await manager.refreshSubscription(subscription.id);
+
+      expect(updated.version).toBe('43');
+    });
+
+    test('should keep old content and record the error on failure', async () => {
+      const subscription = await manager.addSubscription('https://lists.example/test.txt');
+      const contentKey = getSubscriptionContentKey(subscription.id);
+      const previousContent = store[contentKey];
+      mockFetchText('', false);
+
+      const updated = await manager.refreshSubscription(subscription.id);
+
+      expect(updated.lastError).toContain('404');
+      expect(updated.version).toBe('42');
+      expect(store[contentKey]).toBe(previousContent);
+    });
+  });
+
+  describe('refreshDue()', () => {
+    test('should only refresh enabled subscriptions past their expiry', async () => {
+      const due = await manager.addSubscription('https://lists.example/a.txt');
+      const disabled = await manager.addSubscription('https://lists.example/b.txt');
+      await manager.setEnabled(disabled.id, false);
+      global.fetch.mockClear();
+
+      const refreshed = await manager.refreshDue(due.lastUpdated + 24 * 60 * 60 * 1000);
+
+      expect(refreshed.map(sub => sub.id)).toEqual([due.id]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip subscriptions that are not due yet', async () => {
+      const subscription = await manager.addSubscription('https://lists.example/a.txt');
+
+      expect(await manager.refreshDue(subscription.lastUpdated + 60 * 1000)).toEqual([]);
+    });
+  });
+
+  describe('getSubscriptionIdRange()', () => {
+    test('should give each slot its own network rule ID block', () => {
+      expect(getSubscriptionIdRange(0)).toEqual({ start: 20000, end: 22499 });
+      expect(getSubscriptionIdRange(9)).toEqual({ start: 42500, end: 44999 });
+    });
+  });
+
+  describe('getStaleSubscriptionRuleIds()', () => {
+    test('should pick only installed rules of unused slots', () => {
+      const installed = [1, 10000, 20000, 22499, 22500, 42500, 60000];
+
+      expect(getStaleSubscriptionRuleIds(installed, [0])).toEqual([22500, 42500]);
+      expect(getStaleSubscriptionRuleIds(installed, [0, 1, 9])).toEqual([]);
+    });
+  });
+});
@@ -43,6 +43,10 @@ describe('EasyListSource', () => {
       expect(source.updateType).toBe('dynamic');
     });
 
+    test('should declare ABP format', () => {
+      expect(source.getFormat()).toBe('abp');
+    });
+
     test('should accept custom updateType', () => {
       const staticSource = new EasyListSource(
         'Static Test',
@@ -88,6 +92,42 @@ describe('EasyListSource', () => {
       await expect(source.fetchRules()).rejects.toThrow('Network error');
     });
 
+    test('should reuse the stored copy within the update interval', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        networkListCache_1000: { content: '||cached.com^', fetchedAt: Date.now() - 60 * 1000 }
+      });
+
+      const result = await source.fetchRules();
+
+      expect(result).toBe('||cached.com^');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should store downloaded content', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        text: vi.fn().mockResolvedValue('||example.com^')
+      });
+
+      await source.fetchRules();
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        networkListCache_1000: { content: '||example.com^', fetchedAt: expect.any(Number) }
+      });
+    });
+
+    test('should fall back to an expired stored copy when the download fails', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        networkListCache_1000: { content: '||stale.com^', fetchedAt: 0 }
+      });
+      fetch.mockRejectedValue(new Error('Network error'));
+
+      const result = await source.fetchRules();
+
+      expect(fetch).toHaveBeenCalled();
+      expect(result).toBe('||stale.com^');
+    });
+
     test('should return large EasyList content', async () => {
       const largeContent = Array(10000)
         .fill('||ad-domain.com^')
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for AbpNetworkConverter
+ * Tests runtime conversion of ABP network filters to DNR format
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { AbpNetworkConverter } from '@modules/network-blocking/core/abp-network-converter.js';
+
+describe('AbpNetworkConverter', () => {
+  let converter;
+  const mockIdRange = { start: 10000, end: 10002 };
+
+  beforeEach(() => {
+    converter = new AbpNetworkConverter();
+  });
+
+  describe('convertFilter()', () => {
+    test('should convert a domain anchor filter', () => {
+      expect(converter.convertFilter('||ads.example.com^', 1)).toEqual({
+        id: 1,
+        priority: 1,
+        action: { type: 'block' },
+        condition: { urlFilter: '||ads.example.com^' }
+      });
+    });
+
+    test('should keep plain and start-anchored patterns', () => {
+      expect(converter.convertFilter('/banner/ads.', 1).condition.urlFilter).toBe('/banner/ads.');
+      expect(converter.convertFilter('|https://cdn.example/ad.js', 1).condition.urlFilter).toBe(
+        '|https://cdn.example/ad.js'
+      );
+    });
+
+    test('should trim redundant leading and trailing wildcards', () => {
+      expect(converter.convertFilter('*/adserver/*', 1).condition.urlFilter).toBe('/adserver/');
+    });
+
+    test('should lowercase the host of domain anchors', () => {
+      expect(converter.convertFilter('||Ads.Example.COM/Path', 1).condition.urlFilter).toBe(
+        '||ads.example.com/Path'
+      );
+    });
+
+    test('should map $third-party and its aliases to domainType', () => {
+      expect(converter.convertFilter('||t.example^$third-party', 1).condition.domainType).toBe('thirdParty');
+      expect(converter.convertFilter('||t.example^$3p', 1).condition.domainType).toBe('thirdParty');
+      expect(converter.convertFilter('||t.example^$~third-party', 1).condition.domainType).toBe('firstParty');
+      expect(converter.convertFilter('||t.example^$1p', 1).condition.domainType).toBe('firstParty');
+    });
+
+    test('should map $domain= to initiator domains', () => {
+      const rule = converter.convertFilter('||t.example^$domain=news.example|~sub.news.example', 1);
+
+      expect(rule.condition.initiatorDomains).toEqual(['news.example']);
+      expect(rule.condition.excludedInitiatorDomains).toEqual(['sub.news.example']);
+    });
+
+    test('should map resource types', () => {
+      const rule = converter.convertFilter('||t.example^$script,subdocument,xhr,image', 1);
+
+      expect(rule.condition.resourceTypes).toEqual(['script', 'sub_frame', 'xmlhttprequest', 'image']);
+    });
+
+    test('should map negated resource types to excludedResourceTypes', () => {
+      const rule = converter.convertFilter('||t.example^$~image,~stylesheet', 1);
+
+      expect(rule.condition.excludedResourceTypes).toEqual(['image', 'stylesheet']);
+      expect(rule.condition.resourceTypes).toBeUndefined();
+    });
+
+    test('should convert @@ exceptions to allow rules that outrank blocks', () => {
+      const rule = converter.convertFilter('@@||cdn.example^$script', 1);
+
+      expect(rule.action).toEqual({ type: 'allow' });
+      expect(rule.priority).toBe(2);
+    });
+
+    test('should convert @@...$document to allowAllRequests', () => {
+      const rule = converter.convertFilter('@@||trusted.example^$document', 1);
+
+      expect(rule.action).toEqual({ type: 'allowAllRequests' });
+      expect(rule.condition.resourceTypes).toEqual(['main_frame', 'sub_frame']);
+    });
+
+    test('should give $important blocks priority over exceptions', () => {
+      expect(converter.convertFilter('||ads.example^$important', 1).priority).toBe(3);
+    });
+
+    test('should honor $match-case', () => {
+      expect(converter.convertFilter('/AdFrame.$match-case', 1).condition.isUrlFilterCaseSensitive).toBe(true);
+    });
+
+    test('should allow option-only filters scoped by $domain=', () => {
+      const rule = converter.convertFilter('$script,domain=example.com', 1);
+
+      expect(rule.condition.urlFilter).toBeUndefined();
+      expect(rule.condition.initiatorDomains).toEqual(['example.com']);
+    });
+
+    test.each([
+      ['comment', '! Comment'],
+      ['header', '[Adblock Plus 2.0]'],
+      ['cosmetic filter', 'example.com##.ad'],
+      ['regex filter', '/ads?[0-9]+\\.js/'],
+      ['unsupported option', '||ads.example^$popup'],
+      ['redirect option', '||ads.example^$redirect=noopjs'],
+      ['wildcard domain', '||ads.example^$domain=example.*'],
+      ['non-ASCII pattern', '||рекламa.example^'],
+      ['unscoped option-only filter', '$script,third-party'],
+      ['bare anchor', '||']
+    ])('should skip %s', (_, filter) => {
+      expect(converter.convertFilter(filter, 1)).toBeNull();
+    });
+  });
+
+  describe('convert()', () => {
+    test('should assign sequential IDs and skip unsupported filters', async () => {
+      const result = await converter.convert(
+        ['||a.example^', '||b.example^$popup', '||c.example^'],
+        mockIdRange
+      );
+
+      expect(result.map(rule => rule.id)).toEqual([10000, 10001]);
+      expect(result.map(rule => rule.condition.urlFilter)).toEqual(['||a.example^', '||c.example^']);
+    });
+
+    test('should stop at the end of the ID range', async () => {
+      const result = await converter.convert(
+        ['||a.example^', '||b.example^', '||c.example^', '||d.example^'],
+        mockIdRange
+      );
+
+      expect(result).toHaveLength(3);
+      expect(result[2].id).toBe(10002);
+    });
+
+    test('should count non-string input as failed without throwing', async () => {
+      const result = await converter.convert([{ trigger: 'a.example' }, '||b.example^'], mockIdRange);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].id).toBe(10000);
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 import { describe, test, expect, beforeEach, vi } from 'vitest';
 import { CustomPatternSource } from '@modules/network-blocking/sources/custom-pattern-source.js';
+import { withAllowPattern } from '@utils/network-patterns.js';
 
 // Mock chrome.storage and runtime API
 global.chrome = {
@@ -194,6 +195,92 @@ describe('CustomPatternSource', () => {
     });
   });
 
+  describe('Allow patterns', () => {
+    test('should convert @@ patterns to allow rules', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        networkBlockPatterns: ['ads.example.com', '@@cdn.example.com']
+      });
+
+      const result = await source.fetchRules();
+
+      expect(result[0]).toMatchObject({ trigger: 'ads.example.com', action: 'block' });
+      expect(result[1]).toMatchObject({
+        trigger: 'cdn.example.com',
+        action: 'allow',
+        severity: 'critical',
+        description: 'User-defined custom allow pattern'
+      });
+    });
+
+    test('should convert @@...$document patterns to allowAllRequests rules', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        networkBlockPatterns: ['@@news.example.com$document']
+      });
+
+      const result = await source.fetchRules();
+
+      expect(result[0]).toMatchObject({
+        trigger: 'news.example.com',
+        action: 'allowAllRequests',
+        resourceTypes: ['main_frame', 'sub_frame']
+      });
+    });
+
+    test('should cover the blocked resource type after a one-click allow', async () => {
+      // Request log entry: an image blocked by a custom pattern, then "Allow" in the popup
+      const blocked = { allowDomain: 'img.example.com', resourceType: 'image' };
+      const { patterns } = withAllowPattern(['img.example.com'], blocked.allowDomain, blocked.resourceType);
+      chrome.storage.sync.get.mockResolvedValue({ networkBlockPatterns: patterns });
+
+      const result = await source.fetchRules();
+
+      expect(result[1]).toMatchObject({ trigger: 'img.example.com', action: 'allow' });
+      expect(result[1].resourceTypes).toContain('image');
+    });
+  });
+
+  describe('Structured patterns', () => {
+    test('should pass per-pattern options through', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        networkBlockPatterns: [
+          {
+            trigger: '^https://ads\\.example\\.com/.*\\.js$',
+            isRegex: true,
+            resourceTypes: ['script'],
+            initiatorDomains: ['News.Example.com'],
+            excludedInitiatorDomains: ['shop.example.com'],
+            domainType: 'thirdParty',
+            severity: 'low'
+          }
+        ]
+      });
+
+      const result = await source.fetchRules();
+
+      expect(result[0]).toMatchObject({
+        trigger: '^https://ads\\.example\\.com/.*\\.js$',
+        action: 'block',
+        isRegex: true,
+        resourceTypes: ['script'],
+        initiatorDomains: ['news.example.com'],
+        excludedInitiatorDomains: ['shop.example.com'],
+        domainType: 'thirdParty',
+        severity: 'low'
+      });
+    });
+
+    test('should mix string and object entries', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        networkBlockPatterns: ['ads.example.com', { trigger: 'cdn.example.com', action: 'allow' }]
+      });
+
+      const result = await source.fetchRules();
+
+      expect(result).toHaveLength(2);
+      expect(result[1]).toMatchObject({ trigger: 'cdn.example.com', action: 'allow', isRegex: false });
+    });
+  });
+
   describe('getRuleIdRange()', () => {
     test('should return configured ID range', () => {
       const range = source.getRuleIdRange();
@@ -324,6 +324,99 @@ describe('JsonRuleConverter', () => {
       expect(typeof result.id).toBe('number');
       expect(typeof result.priority).toBe('number');
     });
+
+    test('should emit allow rules with the same severity priority', () => {
+      const result = converter.convertJsonRule(
+        { trigger: 'cdn.example.com', action: 'allow', severity: 'critical', resourceTypes: ['script'] },
+        50009
+      );
+
+      expect(result.action).toEqual({ type: 'allow' });
+      expect(result.priority).toBe(3);
+      expect(result.condition).toMatchObject({
+        urlFilter: '*://*cdn.example.com/*',
+        resourceTypes: ['script']
+      });
+    });
+
+    test('should limit allowAllRequests rules to frame requests', () => {
+      const result = converter.convertJsonRule(
+        { trigger: 'news.example.com', action: 'allowAllRequests', severity: 'critical', resourceTypes: ['script'] },
+        50010
+      );
+
+      expect(result.action).toEqual({ type: 'allowAllRequests' });
+      expect(result.condition.resourceTypes).toEqual(['main_frame', 'sub_frame']);
+    });
+
+    test('should reject unsupported actions', () => {
+      expect(() => converter.convertJsonRule({ trigger: 'a.com', action: 'redirect' }, 50011)).toThrow(
+        'Unsupported rule action: redirect'
+      );
+    });
+
+    test('should add initiator domain and party conditions', () => {
+      const result = converter.convertJsonRule(
+        {
+          trigger: 'tracker.example.com',
+          severity: 'high',
+          resourceTypes: ['script'],
+          initiatorDomains: ['news.example.com'],
+          excludedInitiatorDomains: ['shop.news.example.com'],
+          domainType: 'thirdParty'
+        },
+        50012
+      );
+
+      expect(result.condition).toMatchObject({
+        urlFilter: '*://*tracker.example.com/*',
+        resourceTypes: ['script'],
+        initiatorDomains: ['news.example.com'],
+        excludedInitiatorDomains: ['shop.news.example.com'],
+        domainType: 'thirdParty'
+      });
+    });
+
+    test('should emit redirect rules for surrogate scripts', () => {
+      const result = converter.convertJsonRule(
+        {
+          trigger: '^https?://www\\.google-analytics\\.com/analytics\\.js',
+          isRegex: true,
+          severity: 'medium',
+          resourceTypes: ['xmlhttprequest', 'script'],
+          surrogate: 'google-analytics'
+        },
+        50014
+      );
+
+      expect(result.priority).toBe(3);
+      expect(result.action).toEqual({
+        type: 'redirect',
+        redirect: { extensionPath: '/network-blocking/data/surrogates/google-analytics.js' }
+      });
+      expect(result.condition.resourceTypes).toEqual(['script']);
+      expect(result.condition.regexFilter).toBe('^https?://www\\.google-analytics\\.com/analytics\\.js');
+    });
+
+    test('should reject unknown surrogates and non-block surrogate rules', () => {
+      expect(() => converter.convertJsonRule({ trigger: 'a.com', surrogate: '../../evil' }, 50015)).toThrow(
+        'Unknown surrogate: ../../evil'
+      );
+      expect(() =>
+        converter.convertJsonRule({ trigger: 'a.com', action: 'allow', surrogate: 'adsbygoogle' }, 50016)
+      ).toThrow('Surrogate rules must block, not allow');
+    });
+
+    test('should omit empty domain lists and unknown party values', () => {
+      const result = converter.convertJsonRule(
+        { trigger: 'a.com', initiatorDomains: [], excludedInitiatorDomains: [], domainType: 'anyParty' },
+        50013
+      );
+
+      expect(result.condition).not.toHaveProperty('initiatorDomains');
+      expect(result.condition).not.toHaveProperty('excludedInitiatorDomains');
+      expect(result.condition).not.toHaveProperty('domainType');
+    });
   });
 
   describe('Edge cases', () => {
@@ -383,6 +383,97 @@ describe('NetworkBlockManager', () => {
     });
   });
 
+  describe('setSiteScope()', () => {
+    test('should exclude sites from rules written by later updates', async () => {
+      manager.setSiteScope({ excludedDomains: ['news.example'], includedDomains: null });
+
+      await manager.updateSource(mockSources[0]);
+      await manager.updateAll();
+
+      for (const [rules] of mockUpdater.update.mock.calls) {
+        expect(rules[0].condition.excludedInitiatorDomains).toEqual(['news.example']);
+      }
+    });
+
+    test('should write no blocking rules when no site is included', async () => {
+      manager.setSiteScope({ excludedDomains: [], includedDomains: [] });
+
+      await expect(manager.updateSource(mockSources[0])).resolves.toEqual({ ruleCount: 0 });
+      expect(mockUpdater.update).toHaveBeenCalledWith([], { start: 1000, end: 2000 });
+    });
+  });
+
+  describe('registerFormat()', () => {
+    let abpParser;
+    let abpConverter;
+    let abpSource;
+
+    beforeEach(() => {
+      abpParser = { parse: vi.fn().mockResolvedValue(['||ads.example^', '||t.example^']) };
+      abpConverter = {
+        convert: vi.fn().mockResolvedValue([
+          { id: 3000, action: { type: 'block' }, condition: { urlFilter: '||ads.example^' } }
+        ])
+      };
+      abpSource = {
+        getName: vi.fn().mockReturnValue('ABP Source'),
+        fetchRules: vi.fn().mockResolvedValue('||ads.example^\n||t.example^'),
+        getRuleIdRange: vi.fn().mockReturnValue({ start: 3000, end: 3999 }),
+        getUpdateInterval: vi.fn().mockReturnValue(10080),
+        getUpdateType: vi.fn().mockReturnValue('dynamic'),
+        getFormat: vi.fn().mockReturnValue('abp')
+      };
+      manager.registerFormat('abp', abpParser, abpConverter);
+    });
+
+    test('should use the registered parser and converter for sources of that format', async () => {
+      await manager.updateSource(abpSource);
+
+      expect(abpParser.parse).toHaveBeenCalledWith('||ads.example^\n||t.example^');
+      expect(abpConverter.convert).toHaveBeenCalledWith(
+        ['||ads.example^', '||t.example^'],
+        { start: 3000, end: 3999 }
+      );
+      expect(mockParser.parse).not.toHaveBeenCalled();
+      expect(mockConverter.convert).not.toHaveBeenCalled();
+    });
+
+    test('should keep the default pipeline for sources without a format', async () => {
+      await manager.updateSource(mockSources[0]);
+
+      expect(mockParser.parse).toHaveBeenCalled();
+      expect(abpParser.parse).not.toHaveBeenCalled();
+    });
+
+    test('should mix formats in one budgeted updateAll()', async () => {
+      const budgetCoordinator = {
+        allocateBudget: vi.fn().mockReturnValue(new Map([
+          ['Test Source', { allocated: 1, truncated: 0 }],
+          ['ABP Source', { allocated: 1, truncated: 1 }]
+        ])),
+        getStats: vi.fn().mockReturnValue({})
+      };
+      const mixedManager = new NetworkBlockManager(
+        [mockSources[0], abpSource],
+        mockUpdater,
+        mockParser,
+        mockConverter,
+        budgetCoordinator
+      );
+      mixedManager.registerFormat('abp', abpParser, abpConverter);
+
+      const results = await mixedManager.updateAll();
+
+      expect(budgetCoordinator.allocateBudget).toHaveBeenCalledWith([
+        expect.objectContaining({ source: mockSources[0], ruleCount: 1 }),
+        expect.objectContaining({ source: abpSource, ruleCount: 2 })
+      ]);
+      expect(abpConverter.convert).toHaveBeenCalledWith(['||ads.example^'], { start: 3000, end: 3999 });
+      expect(results.map(result => result.success)).toEqual([true, true]);
+      expect(results[1].truncated).toBe(1);
+    });
+  });
+
   describe('Dependency Injection (DIP)', () => {
     test('should work with any IRuleSource implementation', async () => {
       const customSource = {
@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for RemoveParamConverter
+ * Tests conversion of tracking-parameter rules to DNR query transforms
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { RemoveParamConverter } from '@modules/network-blocking/core/remove-param-converter.js';
+
+describe('RemoveParamConverter', () => {
+  let converter;
+  const idRange = { start: 13000, end: 13999 };
+
+  beforeEach(() => {
+    converter = new RemoveParamConverter();
+  });
+
+  test('should convert a site-wide rule to a query transform redirect', async () => {
+    const [rule] = await converter.convert([{ domain: '', params: ['utm_source', 'fbclid'] }], idRange);
+
+    expect(rule).toEqual({
+      id: 13000,
+      priority: 1,
+      action: {
+        type: 'redirect',
+        redirect: { transform: { queryTransform: { removeParams: ['utm_source', 'fbclid'] } } }
+      },
+      condition: {
+        regexFilter: '[?&](?:utm_source|fbclid)(?:[=&#]|$)',
+        resourceTypes: ['main_frame', 'sub_frame']
+      }
+    });
+  });
+
+  test('should limit per-site rules to the request domain', async () => {
+    const [rule] = await converter.convert([{ domain: '*.Example.com', params: ['ref'] }], idRange);
+
+    expect(rule.condition.requestDomains).toEqual(['example.com']);
+  });
+
+  test('should skip rules without valid parameters or domain and keep IDs contiguous', async () => {
+    const rules = await converter.convert([
+      { domain: '', params: ['bad name'] },
+      { domain: 'https://example.com', params: ['ref'] },
+      { domain: 'example.com', params: ['ref'] },
+      { domain: 'shop.example', params: ['src'] }
+    ], idRange);
+
+    expect(rules.map(rule => rule.id)).toEqual([13000, 13001]);
+    expect(rules.map(rule => rule.condition.requestDomains[0])).toEqual(['example.com', 'shop.example']);
+  });
+
+  test('should stop at the end of the ID range', async () => {
+    const input = Array.from({ length: 5 }, (_, i) => ({ domain: `site${i}.example`, params: ['ref'] }));
+
+    const rules = await converter.convert(input, { start: 13000, end: 13002 });
+
+    expect(rules).toHaveLength(3);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for RemoveParamSource
+ * Tests reading tracking-parameter settings from chrome.storage
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { RemoveParamSource } from '@modules/network-blocking/sources/remove-param-source.js';
+import { DEFAULT_TRACKING_PARAMS } from '@utils/tracking-params.js';
+
+describe('RemoveParamSource', () => {
+  let source;
+
+  beforeEach(() => {
+    source = new RemoveParamSource('Tracking Parameter Removal', 13000, 13999, 0);
+  });
+
+  test('should expose its configuration', () => {
+    expect(source.getName()).toBe('Tracking Parameter Removal');
+    expect(source.getRuleIdRange()).toEqual({ start: 13000, end: 13999 });
+    expect(source.getUpdateInterval()).toBe(0);
+    expect(source.getUpdateType()).toBe('dynamic');
+    expect(source.getFormat()).toBe('removeparam');
+  });
+
+  test('should include the default parameters when nothing is stored', async () => {
+    chrome.storage.local.get.mockResolvedValue({});
+
+    const rules = await source.fetchRules();
+
+    expect(chrome.storage.local.get).toHaveBeenCalledWith(['removeParamEnabled', 'removeParamRules']);
+    expect(rules).toEqual([{ domain: '', params: DEFAULT_TRACKING_PARAMS }]);
+  });
+
+  test('should append normalized user entries and skip empty ones', async () => {
+    chrome.storage.local.get.mockResolvedValue({
+      removeParamEnabled: false,
+      removeParamRules: [
+        { domain: 'Shop.Example.com', params: ['ref', 'ref'] },
+        { domain: 'example.org', params: [] },
+        { domain: '', params: ['src'] }
+      ]
+    });
+
+    expect(await source.fetchRules()).toEqual([
+      { domain: 'shop.example.com', params: ['ref'] },
+      { domain: '', params: ['src'] }
+    ]);
+  });
+
+  test('should ignore a malformed entry list', async () => {
+    chrome.storage.local.get.mockResolvedValue({ removeParamEnabled: false, removeParamRules: 'ref' });
+
+    expect(await source.fetchRules()).toEqual([]);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit Tests for RequestLog
+ * Tests per-tab blocked request log and rule source attribution
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import {
+  RequestLog,
+  RULE_SOURCE_KEYS,
+  getAllowDomain,
+  resolveRuleSource
+} from '@modules/network-blocking/core/request-log.js';
+
+describe('resolveRuleSource()', () => {
+  test.each([
+    [60001, RULE_SOURCE_KEYS.CUSTOM, 'Custom User Patterns'],
+    [50010, RULE_SOURCE_KEYS.DEFAULT, 'Default Block Requests'],
+    [10500, RULE_SOURCE_KEYS.EASYLIST, 'EasyList Thirdparty'],
+    [12000, RULE_SOURCE_KEYS.EASYLIST, 'EasyList Specific Block'],
+    [13000, RULE_SOURCE_KEYS.REMOVE_PARAMS, 'Tracking Parameter Removal'],
+    [5, RULE_SOURCE_KEYS.UNKNOWN, 'Unknown']
+  ])('should attribute dynamic rule %i', (ruleId, key, name) => {
+    expect(resolveRuleSource(ruleId, '_dynamic')).toEqual({ key, name });
+  });
+
+  test('should report the subscription slot', () => {
+    expect(resolveRuleSource(22600)).toEqual({
+      key: RULE_SOURCE_KEYS.SUBSCRIPTION,
+      name: 'Filter List Subscriptions',
+      slot: 1
+    });
+  });
+
+  test('should attribute static rulesets by ruleset ID', () => {
+    expect(resolveRuleSource(60001, 'easylist-adservers')).toEqual({
+      key: RULE_SOURCE_KEYS.EASYLIST,
+      name: 'EasyList Adservers (static)'
+    });
+    expect(resolveRuleSource(1, 'other-ruleset').key).toBe(RULE_SOURCE_KEYS.UNKNOWN);
+  });
+});
+
+describe('getAllowDomain()', () => {
+  test('should use the request hostname when the URL is known', () => {
+    expect(getAllowDomain('https://cdn.example.com/app.js', { urlFilter: '||other.com^' })).toBe('cdn.example.com');
+  });
+
+  test('should read plain domain filters', () => {
+    expect(getAllowDomain(null, { urlFilter: '||Ads.Example.com^' })).toBe('ads.example.com');
+    expect(getAllowDomain(null, { urlFilter: '*://*tracker.example.com/*' })).toBe('tracker.example.com');
+  });
+
+  test('should return null for path or regex filters', () => {
+    expect(getAllowDomain(null, { urlFilter: '/banner/ads.' })).toBeNull();
+    expect(getAllowDomain(null, { regexFilter: '^https://' })).toBeNull();
+    expect(getAllowDomain(null, null)).toBeNull();
+  });
+});
+
+describe('RequestLog', () => {
+  let log;
+
+  const debugEvent = (ruleId, url, tabId = 7, rulesetId = '_dynamic') => ({
+    request: { url, type: 'script', tabId, initiator: 'https://news.example.com' },
+    rule: { ruleId, rulesetId }
+  });
+
+  beforeEach(() => {
+    chrome.declarativeNetRequest = {
+      getMatchedRules: vi.fn().mockResolvedValue({ rulesInfo: [] }),
+      getDynamicRules: vi.fn().mockResolvedValue([])
+    };
+    log = new RequestLog(3);
+  });
+
+  describe('record()', () => {
+    test('should keep the newest entries per tab', () => {
+      for (let i = 0; i < 5; i++) {
+        log.record(debugEvent(60000 + i, `https://ads.example.com/${i}.js`));
+      }
+
+      expect(log.tabs.get(7).map(entry => entry.ruleId)).toEqual([60004, 60003, 60002]);
+    });
+
+    test('should ignore requests not made by a tab', () => {
+      expect(log.record(debugEvent(60000, 'https://ads.example.com/', -1))).toBeNull();
+      expect(log.tabs.size).toBe(0);
+    });
+
+    test('should forget closed tabs', () => {
+      log.record(debugEvent(60000, 'https://ads.example.com/'));
+      log.clearTab(7);
+
+      expect(log.tabs.has(7)).toBe(false);
+    });
+  });
+
+  describe('getTabLog()', () => {
+    test('should return debug entries with source and allow domain, without allow matches', async () => {
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        { id: 60001, action: { type: 'block' }, condition: { urlFilter: '*://*ads.example.com/*' } },
+        { id: 60002, action: { type: 'allow' }, condition: { urlFilter: '*://*cdn.example.com/*' } }
+      ]);
+      log.record(debugEvent(60001, 'https://ads.example.com/tag.js'));
+      log.record(debugEvent(60002, 'https://cdn.example.com/lib.js'));
+      log.record(debugEvent(3, 'https://adserver.example/x.js', 7, 'easylist-adservers'));
+
+      const { entries, detailed } = await log.getTabLog(7);
+
+      expect(detailed).toBe(true);
+      expect(entries).toHaveLength(2);
+      expect(entries.find(entry => entry.ruleId === 60001)).toMatchObject({
+        url: 'https://ads.example.com/tag.js',
+        resourceType: 'script',
+        filter: '*://*ads.example.com/*',
+        allowDomain: 'ads.example.com',
+        source: { key: RULE_SOURCE_KEYS.CUSTOM }
+      });
+      expect(entries.find(entry => entry.ruleId === 3)).toMatchObject({
+        filter: null,
+        allowDomain: 'adserver.example',
+        source: { key: RULE_SOURCE_KEYS.EASYLIST }
+      });
+      expect(chrome.declarativeNetRequest.getMatchedRules).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to matched rules when no debug events were recorded', async () => {
+      chrome.declarativeNetRequest.getMatchedRules.mockResolvedValue({
+        rulesInfo: [
+          { rule: { ruleId: 10010, rulesetId: '_dynamic' }, tabId: 7, timeStamp: 1000 },
+          { rule: { ruleId: 50001, rulesetId: '_dynamic' }, tabId: 7, timeStamp: 2000 }
+        ]
+      });
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        { id: 10010, action: { type: 'block' }, condition: { urlFilter: '||tracker.example^' } },
+        { id: 50001, action: { type: 'block' }, condition: { urlFilter: '/pixel.gif' } }
+      ]);
+
+      const { entries, detailed } = await log.getTabLog(7);
+
+      expect(chrome.declarativeNetRequest.getMatchedRules).toHaveBeenCalledWith({ tabId: 7 });
+      expect(detailed).toBe(false);
+      expect(entries.map(entry => entry.ruleId)).toEqual([50001, 10010]);
+      expect(entries[0]).toMatchObject({ url: null, filter: '/pixel.gif', allowDomain: null });
+      expect(entries[1]).toMatchObject({ allowDomain: 'tracker.example', source: { name: 'EasyList Thirdparty' } });
+    });
+
+    test('should leave out tracking parameter removals', async () => {
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        { id: 13000, action: { type: 'redirect' }, condition: { regexFilter: '[?&](?:fbclid)(?:[=&#]|$)' } }
+      ]);
+      log.record(debugEvent(13000, 'https://news.example.com/?fbclid=1'));
+
+      await expect(log.getTabLog(7)).resolves.toEqual({ entries: [], detailed: true });
+    });
+
+    test('should return an empty log when matched rules are unavailable', async () => {
+      chrome.declarativeNetRequest.getMatchedRules.mockRejectedValue(new Error('Quota exceeded'));
+
+      await expect(log.getTabLog(7)).resolves.toEqual({ entries: [], detailed: false });
+    });
+  });
+
+  describe('isBlockingRule()', () => {
+    test('should cache dynamic rule lookups until invalidated', async () => {
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        { id: 60002, action: { type: 'allow' }, condition: {} }
+      ]);
+
+      expect(await log.isBlockingRule({ ruleId: 60002, rulesetId: '_dynamic' })).toBe(false);
+      expect(await log.isBlockingRule({ ruleId: 60002, rulesetId: '_dynamic' })).toBe(false);
+      expect(chrome.declarativeNetRequest.getDynamicRules).toHaveBeenCalledTimes(1);
+
+      log.invalidateRules();
+      chrome.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        { id: 60002, action: { type: 'block' }, condition: {} }
+      ]);
+
+      expect(await log.isBlockingRule({ ruleId: 60002, rulesetId: '_dynamic' })).toBe(true);
+    });
+
+    test('should treat static rules as blocking', async () => {
+      expect(await log.isBlockingRule({ ruleId: 1, rulesetId: 'easylist-adservers' })).toBe(true);
+      expect(chrome.declarativeNetRequest.getDynamicRules).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for site scope
+ * Tests limiting converted DNR rules to the sites network blocking is on for
+ */
+
+import { describe, test, expect } from 'vitest';
+import { UNRESTRICTED_SCOPE, applySiteScope } from '@modules/network-blocking/core/site-scope.js';
+
+describe('applySiteScope()', () => {
+  const block = (condition = {}) => ({
+    id: 1,
+    priority: 1,
+    action: { type: 'block' },
+    condition: { urlFilter: '||ads.example^', ...condition }
+  });
+
+  test('should leave rules unchanged without a scope', () => {
+    const rules = [block()];
+
+    expect(applySiteScope(rules, UNRESTRICTED_SCOPE)).toBe(rules);
+    expect(applySiteScope(rules)).toBe(rules);
+  });
+
+  test('should add excluded sites to blocking rules, keeping their own exclusions', () => {
+    const [rule] = applySiteScope([block({ excludedInitiatorDomains: ['a.example'] })], {
+      excludedDomains: ['a.example', 'b.example'],
+      includedDomains: null
+    });
+
+    expect(rule.condition).toEqual({
+      urlFilter: '||ads.example^',
+      excludedInitiatorDomains: ['a.example', 'b.example']
+    });
+  });
+
+  test('should not modify the input rules', () => {
+    const input = block();
+    applySiteScope([input], { excludedDomains: ['a.example'], includedDomains: null });
+
+    expect(input.condition.excludedInitiatorDomains).toBeUndefined();
+  });
+
+  test('should leave allow rules alone', () => {
+    const allow = { id: 2, action: { type: 'allow' }, condition: { urlFilter: '||cdn.example^' } };
+
+    expect(applySiteScope([allow], { excludedDomains: [], includedDomains: [] })).toEqual([allow]);
+  });
+
+  test('should limit rules to included sites', () => {
+    const [rule] = applySiteScope([block()], { excludedDomains: [], includedDomains: ['a.example'] });
+
+    expect(rule.condition.initiatorDomains).toEqual(['a.example']);
+  });
+
+  test('should intersect included sites with a rule\'s own initiator domains', () => {
+    const rules = applySiteScope(
+      [
+        block({ initiatorDomains: ['news.a.example', 'other.example'] }),
+        block({ initiatorDomains: ['b.example'] }),
+        block({ initiatorDomains: ['other.example'] })
+      ],
+      { excludedDomains: [], includedDomains: ['a.example', 'shop.b.example'] }
+    );
+
+    expect(rules.map(rule => rule.condition.initiatorDomains)).toEqual([
+      ['news.a.example'],
+      ['shop.b.example']
+    ]);
+  });
+
+  test('should scope redirect rules', () => {
+    const redirect = { id: 3, action: { type: 'redirect', redirect: { extensionPath: '/x.js' } }, condition: {} };
+
+    expect(applySiteScope([redirect], { excludedDomains: [], includedDomains: [] })).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit Tests for SubscriptionRuleSource
+ * Tests network filters read from a stored subscription
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { SubscriptionRuleSource } from '@modules/network-blocking/sources/subscription-source.js';
+
+describe('SubscriptionRuleSource', () => {
+  const subscription = {
+    id: 'sub-1',
+    url: 'https://lists.example/privacy.txt',
+    title: 'Privacy',
+    slot: 1,
+    expiresMinutes: null
+  };
+  let source;
+
+  beforeEach(() => {
+    chrome.storage.local.get.mockResolvedValue({
+      'subscriptionRules_sub-1': {
+        lines: ['! Title: Privacy', '||tracker.example^', '##.banner', 'example.com#@#.ad', '@@||ok.example^']
+      }
+    });
+    source = new SubscriptionRuleSource(subscription);
+  });
+
+  test('should return network filters without cosmetic rules', async () => {
+    expect(await source.fetchRules()).toBe('! Title: Privacy\n||tracker.example^\n@@||ok.example^');
+  });
+
+  test('should return empty content when nothing is stored', async () => {
+    chrome.storage.local.get.mockResolvedValue({});
+
+    expect(await source.fetchRules()).toBe('');
+  });
+
+  test('should use the ID range of its slot', () => {
+    expect(source.getRuleIdRange()).toEqual({ start: 22500, end: 24999 });
+  });
+
+  test('should fall back to the default subscription update interval', () => {
+    expect(source.getUpdateInterval()).toBe(5760);
+    expect(source.getName()).toBe('Privacy');
+    expect(source.getUpdateType()).toBe('dynamic');
+  });
+
+  test('should declare ABP format for the network converter', () => {
+    expect(source.getFormat()).toBe('abp');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for surrogate scripts
+ * Tests the surrogate registry against the manifest and bundled data, and the
+ * behaviour pages rely on when a script is replaced by its surrogate
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { SURROGATES, getSurrogatePath } from '@modules/network-blocking/config/surrogates.config.js';
+
+const DATA_DIR = resolve(__dirname, '../../../src/scripts/modules/network-blocking/data');
+const manifest = JSON.parse(readFileSync(resolve(__dirname, '../../../src/manifest.json'), 'utf-8'));
+const defaultBlocks = JSON.parse(readFileSync(resolve(DATA_DIR, 'default-block-requests.json'), 'utf-8'));
+
+/**
+ * Run a surrogate file in the test window
+ */
+const runSurrogate = (name) => {
+  const source = readFileSync(resolve(DATA_DIR, SURROGATES[name].replace('network-blocking/data/', '')), 'utf-8');
+  new Function(source)();
+};
+
+describe('Surrogate registry', () => {
+  test.each(Object.keys(SURROGATES))('should bundle and expose %s', (name) => {
+    const path = SURROGATES[name];
+    const exposed = manifest.web_accessible_resources.flatMap(entry => entry.resources);
+
+    expect(existsSync(resolve(DATA_DIR, path.replace('network-blocking/data/', '')))).toBe(true);
+    expect(exposed).toContain(path);
+  });
+
+  test('should only reference known surrogates from the default block list', () => {
+    const used = defaultBlocks.filter(rule => rule.surrogate).map(rule => rule.surrogate);
+
+    expect(used.length).toBeGreaterThan(0);
+    used.forEach(name => expect(getSurrogatePath(name)).not.toBeNull());
+  });
+
+  test('should not resolve names outside the registry', () => {
+    expect(getSurrogatePath('toString')).toBeNull();
+    expect(getSurrogatePath('google-analytics')).toBe('/network-blocking/data/surrogates/google-analytics.js');
+  });
+});
+
+describe('Surrogate scripts', () => {
+  beforeEach(() => {
+    delete window.ga;
+    delete window._gaq;
+    delete window.dataLayer;
+    delete window.gtag;
+    delete window.adsbygoogle;
+    delete window.google;
+  });
+
+  test('google-analytics should run queued commands and hit callbacks', () => {
+    const ready = vi.fn();
+    const hitCallback = vi.fn();
+    window.ga = function () {};
+    window.ga.q = [[ready], ['send', 'pageview', { hitCallback }]];
+
+    runSurrogate('google-analytics');
+    window.ga('send', 'event', { hitCallback });
+
+    expect(ready).toHaveBeenCalledTimes(1);
+    expect(hitCallback).toHaveBeenCalledTimes(2);
+    expect(window.ga.create().send).toBeTypeOf('function');
+    expect(() => window._gaq.push(['_trackPageview'])).not.toThrow();
+  });
+
+  test('google-tag-manager should invoke event callbacks', () => {
+    const eventCallback = vi.fn();
+    const eventCallbackGtag = vi.fn();
+    window.dataLayer = [{ event: 'gtm.js', eventCallback }];
+
+    runSurrogate('google-tag-manager');
+    window.gtag('event', 'purchase', { event_callback: eventCallbackGtag });
+
+    expect(eventCallback).toHaveBeenCalledTimes(1);
+    expect(eventCallbackGtag).toHaveBeenCalledTimes(1);
+    expect(window.dataLayer).toHaveLength(2);
+  });
+
+  test('google-ima3 should answer ad requests with an ad error', async () => {
+    runSurrogate('google-ima3');
+    const { ima } = window.google;
+    const loader = new ima.AdsLoader(new ima.AdDisplayContainer());
+    const onError = vi.fn();
+    loader.addEventListener(ima.AdErrorEvent.Type.AD_ERROR, onError);
+
+    loader.requestAds(new ima.AdsRequest());
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].getError().getErrorCode()).toBe(1009);
+  });
+
+  test('adsbygoogle should accept pushes and mark ad slots', () => {
+    document.body.innerHTML = '<ins class="adsbygoogle"></ins>';
+    window.adsbygoogle = [{}];
+
+    runSurrogate('adsbygoogle');
+    window.adsbygoogle.push({});
+
+    expect(window.adsbygoogle.loaded).toBe(true);
+    expect(document.querySelector('ins').getAttribute('data-adsbygoogle-status')).toBe('done');
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, expect, test } from "vitest";
+import {
+  DEFAULT_RESOURCE_TYPES,
+  DOMAIN_TYPES,
+  NETWORK_RESOURCE_TYPES,
+  PATTERN_ACTIONS,
+  formatNetworkPattern,
+  normalizeNetworkPattern,
+  parseNetworkPattern,
+  serializeNetworkPattern,
+  withAllowPattern,
+} from "@utils/network-patterns.js";
+
+describe("parseNetworkPattern", () => {
+  test("treats plain patterns as block rules", () => {
+    expect(parseNetworkPattern("ads.example.com")).toEqual({
+      trigger: "ads.example.com",
+      action: PATTERN_ACTIONS.BLOCK,
+    });
+  });
+
+  test("reads @@ patterns as allow rules", () => {
+    expect(parseNetworkPattern("@@cdn.example.com")).toEqual({
+      trigger: "cdn.example.com",
+      action: PATTERN_ACTIONS.ALLOW,
+    });
+  });
+
+  test("reads @@...$document patterns as whole-site allow rules", () => {
+    expect(parseNetworkPattern("@@news.example.com$document")).toEqual({
+      trigger: "news.example.com",
+      action: PATTERN_ACTIONS.ALLOW_SITE,
+    });
+  });
+
+  test("handles empty input", () => {
+    expect(parseNetworkPattern(undefined)).toEqual({ trigger: "", action: PATTERN_ACTIONS.BLOCK });
+  });
+});
+
+describe("formatNetworkPattern", () => {
+  test.each([
+    [PATTERN_ACTIONS.BLOCK, "example.com"],
+    [PATTERN_ACTIONS.ALLOW, "@@example.com"],
+    [PATTERN_ACTIONS.ALLOW_SITE, "@@example.com$document"],
+  ])("formats %s patterns", (action, expected) => {
+    expect(formatNetworkPattern("example.com", action)).toBe(expected);
+    expect(parseNetworkPattern(expected)).toEqual({ trigger: "example.com", action });
+  });
+
+  test("drops markers the user typed before re-encoding", () => {
+    expect(formatNetworkPattern("@@example.com", PATTERN_ACTIONS.BLOCK)).toBe("example.com");
+    expect(formatNetworkPattern("@@example.com$document", PATTERN_ACTIONS.ALLOW)).toBe("@@example.com");
+  });
+});
+
+describe("normalizeNetworkPattern", () => {
+  test("fills defaults for string patterns", () => {
+    expect(normalizeNetworkPattern("@@cdn.example.com")).toEqual({
+      trigger: "cdn.example.com",
+      action: PATTERN_ACTIONS.ALLOW,
+      resourceTypes: DEFAULT_RESOURCE_TYPES,
+      initiatorDomains: [],
+      excludedInitiatorDomains: [],
+      domainType: null,
+      isRegex: false,
+      severity: "critical",
+    });
+  });
+
+  test("sanitizes object patterns", () => {
+    const pattern = normalizeNetworkPattern({
+      trigger: "  ads.example.com ",
+      action: "redirect",
+      resourceTypes: ["script", "beacon"],
+      initiatorDomains: ["News.Example.com", "news.example.com", ""],
+      domainType: "anyParty",
+      isRegex: "yes",
+      severity: "urgent",
+    });
+
+    expect(pattern).toMatchObject({
+      trigger: "ads.example.com",
+      action: PATTERN_ACTIONS.BLOCK,
+      resourceTypes: ["script"],
+      initiatorDomains: ["news.example.com"],
+      domainType: null,
+      isRegex: false,
+      severity: "critical",
+    });
+  });
+
+  test("falls back to default resource types when none are valid", () => {
+    expect(normalizeNetworkPattern({ trigger: "a.com", resourceTypes: [] }).resourceTypes).toEqual(
+      DEFAULT_RESOURCE_TYPES
+    );
+  });
+});
+
+describe("serializeNetworkPattern", () => {
+  test("stores default-only patterns as strings", () => {
+    expect(serializeNetworkPattern(normalizeNetworkPattern("ads.example.com"))).toBe("ads.example.com");
+    expect(
+      serializeNetworkPattern({
+        trigger: "news.example.com",
+        action: PATTERN_ACTIONS.ALLOW_SITE,
+        resourceTypes: [...DEFAULT_RESOURCE_TYPES].reverse(),
+      })
+    ).toBe("@@news.example.com$document");
+  });
+
+  test("stores only changed options", () => {
+    expect(
+      serializeNetworkPattern({
+        ...normalizeNetworkPattern("@@cdn.example.com"),
+        domainType: DOMAIN_TYPES.THIRD_PARTY,
+        initiatorDomains: ["news.example.com"],
+      })
+    ).toEqual({
+      trigger: "cdn.example.com",
+      action: PATTERN_ACTIONS.ALLOW,
+      initiatorDomains: ["news.example.com"],
+      domainType: DOMAIN_TYPES.THIRD_PARTY,
+    });
+  });
+
+  test("round-trips structured patterns", () => {
+    const pattern = normalizeNetworkPattern({
+      trigger: "^https://ads\\.example\\.com/",
+      isRegex: true,
+      resourceTypes: ["image", "media"],
+      excludedInitiatorDomains: ["example.org"],
+      domainType: DOMAIN_TYPES.FIRST_PARTY,
+      severity: "medium",
+    });
+
+    expect(normalizeNetworkPattern(serializeNetworkPattern(pattern))).toEqual(pattern);
+  });
+});
+
+describe("withAllowPattern", () => {
+  test("stores a plain allow pattern for default resource types", () => {
+    expect(withAllowPattern(["ads.example.com"], "cdn.example.com", "script")).toEqual({
+      patterns: ["ads.example.com", "@@cdn.example.com"],
+      added: true,
+    });
+  });
+
+  test("adds the blocked request's resource type to the allow pattern", () => {
+    const { patterns } = withAllowPattern([], "img.example.com", "image");
+
+    expect(patterns).toEqual([
+      {
+        trigger: "img.example.com",
+        action: PATTERN_ACTIONS.ALLOW,
+        resourceTypes: [...DEFAULT_RESOURCE_TYPES, "image"],
+      },
+    ]);
+  });
+
+  test("widens an existing allow pattern instead of duplicating it", () => {
+    const { patterns, added } = withAllowPattern(["@@cdn.example.com"], "cdn.example.com", "font");
+
+    expect(added).toBe(true);
+    expect(patterns).toHaveLength(1);
+    expect(normalizeNetworkPattern(patterns[0]).resourceTypes).toContain("font");
+    expect(withAllowPattern(patterns, "cdn.example.com", "font")).toEqual({ patterns, added: false });
+  });
+
+  test("allows every resource type when the type is unknown", () => {
+    const { patterns } = withAllowPattern([], "cdn.example.com", null);
+
+    expect([...normalizeNetworkPattern(patterns[0]).resourceTypes].sort()).toEqual([...NETWORK_RESOURCE_TYPES].sort());
+  });
+});
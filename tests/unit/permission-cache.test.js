@@ -304,6 +304,67 @@ describe('PermissionCache - LRU Cache Operations', () => {
     });
   });
 
+  describe('setSync / deleteSync - settings updates', () => {
+    test('setSync keeps an explicit expiry', () => {
+      const expiresAt = Date.now() + 60 * 1000;
+      cache.setSync('https://source.com', 'https://target.com', 'ALLOW', { persist: true, expiresAt });
+
+      expect(getDLLNodes(cache)[0].value.expiresAt).toBe(expiresAt);
+    });
+
+    test('deleteSync removes the pair from both Map and DLL', () => {
+      cache.setSync('https://source1.com', 'https://target1.com', 'ALLOW');
+      cache.setSync('https://source2.com', 'https://target2.com', 'DENY');
+
+      expect(cache.deleteSync('https://source1.com', 'https://target1.com')).toBe(true);
+      expect(cache.deleteSync('https://source1.com', 'https://target1.com')).toBe(false);
+
+      expect(cache.getSync('https://source1.com', 'https://target1.com')).toBeNull();
+      expect(cache.size).toBe(1);
+      verifyDLLIntegrity(cache);
+    });
+  });
+
+  describe('matchSync - wildcard sources', () => {
+    test('falls back to the any-site entry for the target', () => {
+      cache.setSync('*', 'https://sso.example.com', 'ALLOW', { persist: true });
+
+      expect(cache.getSync('https://app.example.com', 'https://sso.example.com')).toBeNull();
+      expect(cache.matchSync('https://app.example.com', 'https://sso.example.com')).toMatchObject({
+        decision: 'ALLOW',
+        sourceOrigin: '*'
+      });
+    });
+
+    test('prefers the entry for the exact pair', () => {
+      cache.setSync('*', 'https://ads.example.net', 'DENY', { persist: true });
+      cache.setSync('https://app.example.com', 'https://ads.example.net', 'ALLOW');
+
+      expect(cache.matchSync('https://app.example.com', 'https://ads.example.net')).toMatchObject({
+        decision: 'ALLOW',
+        sourceOrigin: 'https://app.example.com'
+      });
+      expect(cache.matchSync('https://other.example.com', 'https://ads.example.net').decision).toBe('DENY');
+    });
+
+    test('does not accept a wildcard target', () => {
+      expect(PermissionCache.getCacheKey('*', 'https://sso.example.com')).toBe('origin:*->https://sso.example.com');
+      expect(PermissionCache.getCacheKey('https://app.example.com', '*')).toBeNull();
+    });
+  });
+
+  describe('parseCacheKey', () => {
+    test('splits a key into its origins', () => {
+      const key = PermissionCache.getCacheKey('https://app.example.com', 'https://sso.example.com');
+
+      expect(PermissionCache.parseCacheKey(key)).toEqual({
+        sourceOrigin: 'https://app.example.com',
+        targetOrigin: 'https://sso.example.com'
+      });
+      expect(PermissionCache.parseCacheKey('not-a-key')).toBeNull();
+    });
+  });
+
   describe('enforceSizeLimit - LRU Eviction', () => {
     test('evicts single LRU entry when over limit', () => {
       // This test requires manipulating MAX_CACHE_SIZE
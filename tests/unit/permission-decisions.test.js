@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for permission-decisions utilities
+ * Tests listing, editing and replaying stored Navigation Guardian decisions
+ */
+
+import { describe, test, expect } from 'vitest';
+import { PERMISSION_CACHE_CONFIG } from '@script-utils/permission-cache.js';
+import {
+  ANY_SITE,
+  NEVER_EXPIRES,
+  PERMISSION_DECISIONS,
+  PERMISSION_DURATIONS,
+  REMEMBER_SCOPES,
+  addPermissionDecision,
+  filterPermissionDecisions,
+  listPermissionDecisions,
+  parseOriginInput,
+  removePermissionDecisions,
+  toCacheUpdateMessages,
+  toRememberedDecision
+} from '@utils/permission-decisions.js';
+
+const NOW = 1_700_000_000_000;
+const APP = 'https://app.example.com';
+const SSO = 'https://sso.example.com';
+const ADS = 'https://ads.example.net';
+
+const keyOf = (source, target) => `origin:${source}->${target}`;
+
+describe('permission-decisions', () => {
+  describe('parseOriginInput()', () => {
+    test('should accept bare hosts and full URLs', () => {
+      expect(parseOriginInput(' sso.example.com ')).toBe(SSO);
+      expect(parseOriginInput('https://sso.example.com/login?next=/')).toBe(SSO);
+      expect(parseOriginInput('http://localhost:8080')).toBe('http://localhost:8080');
+    });
+
+    test('should reject non-http(s) input', () => {
+      expect(parseOriginInput('')).toBeNull();
+      expect(parseOriginInput('ftp://files.example.com')).toBeNull();
+      expect(parseOriginInput('javascript:alert(1)')).toBeNull();
+    });
+  });
+
+  describe('addPermissionDecision()', () => {
+    test('should store pre-approved pairs without expiry', () => {
+      const data = addPermissionDecision(null, {
+        sourceOrigin: APP,
+        targetOrigin: SSO,
+        decision: PERMISSION_DECISIONS.ALLOW,
+        duration: PERMISSION_DURATIONS.ALWAYS
+      }, NOW);
+
+      expect(data.version).toBe(PERMISSION_CACHE_CONFIG.VERSION);
+      expect(data.entries[keyOf(APP, SSO)]).toEqual({
+        decision: 'ALLOW',
+        timestamp: NOW,
+        expiresAt: NEVER_EXPIRES,
+        isPersistent: true,
+        metadata: { preApproved: true }
+      });
+    });
+
+    test('should use the navigation modal TTLs and put the newest pair first', () => {
+      let data = addPermissionDecision(null, { sourceOrigin: APP, targetOrigin: SSO, decision: 'ALLOW' }, NOW);
+      data = addPermissionDecision(data, {
+        sourceOrigin: APP,
+        targetOrigin: ADS,
+        decision: 'DENY',
+        duration: PERMISSION_DURATIONS.DAY
+      }, NOW + 1);
+
+      expect(Object.keys(data.entries)).toEqual([keyOf(APP, ADS), keyOf(APP, SSO)]);
+      expect(data.entries[keyOf(APP, SSO)].expiresAt).toBe(NOW + PERMISSION_CACHE_CONFIG.PERSISTENT_TTL_MS);
+      expect(data.entries[keyOf(APP, ADS)]).toMatchObject({
+        expiresAt: NOW + 1 + PERMISSION_CACHE_CONFIG.DEFAULT_TTL_MS,
+        isPersistent: false
+      });
+    });
+
+    test('should reject invalid origins and decisions', () => {
+      expect(() => addPermissionDecision(null, { sourceOrigin: 'nope', targetOrigin: SSO, decision: 'ALLOW' }))
+        .toThrow('Enter valid http(s) addresses for both sites');
+      expect(() => addPermissionDecision(null, { sourceOrigin: APP, targetOrigin: SSO, decision: 'MAYBE' }))
+        .toThrow('Unknown decision');
+    });
+  });
+
+  describe('listPermissionDecisions() / filterPermissionDecisions()', () => {
+    test('should list unexpired decisions newest first and search them', () => {
+      const data = {
+        entries: {
+          [keyOf(APP, SSO)]: { decision: 'ALLOW', timestamp: NOW - 10, expiresAt: NEVER_EXPIRES, isPersistent: true, metadata: { preApproved: true } },
+          [keyOf(APP, ADS)]: { decision: 'DENY', timestamp: NOW, expiresAt: NOW + 1000, isPersistent: false },
+          [keyOf(SSO, ADS)]: { decision: 'DENY', timestamp: NOW, expiresAt: NOW - 1 },
+          'broken-key': { decision: 'ALLOW', timestamp: NOW, expiresAt: NOW + 1000 }
+        }
+      };
+
+      const decisions = listPermissionDecisions(data, NOW);
+
+      expect(decisions.map(({ key }) => key)).toEqual([keyOf(APP, ADS), keyOf(APP, SSO)]);
+      expect(decisions[1]).toMatchObject({ sourceOrigin: APP, targetOrigin: SSO, preApproved: true });
+      expect(filterPermissionDecisions(decisions, 'SSO.example')).toEqual([decisions[1]]);
+      expect(filterPermissionDecisions(decisions, 'deny')).toEqual([decisions[0]]);
+      expect(filterPermissionDecisions(decisions, '  ')).toBe(decisions);
+    });
+  });
+
+  describe('toRememberedDecision()', () => {
+    test('should map modal choices onto pair and any-site entries', () => {
+      expect(toRememberedDecision(REMEMBER_SCOPES.ALLOW_FROM_SITE, APP, SSO)).toEqual({
+        sourceOrigin: APP,
+        targetOrigin: SSO,
+        decision: 'ALLOW',
+        duration: PERMISSION_DURATIONS.ALWAYS,
+        metadata: { rememberScope: REMEMBER_SCOPES.ALLOW_FROM_SITE }
+      });
+      expect(toRememberedDecision(REMEMBER_SCOPES.ALLOW_EVERYWHERE, APP, SSO))
+        .toMatchObject({ sourceOrigin: ANY_SITE, decision: 'ALLOW' });
+      expect(toRememberedDecision(REMEMBER_SCOPES.BLOCK_EVERYWHERE, APP, ADS))
+        .toMatchObject({ sourceOrigin: ANY_SITE, targetOrigin: ADS, decision: 'DENY' });
+      expect(toRememberedDecision(true, APP, SSO)).toBeNull();
+    });
+
+    test('should store remembered choices without marking them pre-approved', () => {
+      const data = addPermissionDecision(null, toRememberedDecision(REMEMBER_SCOPES.BLOCK_EVERYWHERE, APP, ADS), NOW);
+
+      expect(listPermissionDecisions(data, NOW)).toEqual([
+        expect.objectContaining({ key: keyOf('*', ADS), expiresAt: NEVER_EXPIRES, isPersistent: true, preApproved: false })
+      ]);
+    });
+  });
+
+  describe('removePermissionDecisions()', () => {
+    test('should drop the given keys only', () => {
+      const data = addPermissionDecision(
+        addPermissionDecision(null, { sourceOrigin: APP, targetOrigin: SSO, decision: 'ALLOW' }, NOW),
+        { sourceOrigin: APP, targetOrigin: ADS, decision: 'DENY' },
+        NOW
+      );
+
+      expect(Object.keys(removePermissionDecisions(data, [keyOf(APP, ADS)]).entries)).toEqual([keyOf(APP, SSO)]);
+    });
+  });
+
+  describe('toCacheUpdateMessages()', () => {
+    test('should send changed and revoked pairs of the page origin only', () => {
+      const before = addPermissionDecision(
+        addPermissionDecision(null, { sourceOrigin: APP, targetOrigin: ADS, decision: 'DENY' }, NOW),
+        { sourceOrigin: SSO, targetOrigin: ADS, decision: 'DENY' },
+        NOW
+      );
+      const after = addPermissionDecision(
+        removePermissionDecisions(before, [keyOf(APP, ADS), keyOf(SSO, ADS)]),
+        { sourceOrigin: APP, targetOrigin: SSO, decision: 'ALLOW', duration: PERMISSION_DURATIONS.ALWAYS },
+        NOW
+      );
+
+      expect(toCacheUpdateMessages(before, after, APP, NOW)).toEqual([
+        {
+          type: 'NAV_CACHE_UPDATE',
+          sourceOrigin: APP,
+          targetOrigin: SSO,
+          decision: 'ALLOW',
+          persistent: true,
+          expiresAt: NEVER_EXPIRES
+        },
+        { type: 'NAV_CACHE_UPDATE', sourceOrigin: APP, targetOrigin: ADS, revoked: true }
+      ]);
+    });
+
+    test('should send any-site pairs to every page', () => {
+      const data = addPermissionDecision(null, toRememberedDecision(REMEMBER_SCOPES.BLOCK_EVERYWHERE, SSO, ADS), NOW);
+
+      expect(toCacheUpdateMessages(undefined, data, APP, NOW)).toEqual([
+        expect.objectContaining({ sourceOrigin: ANY_SITE, targetOrigin: ADS, decision: 'DENY' })
+      ]);
+      expect(toCacheUpdateMessages(data, undefined, APP, NOW)).toEqual([
+        { type: 'NAV_CACHE_UPDATE', sourceOrigin: ANY_SITE, targetOrigin: ADS, revoked: true }
+      ]);
+    });
+
+    test('should skip unchanged and expired entries', () => {
+      const data = addPermissionDecision(null, {
+        sourceOrigin: APP,
+        targetOrigin: SSO,
+        decision: 'ALLOW',
+        duration: PERMISSION_DURATIONS.DAY
+      }, NOW);
+
+      expect(toCacheUpdateMessages(data, data, APP, NOW)).toEqual([]);
+      expect(toCacheUpdateMessages(undefined, data, APP, NOW + PERMISSION_CACHE_CONFIG.DEFAULT_TTL_MS)).toEqual([]);
+    });
+  });
+});
@@ -3,13 +3,20 @@
  * Tests factory function and system initialization
  */
 
-import { createRuleExecutionSystem } from '@modules/rule-execution/config/sources.config.js';
+import {
+  createRuleExecutionSystem,
+  registerSubscriptionSources
+} from '@modules/rule-execution/config/sources.config.js';
 import { RuleExecutionManager } from '@modules/rule-execution/core/rule-execution-manager.js';
 import { DefaultRuleSource } from '@modules/rule-execution/sources/default-rule-source.js';
 import { CustomRuleSource } from '@modules/rule-execution/sources/custom-rule-source.js';
 import { SelectorParser } from '@modules/rule-execution/parsers/selector-parser.js';
 import { SelectorExecutor } from '@modules/rule-execution/executors/selector-executor.js';
 import { PerformanceCoordinator } from '@modules/rule-execution/core/performance-coordinator.js';
+import { SubscriptionDomSource } from '@modules/rule-execution/sources/subscription-dom-source.js';
+import { EasyListProceduralSource } from '@modules/rule-execution/sources/easylist-procedural-source.js';
+import { HybridExecutor } from '@modules/rule-execution/executors/hybrid-executor/index.js';
+import { ProceduralExecutor } from '@modules/rule-execution/executors/procedural-executor.js';
 
 describe('sources.config', () => {
   describe('createRuleExecutionSystem()', () => {
@@ -147,6 +154,46 @@ describe('sources.config', () => {
     });
   });
 
+  describe('registerSubscriptionSources()', () => {
+    const subscriptions = [
+      { id: 'sub-1', url: 'https://lists.example/a.txt', title: 'List A', enabled: true },
+      { id: 'sub-2', url: 'https://lists.example/b.txt', title: 'List B', enabled: false }
+    ];
+
+    test('should register hybrid and procedural sources for enabled subscriptions', async () => {
+      const manager = await createRuleExecutionSystem();
+
+      const names = registerSubscriptionSources(manager, subscriptions);
+
+      expect(names).toEqual(['subscription:sub-1', 'subscription:sub-1:procedural']);
+      expect(manager.sources.get('subscription:sub-1')).toBeInstanceOf(SubscriptionDomSource);
+      expect(manager.sources.get('subscription:sub-1:procedural')).toBeInstanceOf(EasyListProceduralSource);
+      expect(manager.sourceExecutors.get('subscription:sub-1')).toBeInstanceOf(HybridExecutor);
+      expect(manager.sourceExecutors.get('subscription:sub-1:procedural')).toBeInstanceOf(ProceduralExecutor);
+    });
+
+    test('should give each subscription its own executors', async () => {
+      const manager = await createRuleExecutionSystem();
+
+      registerSubscriptionSources(manager, [subscriptions[0], { ...subscriptions[1], enabled: true }]);
+
+      expect(manager.sourceExecutors.get('subscription:sub-1')).not.toBe(
+        manager.sourceExecutors.get('subscription:sub-2')
+      );
+      expect(manager.sourceExecutors.get('subscription:sub-1')).not.toBe(manager.executors.get('hybrid'));
+    });
+
+    test('should replace previously registered subscription sources', async () => {
+      const manager = await createRuleExecutionSystem();
+      registerSubscriptionSources(manager, subscriptions);
+
+      registerSubscriptionSources(manager, []);
+
+      expect(Array.from(manager.sources.keys()).some(name => name.startsWith('subscription:'))).toBe(false);
+      expect(manager.sources.has('easylist')).toBe(true);
+    });
+  });
+
   describe('Performance', () => {
     test('should create system quickly', async () => {
       const start = Date.now();
@@ -0,0 +1,54 @@
+/**
+ * Unit Tests for exception-matcher
+ * Tests #@# exception detection and per-domain selector collection
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  getExceptedSelectors,
+  isExceptionRule
+} from '@modules/rule-execution/core/exception-matcher.js';
+
+describe('exception-matcher', () => {
+  describe('isExceptionRule()', () => {
+    test('should only accept rules flagged isException: true', () => {
+      expect(isExceptionRule({ selector: '.ad', isException: true })).toBe(true);
+      expect(isExceptionRule({ selector: '.ad' })).toBe(false);
+      expect(isExceptionRule({ selector: '.ad', isException: 'yes' })).toBe(false);
+      expect(isExceptionRule(null)).toBe(false);
+    });
+  });
+
+  describe('getExceptedSelectors()', () => {
+    const exceptions = [
+      { selector: '.global', domains: ['*'], isException: true },
+      { selector: '.site-only', domains: ['example.com'], isException: true },
+      { selector: '.not-foo', domains: ['*'], excludedDomains: ['foo.com'], isException: true },
+      { selector: '.disabled', domains: ['*'], isException: true, enabled: false },
+      { selector: '.hide-rule', domains: ['*'] }
+    ];
+
+    test('should collect exceptions that cover the domain', () => {
+      const excepted = getExceptedSelectors(exceptions, 'www.example.com');
+
+      expect([...excepted].sort()).toEqual(['.global', '.not-foo', '.site-only']);
+    });
+
+    test('should honour excluded domains on exceptions', () => {
+      const excepted = getExceptedSelectors(exceptions, 'foo.com');
+
+      expect([...excepted]).toEqual(['.global']);
+    });
+
+    test('should ignore disabled and non-exception rules', () => {
+      const excepted = getExceptedSelectors(exceptions, 'other.org');
+
+      expect(excepted.has('.disabled')).toBe(false);
+      expect(excepted.has('.hide-rule')).toBe(false);
+    });
+
+    test('should handle missing input', () => {
+      expect(getExceptedSelectors(undefined, 'example.com').size).toBe(0);
+    });
+  });
+});
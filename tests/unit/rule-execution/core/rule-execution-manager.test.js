@@ -177,6 +177,47 @@ describe('RuleExecutionManager', () => {
     });
   });
 
+  describe('collectExceptionRules()', () => {
+    const exceptionRule = { id: 'e1', selector: '.ad', domains: ['*'], isException: true };
+
+    beforeEach(() => {
+      mockSources.get('custom').getExceptionRules = vi.fn().mockResolvedValue([exceptionRule]);
+    });
+
+    test('should pass exceptions from enabled sources to every executor', async () => {
+      await manager.executeAllRules('example.com', {
+        enabledSources: ['default', 'custom']
+      });
+
+      const calls = mockExecutors.get('selector').execute.mock.calls;
+      expect(calls).toHaveLength(2);
+      calls.forEach(([, , options]) => {
+        expect(options.exceptions).toEqual([exceptionRule]);
+      });
+    });
+
+    test('should ignore exceptions from sources that are not enabled', async () => {
+      const exceptions = await manager.collectExceptionRules(['default']);
+
+      expect(exceptions).toEqual([]);
+      expect(mockSources.get('custom').getExceptionRules).not.toHaveBeenCalled();
+    });
+
+    test('should skip sources disabled in storage', async () => {
+      safeStorageGet.mockResolvedValue({ customRulesEnabled: false });
+
+      const exceptions = await manager.collectExceptionRules(['custom']);
+
+      expect(exceptions).toEqual([]);
+    });
+
+    test('should keep going when a source fails', async () => {
+      mockSources.get('custom').getExceptionRules.mockRejectedValue(new Error('boom'));
+
+      await expect(manager.collectExceptionRules(['custom'])).resolves.toEqual([]);
+    });
+  });
+
   describe('executeSource()', () => {
     test('should coordinate fetch → parse → execute pipeline', async () => {
       const removed = await manager.executeSource('default', 'example.com');
@@ -423,6 +464,59 @@ describe('RuleExecutionManager', () => {
     });
   });
 
+  describe('registerSource()', () => {
+    const subscriptionSource = () => ({
+      fetchRules: vi.fn().mockResolvedValue(mockRules),
+      getExecutorType: vi.fn().mockReturnValue('selector'),
+      getName: vi.fn().mockReturnValue('Subscription'),
+      invalidateCache: vi.fn()
+    });
+
+    test('should execute a registered source with its dedicated executor', async () => {
+      const dedicatedExecutor = { execute: vi.fn().mockResolvedValue(2), cleanup: vi.fn() };
+      manager.registerSource('subscription:sub-1', subscriptionSource(), dedicatedExecutor);
+
+      const removed = await manager.executeSource('subscription:sub-1', 'example.com');
+
+      expect(removed).toBe(2);
+      expect(dedicatedExecutor.execute).toHaveBeenCalled();
+      expect(mockExecutors.get('selector').execute).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the shared executor for the source type', async () => {
+      manager.registerSource('extra', subscriptionSource());
+
+      await manager.executeSource('extra', 'example.com');
+
+      expect(mockExecutors.get('selector').execute).toHaveBeenCalled();
+    });
+
+    test('should sum results of all subscription sources', async () => {
+      manager.registerSource('subscription:sub-1', subscriptionSource(), {
+        execute: vi.fn().mockResolvedValue(2)
+      });
+      manager.registerSource('subscription:sub-2', subscriptionSource(), {
+        execute: vi.fn().mockResolvedValue(3)
+      });
+
+      const results = await manager.executeAllRules('example.com', {
+        enabledSources: ['subscription:sub-1', 'subscription:sub-2']
+      });
+
+      expect(results.subscriptionRulesRemoved).toBe(5);
+    });
+
+    test('should unregister sources and clean up their executors', () => {
+      const dedicatedExecutor = { execute: vi.fn(), cleanup: vi.fn() };
+      manager.registerSource('subscription:sub-1', subscriptionSource(), dedicatedExecutor);
+
+      expect(manager.unregisterSource('subscription:sub-1')).toBe(true);
+      expect(dedicatedExecutor.cleanup).toHaveBeenCalled();
+      expect(manager.sources.has('subscription:sub-1')).toBe(false);
+      expect(manager.unregisterSource('subscription:sub-1')).toBe(false);
+    });
+  });
+
   describe('getResultKey()', () => {
     test('should map default to defaultRulesRemoved', () => {
       expect(manager.getResultKey('default')).toBe('defaultRulesRemoved');
@@ -436,6 +530,11 @@ describe('RuleExecutionManager', () => {
       expect(manager.getResultKey('easylist')).toBe('easylistRulesRemoved');
     });
 
+    test('should map subscription sources to subscriptionRulesRemoved', () => {
+      expect(manager.getResultKey('subscription:sub-1')).toBe('subscriptionRulesRemoved');
+      expect(manager.getResultKey('subscription:sub-1:procedural')).toBe('subscriptionRulesRemoved');
+    });
+
     test('should return null for unknown sources', () => {
       expect(manager.getResultKey('unknown')).toBeNull();
     });
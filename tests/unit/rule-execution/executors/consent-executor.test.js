@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for ConsentExecutor
+ * Tests CMP detection, click sequences per mode, hiding and late banners
+ */
+
+import { vi } from 'vitest';
+import { ConsentExecutor } from '@modules/rule-execution/executors/consent-executor.js';
+
+const STYLE_ID = 'originalui-consent-rules';
+
+const createRule = (overrides = {}) => ({
+  id: 'cmp',
+  name: 'Test CMP',
+  detect: ['#cmp'],
+  reject: ['#reject'],
+  essential: ['#settings', '#save'],
+  hide: ['#cmp'],
+  unlock: ['body.cmp-open'],
+  mode: 'reject',
+  ...overrides
+});
+
+/**
+ * Add a button that records its clicks (optionally revealing the next step)
+ */
+const addButton = (id, clicks, { parent = document.getElementById('cmp'), text = id, onClick } = {}) => {
+  const button = document.createElement('button');
+  button.id = id;
+  button.textContent = text;
+  button.addEventListener('click', () => {
+    clicks.push(id);
+    onClick?.();
+  });
+  parent.appendChild(button);
+  return button;
+};
+
+describe('ConsentExecutor', () => {
+  let executor;
+  let clicks;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '<div id="cmp"></div>';
+    clicks = [];
+    executor = new ConsentExecutor({ stepTimeout: 200 });
+  });
+
+  afterEach(() => {
+    executor.cleanup();
+  });
+
+  test('should hide a detected CMP and click its reject button', async () => {
+    addButton('reject', clicks);
+
+    const handled = await executor.execute([createRule()], 'example.com');
+
+    expect(handled).toBe(1);
+    const css = document.getElementById(STYLE_ID).textContent;
+    expect(css).toContain('#cmp { display: none !important; }');
+    expect(css).toContain('body.cmp-open { overflow: auto !important; }');
+    await vi.waitFor(() => expect(clicks).toEqual(['reject']));
+  });
+
+  test('should run the essential-only sequence in order, waiting for each button', async () => {
+    addButton('reject', clicks);
+    addButton('settings', clicks, { onClick: () => setTimeout(() => addButton('save', clicks), 20) });
+
+    await executor.execute([createRule({ mode: 'essential' })], 'example.com');
+
+    await vi.waitFor(() => expect(clicks).toEqual(['settings', 'save']));
+  });
+
+  test('should fall back to the other sequence when one is missing', () => {
+    expect(executor.getClickSequence(createRule({ reject: [] }))).toEqual(['#settings', '#save']);
+    expect(executor.getClickSequence(createRule({ essential: [], mode: 'essential' }))).toEqual(['#reject']);
+  });
+
+  test('should only hide the banner in hide mode', async () => {
+    addButton('reject', clicks);
+
+    await executor.execute([createRule({ mode: 'hide' })], 'example.com');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(clicks).toEqual([]);
+    expect(document.getElementById(STYLE_ID)).not.toBeNull();
+  });
+
+  test('should pick buttons by label when the step has text', async () => {
+    addButton('more', clicks, { text: 'More options' });
+    addButton('disagree', clicks, { text: ' Disagree ' });
+
+    await executor.execute(
+      [createRule({ reject: [{ selector: '#cmp button', text: 'disagree' }] })],
+      'example.com'
+    );
+
+    await vi.waitFor(() => expect(clicks).toEqual(['disagree']));
+  });
+
+  test('should leave the banner hidden when a button never appears', async () => {
+    const rule = createRule();
+    executor.rules = [rule];
+
+    expect(await executor.runClickSequence(rule, rule.reject)).toBe(false);
+    expect(clicks).toEqual([]);
+  });
+
+  test('should handle CMPs injected after execution once', async () => {
+    document.body.innerHTML = '';
+
+    expect(await executor.execute([createRule()], 'example.com')).toBe(0);
+
+    const cmp = document.createElement('div');
+    cmp.id = 'cmp';
+    document.body.appendChild(cmp);
+    addButton('reject', clicks, { parent: cmp });
+
+    await vi.waitFor(() => expect(clicks).toEqual(['reject']));
+    expect(executor.getStats()).toEqual({ handled: ['cmp'] });
+    expect(executor.observer).toBeNull(); // Every rule handled - nothing left to watch
+
+    expect(await executor.execute([createRule()], 'example.com')).toBe(0);
+    expect(clicks).toEqual(['reject']);
+  });
+
+  test('should ignore pages without the CMP', async () => {
+    document.body.innerHTML = '<div id="other"></div>';
+
+    expect(await executor.execute([createRule()], 'example.com')).toBe(0);
+    expect(document.getElementById(STYLE_ID)).toBeNull();
+  });
+
+  test('should remove styles and forget handled CMPs on cleanup', async () => {
+    await executor.execute([createRule({ mode: 'hide' })], 'example.com');
+
+    executor.cleanup();
+
+    expect(document.getElementById(STYLE_ID)).toBeNull();
+    expect(executor.getStats()).toEqual({ handled: [] });
+  });
+});
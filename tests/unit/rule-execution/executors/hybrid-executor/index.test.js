@@ -13,6 +13,7 @@ const mockBuild = vi.fn().mockReturnThis();
 const mockClear = vi.fn();
 const mockGetTokenCount = vi.fn().mockReturnValue(50);
 const mockScan = vi.fn().mockReturnValue({ removed: 5, hidden: 10 });
+const mockScanShadowRoots = vi.fn().mockReturnValue({ removed: 0, hidden: 0 });
 const mockStart = vi.fn();
 const mockStop = vi.fn();
 const mockSetStatsCallback = vi.fn();
@@ -38,7 +39,8 @@ vi.mock('../../../../../src/scripts/modules/rule-execution/executors/hybrid-exec
 
 vi.mock('../../../../../src/scripts/modules/rule-execution/executors/hybrid-executor/dom-scanner.js', () => ({
   DomScanner: vi.fn(() => ({
-    scan: mockScan
+    scan: mockScan,
+    scanShadowRoots: mockScanShadowRoots
   }))
 }));
 
@@ -68,6 +70,7 @@ describe('HybridExecutor', () => {
     mockBuild.mockReturnThis();
     mockGetTokenCount.mockReturnValue(50);
     mockScan.mockReturnValue({ removed: 5, hidden: 10 });
+    mockScanShadowRoots.mockReturnValue({ removed: 0, hidden: 0 });
     mockGetMutationStats.mockReturnValue({ mutations: 0 });
     mockWatcherIsActive.mockReturnValue(true);
 
@@ -122,6 +125,15 @@ describe('HybridExecutor', () => {
       expect(result).toBeGreaterThan(0); // removed + hidden
     });
 
+    test('should scan shadow roots after the light DOM', async () => {
+      mockScanShadowRoots.mockReturnValue({ removed: 1, hidden: 2 });
+
+      const result = await executor.execute(mockRules, 'example.com');
+
+      expect(mockScanShadowRoots).toHaveBeenCalled();
+      expect(result).toBe(18);
+    });
+
     test('should return 0 for empty rules', async () => {
       const result = await executor.execute([], 'example.com');
 
@@ -158,6 +170,50 @@ describe('HybridExecutor', () => {
       expect(mockInject).toHaveBeenCalledWith(['.ad']);
     });
 
+    test('should only apply domain-specific rules on matching hostnames', async () => {
+      const rules = [
+        { id: '1', selector: '.generic', domains: ['*'], excludedDomains: [] },
+        { id: '2', selector: '.site', domains: ['example.com'], excludedDomains: [] },
+        { id: '3', selector: '.elsewhere', domains: ['other.com'], excludedDomains: [] },
+        { id: '4', selector: '.not-here', domains: ['*'], excludedDomains: ['news.example.com'] }
+      ];
+
+      await executor.execute(rules, 'news.example.com');
+
+      expect(mockInject).toHaveBeenCalledWith(['.generic', '.site']);
+      expect(mockBuild).toHaveBeenCalledWith(['.generic', '.site']);
+    });
+
+    test('should subtract exceptions from CSS and token index', async () => {
+      const rules = [
+        { id: '1', selector: '.ad', domains: ['*'] },
+        { id: '2', selector: '.banner', domains: ['*'] },
+        { id: '3', selector: '.promo', domains: ['*'] },
+        { id: 'e1', selector: '.banner', domains: ['example.com'], isException: true },
+        { id: 'e2', selector: '.promo', domains: ['other.com'], isException: true }
+      ];
+
+      await executor.execute(rules, 'example.com');
+
+      expect(mockInject).toHaveBeenCalledWith(['.ad', '.promo']);
+      expect(mockBuild).toHaveBeenCalledWith(['.ad', '.promo']);
+      expect(executor.getStats().excepted).toBe(1);
+    });
+
+    test('should apply exceptions passed in options', async () => {
+      const rules = [
+        { id: '1', selector: '.ad', domains: ['*'] },
+        { id: '2', selector: '.banner', domains: ['*'] }
+      ];
+      const exceptions = [
+        { id: 'custom-1', selector: '.ad', domains: ['example.com'], isException: true }
+      ];
+
+      await executor.execute(rules, 'example.com', { exceptions });
+
+      expect(mockInject).toHaveBeenCalledWith(['.banner']);
+    });
+
     test('should update stats after execution', async () => {
       await executor.execute(mockRules, 'example.com');
 
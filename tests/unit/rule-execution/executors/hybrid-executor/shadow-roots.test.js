@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for Shadow DOM support of the HybridExecutor
+ * Tests shadow root discovery, scanning, observing and CSS adoption
+ */
+
+import { vi } from 'vitest';
+import {
+  SHADOW_ROOT_ATTACHED_EVENT,
+  findShadowRoots,
+  getOpenShadowRoot
+} from '@modules/rule-execution/executors/hybrid-executor/shadow-roots.js';
+import { DomScanner } from '@modules/rule-execution/executors/hybrid-executor/dom-scanner.js';
+import { MutationWatcher } from '@modules/rule-execution/executors/hybrid-executor/mutation-watcher.js';
+import { StyleInjector } from '@modules/rule-execution/executors/hybrid-executor/style-injector.js';
+import { TokenIndexer } from '@modules/rule-execution/executors/hybrid-executor/token-indexer.js';
+
+function createHost(id, html, mode = 'open', tagName = 'test-widget') {
+  const host = document.createElement(tagName);
+  host.id = id;
+  const shadowRoot = host.attachShadow({ mode });
+  shadowRoot.innerHTML = html;
+  document.body.appendChild(host);
+  return { host, shadowRoot };
+}
+
+describe('Shadow DOM support', () => {
+  let tokenIndexer;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    tokenIndexer = new TokenIndexer();
+    tokenIndexer.build(['.ad-banner', '#sponsored']);
+  });
+
+  describe('findShadowRoots()', () => {
+    test('should find open roots of custom elements only', () => {
+      const { shadowRoot } = createHost('widget', '');
+      createHost('plain', '', 'open', 'div');
+
+      expect(findShadowRoots(document)).toEqual([shadowRoot]);
+    });
+  });
+
+  describe('getOpenShadowRoot()', () => {
+    test('should return the open shadow root of a host', () => {
+      const { host, shadowRoot } = createHost('widget', '');
+
+      expect(getOpenShadowRoot(host)).toBe(shadowRoot);
+    });
+
+    test('should ignore closed shadow roots and our own UI hosts', () => {
+      const { host: closedHost } = createHost('closed-widget', '', 'closed');
+      const { host: ownHost } = createHost('originalui-modal', '');
+
+      expect(getOpenShadowRoot(closedHost)).toBeNull();
+      expect(getOpenShadowRoot(ownHost)).toBeNull();
+    });
+  });
+
+  describe('DomScanner', () => {
+    test('should hide matches in shadow roots in a separate pass and report each root', () => {
+      const onShadowRoot = vi.fn();
+      const { shadowRoot } = createHost('widget', '<div class="ad-banner"></div><div id="sponsored"></div>');
+      const scanner = new DomScanner(tokenIndexer, { onShadowRoot });
+
+      expect(scanner.scan().hidden).toBe(0);
+      const stats = scanner.scanShadowRoots();
+
+      expect(stats.hidden).toBe(2);
+      expect(shadowRoot.querySelector('.ad-banner').getAttribute('data-content-blocked')).toBe('true');
+      expect(onShadowRoot).toHaveBeenCalledWith(shadowRoot);
+    });
+
+    test('should reach nested shadow roots and hosts without id or class', () => {
+      const host = document.createElement('ad-widget');
+      host.attachShadow({ mode: 'open' }).innerHTML = '<inner-widget></inner-widget>';
+      const nestedRoot = host.shadowRoot.querySelector('inner-widget').attachShadow({ mode: 'open' });
+      nestedRoot.innerHTML = '<div class="ad-banner"></div>';
+      document.body.appendChild(host);
+
+      const stats = new DomScanner(tokenIndexer).scanShadowRoots();
+
+      expect(stats.hidden).toBe(1);
+      expect(nestedRoot.querySelector('.ad-banner').getAttribute('data-content-blocked')).toBe('true');
+    });
+
+    test('should leave built-in hosts to the attachShadow announcements', () => {
+      const { shadowRoot } = createHost('widget', '<div class="ad-banner"></div>', 'open', 'div');
+
+      expect(new DomScanner(tokenIndexer).scanShadowRoots().hidden).toBe(0);
+      expect(shadowRoot.querySelector('.ad-banner').hasAttribute('data-content-blocked')).toBe(false);
+    });
+
+    test('should not touch our own UI', () => {
+      const { shadowRoot } = createHost('originalui-picker', '<div class="ad-banner"></div>');
+      const scanner = new DomScanner(tokenIndexer);
+
+      expect(scanner.scanShadowRoots().hidden).toBe(0);
+      expect(shadowRoot.querySelector('.ad-banner').hasAttribute('data-content-blocked')).toBe(false);
+    });
+
+    test('should pierce shadow roots of elements added later', () => {
+      const scanner = new DomScanner(tokenIndexer);
+      const { host, shadowRoot } = createHost('late-widget', '<div class="ad-banner"></div>');
+
+      expect(scanner.scanElement(host).hidden).toBe(1);
+      expect(shadowRoot.querySelector('.ad-banner').getAttribute('data-content-blocked')).toBe('true');
+    });
+  });
+
+  describe('MutationWatcher', () => {
+    let watcher;
+    let scanner;
+
+    beforeEach(() => {
+      scanner = new DomScanner(tokenIndexer);
+      watcher = new MutationWatcher(tokenIndexer, scanner);
+    });
+
+    afterEach(() => {
+      watcher.stop();
+    });
+
+    test('should observe each shadow root once', () => {
+      const { shadowRoot } = createHost('widget', '');
+      watcher.start(document.body);
+
+      watcher.observe(shadowRoot);
+      watcher.observe(shadowRoot);
+
+      expect(watcher.getStats().shadowRoots).toBe(1);
+    });
+
+    test('should scan and observe shadow roots announced by the injected script', () => {
+      const onStatsUpdate = vi.fn();
+      watcher.setStatsCallback(onStatsUpdate);
+      watcher.start(document.body);
+
+      const { host, shadowRoot } = createHost('widget', '<div class="ad-banner"></div>', 'open', 'div');
+      host.dispatchEvent(new CustomEvent(SHADOW_ROOT_ATTACHED_EVENT, { bubbles: true, composed: true }));
+
+      expect(shadowRoot.querySelector('.ad-banner').getAttribute('data-content-blocked')).toBe('true');
+      expect(watcher.getStats().shadowRoots).toBe(1);
+      expect(onStatsUpdate).toHaveBeenCalledWith(expect.objectContaining({ hidden: 1 }));
+    });
+
+    test('should stop listening for shadow roots after stop', () => {
+      watcher.start(document.body);
+      watcher.stop();
+
+      const { host, shadowRoot } = createHost('widget', '<div class="ad-banner"></div>');
+      host.dispatchEvent(new CustomEvent(SHADOW_ROOT_ATTACHED_EVENT, { bubbles: true, composed: true }));
+
+      expect(shadowRoot.querySelector('.ad-banner').hasAttribute('data-content-blocked')).toBe(false);
+    });
+  });
+
+  describe('StyleInjector', () => {
+    let injector;
+
+    beforeEach(() => {
+      injector = new StyleInjector();
+    });
+
+    afterEach(() => {
+      injector.cleanup();
+    });
+
+    test('should adopt the injected CSS into a shadow root once', () => {
+      const { shadowRoot } = createHost('widget', '');
+      injector.inject(['.ad-banner']);
+
+      expect(injector.adoptInto(shadowRoot)).toBe(true);
+      expect(injector.adoptInto(shadowRoot)).toBe(false);
+
+      const styles = shadowRoot.querySelectorAll('style[data-easylist]');
+      expect(styles).toHaveLength(1);
+      expect(styles[0].textContent).toContain('.ad-banner { display: none !important; }');
+    });
+
+    test('should not adopt anything before injection', () => {
+      const { shadowRoot } = createHost('widget', '');
+
+      expect(injector.adoptInto(shadowRoot)).toBe(false);
+      expect(shadowRoot.querySelector('style')).toBeNull();
+    });
+
+    test('should remove adopted CSS on cleanup', () => {
+      const { shadowRoot } = createHost('widget', '');
+      injector.inject(['.ad-banner']);
+      injector.adoptInto(shadowRoot);
+
+      injector.cleanup();
+
+      expect(shadowRoot.querySelector('style')).toBeNull();
+      expect(injector.adoptInto(shadowRoot)).toBe(false);
+    });
+  });
+});
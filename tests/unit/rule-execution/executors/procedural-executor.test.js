@@ -0,0 +1,211 @@
+/**
+ * Unit Tests for ProceduralExecutor
+ * Tests DOM evaluation of procedural filters and mutation re-evaluation
+ */
+
+import { vi } from 'vitest';
+import { ProceduralExecutor } from '@modules/rule-execution/executors/procedural-executor.js';
+import { compileProceduralSelector } from '@modules/rule-execution/parsers/procedural-selector-parser.js';
+import { SHADOW_ROOT_ATTACHED_EVENT } from '@modules/rule-execution/executors/hybrid-executor/shadow-roots.js';
+
+/**
+ * Build a procedural rule the way ProceduralSelectorParser does
+ */
+function makeRule(selector, overrides = {}) {
+  const compiled = compileProceduralSelector(selector);
+  return {
+    id: `procedural-${selector}`,
+    selector,
+    steps: compiled.steps,
+    action: compiled.action,
+    domains: ['*'],
+    excludedDomains: [],
+    enabled: true,
+    ...overrides
+  };
+}
+
+describe('ProceduralExecutor', () => {
+  let executor;
+  let mockCoordinator;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="feed">
+        <article class="post"><span class="label">Sponsored</span><p>Buy now</p></article>
+        <article class="post"><span class="label">News</span><p>Regular content here</p></article>
+        <div id="sticky" style="position: fixed">Sticky promo</div>
+      </div>
+    `;
+
+    mockCoordinator = {
+      yieldIfNeeded: vi.fn().mockResolvedValue(undefined)
+    };
+
+    executor = new ProceduralExecutor(mockCoordinator);
+  });
+
+  afterEach(() => {
+    executor.cleanup();
+    document.body.innerHTML = '';
+  });
+
+  describe('evaluate()', () => {
+    test('should combine :has-text() and :upward()', () => {
+      const { steps } = makeRule('span.label:has-text(Sponsored):upward(1)');
+
+      const matches = executor.evaluate(steps);
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].textContent).toContain('Buy now');
+    });
+
+    test('should resolve :upward() with a selector', () => {
+      const { steps } = makeRule('p:has-text(Buy):upward(.feed)');
+
+      expect(executor.evaluate(steps)).toEqual([document.querySelector('.feed')]);
+    });
+
+    test('should evaluate :xpath() from the document', () => {
+      const { steps } = makeRule(':xpath(//span[text()="News"])');
+
+      expect(executor.evaluate(steps)[0].textContent).toBe('News');
+    });
+
+    test('should filter by :matches-css()', () => {
+      const { steps } = makeRule('div:matches-css(position: fixed)');
+
+      expect(executor.evaluate(steps)).toEqual([document.getElementById('sticky')]);
+    });
+
+    test('should filter by :min-text-length()', () => {
+      const { steps } = makeRule('p:min-text-length(10)');
+
+      expect(executor.evaluate(steps).map(el => el.textContent)).toEqual(['Regular content here']);
+    });
+
+    test('should descend into matches after an operator', () => {
+      const { steps } = makeRule('article:has-text(Sponsored) > p');
+
+      expect(executor.evaluate(steps).map(el => el.textContent)).toEqual(['Buy now']);
+    });
+  });
+
+  describe('execute()', () => {
+    test('should hide matches by default', async () => {
+      const count = await executor.execute(
+        [makeRule('span.label:has-text(Sponsored):upward(1)')],
+        'example.com'
+      );
+
+      const post = document.querySelector('article.post');
+      expect(count).toBe(1);
+      expect(post.getAttribute('data-content-blocked')).toBe('true');
+      expect(post.style.display).toBe('none');
+      expect(executor.getStats().hidden).toBe(1);
+    });
+
+    test('should remove matches for :remove() rules', async () => {
+      await executor.execute([makeRule('#sticky:has-text(promo):remove()')], 'example.com');
+
+      expect(document.getElementById('sticky')).toBeNull();
+      expect(executor.getStats().removed).toBe(1);
+    });
+
+    test('should skip rules scoped to other domains', async () => {
+      const count = await executor.execute(
+        [makeRule('#sticky:has-text(promo)', { domains: ['other.com'] })],
+        'example.com'
+      );
+
+      expect(count).toBe(0);
+      expect(executor.isActive()).toBe(false);
+    });
+
+    test('should honour exceptions with the same selector', async () => {
+      const rule = makeRule('#sticky:has-text(promo)');
+      const count = await executor.execute([rule], 'example.com', {
+        exceptions: [{ selector: rule.selector, domains: ['example.com'], isException: true }]
+      });
+
+      expect(count).toBe(0);
+    });
+
+    test('should yield through the PerformanceCoordinator', async () => {
+      await executor.execute(
+        [makeRule('#sticky:has-text(promo)'), makeRule('p:min-text-length(10)')],
+        'example.com'
+      );
+
+      expect(mockCoordinator.yieldIfNeeded).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not yield when time-slicing is disabled', async () => {
+      await executor.execute([makeRule('#sticky:has-text(promo)')], 'example.com', {
+        timeSlicing: false
+      });
+
+      expect(mockCoordinator.yieldIfNeeded).not.toHaveBeenCalled();
+    });
+
+    test('should keep going when a rule throws', async () => {
+      const broken = makeRule('#sticky:has-text(promo)');
+      broken.steps = [{ type: 'css', selector: '[[' }];
+
+      const count = await executor.execute(
+        [broken, makeRule('p:min-text-length(10)')],
+        'example.com'
+      );
+
+      expect(count).toBe(1);
+    });
+  });
+
+  describe('Mutation re-evaluation', () => {
+    test('should re-evaluate once per mutation batch', async () => {
+      await executor.execute(
+        [makeRule('article:has-text(Sponsored)')],
+        'example.com'
+      );
+      expect(executor.isActive()).toBe(true);
+
+      const onStats = vi.fn();
+      executor.setStatsCallback(onStats);
+      const evaluateSpy = vi.spyOn(executor, 'evaluateRules');
+
+      const late = document.createElement('article');
+      late.innerHTML = '<span>Sponsored</span>';
+      const other = document.createElement('div');
+      executor.watcher.processNode(late);
+      executor.watcher.processNode(other);
+      document.body.appendChild(late);
+      await executor.evaluationChain;
+
+      expect(evaluateSpy).toHaveBeenCalledTimes(1);
+      expect(late.getAttribute('data-content-blocked')).toBe('true');
+      expect(onStats).toHaveBeenCalledWith(expect.objectContaining({ hidden: 2 }));
+    });
+
+    test('should re-evaluate when the page attaches an open shadow root', async () => {
+      await executor.execute([makeRule('article:has-text(Sponsored)')], 'example.com');
+      const evaluateSpy = vi.spyOn(executor, 'evaluateRules');
+
+      const host = document.createElement('div');
+      host.attachShadow({ mode: 'open' });
+      document.body.appendChild(host);
+      host.dispatchEvent(new CustomEvent(SHADOW_ROOT_ATTACHED_EVENT, { bubbles: true, composed: true }));
+      await executor.evaluationChain;
+
+      expect(evaluateSpy).toHaveBeenCalledTimes(1);
+      expect(executor.watcher.getStats().shadowRoots).toBe(1);
+    });
+
+    test('should stop watching on cleanup', async () => {
+      await executor.execute([makeRule('article:has-text(Sponsored)')], 'example.com');
+
+      executor.cleanup();
+
+      expect(executor.isActive()).toBe(false);
+    });
+  });
+});
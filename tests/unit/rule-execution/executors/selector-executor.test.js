@@ -227,6 +227,83 @@ describe('SelectorExecutor', () => {
     });
   });
 
+  describe('Domain Matching - Exclusions', () => {
+    test('should not apply a wildcard rule on an excluded domain', async () => {
+      const rules = [
+        { id: '1', selector: '.ad', domains: ['*'], excludedDomains: ['example.com'] }
+      ];
+
+      document.querySelectorAll.mockReturnValue([{ id: 'ad1' }]);
+      ElementRemover.batchRemove.mockReturnValue(1);
+
+      expect(await executor.execute(rules, 'example.com')).toBe(0);
+      expect(await executor.execute(rules, 'www.example.com')).toBe(0);
+      expect(await executor.execute(rules, 'other.com')).toBe(1);
+    });
+
+    test('should not apply on an excluded subdomain of an included domain', async () => {
+      const rule = {
+        id: '1',
+        selector: '.ad',
+        domains: ['example.com'],
+        excludedDomains: ['shop.example.com']
+      };
+
+      expect(executor.ruleAppliesTo(rule, 'example.com')).toBe(true);
+      expect(executor.ruleAppliesTo(rule, 'news.example.com')).toBe(true);
+      expect(executor.ruleAppliesTo(rule, 'shop.example.com')).toBe(false);
+    });
+  });
+
+  describe('Domain Matching - Embedded Frames', () => {
+    test('should apply rules for the frame domain and the page domain', async () => {
+      const rules = [
+        { id: '1', selector: '.player-ad', domains: ['youtube.com'] },
+        { id: '2', selector: '.article-ad', domains: ['news.example'] },
+        { id: '3', selector: '.other-ad', domains: ['other.com'] }
+      ];
+
+      document.querySelectorAll.mockReturnValue([{ id: 'ad1' }]);
+      ElementRemover.batchRemove.mockReturnValue(1);
+
+      const result = await executor.execute(rules, 'news.example', { frameDomain: 'www.youtube.com' });
+
+      expect(result).toBe(2);
+      expect(document.querySelectorAll).toHaveBeenCalledWith('.player-ad');
+      expect(document.querySelectorAll).toHaveBeenCalledWith('.article-ad');
+      expect(document.querySelectorAll).not.toHaveBeenCalledWith('.other-ad');
+    });
+  });
+
+  describe('Exception Rules', () => {
+    test('should never remove elements for exception rules', async () => {
+      const rules = [
+        { id: 'e1', selector: '.keep', domains: ['*'], isException: true }
+      ];
+
+      const removed = await executor.execute(rules, 'example.com');
+
+      expect(removed).toBe(0);
+      expect(document.querySelectorAll).not.toHaveBeenCalled();
+    });
+
+    test('should skip rules whose selector is excepted on the domain', async () => {
+      const rules = [
+        { id: '1', selector: '.ad', domains: ['*'] },
+        { id: '2', selector: '.banner', domains: ['*'] }
+      ];
+      const exceptions = [
+        { id: 'e1', selector: '.banner', domains: ['example.com'], isException: true }
+      ];
+      document.querySelectorAll.mockReturnValue([]);
+
+      await executor.execute(rules, 'example.com', { exceptions });
+
+      expect(document.querySelectorAll).toHaveBeenCalledTimes(1);
+      expect(document.querySelectorAll).toHaveBeenCalledWith('.ad');
+    });
+  });
+
   describe('Element Removal', () => {
     test('should call ElementRemover.batchRemove with correct arguments', async () => {
       const rules = [
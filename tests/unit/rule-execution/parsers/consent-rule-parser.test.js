@@ -0,0 +1,35 @@
+/**
+ * Unit Tests for ConsentRuleParser
+ * Tests CMP rule validation and normalization
+ */
+
+import { ConsentRuleParser } from '@modules/rule-execution/parsers/consent-rule-parser.js';
+import { CONSENT_RULES } from '@modules/rule-execution/config/consent-rules.js';
+
+describe('ConsentRuleParser', () => {
+  const parser = new ConsentRuleParser();
+  const rule = { id: 'cmp', name: 'CMP', detect: ['#cmp'], hide: ['#cmp'] };
+
+  test('should accept every built-in rule', async () => {
+    expect(await parser.parse(CONSENT_RULES)).toHaveLength(CONSENT_RULES.length);
+  });
+
+  test('should fill in optional fields and the default mode', async () => {
+    expect(await parser.parse([rule])).toEqual([
+      { ...rule, reject: [], essential: [], unlock: [], mode: 'reject' }
+    ]);
+  });
+
+  test('should drop rules with missing or invalid selectors', async () => {
+    const rules = await parser.parse([
+      { ...rule, id: 'no-detect', detect: [] },
+      { ...rule, id: 'no-hide', hide: undefined },
+      { ...rule, id: 'bad-step', reject: [{ selector: 'button[', text: 'no' }] },
+      { ...rule, id: 'disabled', enabled: false },
+      { ...rule, id: 'ok' }
+    ]);
+
+    expect(rules.map(r => r.id)).toEqual(['ok']);
+    expect(await parser.parse(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for CustomFilterParser
+ * Tests conversion between custom rules and ABP/uBO element hiding filters
+ */
+
+import { CustomFilterParser } from '@modules/rule-execution/parsers/custom-filter-parser.js';
+
+const NOW = 1700000000000;
+
+describe('CustomFilterParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new CustomFilterParser();
+  });
+
+  describe('parse()', () => {
+    test('should convert filters into custom rules', () => {
+      const { rules, errors } = parser.parse(
+        '! Sidebar ads\nexample.com,~shop.example.com##.sidebar-ad\n##.cookie-wall\nnews.example#@#.teaser',
+        { now: NOW }
+      );
+
+      expect(errors).toEqual([]);
+      expect(rules).toEqual([
+        {
+          id: `custom-${NOW}-1`,
+          selector: '.sidebar-ad',
+          description: 'Sidebar ads',
+          domains: ['example.com'],
+          excludedDomains: ['shop.example.com'],
+          category: 'custom',
+          confidence: 'user-defined',
+          enabled: true
+        },
+        expect.objectContaining({ id: `custom-${NOW}-2`, selector: '.cookie-wall', description: '', domains: ['*'] }),
+        expect.objectContaining({ selector: '.teaser', domains: ['news.example'], isException: true })
+      ]);
+      expect(rules[1]).not.toHaveProperty('excludedDomains');
+    });
+
+    test('should skip comments, headers and blank lines', () => {
+      const { rules, errors } = parser.parse('[Adblock Plus 2.0]\n\n! Title: Mine\r\n##.ad\r\n');
+
+      expect(errors).toEqual([]);
+      expect(rules.map(rule => rule.selector)).toEqual(['.ad']);
+    });
+
+    test('should report rejected lines with their line number', () => {
+      const { rules, errors } = parser.parse([
+        '||ads.example^',
+        'example.com##',
+        'example.com##.ad:has-text(Sponsored)',
+        'example.com##+js(no-such-scriptlet, ads)',
+        'bad domain!##.ad',
+        '##div[',
+        '##.ok'
+      ].join('\n'));
+
+      expect(rules.map(rule => rule.selector)).toEqual(['.ok']);
+      expect(errors.map(({ line, message }) => [line, message])).toEqual([
+        [1, 'Not an element hiding filter (expected domain##selector)'],
+        [2, 'Missing selector'],
+        [3, 'Extended (procedural) selectors are not supported in custom rules'],
+        [4, 'Unknown scriptlet "no-such-scriptlet"'],
+        [5, 'Invalid domain list'],
+        [6, 'Invalid CSS selector']
+      ]);
+      expect(errors[0].text).toBe('||ads.example^');
+    });
+
+    test('should keep scriptlet filters as +js() rules', () => {
+      const { rules, errors } = parser.parse('example.com##+js(set-constant, ads, false)\nexample.com#@#+js()\n##+js()');
+
+      expect(rules.map(({ selector, domains, isException }) => ({ selector, domains, isException })))
+        .toEqual([
+          { selector: '+js(set-constant, ads, false)', domains: ['example.com'], isException: undefined },
+          { selector: '+js()', domains: ['example.com'], isException: true }
+        ]);
+      expect(errors.map(({ line, message }) => [line, message])).toEqual([[3, 'Missing scriptlet name']]);
+      expect(parser.format(rules)).toBe('example.com##+js(set-constant, ads, false)\nexample.com#@#+js()');
+    });
+
+    test('should reject duplicates of existing rules and earlier lines', () => {
+      const existingRules = [{ id: 'custom-1', selector: '.ad', domains: ['*'] }];
+      const { rules, errors } = parser.parse('##.ad\n#@#.ad\n##.banner\nexample.com##.banner', { existingRules });
+
+      expect(rules.map(rule => rule.selector)).toEqual(['.ad', '.banner']);
+      expect(rules[0].isException).toBe(true);
+      expect(errors.map(({ line, message }) => [line, message])).toEqual([
+        [1, 'A rule with this selector already exists'],
+        [4, 'Duplicate of line 3']
+      ]);
+    });
+  });
+
+  describe('format()', () => {
+    test('should write rules as filters with descriptions as comments', () => {
+      const text = parser.format([
+        { id: 'a', selector: '.sidebar-ad', description: 'Sidebar\nads', domains: ['*.example.com', 'other.example'], excludedDomains: ['shop.example.com'] },
+        { id: 'b', selector: '.cookie-wall', description: '', domains: ['*'] },
+        { id: 'c', selector: '.teaser', domains: ['news.example'], isException: true },
+        { id: 'd', selector: '' }
+      ]);
+
+      expect(text).toBe([
+        '! Sidebar ads',
+        'example.com,other.example,~shop.example.com##.sidebar-ad',
+        '##.cookie-wall',
+        'news.example#@#.teaser'
+      ].join('\n'));
+    });
+
+    test('should round-trip through parse()', () => {
+      const original = parser.parse('! Hide\nexample.com,~a.example.com##.ad\n#@#.keep', { now: NOW }).rules;
+      const { rules } = parser.parse(parser.format(original), { now: NOW });
+
+      expect(rules).toEqual(original);
+    });
+  });
+});
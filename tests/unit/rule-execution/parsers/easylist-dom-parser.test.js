@@ -105,6 +105,117 @@ describe('EasyListDomParser', () => {
     });
   });
 
+  describe('Domain-Specific Rules', () => {
+    test('should parse a single-domain rule', async () => {
+      const rules = await parser.parse(['example.com##.banner']);
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0]).toMatchObject({
+        selector: '.banner',
+        domains: ['example.com'],
+        excludedDomains: []
+      });
+    });
+
+    test('should split included and negated domains', async () => {
+      const rules = await parser.parse(['example.com,~foo.example.com,Other.org##.banner']);
+
+      expect(rules[0].domains).toEqual(['example.com', 'other.org']);
+      expect(rules[0].excludedDomains).toEqual(['foo.example.com']);
+    });
+
+    test('should treat exclusion-only rules as global with exclusions', async () => {
+      const rules = await parser.parse(['~foo.com##.ad']);
+
+      expect(rules[0].domains).toEqual(['*']);
+      expect(rules[0].excludedDomains).toEqual(['foo.com']);
+    });
+
+    test('should keep ID selectors after a domain prefix', async () => {
+      const rules = await parser.parse(['example.com###top-ad']);
+
+      expect(rules[0].selector).toBe('#top-ad');
+      expect(rules[0].domains).toEqual(['example.com']);
+    });
+
+    test('should skip lines whose domain part is not a domain list', async () => {
+      const rules = await parser.parse([
+        '||ads.example.com/path##frag',
+        'example.com/page##.ad',
+        'example.com##.ok'
+      ]);
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0].selector).toBe('.ok');
+    });
+
+    test('should skip other cosmetic separators', async () => {
+      const rules = await parser.parse([
+        'example.com#?#.ad:-abp-has(.x)',
+        'example.com#$#abort-on-property-read foo',
+        'example.com##+js(set-constant, foo, true)',
+        'example.com##.ok'
+      ]);
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0].selector).toBe('.ok');
+    });
+
+    test('should use the configured source name', async () => {
+      const namedParser = new EasyListDomParser({ sourceName: 'easylist' });
+      const rules = await namedParser.parse(['##.ad']);
+
+      expect(rules[0].source).toBe('easylist');
+    });
+
+    test('should count generic and domain-specific rules in statistics', async () => {
+      const rules = await parser.parse(['##.ad', 'example.com##.x', '~foo.com##.y']);
+
+      const stats = parser.getStatistics(rules);
+
+      expect(stats.byScope).toEqual({ generic: 1, domainSpecific: 2 });
+    });
+  });
+
+  describe('Exception Rules (#@#)', () => {
+    test('should parse global exceptions', async () => {
+      const rules = await parser.parse(['#@#.sponsored']);
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0]).toMatchObject({
+        id: 'easylist-exception-0',
+        selector: '.sponsored',
+        domains: ['*'],
+        excludedDomains: [],
+        isException: true
+      });
+    });
+
+    test('should parse domain-specific exceptions', async () => {
+      const rules = await parser.parse(['example.com,~shop.example.com#@#.banner']);
+
+      expect(rules[0]).toMatchObject({
+        selector: '.banner',
+        domains: ['example.com'],
+        excludedDomains: ['shop.example.com'],
+        isException: true
+      });
+    });
+
+    test('should keep hiding rule IDs sequential around exceptions', async () => {
+      const rules = await parser.parse(['##.a', '#@#.a', '##.b']);
+
+      expect(rules.map(r => r.id)).toEqual(['easylist-0', 'easylist-exception-0', 'easylist-1']);
+      expect(rules[0].isException).toBeUndefined();
+    });
+
+    test('should count exceptions in statistics', async () => {
+      const rules = await parser.parse(['##.a', '#@#.a']);
+
+      expect(parser.getStatistics(rules).exceptions).toBe(1);
+    });
+  });
+
   describe('Filtering - Comments', () => {
     test('should skip comment lines (starting with !)', async () => {
       const rawLines = [
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for ProceduralSelectorParser
+ * Tests parsing and compilation of extended (procedural) cosmetic filters
+ */
+
+import { vi } from 'vitest';
+import {
+  ProceduralSelectorParser,
+  compileProceduralSelector
+} from '@modules/rule-execution/parsers/procedural-selector-parser.js';
+
+describe('ProceduralSelectorParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ProceduralSelectorParser();
+    vi.clearAllMocks();
+  });
+
+  describe('parse()', () => {
+    test('should only keep procedural filters', async () => {
+      const rules = await parser.parse([
+        '##.plain-css',
+        '##div.card:has-text(Sponsored)',
+        '! comment',
+        '##+js(set-constant, foo, true)'
+      ]);
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0]).toMatchObject({
+        id: 'procedural-0',
+        selector: 'div.card:has-text(Sponsored)',
+        action: 'hide',
+        domains: ['*'],
+        source: 'easylist_procedural'
+      });
+    });
+
+    test('should accept ABP #?# syntax and domain lists', async () => {
+      const rules = await parser.parse(['example.com,~m.example.com#?#div:-abp-contains(Ad)']);
+
+      expect(rules[0]).toMatchObject({
+        domains: ['example.com'],
+        excludedDomains: ['m.example.com']
+      });
+      expect(rules[0].steps[1].type).toBe('has-text');
+    });
+
+    test('should parse procedural exceptions', async () => {
+      const rules = await parser.parse(['example.com#@#div:has-text(Ad)']);
+
+      expect(rules[0]).toMatchObject({
+        id: 'procedural-exception-0',
+        selector: 'div:has-text(Ad)',
+        isException: true
+      });
+    });
+
+    test('should drop filters with unsupported operators', async () => {
+      const rules = await parser.parse(['##div:watch-attr(class):has-text(Ad)']);
+
+      expect(rules).toEqual([]);
+    });
+
+    test('should handle non-array input', async () => {
+      expect(await parser.parse(null)).toEqual([]);
+    });
+  });
+
+  describe('compileProceduralSelector()', () => {
+    test('should compile a CSS anchor followed by operators', () => {
+      const compiled = compileProceduralSelector('div.card:has-text(/spon\\w+/i):upward(2)');
+
+      expect(compiled.action).toBe('hide');
+      expect(compiled.steps.map(s => s.type)).toEqual(['css', 'has-text', 'upward']);
+      expect(compiled.steps[0].selector).toBe('div.card');
+      expect(compiled.steps[1].test('SPONSORED post')).toBe(true);
+      expect(compiled.steps[2].distance).toBe(2);
+    });
+
+    test('should keep native pseudo-classes in the CSS segment', () => {
+      const compiled = compileProceduralSelector('li:not(.x):min-text-length(20)');
+
+      expect(compiled.steps[0].selector).toBe('li:not(.x)');
+      expect(compiled.steps[1]).toEqual({ type: 'min-text-length', length: 20 });
+    });
+
+    test('should compile CSS between operators as descend or filter steps', () => {
+      const descend = compileProceduralSelector('div:has-text(Ad) > span');
+      const filter = compileProceduralSelector('div:upward(1).wrapper');
+
+      expect(descend.steps[2]).toEqual({ type: 'descend', selector: ':scope > span' });
+      expect(filter.steps[2]).toEqual({ type: 'filter', selector: '.wrapper' });
+    });
+
+    test('should allow :xpath() without a CSS anchor', () => {
+      const compiled = compileProceduralSelector(':xpath(//div[@id="ad"])');
+
+      expect(compiled.steps).toEqual([{ type: 'xpath', expression: '//div[@id="ad"]' }]);
+    });
+
+    test('should split matches-css into property and value', () => {
+      const compiled = compileProceduralSelector('div:matches-css(position: fixed)');
+      const step = compiled.steps[1];
+
+      expect(step.property).toBe('position');
+      expect(step.test('fixed')).toBe(true);
+      expect(step.test('fixed-ish')).toBe(false);
+    });
+
+    test('should turn a trailing :remove() into the remove action', () => {
+      const compiled = compileProceduralSelector('.ad:has-text(Promo):remove()');
+
+      expect(compiled.action).toBe('remove');
+      expect(compiled.steps.map(s => s.type)).toEqual(['css', 'has-text']);
+    });
+
+    test.each([
+      [':has-text(Ad)', 'operator without anchor'],
+      ['div:remove():has-text(Ad)', 'operator after :remove()'],
+      ['div:upward(0)', 'zero upward distance'],
+      ['div:has-text(/[/)', 'invalid regex'],
+      ['div:has-text(Ad) + span', 'sibling combinator'],
+      ['div:has-text(Ad', 'unbalanced parenthesis'],
+      ['div:matches-css(fixed)', 'matches-css without property']
+    ])('should reject %s (%s)', (selector) => {
+      expect(compileProceduralSelector(selector)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit Tests for ConsentRuleSource
+ * Tests CMP rules tagged with the stored handling mode
+ */
+
+import { vi } from 'vitest';
+import { ConsentRuleSource } from '@modules/rule-execution/sources/consent-rule-source.js';
+import { CONSENT_RULES } from '@modules/rule-execution/config/consent-rules.js';
+import { safeStorageGet } from '@script-utils/chrome-api-safe.js';
+
+vi.mock('../../../../src/scripts/utils/chrome-api-safe.js');
+
+describe('ConsentRuleSource', () => {
+  let source;
+
+  beforeEach(() => {
+    source = new ConsentRuleSource();
+    vi.clearAllMocks();
+  });
+
+  test('should use the consent executor', () => {
+    expect(source.getExecutorType()).toBe('consent');
+    expect(source.getName()).toBe('Cookie Consent Rules');
+    expect(source.getUpdateInterval()).toBe(0);
+  });
+
+  test('should ship a rule for every supported CMP', () => {
+    expect(CONSENT_RULES.map(rule => rule.id)).toEqual(
+      ['onetrust', 'quantcast', 'didomi', 'cookiebot', 'trustarc']
+    );
+  });
+
+  test('should tag rules with the stored mode', async () => {
+    safeStorageGet.mockResolvedValue({ cookieConsentMode: 'essential' });
+
+    const rules = await source.fetchRules();
+
+    expect(rules).toHaveLength(CONSENT_RULES.length);
+    expect(rules.every(rule => rule.mode === 'essential')).toBe(true);
+    expect(CONSENT_RULES[0].mode).toBeUndefined();
+  });
+
+  test('should fall back to rejecting for missing or unknown modes', async () => {
+    safeStorageGet.mockResolvedValue({ cookieConsentMode: 'accept-all' });
+    expect((await source.fetchRules())[0].mode).toBe('reject');
+
+    source.invalidateCache();
+    safeStorageGet.mockRejectedValue(new Error('Storage error'));
+    expect((await source.fetchRules())[0].mode).toBe('reject');
+  });
+
+  test('should re-read the mode after invalidation', async () => {
+    safeStorageGet.mockResolvedValue({ cookieConsentMode: 'hide' });
+    await source.fetchRules();
+    await source.fetchRules();
+    expect(safeStorageGet).toHaveBeenCalledTimes(1);
+
+    source.invalidateCache();
+    await source.fetchRules();
+    expect(safeStorageGet).toHaveBeenCalledTimes(2);
+  });
+});
@@ -69,6 +69,15 @@ describe('CustomRuleSource', () => {
 
       expect(rules).toEqual([]);
     });
+
+    test('should leave scriptlet rules to the scriptlet injector', async () => {
+      const scriptletRule = { id: 'custom-3', selector: '+js(set-constant, ads, false)', enabled: true, domains: ['example.com'] };
+      safeStorageGet.mockResolvedValue({ customRules: [...mockRules, scriptletRule] });
+
+      const rules = await source.fetchRules();
+
+      expect(rules).toEqual(mockRules);
+    });
   });
 
   describe('Caching with 30-second TTL', () => {
@@ -187,6 +196,22 @@ describe('CustomRuleSource', () => {
     });
   });
 
+  describe('getExceptionRules()', () => {
+    test('should return only enabled exception rules', async () => {
+      safeStorageGet.mockResolvedValue({
+        customRules: [
+          ...mockRules,
+          { id: 'custom-3', selector: '.fine', domains: ['example.com'], isException: true },
+          { id: 'custom-4', selector: '.off', domains: ['*'], isException: true, enabled: false }
+        ]
+      });
+
+      const exceptions = await source.getExceptionRules();
+
+      expect(exceptions.map(r => r.id)).toEqual(['custom-3']);
+    });
+  });
+
   describe('invalidateCache()', () => {
     test('should clear cache immediately', async () => {
       safeStorageGet
@@ -0,0 +1,40 @@
+/**
+ * Unit Tests for EasyListProceduralSource
+ * Tests delegation to the shared EasyList download
+ */
+
+import { vi } from 'vitest';
+import { EasyListProceduralSource } from '@modules/rule-execution/sources/easylist-procedural-source.js';
+
+describe('EasyListProceduralSource', () => {
+  let listSource;
+  let source;
+
+  beforeEach(() => {
+    listSource = {
+      fetchRules: vi.fn().mockResolvedValue(['##div:has-text(Ad)']),
+      getUpdateInterval: vi.fn().mockReturnValue(10080),
+      getCacheKey: vi.fn().mockReturnValue('easylistDomRules'),
+      invalidateCache: vi.fn()
+    };
+    source = new EasyListProceduralSource(listSource);
+  });
+
+  test('should return the shared list lines', async () => {
+    expect(await source.fetchRules()).toEqual(['##div:has-text(Ad)']);
+    expect(listSource.fetchRules).toHaveBeenCalledTimes(1);
+  });
+
+  test('should use the procedural executor', () => {
+    expect(source.getExecutorType()).toBe('procedural');
+    expect(source.getName()).toBe('EasyList Procedural Rules');
+  });
+
+  test('should share cache settings with the list source', () => {
+    expect(source.getCacheKey()).toBe('easylistDomRules');
+    expect(source.getUpdateInterval()).toBe(10080);
+
+    source.invalidateCache();
+    expect(listSource.invalidateCache).toHaveBeenCalled();
+  });
+});
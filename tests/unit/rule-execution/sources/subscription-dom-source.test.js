@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for SubscriptionDomSource
+ * Tests reading stored subscription content for cosmetic rules
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('@script-utils/chrome-api-safe.js', () => ({
+  safeStorageGet: vi.fn()
+}));
+
+import { safeStorageGet } from '@script-utils/chrome-api-safe.js';
+import { SubscriptionDomSource } from '@modules/rule-execution/sources/subscription-dom-source.js';
+
+describe('SubscriptionDomSource', () => {
+  const subscription = {
+    id: 'sub-1',
+    url: 'https://lists.example/annoyances.txt',
+    title: 'Annoyances',
+    expiresMinutes: 1440
+  };
+  let source;
+
+  beforeEach(() => {
+    safeStorageGet.mockResolvedValue({
+      'subscriptionRules_sub-1': { lines: ['##.banner', '||ads.example^'], fetchedAt: 1 }
+    });
+    source = new SubscriptionDomSource(subscription);
+  });
+
+  test('should return stored lines for the subscription', async () => {
+    expect(await source.fetchRules()).toEqual(['##.banner', '||ads.example^']);
+    expect(safeStorageGet).toHaveBeenCalledWith(['subscriptionRules_sub-1']);
+  });
+
+  test('should cache lines until invalidated', async () => {
+    await source.fetchRules();
+    await source.fetchRules();
+    expect(safeStorageGet).toHaveBeenCalledTimes(1);
+
+    source.invalidateCache();
+    await source.fetchRules();
+    expect(safeStorageGet).toHaveBeenCalledTimes(2);
+  });
+
+  test('should return an empty list when nothing is stored', async () => {
+    safeStorageGet.mockResolvedValue({});
+
+    expect(await source.fetchRules()).toEqual([]);
+  });
+
+  test('should fall back to cached lines on storage errors', async () => {
+    await source.fetchRules();
+    source.invalidateCache();
+    source.cachedRules = ['##.cached'];
+    safeStorageGet.mockRejectedValue(new Error('Storage error'));
+
+    expect(await source.fetchRules()).toEqual(['##.cached']);
+  });
+
+  test('should describe itself from the subscription', () => {
+    expect(source.getName()).toBe('Annoyances');
+    expect(source.getExecutorType()).toBe('hybrid');
+    expect(source.getUpdateInterval()).toBe(1440);
+    expect(source.getCacheKey()).toBe('subscriptionRules_sub-1');
+  });
+});
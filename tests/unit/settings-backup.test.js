@@ -0,0 +1,222 @@
+/**
+ * Unit Tests for settings-backup utilities
+ * Tests export, migration, validation, merge and preview of settings backups
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  IMPORT_MODES,
+  createBackup,
+  diffBackupSettings,
+  mergeBackupSettings,
+  migrateBackup,
+  readBackup,
+  readStorageSettings,
+  sanitizeBackupSettings,
+  toStorageValues
+} from '@utils/settings-backup.js';
+
+const NOW = 1_700_000_000_000;
+const DAY = 24 * 60 * 60 * 1000;
+
+const decision = (overrides = {}) => ({
+  decision: 'ALLOW',
+  timestamp: NOW - 1000,
+  expiresAt: NOW + DAY,
+  isPersistent: true,
+  metadata: {},
+  ...overrides
+});
+
+const storage = {
+  isActive: true,
+  navigationGuardEnabled: false,
+  whitelist: ['example.com'],
+  customRules: [{ id: 'custom-1', selector: '.ad', domains: ['*'], description: '' }],
+  removeParamRules: [{ domain: 'shop.example', params: ['ref'] }],
+  siteProfiles: { 'news.example': { networkBlocking: false } },
+  filterSubscriptions: [{ id: 'sub-1', url: 'https://lists.example/list.txt', slot: 0, enabled: true, title: 'List', ruleCounts: {} }],
+  permissionCacheV1: {
+    version: 1,
+    entries: { 'origin:https://a.example->https://b.example': decision() },
+    stats: { hits: 3 }
+  },
+  unrelatedKey: 'ignored'
+};
+
+describe('settings-backup', () => {
+  describe('createBackup()', () => {
+    test('should write a versioned file with every section', () => {
+      const backup = createBackup(storage, { networkBlockPatterns: ['ads.example'] }, { now: NOW });
+
+      expect(backup.format).toBe(BACKUP_FORMAT);
+      expect(backup.version).toBe(BACKUP_VERSION);
+      expect(backup.settings.toggles).toEqual({ isActive: true, navigationGuardEnabled: false });
+      expect(backup.settings.networkBlockPatterns).toEqual(['ads.example']);
+      expect(backup.settings.filterSubscriptions).toEqual([
+        { url: 'https://lists.example/list.txt', enabled: true, title: 'List' }
+      ]);
+      expect(Object.keys(backup.settings.permissionDecisions)).toEqual([
+        'origin:https://a.example->https://b.example'
+      ]);
+      expect(backup.settings).not.toHaveProperty('unrelatedKey');
+    });
+
+    test('should round-trip through readBackup()', () => {
+      const backup = createBackup(storage, {}, { now: NOW });
+      const { settings, errors } = readBackup(JSON.stringify(backup), { now: NOW });
+
+      expect(errors).toEqual([]);
+      expect(settings).toEqual(backup.settings);
+    });
+  });
+
+  describe('migrateBackup()', () => {
+    test('should upgrade a plain storage dump (version 0)', () => {
+      const backup = migrateBackup({ whitelist: ['example.com'], isActive: false });
+
+      expect(backup.version).toBe(BACKUP_VERSION);
+      expect(backup.settings).toEqual({ toggles: { isActive: false }, whitelist: ['example.com'] });
+    });
+
+    test('should reject unrelated files and newer versions', () => {
+      expect(() => migrateBackup({ hello: 'world' })).toThrow('not an OriginalUI settings backup');
+      expect(() => migrateBackup({ format: 'other', version: 1 })).toThrow('not an OriginalUI settings backup');
+      expect(() => migrateBackup([])).toThrow('not an OriginalUI settings backup');
+      expect(() => migrateBackup({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, settings: {} }))
+        .toThrow('newer version');
+    });
+  });
+
+  describe('readBackup()', () => {
+    test('should reject text that is not JSON', () => {
+      expect(() => readBackup('{not json')).toThrow('not valid JSON');
+    });
+  });
+
+  describe('sanitizeBackupSettings()', () => {
+    test('should skip and report invalid entries', () => {
+      const { settings, errors } = sanitizeBackupSettings({
+        toggles: { isActive: 'yes', customRulesEnabled: false },
+        whitelist: ['Example.com', 'not a domain', 'example.com'],
+        customRules: [{ selector: '' }, { id: 'r', selector: '.x', domains: ['bad domain'] }, { selector: '.ok' }],
+        networkBlockPatterns: ['', { trigger: '(', isRegex: true }, '@@cdn.example'],
+        removeParamRules: [{ domain: 'site.example', params: ['bad param!'] }],
+        filterSubscriptions: [{ url: 'ftp://lists.example/x.txt' }, { url: 'https://lists.example/ok.txt', enabled: false }]
+      }, { now: NOW });
+
+      expect(settings.toggles).toEqual({ customRulesEnabled: false });
+      expect(settings.whitelist).toEqual(['example.com']);
+      expect(settings.customRules).toEqual([
+        expect.objectContaining({ id: 'custom-import-3', selector: '.ok', domains: ['*'], enabled: true })
+      ]);
+      expect(settings.networkBlockPatterns).toEqual(['@@cdn.example']);
+      expect(settings.removeParamRules).toEqual([]);
+      expect(settings.filterSubscriptions).toEqual([
+        { url: 'https://lists.example/ok.txt', enabled: false, title: '' }
+      ]);
+      expect(errors.map(({ section }) => section)).toEqual([
+        'toggles',
+        'whitelist',
+        'customRules',
+        'customRules',
+        'networkBlockPatterns',
+        'networkBlockPatterns',
+        'removeParamRules',
+        'filterSubscriptions'
+      ]);
+    });
+
+    test('should validate site profiles and navigation decisions', () => {
+      const { settings, errors } = sanitizeBackupSettings({
+        siteProfiles: { 'ok.example': { navigationGuard: false }, 'bad domain': { navigationGuard: false } },
+        permissionDecisions: {
+          'origin:https://a.example->https://b.example': decision(),
+          'origin:https://a.example->https://old.example': decision({ expiresAt: NOW - 1 }),
+          'not-a-key': decision(),
+          'origin:https://a.example->https://c.example': decision({ decision: 'MAYBE' })
+        }
+      }, { now: NOW });
+
+      expect(settings.siteProfiles).toEqual({ 'ok.example': { navigationGuard: false } });
+      expect(Object.keys(settings.permissionDecisions)).toEqual([
+        'origin:https://a.example->https://b.example'
+      ]);
+      expect(errors).toHaveLength(3);
+    });
+  });
+
+  describe('mergeBackupSettings()', () => {
+    const current = readStorageSettings(storage);
+    const incoming = {
+      toggles: { isActive: false },
+      whitelist: ['other.example'],
+      customRules: [{ id: 'custom-1', selector: '.banner', domains: ['*'], description: '' }],
+      permissionDecisions: {
+        'origin:https://a.example->https://b.example': decision({ decision: 'DENY', timestamp: NOW - 5000 })
+      }
+    };
+
+    test('should add to existing entries in merge mode', () => {
+      const next = mergeBackupSettings(current, incoming, IMPORT_MODES.MERGE);
+
+      expect(next.toggles).toEqual({ isActive: false, navigationGuardEnabled: false });
+      expect(next.whitelist).toEqual(['example.com', 'other.example']);
+      expect(next.customRules).toEqual([incoming.customRules[0]]);
+      // Older imported decision loses to the stored one
+      expect(next.permissionDecisions['origin:https://a.example->https://b.example'].decision).toBe('ALLOW');
+      expect(next).not.toHaveProperty('siteProfiles');
+    });
+
+    test('should swap imported sections in replace mode', () => {
+      const next = mergeBackupSettings(current, incoming, IMPORT_MODES.REPLACE);
+
+      expect(next.whitelist).toEqual(['other.example']);
+      expect(next.permissionDecisions).toEqual(incoming.permissionDecisions);
+      expect(next).not.toHaveProperty('removeParamRules');
+    });
+  });
+
+  describe('diffBackupSettings()', () => {
+    test('should list added, removed and changed entries per section', () => {
+      const current = readStorageSettings(storage);
+      const next = mergeBackupSettings(current, {
+        toggles: { isActive: true, navigationGuardEnabled: true },
+        whitelist: ['other.example'],
+        customRules: [{ id: 'custom-1', selector: '.banner', domains: ['*'], description: '' }]
+      }, IMPORT_MODES.REPLACE);
+
+      expect(diffBackupSettings(current, next)).toEqual([
+        { section: 'toggles', label: 'Protection toggles', added: [], removed: [], changed: ['Navigation Guardian: on'] },
+        { section: 'whitelist', label: 'Whitelist', added: ['other.example'], removed: ['example.com'], changed: [] },
+        { section: 'customRules', label: 'Custom rules', added: [], removed: [], changed: ['.banner'] }
+      ]);
+    });
+
+    test('should be empty when nothing changes', () => {
+      const current = readStorageSettings(storage);
+      expect(diffBackupSettings(current, mergeBackupSettings(current, current, IMPORT_MODES.MERGE))).toEqual([]);
+    });
+  });
+
+  describe('toStorageValues()', () => {
+    test('should split values by storage area and keep cache stats', () => {
+      const { local, sync } = toStorageValues({
+        toggles: { isActive: true },
+        whitelist: ['example.com'],
+        networkBlockPatterns: ['ads.example'],
+        filterSubscriptions: [],
+        permissionDecisions: {}
+      }, storage);
+
+      expect(local).toEqual({
+        isActive: true,
+        whitelist: ['example.com'],
+        permissionCacheV1: { version: 1, entries: {}, stats: { hits: 3 } }
+      });
+      expect(sync).toEqual({ networkBlockPatterns: ['ads.example'] });
+    });
+  });
+});
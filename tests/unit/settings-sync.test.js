@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for settings-sync utilities
+ * Tests change tracking, last-writer-wins merging and chunked sync items
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  SYNC_QUOTA,
+  TOMBSTONE_TTL,
+  decodeSyncItems,
+  encodeSyncItems,
+  getSyncItemsSize,
+  isQuotaError,
+  mergeSyncDocuments,
+  pruneTombstones,
+  toLocalValues,
+  trackLocalChanges
+} from '@utils/settings-sync.js';
+
+const T1 = 1_700_000_000_000;
+const T2 = T1 + 60_000;
+
+const rule = (id, selector) => ({ id, selector, domains: ['*'], enabled: true });
+
+describe('settings-sync', () => {
+  describe('trackLocalChanges()', () => {
+    test('should stamp new and changed entries and keep unchanged ones', () => {
+      const previous = trackLocalChanges({
+        whitelist: ['a.example', 'b.example'],
+        customRules: [rule('r1', '.ad')],
+        isActive: true
+      }, {}, T1);
+
+      const tracked = trackLocalChanges({
+        whitelist: ['a.example', 'c.example'],
+        customRules: [rule('r1', '.banner')],
+        isActive: true
+      }, previous, T2);
+
+      expect(tracked.whitelist).toEqual({
+        'a.example': { value: 'a.example', updatedAt: T1 },
+        'c.example': { value: 'c.example', updatedAt: T2 },
+        'b.example': { deleted: true, updatedAt: T2 }
+      });
+      expect(tracked.customRules.r1).toEqual({ value: rule('r1', '.banner'), updatedAt: T2 });
+      expect(tracked.toggles.isActive).toEqual({ value: true, updatedAt: T1 });
+    });
+
+    test('should keep documents of settings that are not stored', () => {
+      const previous = { removeParamRules: { 'shop.example': { value: { domain: 'shop.example', params: ['ref'] }, updatedAt: T1 } } };
+
+      expect(trackLocalChanges({ whitelist: [] }, previous, T2).removeParamRules).toEqual(previous.removeParamRules);
+    });
+  });
+
+  describe('mergeSyncDocuments()', () => {
+    test('should keep the newest change per entry', () => {
+      const local = {
+        whitelist: {
+          'a.example': { value: 'a.example', updatedAt: T2 },
+          'b.example': { value: 'b.example', updatedAt: T1 }
+        },
+        customRules: { r1: { value: rule('r1', '.local'), updatedAt: T1 } }
+      };
+      const remote = {
+        whitelist: {
+          'b.example': { deleted: true, updatedAt: T2 },
+          'c.example': { value: 'c.example', updatedAt: T1 }
+        },
+        customRules: { r1: { value: rule('r1', '.remote'), updatedAt: T2 } },
+        toggles: { isActive: { value: false, updatedAt: T1 } }
+      };
+
+      const merged = mergeSyncDocuments(local, remote);
+
+      expect(toLocalValues(merged)).toEqual({
+        isActive: false,
+        whitelist: ['a.example', 'c.example'],
+        customRules: [rule('r1', '.remote')],
+        removeParamRules: []
+      });
+    });
+
+    test('should pick the same entry on both sides of a tie', () => {
+      const a = { toggles: { isActive: { value: true, updatedAt: T1 } } };
+      const b = { toggles: { isActive: { value: false, updatedAt: T1 } } };
+
+      expect(mergeSyncDocuments(a, b)).toEqual(mergeSyncDocuments(b, a));
+    });
+  });
+
+  describe('pruneTombstones()', () => {
+    test('should forget old deletions only', () => {
+      const documents = {
+        whitelist: {
+          'old.example': { deleted: true, updatedAt: T1 },
+          'new.example': { deleted: true, updatedAt: T2 },
+          'kept.example': { value: 'kept.example', updatedAt: T1 }
+        }
+      };
+
+      expect(Object.keys(pruneTombstones(documents, T1 + TOMBSTONE_TTL).whitelist))
+        .toEqual(['new.example', 'kept.example']);
+    });
+  });
+
+  describe('encodeSyncItems() / decodeSyncItems()', () => {
+    test('should split large documents into items within the per-item quota', () => {
+      const customRules = Array.from({ length: 200 }, (_, i) =>
+        rule(`custom-${i}`, `.ad-${i}[data-label="Werbung – Anzeige ${i}"]`)
+      );
+      const documents = trackLocalChanges({ customRules, whitelist: ['a.example'] }, {}, T1);
+      const items = encodeSyncItems(documents);
+
+      expect(items['settingsSync:customRules'].chunks).toBeGreaterThan(1);
+      Object.entries(items).forEach(([key, value]) => {
+        expect(getSyncItemsSize({ [key]: value })).toBeLessThanOrEqual(SYNC_QUOTA.BYTES_PER_ITEM);
+      });
+      expect(decodeSyncItems(items)).toEqual(documents);
+    });
+
+    test('should skip incomplete documents and invalid entries', () => {
+      const items = encodeSyncItems({
+        whitelist: {
+          'a.example': { value: 'a.example', updatedAt: T1 },
+          'not a domain': { value: 'not a domain', updatedAt: T1 }
+        },
+        toggles: { isActive: { value: 'yes', updatedAt: T1 }, unknownToggle: { value: true, updatedAt: T1 } }
+      });
+      items['settingsSync:customRules'] = { chunks: 2 };
+
+      const documents = decodeSyncItems(items);
+
+      expect(documents.whitelist).toEqual({ 'a.example': { value: 'a.example', updatedAt: T1 } });
+      expect(documents.toggles).toEqual({});
+      expect(documents).not.toHaveProperty('customRules');
+    });
+  });
+
+  describe('isQuotaError()', () => {
+    test('should recognize chrome.storage.sync quota errors', () => {
+      expect(isQuotaError(new Error('QUOTA_BYTES_PER_ITEM quota exceeded'))).toBe(true);
+      expect(isQuotaError({ message: 'MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded' })).toBe(true);
+      expect(isQuotaError(new Error('Network error'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for site-pauses utilities
+ * Tests temporary "pause on this site" entries and their expiry
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  PAUSE_DURATIONS,
+  createPause,
+  getActivePause,
+  isPauseActive,
+  isValidPauseDuration,
+  removeEndedPauses
+} from '@utils/site-pauses.js';
+
+const NOW = 1_700_000_000_000;
+const MINUTE = 60 * 1000;
+
+describe('site-pauses', () => {
+  describe('isValidPauseDuration()', () => {
+    test('should accept the offered durations only', () => {
+      expect(isValidPauseDuration('15m')).toBe(true);
+      expect(isValidPauseDuration('1h')).toBe(true);
+      expect(isValidPauseDuration('tab')).toBe(true);
+      expect(isValidPauseDuration('forever')).toBe(false);
+      expect(isValidPauseDuration(undefined)).toBe(false);
+    });
+  });
+
+  describe('createPause()', () => {
+    test('should end timed pauses after their duration', () => {
+      expect(createPause(PAUSE_DURATIONS.FIFTEEN_MINUTES, { now: NOW }))
+        .toEqual({ until: NOW + 15 * MINUTE, tabId: null });
+      expect(createPause(PAUSE_DURATIONS.ONE_HOUR, { now: NOW, tabId: 7 }))
+        .toEqual({ until: NOW + 60 * MINUTE, tabId: null });
+    });
+
+    test('should tie tab pauses to the tab', () => {
+      expect(createPause(PAUSE_DURATIONS.UNTIL_TAB_CLOSED, { tabId: 7 }))
+        .toEqual({ until: null, tabId: 7 });
+    });
+
+    test('should return null without a tab or for unknown durations', () => {
+      expect(createPause(PAUSE_DURATIONS.UNTIL_TAB_CLOSED, {})).toBeNull();
+      expect(createPause('forever', { now: NOW })).toBeNull();
+    });
+  });
+
+  describe('isPauseActive()', () => {
+    test('should be active until the end time', () => {
+      expect(isPauseActive({ until: NOW + 1, tabId: null }, NOW)).toBe(true);
+      expect(isPauseActive({ until: NOW, tabId: null }, NOW)).toBe(false);
+    });
+
+    test('should keep tab pauses active and reject malformed entries', () => {
+      expect(isPauseActive({ until: null, tabId: 3 }, NOW)).toBe(true);
+      expect(isPauseActive({ until: null, tabId: null }, NOW)).toBe(false);
+      expect(isPauseActive(null, NOW)).toBe(false);
+      expect(isPauseActive({ until: 'soon' }, NOW)).toBe(false);
+    });
+  });
+
+  describe('getActivePause()', () => {
+    const pausedSites = {
+      'example.com': { until: NOW + MINUTE, tabId: null },
+      'expired.test': { until: NOW - MINUTE, tabId: null }
+    };
+
+    test('should cover the paused domain and its subdomains', () => {
+      expect(getActivePause(pausedSites, 'example.com', NOW))
+        .toEqual({ domain: 'example.com', until: NOW + MINUTE, tabId: null });
+      expect(getActivePause(pausedSites, 'news.example.com', NOW)?.domain).toBe('example.com');
+      expect(getActivePause(pausedSites, 'notexample.com', NOW)).toBeNull();
+    });
+
+    test('should ignore ended pauses and missing input', () => {
+      expect(getActivePause(pausedSites, 'expired.test', NOW)).toBeNull();
+      expect(getActivePause(undefined, 'example.com', NOW)).toBeNull();
+      expect(getActivePause(pausedSites, '', NOW)).toBeNull();
+    });
+  });
+
+  describe('removeEndedPauses()', () => {
+    const pausedSites = {
+      'timed.test': { until: NOW + MINUTE, tabId: null },
+      'expired.test': { until: NOW - MINUTE, tabId: null },
+      'tab-one.test': { until: null, tabId: 1 },
+      'tab-two.test': { until: null, tabId: 2 }
+    };
+
+    test('should drop expired pauses without modifying the input', () => {
+      const remaining = removeEndedPauses(pausedSites, { now: NOW });
+
+      expect(Object.keys(remaining)).toEqual(['timed.test', 'tab-one.test', 'tab-two.test']);
+      expect(pausedSites['expired.test']).toBeDefined();
+    });
+
+    test('should end the closed tab\'s pauses', () => {
+      expect(Object.keys(removeEndedPauses(pausedSites, { now: NOW, closedTabId: 1 })))
+        .toEqual(['timed.test', 'tab-two.test']);
+    });
+
+    test('should end every tab pause after a browser restart', () => {
+      expect(Object.keys(removeEndedPauses(pausedSites, { now: NOW, dropTabPauses: true })))
+        .toEqual(['timed.test']);
+    });
+  });
+});
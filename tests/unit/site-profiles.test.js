@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for site-profiles utilities
+ * Tests per-site protection overrides
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  MAX_SITE_PROFILES,
+  SITE_PROFILE_SYSTEMS,
+  clearSiteProfile,
+  getSiteOverrides,
+  getSitesWithOverride,
+  isSystemEnabled,
+  normalizeSiteProfiles,
+  setSiteOverride,
+  splitSiteOverrides
+} from '@utils/site-profiles.js';
+
+const { NETWORK_BLOCKING, NAVIGATION_GUARD, CLICK_PROTECTION } = SITE_PROFILE_SYSTEMS;
+
+describe('site-profiles', () => {
+  describe('normalizeSiteProfiles()', () => {
+    test('should keep known systems with boolean values only', () => {
+      expect(normalizeSiteProfiles({
+        '*.Example.com': { networkBlocking: false, unknown: true, navigationGuard: 'no' },
+        'empty.example': {},
+        'bad.example': null
+      })).toEqual({ 'example.com': { networkBlocking: false } });
+    });
+
+    test('should handle malformed storage values', () => {
+      expect(normalizeSiteProfiles(undefined)).toEqual({});
+      expect(normalizeSiteProfiles(['example.com'])).toEqual({});
+    });
+  });
+
+  describe('getSiteOverrides()', () => {
+    const profiles = {
+      'example.com': { networkBlocking: false, navigationGuard: false },
+      'shop.example.com': { networkBlocking: true },
+      'other.com': { clickProtection: false }
+    };
+
+    test('should apply parent domain profiles to subdomains', () => {
+      expect(getSiteOverrides(profiles, 'www.example.com')).toEqual({
+        networkBlocking: false,
+        navigationGuard: false
+      });
+    });
+
+    test('should let the most specific profile win per system', () => {
+      expect(getSiteOverrides(profiles, 'shop.example.com')).toEqual({
+        networkBlocking: true,
+        navigationGuard: false
+      });
+    });
+
+    test('should return no overrides for unrelated or missing hosts', () => {
+      expect(getSiteOverrides(profiles, 'notexample.com')).toEqual({});
+      expect(getSiteOverrides(profiles, '')).toEqual({});
+    });
+  });
+
+  describe('splitSiteOverrides()', () => {
+    test('should separate the site\'s own overrides from inherited ones', () => {
+      const profiles = {
+        'example.com': { networkBlocking: false, navigationGuard: false },
+        'shop.example.com': { networkBlocking: true }
+      };
+
+      expect(splitSiteOverrides(profiles, 'shop.example.com')).toEqual({
+        own: { networkBlocking: true },
+        inherited: { networkBlocking: false, navigationGuard: false }
+      });
+    });
+  });
+
+  describe('isSystemEnabled()', () => {
+    test('should prefer the override over the global toggle', () => {
+      expect(isSystemEnabled({ networkBlocking: false }, NETWORK_BLOCKING, true)).toBe(false);
+      expect(isSystemEnabled({ networkBlocking: true }, NETWORK_BLOCKING, false)).toBe(true);
+      expect(isSystemEnabled({}, NETWORK_BLOCKING, false)).toBe(false);
+      expect(isSystemEnabled(undefined, NETWORK_BLOCKING, true)).toBe(true);
+    });
+  });
+
+  describe('setSiteOverride()', () => {
+    test('should add and clear overrides without modifying the input', () => {
+      const profiles = { 'example.com': { navigationGuard: false } };
+
+      const updated = setSiteOverride(profiles, 'Example.com', CLICK_PROTECTION, false);
+      expect(updated).toEqual({ 'example.com': { navigationGuard: false, clickProtection: false } });
+      expect(profiles).toEqual({ 'example.com': { navigationGuard: false } });
+
+      expect(setSiteOverride(updated, 'example.com', NAVIGATION_GUARD, null)).toEqual({
+        'example.com': { clickProtection: false }
+      });
+    });
+
+    test('should drop a profile once its last override is cleared', () => {
+      expect(setSiteOverride({ 'example.com': { navigationGuard: false } }, 'example.com', NAVIGATION_GUARD, null))
+        .toEqual({});
+    });
+
+    test('should ignore unknown systems and empty domains', () => {
+      expect(setSiteOverride({}, 'example.com', 'everything', false)).toEqual({});
+      expect(setSiteOverride({}, '', NAVIGATION_GUARD, false)).toEqual({});
+    });
+
+    test('should not add profiles past the limit', () => {
+      const full = Object.fromEntries(
+        Array.from({ length: MAX_SITE_PROFILES }, (_, i) => [`site${i}.example`, { navigationGuard: false }])
+      );
+
+      expect(setSiteOverride(full, 'new.example', NAVIGATION_GUARD, false)['new.example']).toBeUndefined();
+      expect(setSiteOverride(full, 'site0.example', CLICK_PROTECTION, false)['site0.example']).toEqual({
+        navigationGuard: false,
+        clickProtection: false
+      });
+    });
+  });
+
+  describe('clearSiteProfile()', () => {
+    test('should remove only the given site', () => {
+      expect(clearSiteProfile({
+        'example.com': { navigationGuard: false },
+        'other.com': { networkBlocking: false }
+      }, 'example.com')).toEqual({ 'other.com': { networkBlocking: false } });
+    });
+  });
+
+  describe('getSitesWithOverride()', () => {
+    test('should list sites switching a system on or off', () => {
+      const profiles = {
+        'a.example': { networkBlocking: false },
+        'b.example': { networkBlocking: true },
+        'c.example': { navigationGuard: false }
+      };
+
+      expect(getSitesWithOverride(profiles, NETWORK_BLOCKING, false)).toEqual(['a.example']);
+      expect(getSitesWithOverride(profiles, NETWORK_BLOCKING, true)).toEqual(['b.example']);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for storage schema migrations
+ * Tests each migration step and the resumable migration runner
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATION_STATE,
+  MIGRATION_STATE_KEY,
+  SCHEMA_VERSION_KEY,
+  STORAGE_MIGRATIONS,
+  runStorageMigrations
+} from '@script-utils/background/storage-migrations.js';
+
+const step = (name) => STORAGE_MIGRATIONS.find(migration => migration.name === name);
+
+/**
+ * In-memory storage area recording every set() call
+ */
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  const writes = [];
+  return {
+    data,
+    writes,
+    get: async (keys) =>
+      Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]])),
+    set: async (values) => {
+      writes.push(values);
+      Object.assign(data, values);
+    }
+  };
+};
+
+describe('storage-migrations', () => {
+  describe('STORAGE_MIGRATIONS', () => {
+    test('should have strictly increasing versions ending at CURRENT_SCHEMA_VERSION', () => {
+      const versions = STORAGE_MIGRATIONS.map(migration => migration.version);
+
+      expect(versions).toEqual([...versions].sort((a, b) => a - b));
+      expect(new Set(versions).size).toBe(versions.length);
+      expect(versions[versions.length - 1]).toBe(CURRENT_SCHEMA_VERSION);
+    });
+
+    test('should leave missing keys alone', () => {
+      STORAGE_MIGRATIONS.forEach(migration => {
+        expect(migration.migrate({})).toEqual({});
+      });
+    });
+  });
+
+  describe('installationState step', () => {
+    test('should mark legacy installations as completed', () => {
+      const updates = step('installationState').migrate({ isActive: true });
+
+      expect(updates.installationState).toBe('completed');
+      expect(updates.installationCompleteTime).toEqual(expect.any(Number));
+      expect(step('installationState').migrate({ installationState: 'in_progress', isActive: true })).toEqual({});
+    });
+  });
+
+  describe('customRules step', () => {
+    test('should convert legacy rules and fill missing fields', () => {
+      const { customRules } = step('customRules').migrate({
+        customRules: [
+          '.legacy-ad',
+          { id: 'custom-1', selector: ' .banner ', domains: 'example.com', enabled: false },
+          { id: 'custom-1', selector: '.dup-id', domains: [] },
+          { selector: '' },
+          null
+        ]
+      });
+
+      expect(customRules).toEqual([
+        {
+          id: 'custom-legacy-1',
+          selector: '.legacy-ad',
+          description: '',
+          domains: ['*'],
+          category: 'custom',
+          confidence: 'user-defined',
+          enabled: true
+        },
+        expect.objectContaining({ id: 'custom-1', selector: '.banner', domains: ['example.com'], enabled: false }),
+        expect.objectContaining({ id: 'custom-legacy-3', selector: '.dup-id', domains: ['*'] })
+      ]);
+    });
+
+    test('should not rewrite rules that are already current', () => {
+      const customRules = [{
+        id: 'custom-1',
+        selector: '.ad',
+        description: 'Ad',
+        domains: ['*'],
+        excludedDomains: ['shop.example'],
+        category: 'custom',
+        confidence: 'user-defined',
+        enabled: true
+      }];
+
+      expect(step('customRules').migrate({ customRules })).toEqual({});
+    });
+  });
+
+  describe('whitelist step', () => {
+    test('should normalize, dedupe and drop invalid entries', () => {
+      expect(step('whitelist').migrate({
+        whitelist: ['Example.COM', 'https://example.com/path?q=1', ' news.example ', 42, '']
+      })).toEqual({ whitelist: ['example.com', 'news.example'] });
+      expect(step('whitelist').migrate({ whitelist: 'a.example, b.example' }))
+        .toEqual({ whitelist: ['a.example', 'b.example'] });
+      expect(step('whitelist').migrate({ whitelist: ['example.com'] })).toEqual({});
+    });
+  });
+
+  describe('domainStats step', () => {
+    test('should expand entries into complete counter objects', () => {
+      expect(step('domainStats').migrate({
+        domainStats: {
+          'a.example': 5,
+          'b.example': { customRulesRemoved: '2', easylistRulesHidden: -1 }
+        }
+      })).toEqual({
+        domainStats: {
+          'a.example': { defaultRulesRemoved: 5, customRulesRemoved: 0, easylistRulesRemoved: 0, easylistRulesHidden: 0 },
+          'b.example': { defaultRulesRemoved: 0, customRulesRemoved: 2, easylistRulesRemoved: 0, easylistRulesHidden: 0 }
+        }
+      });
+    });
+  });
+
+  describe('navigationStats step', () => {
+    test('should coerce counters to non-negative integers', () => {
+      expect(step('navigationStats').migrate({ navigationStats: { blockedCount: '3', allowedCount: null } }))
+        .toEqual({ navigationStats: { blockedCount: 3, allowedCount: 0 } });
+      expect(step('navigationStats').migrate({ navigationStats: { blockedCount: 1, allowedCount: 2 } }))
+        .toEqual({});
+    });
+  });
+
+  describe('blockedRequestStats step', () => {
+    test('should complete the shape and cap recent blocks', () => {
+      const recentBlocks = Array.from({ length: 120 }, (_, i) => ({ url: `https://ads.example/${i}` }));
+      const { blockedRequestStats } = step('blockedRequestStats').migrate({
+        blockedRequestStats: { totalBlocked: 7, byType: { script: '4', '': 1 }, recentBlocks: [...recentBlocks, 'bad'] }
+      });
+
+      expect(blockedRequestStats.totalBlocked).toBe(7);
+      expect(blockedRequestStats.byType).toEqual({ script: 4 });
+      expect(blockedRequestStats.byDomain).toEqual({});
+      expect(blockedRequestStats.recentBlocks).toHaveLength(100);
+      expect(blockedRequestStats.recentBlocks[0]).toEqual(recentBlocks[0]);
+    });
+  });
+
+  describe('runStorageMigrations()', () => {
+    test('should run every step on an empty store and record completion', async () => {
+      const storage = createStorage();
+      const result = await runStorageMigrations({ storage });
+
+      expect(result).toEqual({
+        fromVersion: 0,
+        toVersion: CURRENT_SCHEMA_VERSION,
+        applied: STORAGE_MIGRATIONS.map(migration => migration.name)
+      });
+      expect(storage.data[SCHEMA_VERSION_KEY]).toBe(CURRENT_SCHEMA_VERSION);
+      expect(storage.data[MIGRATION_STATE_KEY].state).toBe(MIGRATION_STATE.COMPLETED);
+      expect(storage.writes[0][MIGRATION_STATE_KEY].state).toBe(MIGRATION_STATE.IN_PROGRESS);
+    });
+
+    test('should write step data together with its version', async () => {
+      const storage = createStorage({ whitelist: ['Example.com'] });
+      await runStorageMigrations({ storage });
+
+      expect(storage.writes).toContainEqual({ whitelist: ['example.com'], [SCHEMA_VERSION_KEY]: 3 });
+    });
+
+    test('should resume from the stored version', async () => {
+      const storage = createStorage({ [SCHEMA_VERSION_KEY]: 4, whitelist: ['Example.com'] });
+      const result = await runStorageMigrations({ storage });
+
+      expect(result.applied).toEqual(['navigationStats', 'blockedRequestStats']);
+      expect(storage.data.whitelist).toEqual(['Example.com']);
+      expect(await runStorageMigrations({ storage })).toEqual({
+        fromVersion: CURRENT_SCHEMA_VERSION,
+        toVersion: CURRENT_SCHEMA_VERSION,
+        applied: []
+      });
+    });
+
+    test('should keep earlier steps committed when a step fails', async () => {
+      const storage = createStorage({ value: 1 });
+      const migrations = [
+        { version: 1, name: 'first', keys: ['value'], migrate: ({ value }) => ({ value: value + 1 }) },
+        { version: 2, name: 'broken', keys: [], migrate: () => { throw new Error('boom'); } },
+        { version: 3, name: 'third', keys: [], migrate: () => ({ third: true }) }
+      ];
+
+      await expect(runStorageMigrations({ migrations, storage })).rejects.toThrow('boom');
+      expect(storage.data).toMatchObject({ value: 2, [SCHEMA_VERSION_KEY]: 1 });
+      expect(storage.data).not.toHaveProperty('third');
+      expect(storage.data[MIGRATION_STATE_KEY]).toMatchObject({
+        state: MIGRATION_STATE.FAILED,
+        failedVersion: 2,
+        error: 'boom'
+      });
+
+      // Fixed step: the next run picks up where the failed one stopped
+      migrations[1].migrate = () => ({});
+      const result = await runStorageMigrations({ migrations, storage });
+      expect(result).toEqual({ fromVersion: 1, toVersion: 3, applied: ['broken', 'third'] });
+      expect(storage.data.value).toBe(2);
+    });
+
+    test('should not touch storage written by a newer version', async () => {
+      const storage = createStorage({ [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION + 1 });
+      const result = await runStorageMigrations({ storage });
+
+      expect(result.applied).toEqual([]);
+      expect(storage.writes).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for tracking-params utilities
+ * Tests parameter rule normalization and the generated match regex
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  DEFAULT_TRACKING_PARAMS,
+  buildParamRegex,
+  isValidParamDomain,
+  isValidParamName,
+  normalizeParamRule
+} from '@utils/tracking-params.js';
+
+describe('tracking-params', () => {
+  describe('DEFAULT_TRACKING_PARAMS', () => {
+    test('should cover common campaign and click identifiers', () => {
+      ['utm_source', 'utm_campaign', 'fbclid', 'gclid', 'clickid'].forEach(param => {
+        expect(DEFAULT_TRACKING_PARAMS).toContain(param);
+      });
+    });
+
+    test('should only contain valid, unique names', () => {
+      expect(DEFAULT_TRACKING_PARAMS.every(isValidParamName)).toBe(true);
+      expect(new Set(DEFAULT_TRACKING_PARAMS).size).toBe(DEFAULT_TRACKING_PARAMS.length);
+    });
+  });
+
+  describe('normalizeParamRule()', () => {
+    test('should lowercase the domain and strip a leading wildcard', () => {
+      expect(normalizeParamRule({ domain: ' *.Shop.Example.com ', params: ['ref'] })).toEqual({
+        domain: 'shop.example.com',
+        params: ['ref']
+      });
+    });
+
+    test('should drop invalid and duplicate parameters', () => {
+      expect(normalizeParamRule({ params: ['ref', ' ref ', 'a b', '', 'items[]', 42] })).toEqual({
+        domain: '',
+        params: ['ref', 'items[]', '42']
+      });
+    });
+
+    test('should handle malformed entries', () => {
+      expect(normalizeParamRule(null)).toEqual({ domain: '', params: [] });
+      expect(normalizeParamRule({ domain: 'example.com', params: 'ref' })).toEqual({
+        domain: 'example.com',
+        params: []
+      });
+    });
+  });
+
+  describe('isValidParamDomain()', () => {
+    test.each([
+      ['', true],
+      ['example.com', true],
+      ['sub-domain.example.co.uk', true],
+      ['https://example.com', false],
+      ['example.com/path', false],
+      ['-example.com', false]
+    ])('%s -> %s', (domain, expected) => {
+      expect(isValidParamDomain(domain)).toBe(expected);
+    });
+  });
+
+  describe('buildParamRegex()', () => {
+    const regex = new RegExp(buildParamRegex(['utm_source', 'fbclid', 'items[]']));
+
+    test('should match URLs carrying a listed parameter', () => {
+      expect(regex.test('https://example.com/?utm_source=mail')).toBe(true);
+      expect(regex.test('https://example.com/?a=1&fbclid=abc#top')).toBe(true);
+      expect(regex.test('https://example.com/?fbclid')).toBe(true);
+      expect(regex.test('https://example.com/?items[]=1')).toBe(true);
+    });
+
+    test('should not match parameters that only share a prefix', () => {
+      expect(regex.test('https://example.com/?utm_source_id=1')).toBe(false);
+      expect(regex.test('https://example.com/?xfbclid=1')).toBe(false);
+      expect(regex.test('https://example.com/utm_source=1')).toBe(false);
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { afterEach, describe, expect, test, vi } from "vitest";
 import Logger, { LogLevel } from "@script-utils/logger.js";
-import { safeParseUrl } from "@utils/url-utils.js";
+import { matchesDomainScope, safeParseUrl } from "@utils/url-utils.js";
 
 describe("safeParseUrl", () => {
   let warnSpy;
@@ -53,3 +53,30 @@ describe("safeParseUrl", () => {
     Logger.setLevel(previousLevel);
   });
 });
+
+describe("matchesDomainScope", () => {
+  test("applies generic rules everywhere", () => {
+    expect(matchesDomainScope("example.com")).toBe(true);
+    expect(matchesDomainScope("example.com", ["*"], [])).toBe(true);
+  });
+
+  test("matches listed domains and their subdomains", () => {
+    expect(matchesDomainScope("example.com", ["example.com"])).toBe(true);
+    expect(matchesDomainScope("news.example.com", ["example.com"])).toBe(true);
+    expect(matchesDomainScope("other.com", ["example.com"])).toBe(false);
+  });
+
+  test("excluded domains win over included ones", () => {
+    expect(
+      matchesDomainScope("foo.example.com", ["example.com"], ["foo.example.com"])
+    ).toBe(false);
+    expect(
+      matchesDomainScope("bar.example.com", ["example.com"], ["foo.example.com"])
+    ).toBe(true);
+  });
+
+  test("exclusion-only rules apply everywhere except the excluded domains", () => {
+    expect(matchesDomainScope("example.com", ["*"], ["foo.com"])).toBe(true);
+    expect(matchesDomainScope("www.foo.com", ["*"], ["foo.com"])).toBe(false);
+  });
+});
@@ -146,6 +146,44 @@ const bundleContentScripts = (mode) => ({
       },
     });
 
+    // Bundle scriptlets.js (scriptlet library, injected by ScriptletInjector)
+    await build({
+      configFile: false,
+      define: {
+        'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production'),
+        'process.env': JSON.stringify({ NODE_ENV: process.env.NODE_ENV || 'production' }),
+        'global': 'globalThis'
+      },
+      resolve: {
+        alias,
+      },
+      build: {
+        emptyOutDir: false,
+        outDir: "dist/scripts",
+        lib: {
+          entry: resolve(__dirname, "src/scripts/scriptlets.js"),
+          name: "scriptlets",
+          formats: ["iife"],
+          fileName: () => "scriptlets.js",
+        },
+        rollupOptions: {
+          output: {
+            extend: true,
+          },
+        },
+        minify: isProduction ? "terser" : false,
+        sourcemap: !isProduction,
+        terserOptions: isProduction
+          ? {
+              compress: {
+                drop_console: false, // Keep console for debugging
+                drop_debugger: true,
+              },
+            }
+          : undefined,
+      },
+    });
+
     // Validate manifest.json after all builds are complete
     const manifestPath = "dist/manifest.json";
     if (!existsSync(manifestPath)) {